@@ -86,7 +86,10 @@ const EconomicCalendar = ({ initialData = null }) => {
   const { events, loading, error, refresh, fetchEvents } = useEvents({
     filters: apiFilters,
     autoFetch: false, // Never auto-fetch - we control it manually
-    initialData: initialData
+    initialData: initialData,
+    // Live changes only for the current week; other periods keep the manual refresh, so
+    // most visitors (today's view) don't hold a stream open
+    stream: selectedPeriod === 'thisWeek'
   });
 
   // Handle initialData from SSR
@@ -1,5 +1,20 @@
 import { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import eventService from '../services/eventService.js';
+import { normalizeEvent } from '../utils/eventUtils.js';
+
+// Reconnect delays after repeated stream errors: 2s doubling up to 5 minutes (with jitter)
+const STREAM_BACKOFF_BASE_MS = 2000;
+const STREAM_BACKOFF_MAX_MS = 300000;
+
+/**
+ * Check whether a stream message refers to an event already in the list
+ * @param {Object} ev - Event in state
+ * @param {Object} data - Stream message data ({ id, event })
+ * @returns {boolean} True for the same event
+ */
+const isSameEvent = (ev, data) => ev._id
+  ? ev._id === data.id
+  : ev.date === data.event?.date && ev.event === data.event?.event;
 
 /**
  * Custom hook for managing economic calendar events data
@@ -8,6 +23,10 @@ import eventService from '../services/eventService.js';
  * @param {number} options.refetchInterval - Auto-refetch interval in milliseconds (default: null)
  * @param {Object} options.filters - Default filters to apply
  * @param {Object} options.dateRange - Date range filter {fromDate, toDate}
+ * @param {boolean} options.stream - Apply live changes from /api/calendar/stream (default: false);
+ *   reconnects back off exponentially while the stream keeps failing
+ * @param {Function} options.onStreamMessage - Called with (type, data) for every stream message,
+ *   including release-imminent and released ticks
  * @returns {Object} Hook state and actions
  */
 export const useEvents = (options = {}) => {
@@ -16,7 +35,9 @@ export const useEvents = (options = {}) => {
     refetchInterval = null,
     filters = {},
     dateRange = null,
-    initialData = null
+    initialData = null,
+    stream = false,
+    onStreamMessage = null
   } = options;
 
   // State management
@@ -24,6 +45,7 @@ export const useEvents = (options = {}) => {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [lastFetch, setLastFetch] = useState(null);
+  const [streaming, setStreaming] = useState(false);
   const hasFetchedRef = useRef(false);
 
   /**
@@ -205,16 +227,102 @@ export const useEvents = (options = {}) => {
     }
   }, [autoFetch, filtersKey, dateRange]); // Use filtersKey for deep comparison
 
-  // Auto-refetch interval (disabled by default)
+  // Keep the latest callbacks for the stream without reconnecting on every render
+  const fetchEventsRef = useRef(fetchEvents);
+  const onStreamMessageRef = useRef(onStreamMessage);
+  useEffect(() => {
+    fetchEventsRef.current = fetchEvents;
+    onStreamMessageRef.current = onStreamMessage;
+  }, [fetchEvents, onStreamMessage]);
+
+  // Live updates over Server-Sent Events (disabled by default)
+  useEffect(() => {
+    if (!stream || typeof window === 'undefined' || typeof window.EventSource === 'undefined') return;
+    if (process.env.NEXT_PUBLIC_USE_MOCK_DATA === 'true') return;
+
+    const params = { ...filters };
+    if (dateRange) {
+      params.fromDate = dateRange.fromDate;
+      params.toDate = dateRange.toDate;
+    }
+
+    let source = null;
+    let reconnectTimer = null;
+    let failures = 0;
+    let lastEventId = null;
+
+    const upsert = (data) => {
+      const event = normalizeEvent(data.event);
+      if (!event) return;
+      setEvents(prevEvents => [...prevEvents.filter(ev => !isSameEvent(ev, data)), event]
+        .sort((a, b) => new Date(a.date) - new Date(b.date)));
+    };
+
+    const connect = (resumed) => {
+      const url = eventService.getStreamUrl(lastEventId ? { ...params, lastEventId } : params);
+      source = new window.EventSource(url);
+      source.onopen = () => {
+        setStreaming(true);
+        // Without an id to resume from, changes made while disconnected are only in a refetch
+        if (resumed && !lastEventId) fetchEventsRef.current();
+        failures = 0;
+      };
+      // The server closes every stream after 55 seconds, so the first error after a connection
+      // is left to EventSource's own reconnect (which resumes from the last event id). Repeated
+      // errors, or a refused connection (EventSource gives up on a 503), back off exponentially
+      source.onerror = () => {
+        setStreaming(false);
+        failures += 1;
+        if (failures === 1 && source.readyState !== window.EventSource.CLOSED) return;
+
+        source.close();
+        const delay = Math.min(STREAM_BACKOFF_BASE_MS * 2 ** (failures - 1), STREAM_BACKOFF_MAX_MS);
+        reconnectTimer = setTimeout(() => connect(true), delay * (0.5 + Math.random() / 2));
+      };
+
+      const handle = (type, apply) => source.addEventListener(type, (message) => {
+        if (message.lastEventId) lastEventId = message.lastEventId;
+        let data;
+        try {
+          data = JSON.parse(message.data);
+        } catch (err) {
+          console.warn('Invalid stream message:', message.data);
+          return;
+        }
+        if (apply) apply(data);
+        setLastFetch(new Date());
+        onStreamMessageRef.current?.(type, data);
+      });
+
+      handle('event-added', upsert);
+      handle('event-updated', upsert);
+      handle('event-removed', (data) => {
+        setEvents(prevEvents => prevEvents.filter(ev => !isSameEvent(ev, data)));
+      });
+      handle('release-imminent');
+      handle('released');
+      handle('resync', () => fetchEventsRef.current());
+    };
+
+    connect(false);
+
+    return () => {
+      clearTimeout(reconnectTimer);
+      source.close();
+      setStreaming(false);
+    };
+  }, [stream, filtersKey, dateRange?.fromDate, dateRange?.toDate]);
+
+  // Auto-refetch interval (disabled by default, and paused while the stream is connected)
   useEffect(() => {
-    if (refetchInterval && refetchInterval > 0 && !error) {
+    if (refetchInterval && refetchInterval > 0 && !error && !streaming) {
       const interval = setInterval(() => {
         fetchEvents();
       }, refetchInterval);
 
       return () => clearInterval(interval);
     }
-  }, [refetchInterval, fetchEvents, error]);
+  }, [refetchInterval, fetchEvents, error, streaming]);
 
   // Derived state
   const isStale = lastFetch && (Date.now() - lastFetch.getTime() > 300000); // 5 minutes
@@ -232,6 +340,7 @@ export const useEvents = (options = {}) => {
     isStale,
     hasEvents,
     isEmpty,
+    streaming,
     
     // Actions
     fetchEvents,
@@ -0,0 +1,152 @@
+/**
+ * Access control for the public API routes
+ * Wraps a route handler with optional API-key authentication, scope checks,
+ * per-key quotas, rate limiting and usage metering, so handlers stay unaware of auth.
+ * Responses vary on the credential headers and keyed responses are never stored by
+ * shared caches, so every keyed request reaches the function and is metered
+ */
+
+import { getApiKeyStore } from './apiKeyStore.js';
+import { recordApiUsage, getApiUsage } from './apiUsage.js';
+import { getRateLimitConfig, applyRateLimit, clientAddress } from './rateLimit.js';
+import { API_ERROR_CODES } from './apiEnvelope.js';
+
+/**
+ * Scopes granted to requests without an API key
+ */
+export const ANONYMOUS_SCOPES = ['calendar:read', 'morning-report:read', 'export'];
+
+/**
+ * Usage id shared by every anonymous request
+ */
+export const ANONYMOUS_CLIENT = 'anonymous';
+
+/**
+ * Vary header sent by every access-controlled route
+ */
+export const CREDENTIAL_VARY = 'Authorization, X-API-Key';
+
+/**
+ * Cache-Control sent on responses to requests made with an API key
+ */
+export const KEYED_CACHE_CONTROL = 'private, no-store';
+
+/**
+ * Read the API key sent with a request
+ * @param {Object} req - Request object
+ * @returns {string|null} Key from X-API-Key or an `Authorization: Bearer` header
+ */
+export function readApiKey(req) {
+  const header = req.headers?.['x-api-key'];
+  const key = Array.isArray(header) ? header[0] : header;
+  if (key) return String(key).trim() || null;
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers?.authorization || '');
+  return match ? match[1] : null;
+}
+
+// An unreachable usage store skips the quota check rather than failing the request
+const dailyUsage = async (clientId, now) => {
+  try {
+    return (await getApiUsage(clientId, now)).today;
+  } catch (error) {
+    console.warn('API usage read failed:', error.message);
+    return 0;
+  }
+};
+
+const secondsUntilUtcMidnight = (now) => {
+  const date = new Date(now);
+  return Math.ceil((Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) - now) / 1000);
+};
+
+// Legacy routes answer { error: message }; /api/v1 routes { error: { code, message } }
+const errorBody = (envelope, code, message) => ({ error: envelope ? { code, message } : message });
+
+const deny = (res, status, body) => {
+  res.setHeader('Cache-Control', 'no-store');
+  return res.status(status).json(body);
+};
+
+/**
+ * Keep a keyed response out of shared caches
+ * Handlers set their usual public s-maxage whoever calls; just before the response head
+ * is written, anything that is not already no-store becomes KEYED_CACHE_CONTROL
+ * @param {Object} res - Response object
+ */
+function keepPrivate(res) {
+  const writeHead = res.writeHead;
+  if (typeof writeHead !== 'function') return;
+  res.writeHead = function privateWriteHead(...args) {
+    if (!/no-store/.test(String(res.getHeader('Cache-Control') || ''))) {
+      res.setHeader('Cache-Control', KEYED_CACHE_CONTROL);
+    }
+    return writeHead.apply(this, args);
+  };
+}
+
+/**
+ * Wrap an API route handler with access control
+ * Anonymous requests get ANONYMOUS_SCOPES and the tighter per-IP limit; a request with
+ * an unknown or revoked key is rejected rather than treated as anonymous
+ * @param {Function} handler - Route handler (req, res); req.apiKey holds the key record or null
+ * @param {Object} options - Access options
+ * @param {string} options.scope - Scope the route requires
+ * @param {boolean} options.envelope - Send typed /api/v1 errors
+ * @returns {Function} Wrapped handler
+ */
+export function withApiAccess(handler, { scope, envelope = false } = {}) {
+  const body = (code, message) => errorBody(envelope, code, message);
+
+  return async function accessControlledHandler(req, res) {
+    // Without it a shared cache could answer a keyed request with an anonymous copy
+    res.setHeader('Vary', CREDENTIAL_VARY);
+    const key = readApiKey(req);
+
+    let record = null;
+    if (key) {
+      keepPrivate(res);
+      try {
+        record = await getApiKeyStore().findByKey(key);
+      } catch (error) {
+        console.error('API key lookup failed:', error);
+        return deny(res, 500, body(API_ERROR_CODES.SERVER_ERROR, 'Server error'));
+      }
+      if (!record || record.revokedAt) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return deny(res, 401, body(API_ERROR_CODES.UNAUTHORIZED, 'Invalid API key'));
+      }
+    }
+
+    const scopes = record ? record.scopes : ANONYMOUS_SCOPES;
+    if (scope && !scopes.includes(scope)) {
+      if (!record) {
+        res.setHeader('WWW-Authenticate', 'Bearer');
+        return deny(res, 401, body(API_ERROR_CODES.UNAUTHORIZED, 'API key required'));
+      }
+      return deny(res, 403, body(API_ERROR_CODES.FORBIDDEN, `API key lacks the ${scope} scope`));
+    }
+
+    const now = Date.now();
+    if (record?.quota.daily && (await dailyUsage(record.id, now)) >= record.quota.daily) {
+      res.setHeader('Retry-After', String(secondsUntilUtcMidnight(now)));
+      return deny(res, 429, body(API_ERROR_CODES.QUOTA_EXCEEDED, 'Daily quota exceeded'));
+    }
+
+    const config = getRateLimitConfig();
+    const client = record
+      ? {
+        id: `key:${record.id}`,
+        policy: {
+          capacity: record.quota.capacity || config.key.capacity,
+          refillPerMinute: record.quota.refillPerMinute || config.key.refillPerMinute
+        }
+      }
+      : { id: `ip:${clientAddress(req, config.trustedProxy)}`, policy: config.ip };
+    if (!(await applyRateLimit(res, client, { body: body(API_ERROR_CODES.RATE_LIMITED, 'Too many requests') }))) return;
+
+    await recordApiUsage(record ? record.id : ANONYMOUS_CLIENT, now);
+    req.apiKey = record;
+    return handler(req, res);
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Response envelope for the versioned /api/v1 routes
+ * Successful responses are { data, meta } and failures { error: { code, message } },
+ * with `field` added for validation errors, so clients can branch on error.code
+ * instead of parsing messages
+ */
+
+import { VALIDATION_CODES } from './validation.js';
+import { UpstreamError } from './upstream.js';
+import { applyConditionalGet } from './conditionalGet.js';
+
+/**
+ * Error codes returned by /api/v1 (validation failures keep their VALIDATION_CODES)
+ */
+export const API_ERROR_CODES = {
+  ...VALIDATION_CODES,
+  UNAUTHORIZED: 'unauthorized',
+  FORBIDDEN: 'forbidden',
+  RATE_LIMITED: 'rate_limited',
+  QUOTA_EXCEEDED: 'quota_exceeded',
+  NOT_FOUND: 'not_found',
+  ARCHIVE_UNAVAILABLE: 'archive_unavailable',
+  METHOD_NOT_ALLOWED: 'method_not_allowed',
+  UPSTREAM_ERROR: 'upstream_error',
+  UPSTREAM_UNAVAILABLE: 'upstream_unavailable',
+  SERVER_ERROR: 'server_error'
+};
+
+/**
+ * Where the data in a response came from
+ */
+export const DATA_SOURCES = {
+  UPSTREAM: 'upstream',
+  SNAPSHOT: 'snapshot',
+  ARCHIVE: 'archive'
+};
+
+/**
+ * Build the meta block of an envelope
+ * @param {Object} options - Meta fields
+ * @param {string|null} options.fromDate - First day covered (YYYY-MM-DD)
+ * @param {string|null} options.toDate - Last day covered (YYYY-MM-DD)
+ * @param {number} options.count - Items in data (1 for a single object)
+ * @param {Object} options.snapshot - Result of loadWithSnapshot ({ stale, savedAt })
+ * @param {string} options.source - One of DATA_SOURCES when the data came from neither upstream nor a snapshot
+ * @returns {Object} { fromDate, toDate, count, source, fetchedAt, stale }
+ */
+export function buildMeta({ fromDate = null, toDate = null, count, snapshot, source }) {
+  return {
+    fromDate,
+    toDate,
+    count,
+    source: source || (snapshot.stale ? DATA_SOURCES.SNAPSHOT : DATA_SOURCES.UPSTREAM),
+    fetchedAt: snapshot.savedAt,
+    stale: snapshot.stale
+  };
+}
+
+/**
+ * Set the caching headers for data loaded through the snapshot store
+ * Stale data is kept short-lived at the edge so fresh data replaces it quickly
+ * @param {Object} res - Response object
+ * @param {Object} snapshot - { stale, savedAt } (a result of loadWithSnapshot)
+ * @param {string} cacheControl - Cache-Control for fresh data
+ */
+export function setSnapshotHeaders(res, { stale, savedAt }, cacheControl) {
+  res.setHeader('Cache-Control', stale ? 's-maxage=60, stale-while-revalidate=59' : cacheControl);
+  if (stale) {
+    res.setHeader('X-Data-Stale', 'true');
+    res.setHeader('X-Data-As-Of', savedAt);
+  }
+}
+
+/**
+ * Send a 200 envelope, or a 304 when validators are given and the client's copy is current
+ * @param {Object} res - Response object
+ * @param {*} data - Payload
+ * @param {Object} meta - Result of buildMeta
+ * @param {string} cacheControl - Cache-Control for fresh data
+ * @param {Object} conditional - { req, etag, lastModified } for conditional GET
+ */
+export function sendEnvelope(res, data, meta, cacheControl, { req, etag, lastModified } = {}) {
+  setSnapshotHeaders(res, { stale: meta.stale, savedAt: meta.fetchedAt }, cacheControl);
+  if (etag && applyConditionalGet(req, res, { etag, lastModified })) {
+    return;
+  }
+  return res.status(200).json({ data, meta });
+}
+
+/**
+ * Send a typed error
+ * @param {Object} res - Response object
+ * @param {number} status - HTTP status
+ * @param {string} code - One of API_ERROR_CODES
+ * @param {string} message - Human-readable explanation
+ */
+export function sendApiError(res, status, code, message) {
+  return res.status(status).json({ error: { code, message } });
+}
+
+/**
+ * Send the typed error for a failed upstream load
+ * Anything the loader throws means upstream could not serve the data (and no snapshot
+ * exists), so network errors count as unavailable rather than as server errors
+ * @param {Object} res - Response object
+ * @param {Error} error - Loader error
+ */
+export function sendUpstreamError(res, error) {
+  const status = error instanceof UpstreamError ? error.status : 503;
+  if (error.retryAfter) res.setHeader('Retry-After', String(error.retryAfter));
+  res.setHeader('Cache-Control', 'no-store');
+  return status === 503
+    ? sendApiError(res, 503, API_ERROR_CODES.UPSTREAM_UNAVAILABLE, 'Upstream data is temporarily unavailable.')
+    : sendApiError(res, status, API_ERROR_CODES.UPSTREAM_ERROR, error.message);
+}
@@ -0,0 +1,140 @@
+/**
+ * Store for API keys used by programmatic consumers
+ * Keys are kept as SHA-256 hashes, each with a name, scopes and optional quotas;
+ * records are maintained by hand (or by deployment tooling), so stores are read-only
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+
+/**
+ * Scopes a key can be granted
+ */
+export const API_SCOPES = ['calendar:read', 'morning-report:read', 'export', 'subscriptions:write', 'admin'];
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext key
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashApiKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Generate a new API key (192 bits, URL-safe)
+ * @returns {string} Plaintext key; store only its hash
+ */
+export function generateApiKey() {
+  return `msk_${randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Normalise a stored key record, dropping unknown scopes
+ * @param {Object} record - Raw record ({ id, name, keyHash, scopes, quota, revokedAt })
+ * @returns {Object|null} Record, or null when it has no id or hash
+ */
+export function normalizeApiKeyRecord(record) {
+  if (!record || typeof record.id !== 'string' || typeof record.keyHash !== 'string') return null;
+
+  const quota = record.quota || {};
+  const positive = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+  return {
+    id: record.id,
+    name: typeof record.name === 'string' && record.name ? record.name : record.id,
+    keyHash: record.keyHash.toLowerCase(),
+    scopes: Array.isArray(record.scopes) ? record.scopes.filter((scope) => API_SCOPES.includes(scope)) : [],
+    quota: {
+      capacity: positive(quota.capacity),
+      refillPerMinute: positive(quota.refillPerMinute),
+      daily: positive(quota.daily)
+    },
+    revokedAt: record.revokedAt || null
+  };
+}
+
+const indexRecords = (records) => {
+  const byHash = new Map();
+  for (const record of records.map(normalizeApiKeyRecord).filter(Boolean)) {
+    byHash.set(record.keyHash, record);
+  }
+  return byHash;
+};
+
+/**
+ * Create an in-memory API key store
+ * @param {Object} options - Store options
+ * @param {Array} options.records - Key records
+ * @returns {Object} Store with async findByKey/list
+ */
+export function createMemoryApiKeyStore({ records = [] } = {}) {
+  const byHash = indexRecords(records);
+
+  return {
+    async findByKey(key) {
+      return byHash.get(hashApiKey(key)) || null;
+    },
+
+    async list() {
+      return [...byHash.values()];
+    }
+  };
+}
+
+/**
+ * Create a file-backed API key store (a JSON array of records)
+ * The file is re-read on every lookup, so edits and revocations apply without a restart
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file
+ * @returns {Object} Store with async findByKey/list
+ */
+export function createFileApiKeyStore({ file } = {}) {
+  const filePath = file || path.join(process.cwd(), 'api-keys.json');
+
+  const readAll = async () => {
+    try {
+      const records = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return indexRecords(Array.isArray(records) ? records : []);
+    } catch (error) {
+      if (error.code === 'ENOENT') return new Map();
+      throw error;
+    }
+  };
+
+  return {
+    async findByKey(key) {
+      return (await readAll()).get(hashApiKey(key)) || null;
+    },
+
+    async list() {
+      return [...(await readAll()).values()];
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared API key store
+ * Uses the file-backed store when API_KEY_STORE=file (path from API_KEYS_FILE),
+ * otherwise an empty in-memory store, so every request is anonymous
+ * @returns {Object} API key store
+ */
+export function getApiKeyStore() {
+  if (!defaultStore) {
+    defaultStore = process.env.API_KEY_STORE === 'file'
+      ? createFileApiKeyStore({ file: process.env.API_KEYS_FILE })
+      : createMemoryApiKeyStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Replace the shared API key store (pass null to rebuild it from the environment)
+ * @param {Object|null} store - API key store
+ */
+export function setApiKeyStore(store) {
+  defaultStore = store;
+}
@@ -0,0 +1,386 @@
+/**
+ * Request and response schemas for the public API
+ * Parameters are OpenAPI parameter objects and schemas are JSON Schema (2020-12), so
+ * the same definitions validate requests (validateParameters), check /api/v1 responses
+ * outside production (validateSchema, via lib/responseContract.js) and make up the
+ * OpenAPI document (lib/openapi.js)
+ */
+
+import {
+  validationError,
+  checkDate,
+  checkEnum,
+  checkPattern,
+  parseInteger,
+  VALIDATION_CODES,
+  IMPORTANCE_VALUES,
+  MIN_IMPORTANCE_VALUES,
+  EVENT_CATEGORIES,
+  CATEGORY_PATTERN,
+  MAX_RANGE_DAYS
+} from './validation.js';
+import { parseList } from './calendarFilters.js';
+import { SORT_OPTIONS, MAX_LIMIT } from './calendarPaging.js';
+import { SLICE_KINDS } from './calendarSlices.js';
+import { EVENT_ID_PATTERN } from './calendarEvents.js';
+import { API_ERROR_CODES, DATA_SOURCES } from './apiEnvelope.js';
+import { DEFAULT_HISTORY_DAYS } from './morningReportArchive.js';
+
+const listParameter = (name, description, items = { type: 'string' }) => ({
+  name,
+  in: 'query',
+  description,
+  style: 'form',
+  explode: false,
+  schema: { type: 'array', items }
+});
+
+const IMPORTANCE_ITEMS = { type: 'string', enum: IMPORTANCE_VALUES };
+// Upstream adds categories over time, so only the shape is checked
+const CATEGORY_ITEMS = { type: 'string', pattern: CATEGORY_PATTERN.source, examples: EVENT_CATEGORIES };
+
+/**
+ * fromDate/toDate range parameters
+ */
+export const DATE_RANGE_PARAMETERS = [
+  {
+    name: 'fromDate',
+    in: 'query',
+    description: `First day (YYYY-MM-DD). Without a range the current week is used; the range may span at most ${MAX_RANGE_DAYS} days.`,
+    schema: { type: 'string', format: 'date' }
+  },
+  {
+    name: 'toDate',
+    in: 'query',
+    description: 'Last day (YYYY-MM-DD), inclusive.',
+    schema: { type: 'string', format: 'date' }
+  }
+];
+
+/**
+ * Event filter parameters shared by /api/calendar, the exports and the stream
+ */
+export const FILTER_PARAMETERS = [
+  listParameter('importance', 'Keep events of any of these importance levels.', IMPORTANCE_ITEMS),
+  listParameter('country', 'Keep events from any of these countries, e.g. USA,GBR.'),
+  listParameter('category', 'Keep events in any of these categories.', CATEGORY_ITEMS),
+  listParameter('excludeImportance', 'Drop events of these importance levels.', IMPORTANCE_ITEMS),
+  listParameter('excludeCountry', 'Drop events from these countries.'),
+  listParameter('excludeCategory', 'Drop events in these categories.', CATEGORY_ITEMS),
+  {
+    name: 'minImportance',
+    in: 'query',
+    description: 'Keep this importance level and above (all keeps every level).',
+    schema: { type: 'string', enum: MIN_IMPORTANCE_VALUES }
+  }
+];
+
+/**
+ * Every /api/calendar query parameter
+ */
+export const CALENDAR_PARAMETERS = [
+  ...DATE_RANGE_PARAMETERS,
+  ...FILTER_PARAMETERS,
+  {
+    name: 'q',
+    in: 'query',
+    description: 'Full-text search over event names, tags, category and source name; results are ranked by relevance, then date.',
+    schema: { type: 'string' }
+  },
+  {
+    name: 'sort',
+    in: 'query',
+    description: 'Sort order (default date, or relevance when q is set).',
+    schema: { type: 'string', enum: SORT_OPTIONS }
+  },
+  {
+    name: 'limit',
+    in: 'query',
+    description: 'Page size; omit to return every matching event.',
+    schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT }
+  },
+  {
+    name: 'cursor',
+    in: 'query',
+    description: 'Opaque cursor from the Link rel="next" header.',
+    schema: { type: 'string' }
+  }
+];
+
+/**
+ * /api/morning-report query parameters
+ */
+export const MORNING_REPORT_PARAMETERS = [
+  {
+    name: 'date',
+    in: 'query',
+    description: 'Day (YYYY-MM-DD, US Eastern time) of an archived report; omit for the latest report.',
+    schema: { type: 'string', format: 'date' }
+  }
+];
+
+/**
+ * /api/morning-report/history query parameters
+ */
+export const MORNING_REPORT_HISTORY_PARAMETERS = [
+  {
+    name: 'from',
+    in: 'query',
+    description: `First day (YYYY-MM-DD, US Eastern time). Defaults to ${DEFAULT_HISTORY_DAYS - 1} days before to; the range may span at most ${MAX_RANGE_DAYS} days.`,
+    schema: { type: 'string', format: 'date' }
+  },
+  {
+    name: 'to',
+    in: 'query',
+    description: 'Last day (YYYY-MM-DD), inclusive. Defaults to today.',
+    schema: { type: 'string', format: 'date' }
+  }
+];
+
+const pathParameter = (name, description, schema) => ({ name, in: 'path', required: true, description, schema });
+
+/**
+ * Path parameters of the server-rendered pages (passed to the handlers as query parameters by the rewrites)
+ */
+export const PAGE_PARAMETERS = {
+  start: pathParameter('start', 'Any day of the week (YYYY-MM-DD); the page shows the Monday-to-Sunday week containing it.', { type: 'string', format: 'date' }),
+  month: pathParameter('month', 'Month (YYYY-MM).', { type: 'string', format: 'year-month', pattern: '^\\d{4}-(0[1-9]|1[0-2])$' }),
+  date: pathParameter('date', 'Day (YYYY-MM-DD), in US Eastern time.', { type: 'string', format: 'date' }),
+  category: pathParameter('category', 'Event category (case-insensitive).', { type: 'string', pattern: CATEGORY_PATTERN.source, examples: EVENT_CATEGORIES }),
+  code: pathParameter('code', 'Country code (case-insensitive), e.g. USA.', { type: 'string', pattern: SLICE_KINDS.country.pattern.source }),
+  id: pathParameter('id', 'Upstream event id.', { type: 'string', pattern: EVENT_ID_PATTERN.source })
+};
+
+/**
+ * Reusable response schemas (OpenAPI components.schemas)
+ */
+export const COMPONENT_SCHEMAS = {
+  Event: {
+    type: 'object',
+    description: 'Economic calendar event as served by upstream.',
+    required: ['_id', 'date', 'event'],
+    properties: {
+      _id: { type: 'string' },
+      date: { type: 'string', format: 'date-time', description: 'Release time (UTC).' },
+      event: { type: 'string' },
+      country: { type: 'string' },
+      importance: { type: 'string', enum: IMPORTANCE_VALUES },
+      category: { type: 'string', description: `Usually one of ${EVENT_CATEGORIES.join(', ')}.` },
+      tags: { type: 'array', items: { type: 'string' } },
+      source: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          url: { type: 'string', format: 'uri' }
+        }
+      },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  MorningReport: {
+    type: 'object',
+    description: 'Latest morning report. When upstream fails the fields are null and error explains why.',
+    properties: {
+      summary: { type: ['string', 'null'], description: 'Report text.' },
+      brief: { type: ['string', 'null'], format: 'uri', description: 'URL of the MP3 audio brief.' },
+      error: { type: 'string' }
+    }
+  },
+  ArchivedMorningReport: {
+    type: 'object',
+    description: 'Morning report archived for one day (the last one seen that day).',
+    required: ['date', 'summary', 'brief', 'archivedAt'],
+    properties: {
+      date: { type: 'string', format: 'date', description: 'Day in US Eastern time.' },
+      summary: { type: ['string', 'null'], description: 'Report text.' },
+      brief: { type: ['string', 'null'], format: 'uri', description: 'URL of the MP3 audio brief.' },
+      calendar: { description: 'Calendar field of the report, as served by upstream.' },
+      archivedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+  MorningReportHistory: {
+    type: 'object',
+    required: ['from', 'to', 'count', 'reports'],
+    properties: {
+      from: { type: 'string', format: 'date' },
+      to: { type: 'string', format: 'date' },
+      count: { type: 'integer' },
+      reports: { type: 'array', items: { $ref: '#/components/schemas/ArchivedMorningReport' }, description: 'Newest first; days without an archived report are left out.' }
+    }
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message', 'field'],
+        properties: {
+          code: { type: 'string', enum: Object.values(VALIDATION_CODES) },
+          message: { type: 'string' },
+          field: { type: 'string', description: 'Offending parameter.' }
+        }
+      }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' }
+    }
+  },
+  Meta: {
+    type: 'object',
+    required: ['fromDate', 'toDate', 'count', 'source', 'fetchedAt', 'stale'],
+    properties: {
+      fromDate: { type: ['string', 'null'], format: 'date' },
+      toDate: { type: ['string', 'null'], format: 'date' },
+      count: { type: 'integer', description: 'Items in data (1 for a single object).' },
+      source: { type: 'string', enum: Object.values(DATA_SOURCES), description: 'snapshot when upstream failed and the last good response is served; archive for a past day\'s morning report.' },
+      fetchedAt: { type: 'string', format: 'date-time', description: 'When the data was fetched from upstream.' },
+      stale: { type: 'boolean' }
+    }
+  },
+  CalendarEnvelope: {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: {
+      data: { type: 'array', items: { $ref: '#/components/schemas/Event' } },
+      meta: { $ref: '#/components/schemas/Meta' }
+    }
+  },
+  MorningReportEnvelope: {
+    type: 'object',
+    required: ['data', 'meta'],
+    properties: {
+      data: { anyOf: [{ $ref: '#/components/schemas/MorningReport' }, { $ref: '#/components/schemas/ArchivedMorningReport' }] },
+      meta: { $ref: '#/components/schemas/Meta' }
+    }
+  },
+  ApiError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', enum: Object.values(API_ERROR_CODES) },
+          message: { type: 'string' },
+          field: { type: 'string', description: 'Offending parameter (validation errors only).' }
+        }
+      }
+    }
+  }
+};
+
+const firstValue = (value) => (Array.isArray(value) ? value[0] : value);
+
+/**
+ * Check one parameter against its schema
+ * @param {*} raw - Raw query value
+ * @param {Object} parameter - OpenAPI parameter object
+ * @returns {Object|null} Validation error, or null when absent (and optional) or valid
+ */
+function checkParameter(raw, { name, required, schema }) {
+  const absent = raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0);
+  if (absent) {
+    return required ? validationError(VALIDATION_CODES.MISSING, name, `Missing ${name}.`) : null;
+  }
+
+  if (schema.type === 'array') {
+    if (schema.items.enum) return checkEnum(parseList(raw), schema.items.enum, name);
+    return schema.items.pattern ? checkPattern(parseList(raw), new RegExp(schema.items.pattern), name) : null;
+  }
+
+  const value = String(firstValue(raw));
+  if (schema.type === 'integer') {
+    return parseInteger(value, name, { min: schema.minimum, max: schema.maximum }).error || null;
+  }
+  if (schema.format === 'date') {
+    return checkDate(value, name);
+  }
+  if (schema.enum) {
+    return checkEnum([value.trim().toLowerCase()], schema.enum, name);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern, 'i').test(value.trim())) {
+    return schema.format === 'year-month'
+      ? validationError(VALIDATION_CODES.INVALID_DATE, name, `Invalid ${name}. Use YYYY-MM.`)
+      : validationError(VALIDATION_CODES.INVALID_PARAMETER, name, `Invalid ${name}.`);
+  }
+  return null;
+}
+
+/**
+ * Validate request parameters against their definitions
+ * Only formats and allowed values are checked here; cross-parameter rules (such as
+ * fromDate <= toDate) stay with the parsers
+ * @param {Object} query - Request query
+ * @param {Array} parameters - OpenAPI parameter objects
+ * @returns {Object|null} First validation error, or null when every parameter is valid
+ */
+export function validateParameters(query = {}, parameters) {
+  for (const parameter of parameters) {
+    const error = checkParameter(query[parameter.name], parameter);
+    if (error) return error;
+  }
+  return null;
+}
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return [].concat(type).some((expected) => expected === actual || (expected === 'number' && actual === 'integer'));
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports the subset used by COMPONENT_SCHEMAS and lib/openapi.js: $ref, anyOf,
+ * type, enum, required, properties, items and the date-time format
+ * @param {*} value - Value to check
+ * @param {Object} schema - Schema (may be a { $ref: '#/components/schemas/Name' })
+ * @param {string} path - Location used in error messages
+ * @returns {string[]} Problems found (empty when the value is valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+  if (schema.$ref) {
+    return validateSchema(value, COMPONENT_SCHEMAS[schema.$ref.split('/').pop()], path);
+  }
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => validateSchema(value, option, path));
+    return attempts.some((problems) => problems.length === 0) ? [] : attempts[0];
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path}: ${JSON.stringify(value)} is not one of ${schema.enum.join(', ')}`];
+  }
+  if (schema.format === 'date-time' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+    return [`${path}: ${JSON.stringify(value)} is not a date-time`];
+  }
+
+  const problems = [];
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => problems.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) problems.push(`${path}.${key}: required`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        problems.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,111 @@
+/**
+ * Request counters per API client (key id, or 'anonymous')
+ * Counts live in a pluggable usage store; the default in-memory store covers the
+ * current function instance only, so daily quotas and /api/admin/usage see every
+ * instance only once a shared store is installed with setApiUsageStore
+ */
+
+/**
+ * Number of UTC days of per-day counts kept per client
+ */
+export const USAGE_DAYS_KEPT = 31;
+
+const utcDay = (now) => new Date(now).toISOString().slice(0, 10);
+
+const emptyUsage = () => ({ total: 0, today: 0, byDay: {}, lastUsedAt: null });
+
+/**
+ * Create an in-memory usage store
+ * @returns {Object} Store with async increment/get/clear
+ */
+export function createMemoryApiUsageStore() {
+  const counters = new Map();
+
+  return {
+    durable: false,
+
+    async increment(clientId, now) {
+      const counter = counters.get(clientId) || { total: 0, byDay: {}, lastUsedAt: null };
+      const day = utcDay(now);
+
+      counter.total += 1;
+      counter.byDay[day] = (counter.byDay[day] || 0) + 1;
+      counter.lastUsedAt = new Date(now).toISOString();
+
+      const days = Object.keys(counter.byDay).sort();
+      for (const old of days.slice(0, Math.max(0, days.length - USAGE_DAYS_KEPT))) {
+        delete counter.byDay[old];
+      }
+      counters.set(clientId, counter);
+    },
+
+    async get(clientId, now) {
+      const counter = counters.get(clientId);
+      if (!counter) return emptyUsage();
+      return {
+        total: counter.total,
+        today: counter.byDay[utcDay(now)] || 0,
+        byDay: { ...counter.byDay },
+        lastUsedAt: counter.lastUsedAt
+      };
+    },
+
+    async clear() {
+      counters.clear();
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared usage store (in-memory unless another one was installed)
+ * @returns {Object} Usage store
+ */
+export function getApiUsageStore() {
+  if (!defaultStore) {
+    defaultStore = createMemoryApiUsageStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Replace the shared usage store, e.g. with one backed by a shared cache whose
+ * increment is atomic (pass null to go back to the in-memory store)
+ * @param {Object|null} store - Store with async increment(clientId, now) and get(clientId, now)
+ */
+export function setApiUsageStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * Count one request for a client
+ * A write failure is logged rather than failing the request
+ * @param {string} clientId - Key id or 'anonymous'
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<void>}
+ */
+export async function recordApiUsage(clientId, now = Date.now()) {
+  try {
+    await getApiUsageStore().increment(clientId, now);
+  } catch (error) {
+    console.warn('API usage write failed:', error.message);
+  }
+}
+
+/**
+ * Usage summary for a client
+ * @param {string} clientId - Key id or 'anonymous'
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<Object>} { total, today, byDay, lastUsedAt }
+ */
+export async function getApiUsage(clientId, now = Date.now()) {
+  return getApiUsageStore().get(clientId, now);
+}
+
+/**
+ * Clear every counter (goes back to a fresh in-memory store)
+ */
+export function resetApiUsage() {
+  defaultStore = null;
+}
@@ -0,0 +1,38 @@
+/**
+ * Shared core of /api/v1/calendar and its legacy alias /api/calendar
+ * Both parse the same query, load the range through the snapshot store (so both fall
+ * back to the last good snapshot) and paginate the same way; the routes only differ
+ * in how they wrap the page and report errors
+ */
+
+import { fetchCalendarEvents } from './upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from './snapshotStore.js';
+import { parseCalendarQuery, applyCalendarQuery } from './calendarQuery.js';
+import { paginate, buildLinkHeader } from './calendarPaging.js';
+
+/**
+ * Load one page of calendar events for a request
+ * @param {Object} req - Request object
+ * @param {string} basePath - Route path used in Link headers when req.url is missing
+ * @returns {Promise<Object>} { error } for an invalid query, otherwise
+ *   { fromDate, toDate, snapshot, page, link } where page is the result of paginate
+ * @throws {Error} The loader error when upstream fails and no snapshot exists
+ */
+export async function loadCalendarPage(req, basePath) {
+  const q = req.query || {};
+  const parsed = parseCalendarQuery(q);
+  if (parsed.error) {
+    return { error: parsed.error };
+  }
+  const { fromDate, toDate, paging } = parsed;
+
+  const snapshot = await loadWithSnapshot(
+    calendarSnapshotKey(fromDate, toDate),
+    () => fetchCalendarEvents(fromDate, toDate, { timeout: 10000 })
+  );
+
+  const page = paginate(applyCalendarQuery(snapshot.data, parsed), paging);
+  const link = buildLinkHeader((req.url || basePath).split('?')[0], q, { limit: paging.limit, nextOffset: page.nextOffset });
+
+  return { fromDate, toDate, snapshot, page, link };
+}
@@ -0,0 +1,211 @@
+/**
+ * Single-event lookup for permalinks
+ * Upstream only serves events by date range, so permalinks carry the release day
+ * (/calendar/event/:date/:id) and a lookup is one small request for that day. Ids
+ * without a day are resolved only from the id-to-date index; there is no scan
+ */
+
+import { eventKey } from './ical.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { isValidYmd } from './validation.js';
+import { getDateInET } from './utils.js';
+import { normalizeEvent } from '../utils/eventUtils.js';
+
+const SITE_URL = 'https://marketsquawk.ai';
+
+/**
+ * Days searched on each side of an event's month for other occurrences of its series
+ */
+export const SERIES_LOOKAROUND_DAYS = 120;
+
+/**
+ * How long a series range is reused before it is fetched again (matches the pages' s-maxage)
+ */
+export const SERIES_CACHE_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Maximum number of series ranges kept in memory
+ */
+export const SERIES_CACHE_LIMIT = 100;
+
+/**
+ * Maximum number of ids remembered in the id-to-date index
+ */
+export const EVENT_INDEX_LIMIT = 10000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Event key -> release date (ISO string), in least-recently-seen order
+const eventIndex = new Map();
+
+// "fromDate:toDate" -> { expires, promise } for series lookups, oldest first
+const seriesRanges = new Map();
+
+const toYmd = (ms) => new Date(ms).toISOString().split('T')[0];
+
+const addDays = (ymd, days) => toYmd(Date.parse(`${ymd}T00:00:00Z`) + days * DAY_MS);
+
+/**
+ * Get the US Eastern day an event is released on
+ * @param {string} date - Release time (ISO string)
+ * @returns {string|null} Day in ET (YYYY-MM-DD), or null for a missing or malformed date
+ */
+export function releaseDay(date) {
+  return getDateInET(date);
+}
+
+/**
+ * Shape of an event id (upstream _id or fallback hash)
+ */
+export const EVENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check whether a string could be an event id (upstream _id or fallback hash)
+ * @param {string} id - Candidate id
+ * @returns {boolean} True if the id is well-formed
+ */
+export function isValidEventId(id) {
+  return typeof id === 'string' && EVENT_ID_PATTERN.test(id);
+}
+
+/**
+ * Build the permalink of an event page
+ * @param {Object} ev - Calendar event
+ * @returns {string} Absolute URL (/calendar/event/:date/:id; without the day when the date is malformed)
+ */
+export function eventPermalink(ev) {
+  const day = releaseDay(ev.date);
+  const id = encodeURIComponent(eventKey(ev));
+  return day ? `${SITE_URL}/calendar/event/${day}/${id}` : `${SITE_URL}/calendar/event/${id}`;
+}
+
+/**
+ * Build the key identifying a recurring release
+ * Drops the reference-period suffix upstream appends to names
+ * (e.g. "JOLTS - May", "GDP (Advance) - Q2") so every occurrence shares a key
+ * @param {Object} ev - Calendar event
+ * @returns {string} Series key
+ */
+export function seriesKey(ev) {
+  const name = String(ev.event || '')
+    .toLowerCase()
+    .replace(/\s+-\s+[^-]*$/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return `${String(ev.country || '').toLowerCase()}|${name}`;
+}
+
+/**
+ * Record the release dates of events so later lookups can go straight to their day
+ * @param {Array} events - Calendar events
+ */
+export function rememberEvents(events) {
+  for (const ev of events) {
+    if (!ev?.date) continue;
+    const key = eventKey(ev);
+    eventIndex.delete(key);
+    eventIndex.set(key, ev.date);
+  }
+  while (eventIndex.size > EVENT_INDEX_LIMIT) {
+    eventIndex.delete(eventIndex.keys().next().value);
+  }
+}
+
+/**
+ * Forget every remembered id and cached series range (used by tests)
+ */
+export function resetEventIndex() {
+  eventIndex.clear();
+  seriesRanges.clear();
+}
+
+/**
+ * Fetch, normalise and index one date range
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} Normalised events
+ */
+async function loadRange(fromDate, toDate) {
+  const events = (await fetchCalendarEvents(fromDate, toDate, { timeout: 10000 }))
+    .map(normalizeEvent)
+    .filter(Boolean);
+  rememberEvents(events);
+  return events;
+}
+
+/**
+ * Load a series range, reusing a recent (or in-flight) load of the same range
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @param {number} now - Current time in ms
+ * @returns {Promise<Array>} Normalised events
+ */
+function loadSeriesRange(fromDate, toDate, now) {
+  const key = `${fromDate}:${toDate}`;
+  const cached = seriesRanges.get(key);
+  if (cached && cached.expires > now) return cached.promise;
+
+  const promise = loadRange(fromDate, toDate);
+  seriesRanges.delete(key);
+  seriesRanges.set(key, { expires: now + SERIES_CACHE_TTL_MS, promise });
+  while (seriesRanges.size > SERIES_CACHE_LIMIT) {
+    seriesRanges.delete(seriesRanges.keys().next().value);
+  }
+  // Failures are not cached
+  promise.catch(() => {
+    if (seriesRanges.get(key)?.promise === promise) seriesRanges.delete(key);
+  });
+  return promise;
+}
+
+const findIn = (events, id) => events.find((ev) => eventKey(ev) === id) || null;
+
+/**
+ * Find an event by its id
+ * Fetches only the release day (and the next, for late-evening ET releases); an id
+ * without a day is looked up only when the index knows its date, otherwise it is not found
+ * @param {string} id - Upstream _id (or fallback hash for events without one)
+ * @param {Object} options - { date } release day in ET (YYYY-MM-DD), from the permalink
+ * @returns {Promise<Object|null>} Normalised event, or null if it can't be found
+ */
+export async function findEventById(id, { date } = {}) {
+  if (!isValidEventId(id)) return null;
+
+  const day = date === undefined ? releaseDay(eventIndex.get(id)) : (isValidYmd(date) ? date : null);
+  if (!day) return null;
+
+  return findIn(await loadRange(day, addDays(day, 1)), id);
+}
+
+/**
+ * Find the previous and next occurrences of an event's series
+ * The range is aligned to the event's month so every release of a month shares one
+ * cached upstream request
+ * @param {Object} ev - Calendar event
+ * @param {Object} options - { now } current time in ms
+ * @returns {Promise<Object>} { previous, next } (each an event or null)
+ */
+export async function findSeriesNeighbors(ev, { now = Date.now() } = {}) {
+  const time = new Date(ev.date).getTime();
+  const key = seriesKey(ev);
+  const id = eventKey(ev);
+
+  const month = toYmd(time).slice(0, 7);
+  const monthEnd = toYmd(Date.UTC(Number(month.slice(0, 4)), Number(month.slice(5, 7)), 0));
+  const events = await loadSeriesRange(
+    addDays(`${month}-01`, -SERIES_LOOKAROUND_DAYS),
+    addDays(monthEnd, SERIES_LOOKAROUND_DAYS),
+    now
+  );
+
+  let previous = null;
+  let next = null;
+  for (const candidate of events) {
+    if (eventKey(candidate) === id || seriesKey(candidate) !== key) continue;
+    const candidateTime = new Date(candidate.date).getTime();
+    if (candidateTime < time && (!previous || candidateTime > new Date(previous.date).getTime())) previous = candidate;
+    if (candidateTime > time && (!next || candidateTime < new Date(next.date).getTime())) next = candidate;
+  }
+
+  return { previous, next };
+}
@@ -0,0 +1,290 @@
+/**
+ * Bulk export of calendar events as CSV or JSON Lines
+ * Large ranges are fetched from upstream in windows and written as each window
+ * arrives, so months of data never have to be buffered in one response body
+ */
+
+import { DEFAULT_TIMEZONE } from '../utils/timezoneUtils.js';
+import { normalizeEvent } from '../utils/eventUtils.js';
+import { parseList } from './calendarFilters.js';
+import { parseCalendarQuery, applyCalendarQuery } from './calendarQuery.js';
+import { fetchCalendarEvents, UpstreamError } from './upstream.js';
+import { validationError, VALIDATION_CODES } from './validation.js';
+import { splitDateRange } from './utils.js';
+
+/**
+ * Maximum number of days a single export may cover
+ */
+export const MAX_EXPORT_DAYS = 366;
+
+/**
+ * Number of days fetched from upstream per request while streaming
+ */
+export const EXPORT_WINDOW_DAYS = 31;
+
+const isValidDate = (date) => !Number.isNaN(new Date(date).getTime());
+
+/**
+ * Available export columns, keyed by column name
+ * Each column reads a value from a normalised event and its local-time parts;
+ * date columns are empty when upstream sends a malformed date
+ */
+export const EXPORT_COLUMNS = {
+  id: (ev) => ev._id ?? '',
+  date: (ev) => (isValidDate(ev.date) ? new Date(ev.date).toISOString() : ''),
+  local_date: (ev, local) => local.date,
+  local_time: (ev, local) => local.time,
+  local_datetime: (ev, local) => local.datetime,
+  event: (ev) => ev.event,
+  country: (ev) => ev.country,
+  importance: (ev) => ev.importance,
+  category: (ev) => ev.category,
+  tags: (ev) => ev.tags,
+  source_name: (ev) => ev.source?.name ?? '',
+  source_url: (ev) => ev.source?.url ?? '',
+  created_at: (ev) => ev.created_at ?? '',
+  updated_at: (ev) => ev.updated_at ?? ''
+};
+
+/**
+ * Columns exported when none are requested
+ */
+export const DEFAULT_EXPORT_COLUMNS = ['id', 'date', 'local_datetime', 'event', 'country', 'importance', 'category', 'source_name'];
+
+/**
+ * Build a formatter that renders dates in a timezone
+ * @param {string} timeZone - IANA timezone identifier
+ * @returns {Intl.DateTimeFormat} Formatter (throws RangeError for unknown zones)
+ */
+function createLocalFormatter(timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+    timeZoneName: 'longOffset'
+  });
+}
+
+/**
+ * Render a date in the formatter's timezone
+ * @param {Date|string} date - Date to render
+ * @param {Intl.DateTimeFormat} formatter - Result of createLocalFormatter
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:mm', datetime: ISO 8601 with offset }
+ *   (empty strings for a malformed date)
+ */
+export function formatLocalParts(date, formatter) {
+  if (!isValidDate(date)) return { date: '', time: '', datetime: '' };
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  // longOffset renders as "GMT-05:00", or plain "GMT" at UTC
+  const offset = parts.timeZoneName === 'GMT' ? 'Z' : parts.timeZoneName.replace('GMT', '');
+  const ymd = `${parts.year}-${parts.month}-${parts.day}`;
+  const hms = `${parts.hour}:${parts.minute}:${parts.second}`;
+
+  return {
+    date: ymd,
+    time: `${parts.hour}:${parts.minute}`,
+    datetime: `${ymd}T${hms}${offset}`
+  };
+}
+
+/**
+ * Parse the export-specific query parameters
+ * @param {Object} query - Request query (columns, tz)
+ * @returns {Object} { columns, timezone, formatter } or { error }
+ */
+export function parseExportOptions(query = {}) {
+  const requested = parseList(query.columns);
+  const columns = requested.length > 0 ? requested : DEFAULT_EXPORT_COLUMNS;
+
+  const unknown = columns.filter((column) => !Object.prototype.hasOwnProperty.call(EXPORT_COLUMNS, column));
+  if (unknown.length > 0) {
+    return { error: validationError(VALIDATION_CODES.INVALID_ENUM, 'columns', `Unknown column: ${unknown.join(', ')}. Use ${Object.keys(EXPORT_COLUMNS).join(', ')}.`) };
+  }
+
+  const timezone = typeof query.tz === 'string' && query.tz.trim() ? query.tz.trim() : DEFAULT_TIMEZONE;
+  let formatter;
+  try {
+    formatter = createLocalFormatter(timezone);
+  } catch {
+    return { error: validationError(VALIDATION_CODES.INVALID_PARAMETER, 'tz', 'Invalid tz. Use an IANA timezone such as America/New_York.') };
+  }
+
+  return { columns, timezone, formatter };
+}
+
+/**
+ * Project an event onto the selected columns
+ * @param {Object} ev - Normalised event
+ * @param {Object} options - Result of parseExportOptions
+ * @returns {Object} Column name to value
+ */
+export function buildExportRecord(ev, { columns, formatter }) {
+  const local = formatLocalParts(ev.date, formatter);
+  const record = {};
+  for (const column of columns) {
+    record[column] = EXPORT_COLUMNS[column](ev, local);
+  }
+  return record;
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or line break (RFC 4180)
+ * @param {*} value - Field value (arrays are joined with ';')
+ * @returns {string} CSV-safe field
+ */
+export function escapeCsvField(value) {
+  const text = Array.isArray(value) ? value.join(';') : String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Supported export formats
+ */
+export const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    header: (columns) => `${columns.map(escapeCsvField).join(',')}\r\n`,
+    row: (record, columns) => `${columns.map((column) => escapeCsvField(record[column])).join(',')}\r\n`
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    header: () => '',
+    row: (record) => `${JSON.stringify(record)}\n`
+  }
+};
+
+/**
+ * Fetch one window from upstream and normalise its events
+ * @param {Object} window - { fromDate, toDate }
+ * @returns {Promise<Array>} Normalised events (invalid ones dropped)
+ */
+async function fetchExportWindow({ fromDate, toDate }) {
+  const data = await fetchCalendarEvents(fromDate, toDate, { timeout: 10000 });
+  return data.map(normalizeEvent).filter(Boolean);
+}
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ * Also resolves when the connection closes, so a client that disconnects mid-export
+ * can't leave the function waiting for a drain that never comes
+ * @param {Object} res - Next.js response
+ * @param {string} chunk - Text to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(res, chunk) {
+  if (!chunk || res.write(chunk) !== false) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.removeListener('drain', done);
+      res.removeListener('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
+// The client went away (or the response was aborted); stop fetching and writing
+const isClosed = (res) => Boolean(res.destroyed || res.writableEnded);
+
+/**
+ * Handle an export request end to end
+ * Accepts the /api/calendar range, filter, search and sort parameters plus
+ * columns (comma-separated) and tz (IANA timezone for the local_* columns).
+ * Date-ordered exports are streamed window by window; any other order needs
+ * the whole range first, so those are sorted in memory and then streamed.
+ * @param {Object} req - Next.js request
+ * @param {Object} res - Next.js response
+ * @param {string} formatName - Key of EXPORT_FORMATS
+ */
+export async function streamCalendarExport(req, res, formatName) {
+  const format = EXPORT_FORMATS[formatName];
+  const q = req.query || {};
+
+  const parsed = parseCalendarQuery(q, { maxDays: MAX_EXPORT_DAYS });
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const options = parseExportOptions(q);
+  if (options.error) {
+    return res.status(400).json({ error: options.error });
+  }
+
+  const { fromDate, toDate } = parsed;
+
+  const windows = splitDateRange(fromDate, toDate, EXPORT_WINDOW_DAYS);
+  const streamed = !parsed.search && parsed.paging.sort === 'date';
+  const seen = new Set();
+
+  const nextEvents = async (window) => {
+    return (await fetchExportWindow(window)).filter((ev) => {
+      // Windows don't overlap, but guard against upstream returning boundary events twice
+      if (!ev._id) return true;
+      if (seen.has(ev._id)) return false;
+      seen.add(ev._id);
+      return true;
+    });
+  };
+
+  const fetchAll = async () => {
+    const events = [];
+    for (const window of windows) {
+      events.push(...await nextEvents(window));
+    }
+    return events;
+  };
+
+  let first;
+  try {
+    // Fetch before sending headers so an upstream failure can still become a JSON error
+    first = streamed ? await nextEvents(windows[0]) : await fetchAll();
+  } catch (e) {
+    if (e instanceof UpstreamError) {
+      if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+      return res.status(e.status).json({ error: e.message });
+    }
+    throw e;
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="economic-calendar-${fromDate}-${toDate}.${format.extension}"`);
+  res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+
+  const writeEvents = async (events) => {
+    const rows = applyCalendarQuery(events, parsed).map((ev) => format.row(buildExportRecord(ev, options), options.columns));
+    await writeChunk(res, rows.join(''));
+  };
+
+  try {
+    await writeChunk(res, format.header(options.columns));
+    await writeEvents(first);
+
+    if (streamed) {
+      for (const window of windows.slice(1)) {
+        if (isClosed(res)) return;
+        await writeEvents(await nextEvents(window));
+      }
+    }
+  } catch (e) {
+    // Headers are already sent; abort the connection so clients see a truncated download
+    console.error('Calendar export stream error:', e);
+    if (typeof res.destroy === 'function') res.destroy(e);
+    return;
+  }
+
+  if (!isClosed(res)) res.end();
+}
@@ -0,0 +1,75 @@
+/**
+ * Server-side event filtering for the calendar API
+ * Shares "this level and above" importance semantics with the client
+ */
+
+import { filterEventsByImportance } from '../utils/importanceUtils.js';
+
+/**
+ * Parse a comma-separated (or repeated) query parameter into lowercase values
+ * @param {string|string[]|undefined} value - Raw query value
+ * @returns {string[]} Trimmed, lowercased, non-empty values
+ */
+export function parseList(value) {
+  if (value === undefined || value === null) return [];
+  const raw = Array.isArray(value) ? value : [value];
+  return raw
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Extract filter settings from request query parameters
+ * @param {Object} query - Request query (importance, country, category,
+ *   minImportance and their exclude* counterparts)
+ * @returns {Object} Normalised filters
+ */
+export function parseCalendarFilters(query = {}) {
+  const minImportance = typeof query.minImportance === 'string'
+    ? query.minImportance.trim().toLowerCase()
+    : '';
+
+  return {
+    importance: parseList(query.importance),
+    country: parseList(query.country),
+    category: parseList(query.category),
+    excludeImportance: parseList(query.excludeImportance),
+    excludeCountry: parseList(query.excludeCountry),
+    excludeCategory: parseList(query.excludeCategory),
+    // 'all' is no threshold
+    minImportance: minImportance && minImportance !== 'all' ? minImportance : null
+  };
+}
+
+const fieldValue = (ev, field) => String(ev[field] || '').toLowerCase();
+
+/**
+ * Apply parsed filters to a list of events
+ * Include lists match any value; exclude lists drop any match
+ * @param {Array} events - Events to filter
+ * @param {Object} filters - Filters from parseCalendarFilters
+ * @returns {Array} Filtered events
+ */
+export function applyCalendarFilters(events, filters) {
+  let result = events;
+
+  for (const field of ['importance', 'country', 'category']) {
+    const include = filters[field];
+    if (include.length > 0) {
+      result = result.filter((ev) => include.includes(fieldValue(ev, field)));
+    }
+
+    const exclude = filters[`exclude${field[0].toUpperCase()}${field.slice(1)}`];
+    if (exclude.length > 0) {
+      result = result.filter((ev) => !exclude.includes(fieldValue(ev, field)));
+    }
+  }
+
+  if (filters.minImportance) {
+    // Same threshold as the importance selector in the SPA
+    result = filterEventsByImportance(result, filters.minImportance);
+  }
+
+  return result;
+}
@@ -0,0 +1,152 @@
+/**
+ * Sorting and cursor pagination for the calendar API
+ */
+
+import { IMPORTANCE_HIERARCHY } from '../utils/importanceUtils.js';
+import { validationError, parseInteger, VALIDATION_CODES } from './validation.js';
+
+/**
+ * Supported sort orders
+ * - date / -date: chronological / reverse chronological
+ * - importance / -importance: most / least important first, then by date
+ */
+export const SORT_OPTIONS = ['date', '-date', 'importance', '-importance'];
+
+/**
+ * Default and maximum page sizes
+ */
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 500;
+
+const timeOf = (ev) => {
+  const t = new Date(ev.date).getTime();
+  return Number.isNaN(t) ? 0 : t;
+};
+
+const rankOf = (ev) => IMPORTANCE_HIERARCHY[String(ev.importance || '').toLowerCase()] || 0;
+
+// Final tie-breaker so equal keys always come back in the same order
+const byId = (a, b) => String(a._id || '').localeCompare(String(b._id || ''));
+
+/**
+ * Sort events deterministically
+ * @param {Array} events - Events to sort (not mutated)
+ * @param {string} sort - One of SORT_OPTIONS
+ * @returns {Array} Sorted copy of the events
+ */
+export function sortEvents(events, sort = 'date') {
+  const comparators = {
+    'date': (a, b) => timeOf(a) - timeOf(b) || byId(a, b),
+    '-date': (a, b) => timeOf(b) - timeOf(a) || byId(a, b),
+    'importance': (a, b) => rankOf(b) - rankOf(a) || timeOf(a) - timeOf(b) || byId(a, b),
+    '-importance': (a, b) => rankOf(a) - rankOf(b) || timeOf(a) - timeOf(b) || byId(a, b)
+  };
+
+  return [...events].sort(comparators[sort] || comparators.date);
+}
+
+/**
+ * Encode a page offset as an opaque cursor
+ * @param {number} offset - Index of the first event on the page
+ * @returns {string} base64url cursor
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {number|null} Offset, or null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse sort and pagination query parameters
+ * @param {Object} query - Request query (sort, limit, cursor)
+ * @param {Object} options - Defaults
+ * @param {string|null} options.defaultSort - Sort applied when none is given (null keeps input order)
+ * @returns {Object} { sort, limit, offset } or { error } describing the invalid parameter
+ */
+export function parsePaging(query = {}, { defaultSort = 'date' } = {}) {
+  let sort = defaultSort;
+  if (query.sort !== undefined) {
+    sort = String(query.sort);
+    if (!SORT_OPTIONS.includes(sort)) {
+      return { error: validationError(VALIDATION_CODES.INVALID_ENUM, 'sort', `Invalid sort. Use one of: ${SORT_OPTIONS.join(', ')}.`) };
+    }
+  }
+
+  const parsedLimit = parseInteger(query.limit, 'limit', { min: 1, max: MAX_LIMIT });
+  if (parsedLimit.error) {
+    return { error: parsedLimit.error };
+  }
+  let limit = parsedLimit.value;
+
+  let offset = 0;
+  if (query.cursor !== undefined) {
+    offset = decodeCursor(query.cursor);
+    if (offset === null) {
+      return { error: validationError(VALIDATION_CODES.INVALID_PARAMETER, 'cursor', 'Invalid cursor.') };
+    }
+    // A cursor without an explicit limit keeps paging at the default size
+    limit = limit || DEFAULT_LIMIT;
+  }
+
+  return { sort, limit, offset };
+}
+
+/**
+ * Slice one page out of a sorted event list
+ * @param {Array} events - Sorted events
+ * @param {Object} paging - { limit, offset } from parsePaging (null limit returns everything)
+ * @returns {Object} { items, total, nextOffset } where nextOffset is null on the last page
+ */
+export function paginate(events, { limit, offset = 0 }) {
+  const total = events.length;
+  if (!limit) {
+    return { items: events.slice(offset), total, nextOffset: null };
+  }
+
+  const end = offset + limit;
+  return {
+    items: events.slice(offset, end),
+    total,
+    nextOffset: end < total ? end : null
+  };
+}
+
+/**
+ * Build an RFC 8288 Link header for paged responses
+ * @param {string} basePath - Path of the endpoint (e.g. '/api/calendar')
+ * @param {Object} query - Original query parameters
+ * @param {Object} page - { limit, nextOffset }
+ * @returns {string} Link header value (empty when there is nothing to link)
+ */
+export function buildLinkHeader(basePath, query, { limit, nextOffset }) {
+  if (!limit) return '';
+
+  const urlFor = (offset) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key === 'cursor' || value === undefined) continue;
+      for (const v of Array.isArray(value) ? value : [value]) params.append(key, v);
+    }
+    params.set('limit', String(limit));
+    if (offset > 0) params.set('cursor', encodeCursor(offset));
+    return `${basePath}?${params.toString()}`;
+  };
+
+  const links = [`<${urlFor(0)}>; rel="first"`];
+  if (nextOffset !== null) {
+    links.push(`<${urlFor(nextOffset)}>; rel="next"`);
+  }
+  return links.join(', ');
+}
@@ -0,0 +1,104 @@
+/**
+ * Shared query handling for calendar endpoints
+ * Parses the /api/calendar parameters (range, filters, search, sort, paging)
+ * so every export format returns the same events for the same query
+ */
+
+import { computeWeekRange } from './utils.js';
+import { parseCalendarFilters, applyCalendarFilters } from './calendarFilters.js';
+import { searchEvents } from './calendarSearch.js';
+import { parsePaging, sortEvents } from './calendarPaging.js';
+import { checkDate, checkDateRange, isValidYmd, MAX_RANGE_DAYS } from './validation.js';
+import { validateParameters, CALENDAR_PARAMETERS } from './apiSchema.js';
+
+/**
+ * Resolve the requested date range, defaulting to the week around whichever
+ * bound was given (or the current week when neither was)
+ * @param {Object} query - Request query (fromDate, toDate)
+ * @returns {Object} { fromDate, toDate } as YYYY-MM-DD strings
+ */
+export function resolveDateRange(query = {}) {
+  let fromDate = isValidYmd(query.fromDate) ? query.fromDate : undefined;
+  let toDate = isValidYmd(query.toDate) ? query.toDate : undefined;
+
+  if (!fromDate && !toDate) {
+    ({ fromDate, toDate } = computeWeekRange(new Date()));
+  } else if (!fromDate) {
+    fromDate = computeWeekRange(toDate).fromDate;
+  } else if (!toDate) {
+    toDate = computeWeekRange(fromDate).toDate;
+  }
+
+  return { fromDate, toDate };
+}
+
+/**
+ * Validate and resolve the requested date range
+ * Given bounds must be real YYYY-MM-DD dates; missing ones default as in resolveDateRange
+ * @param {Object} query - Request query (fromDate, toDate)
+ * @param {Object} options - { maxDays } largest allowed span
+ * @returns {Object} { fromDate, toDate } or { error }
+ */
+export function parseDateRange(query = {}, { maxDays = MAX_RANGE_DAYS } = {}) {
+  const error = checkDate(query.fromDate, 'fromDate') || checkDate(query.toDate, 'toDate');
+  if (error) {
+    return { error };
+  }
+
+  const { fromDate, toDate } = resolveDateRange(query);
+  const rangeError = checkDateRange(fromDate, toDate, maxDays);
+  return rangeError ? { error: rangeError } : { fromDate, toDate };
+}
+
+/**
+ * Parse every calendar query parameter
+ * @param {Object} query - Request query
+ * @param {Object} options - { maxDays } largest allowed date range
+ * @returns {Object} { fromDate, toDate, filters, search, paging } or { error }
+ */
+export function parseCalendarQuery(query = {}, { maxDays = MAX_RANGE_DAYS } = {}) {
+  const error = validateParameters(query, CALENDAR_PARAMETERS);
+  if (error) {
+    return { error };
+  }
+
+  const range = parseDateRange(query, { maxDays });
+  if (range.error) {
+    return { error: range.error };
+  }
+
+  const filters = parseCalendarFilters(query);
+
+  const search = typeof query.q === 'string' ? query.q.trim() : '';
+
+  // Search results stay in relevance order unless a sort is requested
+  const paging = parsePaging(query, { defaultSort: search ? null : 'date' });
+  if (paging.error) {
+    return { error: paging.error };
+  }
+
+  return {
+    fromDate: range.fromDate,
+    toDate: range.toDate,
+    filters,
+    search,
+    paging
+  };
+}
+
+/**
+ * Filter, search and sort upstream events for a parsed query (no pagination)
+ * @param {Array} events - Upstream events for the query's date range
+ * @param {Object} parsed - Result of parseCalendarQuery
+ * @returns {Array} Matching events in response order
+ */
+export function applyCalendarQuery(events, { filters, search, paging }) {
+  let result = applyCalendarFilters(events, filters);
+  if (search) {
+    result = searchEvents(result, search);
+  }
+  if (paging.sort) {
+    result = sortEvents(result, paging.sort);
+  }
+  return result;
+}
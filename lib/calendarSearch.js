@@ -0,0 +1,111 @@
+/**
+ * Full-text search over calendar events
+ * Case-insensitive and punctuation-insensitive, so "jolts", "nonfarm",
+ * "non-farm" and "FOMC minutes" all find the releases you'd expect
+ */
+
+/**
+ * Relative weight of a match in each searchable field
+ */
+const FIELD_WEIGHTS = {
+  name: 4,
+  tags: 3,
+  category: 2,
+  source: 1
+};
+
+/**
+ * Bonus when the whole query appears as a phrase in the event name
+ */
+const PHRASE_BONUS = 5;
+
+/**
+ * Normalise text for matching: lowercase, strip accents and punctuation
+ * @param {string} text - Text to normalise
+ * @returns {string} Space-separated lowercase words
+ */
+export function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Prepare the searchable fields of an event
+ * @param {Object} ev - Calendar event
+ * @returns {Object} Per-field words and punctuation-free "compact" text
+ */
+function indexEvent(ev) {
+  const fields = {
+    name: ev.event,
+    tags: Array.isArray(ev.tags) ? ev.tags.join(' ') : ev.tags,
+    category: ev.category,
+    source: ev.source?.name
+  };
+
+  return Object.fromEntries(Object.entries(fields).map(([field, value]) => {
+    const text = normalizeSearchText(value);
+    return [field, { text, words: text ? text.split(' ') : [], compact: text.replace(/ /g, '') }];
+  }));
+}
+
+/**
+ * Score how well a single query token matches one field
+ * Whole words beat word prefixes, which beat matches inside words
+ * (the latter catches "nonfarm" in "Non-Farm" and similar spellings)
+ */
+function scoreToken(token, field) {
+  if (field.words.includes(token)) return 2;
+  if (field.words.some((word) => word.startsWith(token))) return 1.5;
+  if (field.compact.includes(token)) return 1;
+  return 0;
+}
+
+/**
+ * Score an event against a query; every query token must match some field
+ * @param {Object} ev - Calendar event
+ * @param {string[]} tokens - Normalised query tokens
+ * @param {string} phrase - Normalised full query
+ * @returns {number} Relevance score (0 when the event doesn't match)
+ */
+export function scoreEvent(ev, tokens, phrase) {
+  const index = indexEvent(ev);
+  let score = 0;
+
+  for (const token of tokens) {
+    let best = 0;
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+      best = Math.max(best, scoreToken(token, index[field]) * weight);
+    }
+    if (best === 0) return 0;
+    score += best;
+  }
+
+  if (tokens.length > 1 && index.name.text.includes(phrase)) {
+    score += PHRASE_BONUS;
+  }
+
+  return score;
+}
+
+/**
+ * Search events and rank them by relevance, then by date
+ * @param {Array} events - Events to search
+ * @param {string} query - Free-text query
+ * @returns {Array} Matching events, best matches first
+ */
+export function searchEvents(events, query) {
+  const phrase = normalizeSearchText(query);
+  if (!phrase) return events;
+
+  const tokens = phrase.split(' ');
+
+  return events
+    .map((ev) => ({ ev, score: scoreEvent(ev, tokens, phrase) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || new Date(a.ev.date) - new Date(b.ev.date))
+    .map(({ ev }) => ev);
+}
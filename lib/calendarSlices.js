@@ -0,0 +1,343 @@
+/**
+ * Server-rendered landing pages for one slice of the calendar
+ * (/calendar/category/:category and /calendar/country/:code), listing recent and
+ * upcoming events with the same filtering as /api/calendar
+ */
+
+import { escapeHtml, formatTimeET, formatDateET, getTodayInET, hasValidDate } from './utils.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from './snapshotStore.js';
+import { eventPermalink } from './calendarEvents.js';
+import { parseCalendarFilters, applyCalendarFilters } from './calendarFilters.js';
+import { sortEvents } from './calendarPaging.js';
+import { validationError, sendValidationError, VALIDATION_CODES, CATEGORY_PATTERN } from './validation.js';
+import { setSnapshotHeaders } from './apiEnvelope.js';
+import { sendUnavailablePage } from './statusPage.js';
+
+const SITE_URL = 'https://marketsquawk.ai';
+
+/**
+ * Days before and after today (ET) covered by a slice page
+ */
+export const SLICE_PAST_DAYS = 30;
+export const SLICE_FUTURE_DAYS = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (ymd, days) => new Date(Date.parse(`${ymd}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+/**
+ * Slice definitions: which event field a page filters on and how its value looks
+ */
+export const SLICE_KINDS = {
+  category: {
+    field: 'category',
+    param: 'category',
+    path: '/calendar/category',
+    pattern: CATEGORY_PATTERN,
+    normalize: (value) => value.trim().toLowerCase(),
+    label: (value) => value.split('_').map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+    other: 'country'
+  },
+  country: {
+    field: 'country',
+    param: 'code',
+    path: '/calendar/country',
+    pattern: /^[A-Z]{2,3}$/,
+    normalize: (value) => value.trim().toUpperCase(),
+    label: (value) => value,
+    other: 'category'
+  }
+};
+
+/**
+ * Validate and normalise a slice value from the URL
+ * @param {string} kind - 'category' or 'country'
+ * @param {string} value - Raw path parameter
+ * @returns {string|null} Normalised value, or null when malformed
+ */
+export function normalizeSliceValue(kind, value) {
+  const slice = SLICE_KINDS[kind];
+  if (!slice || typeof value !== 'string') return null;
+  const normalized = slice.normalize(value);
+  return slice.pattern.test(normalized) ? normalized : null;
+}
+
+/**
+ * Build the canonical URL of a slice page
+ * @param {string} kind - 'category' or 'country'
+ * @param {string} value - Normalised slice value
+ * @returns {string} Absolute URL
+ */
+export function slicePageUrl(kind, value) {
+  return `${SITE_URL}${SLICE_KINDS[kind].path}/${encodeURIComponent(value)}`;
+}
+
+/**
+ * Split a slice's events into upcoming (soonest first) and recent (latest first)
+ * Events without a valid date are in neither
+ * @param {Array} events - All events in the window
+ * @param {string} kind - 'category' or 'country'
+ * @param {string} value - Normalised slice value
+ * @param {Date} now - Reference time
+ * @returns {Object} { upcoming, recent }
+ */
+export function splitSliceEvents(events, kind, value, now = new Date()) {
+  const matching = sortEvents(applyCalendarFilters(events.filter(hasValidDate), parseCalendarFilters({ [SLICE_KINDS[kind].field]: value })));
+  return {
+    upcoming: matching.filter((ev) => new Date(ev.date) >= now),
+    recent: matching.filter((ev) => new Date(ev.date) < now).reverse()
+  };
+}
+
+/**
+ * Distinct values of a field among events, for cross-links to sibling pages
+ * @param {Array} events - Events in the window
+ * @param {string} kind - 'category' or 'country'
+ * @returns {string[]} Normalised values, sorted
+ */
+function sliceValues(events, kind) {
+  const values = new Set();
+  for (const ev of events) {
+    const value = normalizeSliceValue(kind, String(ev[SLICE_KINDS[kind].field] || ''));
+    if (value) values.add(value);
+  }
+  return [...values].sort();
+}
+
+/**
+ * Render one events table
+ * @param {Array} events - Events in display order
+ * @param {string} otherField - Field shown in the third column
+ * @returns {string} HTML table
+ */
+function renderTable(events, otherField) {
+  const rows = events.map((ev) => {
+    const eventName = escapeHtml(ev.event || 'Economic Event');
+    const other = String(ev[otherField] || 'Unknown');
+    const importance = escapeHtml(ev.importance || 'low');
+    const sourceName = escapeHtml(ev.source?.name || 'Unknown');
+    const sourceUrl = ev.source?.url || '#';
+
+    return `<tr>
+          <td class="px-4 py-2 border-b border-gray-200">${escapeHtml(formatDateET(ev.date))}, ${formatTimeET(ev.date)} ET</td>
+          <td class="px-4 py-2 border-b border-gray-200"><a href="${escapeHtml(eventPermalink(ev))}">${eventName}</a></td>
+          <td class="px-4 py-2 border-b border-gray-200">${escapeHtml(otherField === 'category' ? other.replace(/_/g, ' ') : other)}</td>
+          <td class="px-4 py-2 border-b border-gray-200">
+            <span class="importance-${importance.toLowerCase()}">${importance}</span>
+          </td>
+          <td class="px-4 py-2 border-b border-gray-200">
+            <a href="${escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800">${sourceName}</a>
+          </td>
+        </tr>`;
+  }).join('');
+
+  return `<table>
+      <thead>
+        <tr>
+          <th>Date / Time (ET)</th>
+          <th>Event</th>
+          <th>${otherField === 'category' ? 'Category' : 'Country'}</th>
+          <th>Importance</th>
+          <th>Source</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Render a slice landing page and send it
+ * @param {Object} res - Response object
+ * @param {Object} options - Page options
+ * @param {string} options.kind - 'category' or 'country'
+ * @param {string} options.value - Raw path parameter
+ * @returns {Promise<void>}
+ */
+export async function sendSlicePage(res, { kind, value: rawValue }) {
+  const slice = SLICE_KINDS[kind];
+  const value = normalizeSliceValue(kind, rawValue);
+  if (!value) {
+    return sendValidationError(res, validationError(VALIDATION_CODES.INVALID_PARAMETER, slice.param, `Invalid ${kind}.`));
+  }
+
+  try {
+    const today = getTodayInET();
+    const fromDate = addDays(today, -SLICE_PAST_DAYS);
+    const toDate = addDays(today, SLICE_FUTURE_DAYS);
+    const label = slice.label(value);
+
+    // Fetch events from upstream API, falling back to the last good snapshot
+    let snapshot;
+    try {
+      snapshot = await loadWithSnapshot(
+        calendarSnapshotKey(fromDate, toDate),
+        () => fetchCalendarEvents(fromDate, toDate, { timeout: 10000 })
+      );
+    } catch (apiError) {
+      console.error('API fetch failed:', apiError.message);
+      return sendUnavailablePage(res, {
+        name: 'Economic Calendar',
+        subject: `${label} events`,
+        back: { href: '/calendar/week', label: 'View Weekly Calendar' }
+      });
+    }
+
+    const events = snapshot.data;
+    const { upcoming, recent } = splitSliceEvents(events, kind, value);
+    const total = upcoming.length + recent.length;
+    const siblings = sliceValues(events, kind).filter((other) => other !== value);
+    const crossLinks = sliceValues([...upcoming, ...recent], slice.other);
+
+    const canonical = slicePageUrl(kind, value);
+    const title = kind === 'category' ? `${label} Economic Events` : `${label} Economic Calendar`;
+
+    // JSON-LD: ItemList of Events (upcoming first, then recent)
+    const jsonLd = {
+      "@context": "https://schema.org",
+      "@type": "ItemList",
+      "@id": canonical,
+      "name": title,
+      "description": `Upcoming and recent ${kind === 'category' ? `${label.toLowerCase()} releases` : `economic releases for ${label}`}`,
+      "itemListElement": [...upcoming, ...recent].map((ev, idx) => ({
+        "@type": "ListItem",
+        "position": idx + 1,
+        "item": {
+          "@type": "Event",
+          "@id": eventPermalink(ev),
+          "url": eventPermalink(ev),
+          "name": ev.event || 'Economic Event',
+          "startDate": new Date(ev.date).toISOString(),
+          "eventStatus": "https://schema.org/EventScheduled",
+          "eventAttendanceMode": "https://schema.org/OnlineEventAttendanceMode",
+          "location": {
+            "@type": "Place",
+            "name": ev.country || 'Global',
+            "address": {
+              "@type": "PostalAddress",
+              "addressCountry": ev.country || 'Global'
+            }
+          },
+          "organizer": {
+            "@type": "Organization",
+            "name": ev.source?.name || 'Economic Authority',
+            "url": ev.source?.url || ''
+          },
+          "description": `${ev.importance || 'Medium'} importance economic event`,
+          "keywords": ev.tags ? ev.tags.join(', ') : 'economic calendar, market events'
+        }
+      }))
+    };
+
+    // Set response headers
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    setSnapshotHeaders(res, snapshot, 's-maxage=600, stale-while-revalidate=59');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    const sliceLink = (linkKind, linkValue) =>
+      `<a href="${escapeHtml(slicePageUrl(linkKind, linkValue))}">${escapeHtml(SLICE_KINDS[linkKind].label(linkValue))}</a>`;
+
+    // Render HTML response
+    const html = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeHtml(title)}</title>
+  <link rel="canonical" href="${escapeHtml(canonical)}"/>${total === 0 ? `
+  <meta name="robots" content="noindex"/>` : ''}
+  <meta name="description" content="${escapeHtml(`${total} ${kind === 'category' ? `${label.toLowerCase()} releases` : `economic releases for ${label}`} from the last ${SLICE_PAST_DAYS} days and the next ${SLICE_FUTURE_DAYS} days, with release times in Eastern Time.`)}"/>
+  <meta name="keywords" content="${escapeHtml(`economic calendar, ${label.toLowerCase()}, market events, economic indicators`)}"/>
+  <meta property="og:title" content="${escapeHtml(title)}"/>
+  <meta property="og:description" content="${escapeHtml(`${upcoming.length} upcoming and ${recent.length} recent releases.`)}"/>
+  <meta property="og:type" content="website"/>
+  <meta property="og:url" content="${escapeHtml(canonical)}"/>${snapshot.stale ? `
+  <meta name="data-stale" content="${escapeHtml(snapshot.savedAt)}"/>` : ''}
+  <script type="application/ld+json">${JSON.stringify(jsonLd, null, 2)}</script>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
+    .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+    h1 { margin: 0; padding: 20px; background: #1e293b; color: white; font-size: 1.5rem; }
+    h2 { margin: 20px 0 15px 0; padding: 0 20px; color: #374151; font-size: 1.25rem; }
+    nav { padding: 15px 20px; background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
+    nav a { color: #3b82f6; text-decoration: none; margin: 0 10px; }
+    nav a:hover { text-decoration: underline; }
+    table { width: 100%; border-collapse: collapse; }
+    th { background: #f8fafc; padding: 12px; text-align: left; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb; }
+    td { padding: 8px 12px; border-bottom: 1px solid #f3f4f6; }
+    tr:hover { background: #f9fafb; }
+    .importance-high { color: #dc2626; font-weight: 600; }
+    .importance-medium { color: #f59e0b; font-weight: 500; }
+    .importance-low { color: #10b981; }
+    .events-count { padding: 15px 20px; color: #6b7280; font-size: 0.9rem; }
+    .no-content { text-align: center; padding: 40px; color: #6b7280; font-style: italic; }
+    .related { padding: 15px 20px; border-top: 1px solid #f3f4f6; color: #6b7280; font-size: 0.9rem; }
+    .related a { color: #3b82f6; text-decoration: none; margin-right: 10px; }
+    .related a:hover { text-decoration: underline; }
+    .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; border-top: 1px solid #f3f4f6; }
+    .stale-notice { padding: 12px 20px; background: #fef3c7; color: #92400e; border-bottom: 1px solid #fde68a; font-size: 0.9rem; }
+  </style>
+</head>
+<body${snapshot.stale ? ' data-stale="true"' : ''}>
+  <div class="container">
+    <h1>${escapeHtml(title)}</h1>${snapshot.stale ? `
+    <div class="stale-notice" role="status">
+      Live data is temporarily unavailable. Showing the calendar as of ${escapeHtml(new Date(snapshot.savedAt).toUTCString())}.
+    </div>` : ''}
+    <nav>
+      <a href="/calendar/week">Weekly Calendar</a>
+      <span>|</span>
+      <a href="/calendar/today">Today</a>
+    </nav>
+
+    <section>
+      <h2>Upcoming</h2>
+      <div class="events-count">
+        ${upcoming.length} releases in the next ${SLICE_FUTURE_DAYS} days
+      </div>
+      ${upcoming.length > 0 ? renderTable(upcoming, slice.other) : `<div class="no-content">No upcoming ${escapeHtml(kind === 'category' ? label.toLowerCase() : label)} releases scheduled</div>`}
+    </section>
+
+    <section>
+      <h2>Recent</h2>
+      <div class="events-count">
+        ${recent.length} releases in the last ${SLICE_PAST_DAYS} days
+      </div>
+      ${recent.length > 0 ? renderTable(recent, slice.other) : `<div class="no-content">No ${escapeHtml(kind === 'category' ? label.toLowerCase() : label)} releases in the last ${SLICE_PAST_DAYS} days</div>`}
+    </section>
+${crossLinks.length > 0 ? `
+    <div class="related">
+      ${slice.other === 'category' ? 'Categories' : 'Countries'}: ${crossLinks.map((other) => sliceLink(slice.other, other)).join(' ')}
+    </div>` : ''}${siblings.length > 0 ? `
+    <div class="related">
+      Other ${kind === 'category' ? 'categories' : 'countries'}: ${siblings.map((other) => sliceLink(kind, other)).join(' ')}
+    </div>` : ''}
+    <div class="footer">
+      Economic Calendar powered by Market Squawk • Data updated every 10 minutes
+    </div>
+  </div>
+</body>
+</html>`;
+
+    return res.status(200).send(html);
+  } catch (error) {
+    console.error('Slice page error:', error);
+
+    // Return a basic error page
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    return res.status(500).send(`<!doctype html>
+<html>
+<head>
+  <title>Economic Calendar - Error</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+</head>
+<body style="font-family: sans-serif; padding: 20px; text-align: center;">
+  <h1>Economic Calendar Temporarily Unavailable</h1>
+  <p>We're experiencing technical difficulties. Please try again in a few minutes.</p>
+  <p><a href="/calendar/week">← Return to current week</a></p>
+</body>
+</html>`);
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * Change feed behind the /api/calendar/stream Server-Sent Events endpoint
+ * One feed per date range polls upstream on behalf of every connected client,
+ * diffs each result against the previous one and keeps a short replay log so
+ * reconnecting clients can resume from their Last-Event-ID
+ */
+
+import { randomBytes } from 'crypto';
+import { eventKey } from './ical.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { normalizeEvent } from '../utils/eventUtils.js';
+
+/**
+ * How often a feed re-fetches upstream while clients are connected
+ */
+export const STREAM_POLL_MS = 30000;
+
+/**
+ * How often release times are checked for imminent/released ticks
+ */
+export const STREAM_TICK_MS = 5000;
+
+/**
+ * Lead time before a release at which release-imminent is sent
+ */
+export const RELEASE_IMMINENT_MS = 5 * 60 * 1000;
+
+/**
+ * Number of messages kept per feed for Last-Event-ID replay
+ */
+export const STREAM_REPLAY_LIMIT = 500;
+
+/**
+ * Message types pushed to clients
+ */
+export const STREAM_MESSAGE_TYPES = ['event-added', 'event-updated', 'event-removed', 'release-imminent', 'released', 'resync'];
+
+// Identifies this process, so ids issued by another instance are never replayed against this log
+const INSTANCE_EPOCH = randomBytes(4).toString('hex');
+
+/**
+ * Fingerprint the fields clients render, to detect updates when updated_at is missing
+ * @param {Object} ev - Normalised event
+ * @returns {string} Fingerprint
+ */
+function fingerprint(ev) {
+  return JSON.stringify([ev.date, ev.event, ev.country, ev.importance, ev.category, ev.source, ev.tags, ev.updated_at]);
+}
+
+/**
+ * Diff two event lists by stable event key
+ * @param {Map} previous - Event key to event from the last poll
+ * @param {Array} events - Normalised events from the current poll
+ * @returns {Object} { added, updated, removed, current } where current is the new key map
+ */
+export function diffEvents(previous, events) {
+  const current = new Map(events.map((ev) => [eventKey(ev), ev]));
+  const added = [];
+  const updated = [];
+  const removed = [];
+
+  for (const [key, ev] of current) {
+    const before = previous.get(key);
+    if (!before) added.push(ev);
+    else if (fingerprint(before) !== fingerprint(ev)) updated.push(ev);
+  }
+  for (const [key, ev] of previous) {
+    if (!current.has(key)) removed.push(ev);
+  }
+
+  return { added, updated, removed, current };
+}
+
+/**
+ * Format one SSE message
+ * @param {Object} message - { id, type, data }
+ * @returns {string} Wire format, terminated by a blank line
+ */
+export function formatSseMessage({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+/**
+ * Create a change feed for one date range
+ * @param {Object} options - Feed options
+ * @param {string} options.fromDate - First day (YYYY-MM-DD)
+ * @param {string} options.toDate - Last day (YYYY-MM-DD)
+ * @param {Function} options.load - Returns a promise of raw upstream events (defaults to fetchCalendarEvents)
+ * @param {Function} options.now - Returns the current time in ms
+ * @param {number} options.imminentMs - Lead time for release-imminent
+ * @param {number} options.replayLimit - Messages kept for replay
+ * @returns {Object} Feed with start/poll/tick/subscribe/since
+ */
+export function createCalendarFeed({
+  fromDate,
+  toDate,
+  load = () => fetchCalendarEvents(fromDate, toDate, { timeout: 10000 }),
+  now = Date.now,
+  imminentMs = RELEASE_IMMINENT_MS,
+  replayLimit = STREAM_REPLAY_LIMIT
+}) {
+  let events = null;
+  let seq = 0;
+  let started = null;
+  const log = [];
+  const listeners = new Set();
+  // Keys that already had their release-imminent / released tick
+  const imminentSent = new Set();
+  const releasedSent = new Set();
+
+  const emit = (type, data) => {
+    const message = { id: `${INSTANCE_EPOCH}-${++seq}`, type, data };
+    log.push(message);
+    if (log.length > replayLimit) log.shift();
+    for (const listener of listeners) listener(message);
+  };
+
+  const fetchNormalized = async () => (await load()).map(normalizeEvent).filter(Boolean);
+
+  /**
+   * Mark releases as passed or imminent and emit ticks for newly crossed thresholds
+   * @param {boolean} silent - Record state without emitting (used for the baseline)
+   */
+  const tick = (silent = false) => {
+    if (!events) return;
+    const time = now();
+
+    for (const [key, ev] of events) {
+      const releaseAt = new Date(ev.date).getTime();
+      if (Number.isNaN(releaseAt)) continue;
+
+      if (releaseAt <= time) {
+        if (!releasedSent.has(key)) {
+          releasedSent.add(key);
+          imminentSent.add(key);
+          if (!silent) emit('released', { id: key, event: ev });
+        }
+      } else if (releaseAt - time <= imminentMs && !imminentSent.has(key)) {
+        imminentSent.add(key);
+        if (!silent) emit('release-imminent', { id: key, event: ev, releaseAt: ev.date, secondsUntil: Math.round((releaseAt - time) / 1000) });
+      }
+    }
+  };
+
+  /**
+   * Re-fetch upstream and emit added/updated/removed messages
+   * Upstream failures keep the previous state; the next poll tries again
+   */
+  const poll = async () => {
+    if (!events) return;
+
+    let next;
+    try {
+      next = await fetchNormalized();
+    } catch (error) {
+      console.warn(`Calendar stream poll failed for ${fromDate}..${toDate}:`, error.message);
+      return;
+    }
+
+    const previous = events;
+    const { added, updated, removed, current } = diffEvents(previous, next);
+    events = current;
+
+    for (const ev of added) emit('event-added', { id: eventKey(ev), event: ev });
+    for (const ev of updated) {
+      const key = eventKey(ev);
+      // A rescheduled release gets fresh ticks
+      imminentSent.delete(key);
+      releasedSent.delete(key);
+      emit('event-updated', { id: key, event: ev, previous: previous.get(key) });
+    }
+    for (const ev of removed) emit('event-removed', { id: eventKey(ev), event: ev });
+    tick();
+  };
+
+  return {
+    fromDate,
+    toDate,
+
+    /**
+     * Load the baseline once; concurrent callers share the same load
+     * @returns {Promise<void>} Rejects when the first upstream fetch fails
+     */
+    start() {
+      if (!started) {
+        started = fetchNormalized().then((list) => {
+          events = new Map(list.map((ev) => [eventKey(ev), ev]));
+          // Releases already past or imminent when the feed starts are part of the baseline
+          tick(true);
+        }).catch((error) => {
+          started = null;
+          throw error;
+        });
+      }
+      return started;
+    },
+
+    poll,
+    tick,
+
+    /**
+     * Register a listener for new messages
+     * @param {Function} listener - Called with { id, type, data }
+     * @returns {Function} Unsubscribe
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Number of connected listeners
+     * @returns {number} Listener count
+     */
+    get listenerCount() {
+      return listeners.size;
+    },
+
+    /**
+     * Id of the newest message (or of the empty log), for clients to resume from
+     * @returns {string} Event id
+     */
+    get lastEventId() {
+      return `${INSTANCE_EPOCH}-${seq}`;
+    },
+
+    /**
+     * Messages after a Last-Event-ID
+     * @param {string} lastEventId - Id of the last message the client saw
+     * @returns {Array|null} Messages to replay, or null when the id can't be resumed
+     */
+    since(lastEventId) {
+      const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastEventId || ''));
+      if (!match || match[1] !== INSTANCE_EPOCH) return null;
+
+      const lastSeq = Number(match[2]);
+      if (lastSeq > seq) return null;
+      if (lastSeq === seq) return [];
+
+      const oldest = log.length > 0 ? Number(log[0].id.split('-')[1]) : seq + 1;
+      if (lastSeq < oldest - 1) return null;
+      return log.filter((message) => Number(message.id.split('-')[1]) > lastSeq);
+    }
+  };
+}
+
+/**
+ * Maximum number of date-range feeds kept per instance, and of feeds polling upstream at once
+ */
+export const MAX_STREAM_FEEDS = 50;
+
+const feeds = new Map();
+// Keyed by feed rather than by range, so a feed dropped from `feeds` while its
+// clients are still connected keeps counting against MAX_STREAM_FEEDS
+const timers = new Map();
+// Feeds whose timers were stopped; they re-poll straight away when a client returns
+const idle = new Set();
+
+/**
+ * Get the shared feed for a date range
+ * Idle feeds are kept (with their replay log) so short reconnects can resume;
+ * the least recently used idle feed is dropped once MAX_STREAM_FEEDS is reached.
+ * Feeds with connected clients are never dropped; startFeedTimers caps how many poll
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Object} Calendar feed
+ */
+export function getCalendarFeed(fromDate, toDate) {
+  const key = `${fromDate}:${toDate}`;
+  let feed = feeds.get(key);
+
+  if (feed) {
+    // Re-insert to keep the map in least-recently-used order
+    feeds.delete(key);
+  } else {
+    feed = createCalendarFeed({ fromDate, toDate });
+    for (const [oldKey, oldFeed] of feeds) {
+      if (feeds.size < MAX_STREAM_FEEDS) break;
+      if (!timers.has(oldFeed)) {
+        feeds.delete(oldKey);
+        idle.delete(oldFeed);
+      }
+    }
+  }
+
+  feeds.set(key, feed);
+  return feed;
+}
+
+/**
+ * Whether a feed can stream: it is already polling, or fewer than MAX_STREAM_FEEDS are
+ * @param {Object} feed - Calendar feed
+ * @returns {boolean} True when startFeedTimers would succeed
+ */
+export function hasFeedCapacity(feed) {
+  return timers.has(feed) || timers.size < MAX_STREAM_FEEDS;
+}
+
+/**
+ * Start the poll and tick timers for a feed if they aren't running
+ * @param {Object} feed - Calendar feed
+ * @returns {boolean} False when MAX_STREAM_FEEDS other feeds are already polling
+ */
+export function startFeedTimers(feed) {
+  if (timers.has(feed)) return true;
+  if (!hasFeedCapacity(feed)) return false;
+
+  timers.set(feed, [
+    setInterval(() => feed.poll(), STREAM_POLL_MS),
+    setInterval(() => feed.tick(), STREAM_TICK_MS)
+  ]);
+
+  if (idle.delete(feed)) {
+    // Catch up on changes made while nobody was listening
+    feed.poll();
+  }
+  return true;
+}
+
+/**
+ * Stop a feed's timers once its last listener has gone
+ * @param {Object} feed - Calendar feed
+ */
+export function stopFeedTimersIfIdle(feed) {
+  if (feed.listenerCount > 0 || !timers.has(feed)) return;
+  timers.get(feed).forEach(clearInterval);
+  timers.delete(feed);
+  if (feeds.get(`${feed.fromDate}:${feed.toDate}`) === feed) idle.add(feed);
+}
+
+/**
+ * Drop every feed and timer (used by tests)
+ */
+export function resetCalendarFeeds() {
+  for (const handles of timers.values()) handles.forEach(clearInterval);
+  timers.clear();
+  feeds.clear();
+  idle.clear();
+}
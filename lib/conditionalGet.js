@@ -0,0 +1,107 @@
+/**
+ * Conditional GET support (ETag / Last-Modified, RFC 9110)
+ * Validators are computed from the data a response is rendered from rather than the
+ * rendered body, so a 304 can be answered without rendering anything
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Serialise a value as JSON with object keys sorted, so equal data always hashes the same
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compute an ETag
+ * For a strong ETag everything the response body depends on must be part of `parts`:
+ * the events (in response order), the morning report, and any page inputs such as the
+ * date or stale flag. Use a weak one when the body also holds volatile fields
+ * @param {Array} parts - Values the response is rendered from
+ * @param {Object} options - { weak }
+ * @returns {string} Quoted ETag, e.g. "3f2a…" or W/"3f2a…"
+ */
+export function computeEtag(parts, { weak = false } = {}) {
+  const tag = `"${createHash('sha256').update(canonicalJson(parts)).digest('base64url').slice(0, 27)}"`;
+  return weak ? `W/${tag}` : tag;
+}
+
+/**
+ * Latest modification time of a set of events
+ * @param {Array} events - Events with optional updated_at
+ * @returns {Date|null} Max updated_at, or null when no event has a valid one
+ */
+export function lastModifiedOf(events) {
+  let latest = null;
+  for (const ev of events) {
+    const time = Date.parse(ev?.updated_at);
+    if (!Number.isNaN(time) && (latest === null || time > latest)) latest = time;
+  }
+  return latest === null ? null : new Date(latest);
+}
+
+const header = (req, name) => {
+  const value = req.headers?.[name];
+  return Array.isArray(value) ? value.join(',') : value;
+};
+
+// If-None-Match uses the weak comparison, so W/"x" matches "x"
+const opaque = (tag) => tag.trim().replace(/^W\//, '');
+
+/**
+ * Check whether the client's cached copy is still current
+ * If-None-Match wins over If-Modified-Since when both are sent. If-Modified-Since is only
+ * used when the response has no ETag: Last-Modified is the newest updated_at, which
+ * doesn't change when an event is dropped from the set, so it can't tell that apart
+ * from an unchanged response
+ * @param {Object} req - Request object
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True if a 304 can be sent
+ */
+export function isNotModified(req, { etag = null, lastModified = null }) {
+  const ifNoneMatch = header(req, 'if-none-match');
+  if (ifNoneMatch) {
+    const tags = ifNoneMatch.split(',').map(opaque);
+    return tags.includes('*') || (etag !== null && tags.includes(opaque(etag)));
+  }
+  if (etag) return false;
+
+  const ifModifiedSince = Date.parse(header(req, 'if-modified-since'));
+  if (lastModified && !Number.isNaN(ifModifiedSince)) {
+    // HTTP dates have one-second precision
+    return Math.floor(lastModified.getTime() / 1000) * 1000 <= ifModifiedSince;
+  }
+  return false;
+}
+
+/**
+ * Set ETag/Last-Modified and answer 304 when the client's copy is current
+ * Call after Cache-Control and the other headers a 304 must repeat are set
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean} True if a 304 was sent and the caller should stop
+ */
+export function applyConditionalGet(req, res, { etag, lastModified = null }) {
+  res.setHeader('ETag', etag);
+  if (lastModified) res.setHeader('Last-Modified', lastModified.toUTCString());
+
+  if (req.method && req.method !== 'GET' && req.method !== 'HEAD') return false;
+  if (!isNotModified(req, { etag, lastModified })) return false;
+
+  res.status(304).end();
+  return true;
+}
@@ -0,0 +1,301 @@
+/**
+ * Server-rendered daily market briefing (morning report + that day's events)
+ * Shared by /calendar/today and /calendar/day/:date
+ */
+
+import { computeDayRange, getTodayInET, escapeHtml, formatTimeET, formatDateET, getWeekStartDate, hasValidDate } from './utils.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from './snapshotStore.js';
+import { eventPermalink } from './calendarEvents.js';
+import { adjacentTradingDay } from './tradingDays.js';
+import { computeEtag, lastModifiedOf, applyConditionalGet } from './conditionalGet.js';
+import { loadMorningReportForDay } from './morningReportArchive.js';
+import { isAudioBrief, formatReportParagraphs, renderAudioBrief } from './morningReportPage.js';
+import { releaseAwareCacheControl } from './warmCache.js';
+import { setSnapshotHeaders } from './apiEnvelope.js';
+import { sendUnavailablePage } from './statusPage.js';
+
+/**
+ * Render the briefing for one ET day and send it (or a 304 when the client's copy is current)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} options - Page options
+ * @param {string} options.date - Day in ET (YYYY-MM-DD)
+ * @param {string} options.canonical - Canonical URL of the page
+ * @param {boolean} options.isToday - Use "today" wording and skip day-to-day navigation
+ * @returns {Promise<void>}
+ */
+export async function sendDailyBriefing(req, res, { date, canonical, isToday = false }) {
+  try {
+    const { fromDate, toDate } = computeDayRange(date);
+    const dayLabel = isToday ? 'today' : formatDateET(date + 'T12:00:00Z');
+
+    let events = [];
+    let morningReport = null;
+    let reportStaleSince = null;
+    // The report couldn't be read (upstream down without a snapshot, or no durable archive for past days)
+    let reportUnavailable = false;
+
+    // Fetch calendar events and morning report in parallel, falling back to the last good snapshots
+    const [calendarResult, morningReportResult] = await Promise.allSettled([
+      loadWithSnapshot(calendarSnapshotKey(fromDate, toDate), () => fetchCalendarEvents(fromDate, toDate)),
+      loadMorningReportForDay(date)
+    ]);
+
+    // Process morning report
+    if (morningReportResult.status === 'fulfilled') {
+      morningReport = morningReportResult.value?.data || null;
+      if (morningReportResult.value?.stale) reportStaleSince = morningReportResult.value.savedAt;
+    } else {
+      reportUnavailable = true;
+      console.error('Morning report API failed:', morningReportResult.reason?.message || 'Unknown error');
+    }
+
+    // Process calendar events
+    if (calendarResult.status === 'rejected') {
+      console.error('Calendar API failed:', calendarResult.reason?.message || 'Unknown error');
+      return sendUnavailablePage(res, {
+        name: 'Market Briefing',
+        subject: isToday ? 'Today\'s calendar' : `The calendar for ${dayLabel}`,
+        back: { href: '/calendar/week', label: 'View Weekly Calendar' }
+      });
+    }
+
+    const snapshot = calendarResult.value;
+    events = snapshot.data;
+
+    // Sort events by time, leaving out events without a valid date
+    const sortedEvents = events.filter(hasValidDate).sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    // Build events table rows
+    const eventRows = sortedEvents.map((ev) => {
+      const timeET = formatTimeET(ev.date);
+      const eventName = escapeHtml(ev.event || 'Economic Event');
+      const country = escapeHtml(ev.country || 'Unknown');
+      const importance = escapeHtml(ev.importance || 'low');
+      const sourceName = escapeHtml(ev.source?.name || 'Unknown');
+      const sourceUrl = ev.source?.url || '#';
+
+      return `<tr>
+        <td class="px-4 py-2 border-b border-gray-200 font-mono">${timeET} ET</td>
+        <td class="px-4 py-2 border-b border-gray-200"><a href="${escapeHtml(eventPermalink(ev))}">${eventName}</a></td>
+        <td class="px-4 py-2 border-b border-gray-200">${country}</td>
+        <td class="px-4 py-2 border-b border-gray-200">
+          <span class="importance-${importance.toLowerCase()}">${importance}</span>
+        </td>
+        <td class="px-4 py-2 border-b border-gray-200">
+          <a href="${escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800">${sourceName}</a>
+        </td>
+      </tr>`;
+    }).join('');
+
+    // Extract morning report content
+    const morningReportSummary = morningReport?.summary || '';
+    const morningReportBrief = morningReport?.brief || '';
+    const hasAudioBrief = isAudioBrief(morningReportBrief);
+
+    // Format date for display
+    const dateFormatted = formatDateET(date + 'T12:00:00Z');
+
+    // JSON-LD: ItemList of Events
+    const jsonLd = {
+      "@context": "https://schema.org",
+      "@type": "ItemList",
+      "name": `Market Briefing — ${dateFormatted}`,
+      "description": `Daily market briefing with economic calendar and morning report for ${dateFormatted}`,
+      "itemListElement": sortedEvents.map((ev, idx) => ({
+        "@type": "ListItem",
+        "position": idx + 1,
+        "item": {
+          "@type": "Event",
+          "@id": eventPermalink(ev),
+          "url": eventPermalink(ev),
+          "name": ev.event || 'Economic Event',
+          "startDate": new Date(ev.date).toISOString(),
+          "eventStatus": "https://schema.org/EventScheduled",
+          "eventAttendanceMode": "https://schema.org/OnlineEventAttendanceMode",
+          "location": {
+            "@type": "Place",
+            "name": ev.country || 'Global',
+            "address": {
+              "@type": "PostalAddress",
+              "addressCountry": ev.country || 'Global'
+            }
+          },
+          "organizer": {
+            "@type": "Organization",
+            "name": ev.source?.name || 'Economic Authority',
+            "url": ev.source?.url || ''
+          },
+          "description": `${ev.importance || 'Medium'} importance economic event`,
+          "keywords": ev.tags ? ev.tags.join(', ') : 'economic calendar, market events, trading'
+        }
+      }))
+    };
+
+    // Set response headers with caching
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    // Stale as of the older of the two snapshots; a missing report isn't stale data but
+    // keeps the page just as short-lived. Otherwise cache for 10 minutes, shorter around
+    // releases so the release re-warm reaches the function
+    const staleSince = [snapshot.stale && snapshot.savedAt, reportStaleSince].filter(Boolean).sort()[0];
+    setSnapshotHeaders(
+      res,
+      { stale: Boolean(staleSince), savedAt: staleSince },
+      reportUnavailable ? 's-maxage=60, stale-while-revalidate=59' : releaseAwareCacheControl(600, 59)
+    );
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // A stale morning report is replaced as soon as upstream recovers, so it is part of the ETag like stale events
+    const etag = computeEtag([date, canonical, isToday, snapshot.stale && snapshot.savedAt, sortedEvents, morningReport, reportStaleSince, reportUnavailable]);
+    if (applyConditionalGet(req, res, { etag, lastModified: lastModifiedOf(sortedEvents) })) {
+      return;
+    }
+
+    // Previous/next trading days (day pages only)
+    const prev = isToday ? null : `/calendar/day/${adjacentTradingDay(date, -1)}`;
+    const next = isToday ? null : `/calendar/day/${adjacentTradingDay(date, 1)}`;
+
+    // Render HTML response
+    const html = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>Market Briefing — ${dateFormatted}</title>
+  <link rel="canonical" href="${canonical}"/>${prev ? `
+  <link rel="prev" href="${prev}"/>
+  <link rel="next" href="${next}"/>` : ''}
+  <link rel="alternate" type="application/rss+xml" title="Upcoming high-importance events (RSS)" href="https://marketsquawk.ai/feeds/upcoming.xml"/>
+  <link rel="alternate" type="application/atom+xml" title="Upcoming high-importance events (Atom)" href="https://marketsquawk.ai/feeds/upcoming.atom"/>
+  <meta name="description" content="Daily market briefing for ${dateFormatted} with morning report and economic calendar. Track ${sortedEvents.length} scheduled events with AI-powered market analysis."/>
+  <meta name="keywords" content="market briefing, economic calendar, morning report, trading schedule, financial events"/>
+  <meta property="og:title" content="Market Briefing — ${dateFormatted}"/>
+  <meta property="og:description" content="Daily market briefing with ${sortedEvents.length} economic events and morning market analysis."/>
+  <meta property="og:type" content="website"/>
+  <meta property="og:url" content="${canonical}"/>${snapshot.stale ? `
+  <meta name="data-stale" content="${escapeHtml(snapshot.savedAt)}"/>` : ''}
+  <script type="application/ld+json">${JSON.stringify(jsonLd, null, 2)}</script>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
+    .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+    h1 { margin: 0; padding: 20px; background: #1e293b; color: white; font-size: 1.5rem; }
+    h2 { margin: 20px 0 15px 0; padding: 0 20px; color: #374151; font-size: 1.25rem; }
+    .morning-report { padding: 0 20px 20px 20px; }
+    .morning-report p { color: #4b5563; margin: 15px 0; }
+    .audio-briefing { padding: 15px 20px; background: #f1f5f9; border-left: 4px solid #3b82f6; margin: 20px; border-radius: 4px; }
+    .audio-briefing figcaption { font-weight: 600; color: #374151; margin-bottom: 8px; }
+    .audio-briefing audio { width: 100%; }
+    .audio-briefing p { margin: 8px 0 0 0; font-size: 0.9rem; }
+    .audio-briefing a { color: #3b82f6; text-decoration: none; font-weight: 500; }
+    .audio-briefing a:hover { text-decoration: underline; }
+    .report-link { padding: 0 20px; margin: 0; }
+    .report-link a { color: #3b82f6; text-decoration: none; }
+    .events-schedule { padding: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th { background: #f8fafc; padding: 12px; text-align: left; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb; }
+    td { padding: 8px 12px; border-bottom: 1px solid #f3f4f6; }
+    tr:hover { background: #f9fafb; }
+    .importance-high { color: #dc2626; font-weight: 600; }
+    .importance-medium { color: #f59e0b; font-weight: 500; }
+    .importance-low { color: #10b981; }
+    .events-count { padding: 15px 20px; color: #6b7280; font-size: 0.9rem; }
+    .navigation { padding: 20px; text-align: center; background: #f1f5f9; border-top: 1px solid #e5e7eb; }
+    .navigation a { color: #3b82f6; text-decoration: none; margin: 0 15px; }
+    .navigation a:hover { text-decoration: underline; }
+    .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; border-top: 1px solid #f3f4f6; }
+    .no-content { text-align: center; padding: 40px; color: #6b7280; font-style: italic; }
+    .stale-notice { padding: 12px 20px; background: #fef3c7; color: #92400e; border-bottom: 1px solid #fde68a; font-size: 0.9rem; }
+  </style>
+</head>
+<body${snapshot.stale ? ' data-stale="true"' : ''}>
+  <div class="container">
+    <h1>Market Briefing — ${dateFormatted}</h1>${snapshot.stale ? `
+    <div class="stale-notice" role="status">
+      Live data is temporarily unavailable. Showing the calendar as of ${escapeHtml(new Date(snapshot.savedAt).toUTCString())}.
+    </div>` : ''}
+
+    ${morningReportSummary ? `
+    <section class="morning-report">
+      <h2>Morning Market Summary</h2>
+      ${formatReportParagraphs(morningReportSummary)}
+    </section>
+    ` : ''}
+
+    ${hasAudioBrief ? `
+    ${renderAudioBrief(morningReportBrief, `Morning brief for ${dateFormatted}`)}
+    ` : ''}
+
+    ${morningReportSummary || hasAudioBrief ? `
+    <p class="report-link"><a href="/calendar/morning-report/${date}">Full morning report →</a></p>
+    ` : ''}
+
+    <section class="events-schedule">
+      <h2>${isToday ? 'Today\'s Economic Calendar' : 'Economic Calendar'}</h2>
+      <div class="events-count">
+        ${sortedEvents.length} economic events scheduled for ${escapeHtml(dayLabel)}
+      </div>
+
+      ${sortedEvents.length > 0 ? `
+      <table>
+        <thead>
+          <tr>
+            <th>Time (ET)</th>
+            <th>Event</th>
+            <th>Country</th>
+            <th>Importance</th>
+            <th>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${eventRows}
+        </tbody>
+      </table>
+      ` : `
+      <div class="no-content">
+        No economic events scheduled for ${escapeHtml(dayLabel)}
+      </div>
+      `}
+    </section>
+
+    <nav class="navigation">${prev ? `
+      <a href="${prev}" rel="prev">← Previous trading day</a>
+      <span>|</span>
+      <a href="${next}" rel="next">Next trading day →</a>
+      <span>|</span>
+      <a href="/calendar/week/${getWeekStartDate(date)}">View Weekly Calendar</a>
+      <span>|</span>
+      <a href="/calendar/today">Today</a>` : `
+      <a href="/calendar/week">View Weekly Calendar</a>
+      <span>|</span>
+      <a href="/">Back to Market Squawk</a>`}
+    </nav>
+
+    <div class="footer">
+      Market Briefing powered by Market Squawk • Data updated every 10 minutes
+    </div>
+  </div>
+</body>
+</html>`;
+
+    res.status(200).send(html);
+
+  } catch (error) {
+    console.error('Daily calendar function error:', error);
+
+    // Return a basic error page
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.status(500).send(`<!doctype html>
+<html>
+<head>
+  <title>Market Briefing - Temporarily Unavailable</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+</head>
+<body style="font-family: sans-serif; padding: 20px; text-align: center;">
+  <h1>Market Briefing Temporarily Unavailable</h1>
+  <p>We're experiencing technical difficulties. Please try again in a few minutes.</p>
+  <p><a href="/calendar/week">← View Weekly Calendar</a></p>
+</body>
+</html>`);
+  }
+}
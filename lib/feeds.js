@@ -0,0 +1,197 @@
+/**
+ * RSS 2.0 and Atom feeds of upcoming calendar events
+ */
+
+import { escapeHtml, formatTimeET, formatDateET, getTodayInET } from './utils.js';
+import { eventKey } from './ical.js';
+import { eventPermalink } from './calendarEvents.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { applyCalendarFilters, parseCalendarFilters } from './calendarFilters.js';
+import { sortEvents } from './calendarPaging.js';
+import { checkEnum, parseInteger, MIN_IMPORTANCE_VALUES } from './validation.js';
+
+const SITE_URL = 'https://marketsquawk.ai';
+
+/**
+ * Default and maximum number of days covered by a feed
+ */
+export const FEED_DEFAULT_DAYS = 7;
+export const FEED_MAX_DAYS = 60;
+
+/**
+ * Importance threshold used when none is requested
+ */
+export const FEED_DEFAULT_IMPORTANCE = 'high';
+
+/**
+ * Suggested feed reader polling interval in minutes (RSS <ttl>)
+ */
+export const FEED_TTL_MINUTES = 30;
+
+/**
+ * Escape text for XML, dropping control characters XML 1.0 cannot carry
+ * @param {string} value - Raw text
+ * @returns {string} XML-safe text
+ */
+export function escapeXml(value) {
+  return escapeHtml(String(value ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, ''));
+}
+
+/**
+ * Parse feed query parameters
+ * @param {Object} query - Request query (days, minImportance)
+ * @returns {Object} { days, minImportance } or { error }
+ */
+export function parseFeedOptions(query = {}) {
+  const days = parseInteger(query.days, 'days', { min: 1, max: FEED_MAX_DAYS, fallback: FEED_DEFAULT_DAYS });
+  if (days.error) {
+    return { error: days.error };
+  }
+
+  const minImportance = query.minImportance ? String(query.minImportance).trim().toLowerCase() : FEED_DEFAULT_IMPORTANCE;
+  const error = checkEnum([minImportance], MIN_IMPORTANCE_VALUES, 'minImportance');
+  if (error) {
+    return { error };
+  }
+
+  return { days: days.value, minImportance };
+}
+
+/**
+ * Fetch upcoming events for a feed: releases from now until the end of the
+ * requested number of days (ET), at or above the importance threshold
+ * @param {Object} options - Result of parseFeedOptions
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Events in release order
+ */
+export async function loadUpcomingEvents({ days, minImportance }, now = new Date()) {
+  const fromDate = getTodayInET();
+  const end = new Date(`${fromDate}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + days - 1);
+  const toDate = end.toISOString().split('T')[0];
+
+  const events = await fetchCalendarEvents(fromDate, toDate, { timeout: 10000 });
+  const upcoming = events.filter((ev) => ev.date && new Date(ev.date) >= now);
+
+  return sortEvents(applyCalendarFilters(upcoming, parseCalendarFilters({ minImportance })));
+}
+
+/**
+ * Build a stable, globally unique feed entry id for an event
+ * @param {Object} ev - Calendar event
+ * @returns {string} tag: URI (RFC 4151)
+ */
+export function feedEntryId(ev) {
+  return `tag:marketsquawk.ai,2025:event:${eventKey(ev)}`;
+}
+
+/**
+ * Plain-text summary of an event for feed descriptions
+ * @param {Object} ev - Calendar event
+ * @returns {string} Summary line
+ */
+function summarizeEvent(ev) {
+  const parts = [
+    `${formatDateET(ev.date)} at ${formatTimeET(ev.date)} ET`,
+    `${ev.importance || 'low'} importance`,
+    String(ev.category || 'other').replace(/_/g, ' '),
+    ev.country || 'Unknown'
+  ];
+  if (ev.source?.name) parts.push(`Source: ${ev.source.name}`);
+  return parts.join(' · ');
+}
+
+// ISO timestamp of a date value, or null when it doesn't parse
+const isoDate = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+const feedTitle = (minImportance) => minImportance === 'all'
+  ? 'Market Squawk - Upcoming Economic Events'
+  : `Market Squawk - Upcoming Economic Events (${minImportance} importance and above)`;
+
+/**
+ * Build an RSS 2.0 feed
+ * @param {Array} events - Events in release order (events without a valid date are skipped)
+ * @param {Object} options - { minImportance, days, selfUrl, now }
+ * @returns {string} RSS XML
+ */
+export function buildRssFeed(events, { minImportance, days, selfUrl, now = new Date() }) {
+  const items = events.filter((ev) => isoDate(ev.date)).map((ev) => {
+    const link = ev.source?.url || eventPermalink(ev);
+    return `    <item>
+      <title>${escapeXml(ev.event || 'Economic Event')}</title>
+      <link>${escapeXml(link)}</link>
+      <guid isPermaLink="false">${escapeXml(feedEntryId(ev))}</guid>
+      <pubDate>${new Date(ev.date).toUTCString()}</pubDate>
+      <description>${escapeXml(summarizeEvent(ev))}</description>
+      <category>${escapeXml(ev.category || 'other')}</category>
+    </item>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feedTitle(minImportance))}</title>
+    <link>${SITE_URL}/calendar/week</link>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <description>${escapeXml(`Economic releases scheduled over the next ${days} days`)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${now.toUTCString()}</lastBuildDate>
+    <ttl>${FEED_TTL_MINUTES}</ttl>
+${items}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Build an Atom (RFC 4287) feed
+ * @param {Array} events - Events in release order (events without a valid date are skipped)
+ * @param {Object} options - { minImportance, days, selfUrl, now }
+ * @returns {string} Atom XML
+ */
+export function buildAtomFeed(events, { minImportance, days, selfUrl, now = new Date() }) {
+  const entries = events.filter((ev) => isoDate(ev.date)).map((ev) => {
+    const page = eventPermalink(ev);
+    const published = isoDate(ev.date);
+    return `  <entry>
+    <id>${escapeXml(feedEntryId(ev))}</id>
+    <title>${escapeXml(ev.event || 'Economic Event')}</title>
+    <published>${published}</published>
+    <updated>${isoDate(ev.updated_at) || published}</updated>
+    <link rel="alternate" type="text/html" href="${escapeXml(page)}"/>${ev.source?.url ? `
+    <link rel="related" href="${escapeXml(ev.source.url)}" title="${escapeXml(ev.source.name || 'Source')}"/>` : ''}
+    <category term="${escapeXml(ev.category || 'other')}"/>
+    <summary>${escapeXml(summarizeEvent(ev))}</summary>
+  </entry>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(selfUrl)}</id>
+  <title>${escapeXml(feedTitle(minImportance))}</title>
+  <subtitle>${escapeXml(`Economic releases scheduled over the next ${days} days`)}</subtitle>
+  <updated>${now.toISOString()}</updated>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${SITE_URL}/calendar/week"/>
+  <author><name>Market Squawk</name></author>
+${entries}
+</feed>
+`;
+}
+
+/**
+ * Build the canonical self URL of a feed, keeping only non-default parameters
+ * @param {string} path - Public feed path (e.g. /feeds/upcoming.xml)
+ * @param {Object} options - Result of parseFeedOptions
+ * @returns {string} Absolute URL
+ */
+export function feedSelfUrl(path, { days, minImportance }) {
+  const params = new URLSearchParams();
+  if (days !== FEED_DEFAULT_DAYS) params.set('days', String(days));
+  if (minImportance !== FEED_DEFAULT_IMPORTANCE) params.set('minImportance', minImportance);
+  const qs = params.toString();
+  return `${SITE_URL}${path}${qs ? `?${qs}` : ''}`;
+}
@@ -0,0 +1,30 @@
+/**
+ * Helpers shared by the file-backed stores (snapshots, subscriptions, warm-cache runs
+ * and the morning report archive)
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Write a file atomically
+ * The data goes to a temp file in the same directory which is then renamed over the
+ * target, so readers see the old or the new contents and never a partial write. The
+ * temp name is unique per call, so concurrent writes to one file can't clobber each
+ * other's temp file; the last rename wins
+ * @param {string} file - Target path (its directory is created when missing)
+ * @param {string} data - File contents
+ * @returns {Promise<void>}
+ */
+export async function writeFileAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.${randomBytes(4).toString('hex')}.tmp`;
+  try {
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+  } catch (error) {
+    await fs.rm(tmp, { force: true });
+    throw error;
+  }
+}
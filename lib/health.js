@@ -0,0 +1,237 @@
+/**
+ * Health and readiness diagnostics
+ * Probes every upstream base directly (no retries, no circuit breaker) so the report
+ * shows what upstream is doing right now, alongside the snapshot and warm-up state
+ * the pages fall back on. Reports are reused for HEALTH_CACHE_SECONDS so health
+ * checks can't add upstream load of their own
+ */
+
+import { getTodayInET, computeDayRange, computeWeekRange, createTimeoutSignal } from './utils.js';
+import { getUpstreamBases, getCircuitStates, UPSTREAM_HEADERS } from './upstream.js';
+import { getSnapshotStore, calendarSnapshotKey, morningReportSnapshotKey } from './snapshotStore.js';
+import { getWarmRunStatus } from './warmCache.js';
+import { API_VERSION } from './openapi.js';
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Read health check configuration from the environment
+ * @returns {Object} { probeTimeoutMs, maxClockSkewSeconds, cacheSeconds }
+ */
+export function getHealthConfig() {
+  return {
+    probeTimeoutMs: readInt('HEALTH_PROBE_TIMEOUT_MS', 3000),
+    maxClockSkewSeconds: readInt('HEALTH_MAX_CLOCK_SKEW_SECONDS', 300),
+    cacheSeconds: readInt('HEALTH_CACHE_SECONDS', 30)
+  };
+}
+
+/**
+ * Probe one upstream path on one base URL
+ * Clock skew is the upstream Date header minus our clock at the request midpoint
+ * (positive when our clock is behind)
+ * @param {string} name - Check name
+ * @param {string} path - Path including query string
+ * @param {Object} options - { timeout, base } (base defaults to the primary base URL)
+ * @returns {Promise<Object>} { name, base, ok, status, latencyMs, skewSeconds, error }
+ */
+export async function probeUpstream(name, path, { timeout = getHealthConfig().probeTimeoutMs, base = getUpstreamBases()[0] } = {}) {
+  const started = Date.now();
+  try {
+    const response = await fetch(`${base}${path}`, {
+      headers: UPSTREAM_HEADERS,
+      signal: createTimeoutSignal(timeout)
+    });
+    const finished = Date.now();
+    const upstreamDate = Date.parse(response.headers?.get?.('date'));
+
+    return {
+      name,
+      base,
+      ok: response.ok,
+      status: response.status,
+      latencyMs: finished - started,
+      skewSeconds: Number.isNaN(upstreamDate) ? null : Math.round((upstreamDate - (started + finished) / 2) / 1000)
+    };
+  } catch (error) {
+    return {
+      name,
+      base,
+      ok: false,
+      status: null,
+      latencyMs: Date.now() - started,
+      skewSeconds: null,
+      error: error.name === 'AbortError' || error.name === 'TimeoutError' ? `Timed out after ${timeout}ms` : error.message
+    };
+  }
+}
+
+/**
+ * Describe the snapshots today's pages fall back on
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @param {number} now - Current time (ms)
+ * @returns {Promise<Array>} Entries with name, present, savedAt and ageSeconds
+ */
+export async function describeSnapshots(todayET, now = Date.now()) {
+  const day = computeDayRange(todayET);
+  const week = computeWeekRange(todayET);
+  const entries = [
+    ['calendar:today', calendarSnapshotKey(day.fromDate, day.toDate)],
+    ['calendar:week', calendarSnapshotKey(week.fromDate, week.toDate)],
+    ['morning_report:today', morningReportSnapshotKey(todayET)]
+  ];
+
+  const store = getSnapshotStore();
+  return Promise.all(entries.map(async ([name, key]) => {
+    const snapshot = await store.get(key);
+    return {
+      name,
+      present: Boolean(snapshot),
+      savedAt: snapshot?.savedAt || null,
+      ageSeconds: snapshot ? Math.round((now - Date.parse(snapshot.savedAt)) / 1000) : null
+    };
+  }));
+}
+
+/**
+ * Build information from the deployment environment
+ * @returns {Object} { version, commit, environment, deploymentId }
+ */
+export function getBuildInfo() {
+  return {
+    version: API_VERSION,
+    commit: process.env.VERCEL_GIT_COMMIT_SHA || null,
+    environment: process.env.VERCEL_ENV || process.env.NODE_ENV || null,
+    deploymentId: process.env.VERCEL_DEPLOYMENT_ID || null
+  };
+}
+
+/**
+ * Run every check and build the health report
+ * Each upstream path is probed on every base URL, since requests fail over between
+ * them. The service is degraded when no base answers a path or the clock is skewed by
+ * more than maxClockSkewSeconds; a failing base that others cover, missing snapshots
+ * and warm-ups are reported only
+ * @returns {Promise<Object>} Report with status 'ok' or 'degraded'
+ */
+export async function buildHealthReport() {
+  const config = getHealthConfig();
+  const todayET = getTodayInET();
+  const { fromDate, toDate } = computeDayRange(todayET);
+  const bases = getUpstreamBases();
+  const paths = [
+    ['calendar', `/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`],
+    ['morning_report', '/morning_report']
+  ];
+
+  const [probes, snapshots, warmCache] = await Promise.all([
+    Promise.all(paths.flatMap(([name, path]) => bases.map((base) => probeUpstream(name, path, { timeout: config.probeTimeoutMs, base })))),
+    describeSnapshots(todayET).catch((error) => ({ error: error.message })),
+    getWarmRunStatus().catch((error) => ({ error: error.message }))
+  ]);
+
+  const skews = probes.map((probe) => probe.skewSeconds).filter((skew) => skew !== null);
+  const skewSeconds = skews.length > 0 ? Math.max(...skews.map(Math.abs)) : null;
+
+  const problems = [];
+  const warnings = [];
+  for (const [name] of paths) {
+    const checks = probes.filter((probe) => probe.name === name);
+    for (const probe of checks.filter((check) => !check.ok)) {
+      const message = `upstream ${probe.name} ${probe.error || `returned ${probe.status}`}`;
+      if (checks.some((check) => check.ok)) {
+        warnings.push(`${message} on ${probe.base}`);
+      } else {
+        problems.push(bases.length > 1 ? `${message} on ${probe.base}` : message);
+      }
+    }
+  }
+  if (skewSeconds !== null && skewSeconds > config.maxClockSkewSeconds) {
+    problems.push(`clock skewed by ${skewSeconds}s`);
+  }
+
+  return {
+    status: problems.length === 0 ? 'ok' : 'degraded',
+    problems,
+    warnings,
+    checkedAt: new Date().toISOString(),
+    build: getBuildInfo(),
+    upstream: {
+      checks: probes,
+      circuits: getCircuitStates().map(({ base, state, failures }) => ({ base, state, failures }))
+    },
+    clock: { skewSeconds, maxSkewSeconds: config.maxClockSkewSeconds },
+    snapshots,
+    warmCache
+  };
+}
+
+/**
+ * Reduce a health report to what anyone may see
+ * Keeps whether each upstream path answers on some base (with the best latency), the
+ * clock skew, snapshot ages and when warm-ups last ran; base URLs, error messages,
+ * circuit states, warm-up results and build identifiers stay in the admin report
+ * @param {Object} report - Result of buildHealthReport
+ * @returns {Object} { status, checkedAt, version, upstream, clock, snapshots, warmCache }
+ */
+export function summarizeHealthReport(report) {
+  const upstream = {};
+  for (const probe of report.upstream.checks) {
+    const check = upstream[probe.name] || (upstream[probe.name] = { ok: false, latencyMs: null });
+    if (probe.ok) {
+      check.ok = true;
+      check.latencyMs = check.latencyMs === null ? probe.latencyMs : Math.min(check.latencyMs, probe.latencyMs);
+    }
+  }
+
+  return {
+    status: report.status,
+    checkedAt: report.checkedAt,
+    version: report.build.version,
+    upstream,
+    clock: { skewSeconds: report.clock.skewSeconds },
+    snapshots: Array.isArray(report.snapshots)
+      ? report.snapshots.map(({ name, present, ageSeconds }) => ({ name, present, ageSeconds }))
+      : null,
+    warmCache: {
+      lastRunAt: report.warmCache.lastRun?.startedAt ?? null,
+      lastSuccessAt: report.warmCache.lastSuccess?.startedAt ?? null
+    }
+  };
+}
+
+// Latest report and when it expires; `pending` coalesces concurrent rebuilds
+let cachedReport = null;
+let pending = null;
+
+/**
+ * Get the health report, rebuilding it at most once per HEALTH_CACHE_SECONDS
+ * @param {Object} options - { now } current time in ms
+ * @returns {Promise<Object>} Health report
+ */
+export async function getHealthReport({ now = Date.now() } = {}) {
+  if (cachedReport && cachedReport.expires > now) return cachedReport.report;
+  if (!pending) {
+    const ttlMs = getHealthConfig().cacheSeconds * 1000;
+    pending = buildHealthReport()
+      .then((report) => {
+        cachedReport = { report, expires: now + ttlMs };
+        return report;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return pending;
+}
+
+/**
+ * Forget the cached health report (used by tests)
+ */
+export function resetHealthReport() {
+  cachedReport = null;
+  pending = null;
+}
@@ -0,0 +1,195 @@
+/**
+ * iCalendar (RFC 5545) serialisation of calendar events
+ */
+
+import { createHash } from 'crypto';
+
+/**
+ * Product identifier written to every VCALENDAR
+ */
+export const ICAL_PRODID = '-//Market Squawk//Economic Calendar//EN';
+
+/**
+ * Maximum reminder lead time in minutes (one day)
+ */
+export const MAX_ALARM_MINUTES = 1440;
+
+const CRLF = '\r\n';
+
+/**
+ * Parse a reminder lead time query parameter
+ * @param {string|undefined} value - Raw value in minutes
+ * @returns {number|null|undefined} Minutes, null when absent, undefined when invalid
+ */
+export function parseAlarmMinutes(value) {
+  if (value === undefined || value === '') return null;
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ALARM_MINUTES) return undefined;
+  return minutes;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeICalText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to at most 75 octets per line (RFC 5545 §3.1)
+ * Never splits a multi-byte UTF-8 character
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (without trailing CRLF)
+ */
+export function foldICalLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  // Continuation lines start with a space, which counts toward their 75 octets
+  let maxBytes = 75;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, 'utf8');
+    if (currentBytes + bytes > maxBytes) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+      maxBytes = 74;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * Format a date as a UTC DATE-TIME value (e.g. 20240115T133000Z)
+ * @param {Date|string} date - Date to format
+ * @returns {string|null} iCalendar UTC timestamp, or null when the date doesn't parse
+ */
+export function formatICalDate(date) {
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return null;
+  return parsed.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a stable key for an event
+ * Uses the upstream _id; falls back to a hash of date and name for events without one
+ * @param {Object} ev - Calendar event
+ * @returns {string} Event key
+ */
+export function eventKey(ev) {
+  return ev._id || createHash('sha1').update(`${ev.date}|${ev.event}|${ev.country}`).digest('hex');
+}
+
+/**
+ * Build a stable UID for an event
+ * @param {Object} ev - Calendar event
+ * @returns {string} Globally unique identifier
+ */
+export function eventUid(ev) {
+  return `${eventKey(ev)}@marketsquawk.ai`;
+}
+
+/**
+ * Build the human-readable VEVENT description
+ * @param {Object} ev - Calendar event
+ * @returns {string} Plain-text description
+ */
+function describeEvent(ev) {
+  const lines = [
+    `Importance: ${ev.importance || 'low'}`,
+    `Category: ${String(ev.category || 'other').replace(/_/g, ' ')}`,
+    `Country: ${ev.country || 'Unknown'}`
+  ];
+  if (ev.source?.name) {
+    lines.push(`Source: ${ev.source.name}${ev.source.url ? ` (${ev.source.url})` : ''}`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Serialise one event as VEVENT content lines
+ * @param {Object} ev - Calendar event
+ * @param {Object} options - { alarmMinutes, now }
+ * @returns {string[]} Unfolded content lines
+ */
+function buildVEvent(ev, { alarmMinutes, now }) {
+  // Malformed upstream timestamps are left out rather than failing the whole calendar
+  const created = ev.created_at ? formatICalDate(ev.created_at) : null;
+  const lastModified = ev.updated_at ? formatICalDate(ev.updated_at) : null;
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(ev)}`,
+    `DTSTAMP:${lastModified || formatICalDate(now)}`,
+    `DTSTART:${formatICalDate(ev.date)}`,
+    `SUMMARY:${escapeICalText(ev.event || 'Economic Event')}`,
+    `DESCRIPTION:${escapeICalText(describeEvent(ev))}`
+  ];
+
+  if (ev.category) lines.push(`CATEGORIES:${escapeICalText(ev.category)}`);
+  if (ev.source?.url) lines.push(`URL:${ev.source.url}`);
+  if (created) lines.push(`CREATED:${created}`);
+  if (lastModified) lines.push(`LAST-MODIFIED:${lastModified}`);
+  // Releases are points in time; don't block out busy time in the user's calendar
+  lines.push('TRANSP:TRANSPARENT');
+
+  if (alarmMinutes > 0) {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeICalText(ev.event || 'Economic Event')}`,
+      `TRIGGER:-PT${alarmMinutes}M`,
+      'END:VALARM'
+    );
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * Build a complete VCALENDAR document
+ * @param {Array} events - Calendar events (events without a valid date are skipped)
+ * @param {Object} options - Calendar options
+ * @param {string} options.name - Calendar display name (X-WR-CALNAME)
+ * @param {number} options.alarmMinutes - Reminder lead time; 0 or null for no VALARM
+ * @param {number} options.refreshMinutes - Suggested polling interval for subscribed clients
+ * @param {Date} options.now - Timestamp for DTSTAMP when events lack updated_at
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function buildICalendar(events, { name = 'Market Squawk Economic Calendar', alarmMinutes = null, refreshMinutes = null, now = new Date() } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICAL_PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeICalText(name)}`,
+    'X-WR-TIMEZONE:UTC'
+  ];
+
+  if (refreshMinutes > 0) {
+    // RFC 7986 property plus the older Outlook/Apple equivalent
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refreshMinutes}M`, `X-PUBLISHED-TTL:PT${refreshMinutes}M`);
+  }
+
+  for (const ev of events) {
+    if (!ev.date || Number.isNaN(new Date(ev.date).getTime())) continue;
+    lines.push(...buildVEvent(ev, { alarmMinutes, now }));
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldICalLine).join(CRLF) + CRLF;
+}
@@ -0,0 +1,305 @@
+/**
+ * Archive of past morning reports, one per ET day
+ * Upstream only serves the latest report, so each day's report (summary, MP3 brief
+ * and calendar) is archived when it is fetched and stays readable once replaced.
+ * The archive has to outlive function instances to be useful, so in production a
+ * non-durable archive refuses reads instead of answering "not archived"
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getTodayInET, getDateInET } from './utils.js';
+import { fetchMorningReport } from './upstream.js';
+import { isValidYmd } from './validation.js';
+import { isTradingDay } from './tradingDays.js';
+import { writeFileAtomic } from './fileStore.js';
+import { loadWithSnapshot, morningReportSnapshotKey, getSnapshotStore } from './snapshotStore.js';
+
+/**
+ * Days the history route returns when no range is given
+ */
+export const DEFAULT_HISTORY_DAYS = 30;
+
+/**
+ * Report fields upstream may date a report with, checked in order
+ */
+export const REPORT_DATE_FIELDS = ['date', 'report_date', 'created_at'];
+
+/**
+ * Error thrown when past reports are read from an archive that only this instance can see
+ */
+export class MorningReportArchiveUnavailableError extends Error {
+  constructor(message = 'Morning report archive is not configured for this deployment') {
+    super(message);
+    this.name = 'MorningReportArchiveUnavailableError';
+  }
+}
+
+/**
+ * Build the archive entry for a day's report
+ * @param {string} date - Day in ET (YYYY-MM-DD)
+ * @param {Object} report - Upstream morning report
+ * @returns {Object} { date, summary, brief, calendar, archivedAt }
+ */
+export function toArchiveEntry(date, report) {
+  return {
+    date,
+    summary: report.summary ?? null,
+    brief: report.brief ?? null,
+    calendar: report.calendar ?? null,
+    archivedAt: new Date().toISOString()
+  };
+}
+
+const inRange = (date, fromDate, toDate) => (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+
+const newestFirst = (a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0);
+
+/**
+ * Create an in-memory morning report archive
+ * Not durable: each function instance has its own and loses it on a cold start
+ * @returns {Object} Archive with async save/get/list/clear
+ */
+export function createMemoryMorningReportArchive() {
+  const entries = new Map();
+
+  return {
+    durable: false,
+
+    async save(date, report) {
+      const entry = toArchiveEntry(date, report);
+      entries.set(date, entry);
+      return entry;
+    },
+
+    async get(date) {
+      return entries.get(date) || null;
+    },
+
+    async list(fromDate, toDate) {
+      return [...entries.values()].filter((entry) => inRange(entry.date, fromDate, toDate)).sort(newestFirst);
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Create a file-backed morning report archive (one JSON file per day)
+ * Saving a day only writes that day's file, so concurrent saves never overwrite each
+ * other. Durable only with an explicit directory on persistent storage; the default
+ * directory in the OS temp directory is per instance, like the in-memory archive
+ * @param {Object} options - Archive options
+ * @param {string} options.dir - Directory holding the day files
+ * @returns {Object} Archive with async save/get/list/clear
+ */
+export function createFileMorningReportArchive({ dir } = {}) {
+  const dirPath = dir || path.join(os.tmpdir(), 'market-squawk-morning-reports');
+  // Only valid days map to files, so a date can never name a path outside the directory
+  const fileOf = (date) => (isValidYmd(date) ? path.join(dirPath, `${date}.json`) : null);
+
+  const read = async (date) => {
+    const file = fileOf(date);
+    if (!file) return null;
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const days = async () => {
+    try {
+      return (await fs.readdir(dirPath))
+        .filter((name) => name.endsWith('.json'))
+        .map((name) => name.slice(0, -'.json'.length))
+        .filter(isValidYmd);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+
+  return {
+    durable: Boolean(dir),
+
+    async save(date, report) {
+      const file = fileOf(date);
+      if (!file) throw new Error(`Invalid archive date: ${date}`);
+      const entry = toArchiveEntry(date, report);
+      await writeFileAtomic(file, JSON.stringify(entry, null, 2));
+      return entry;
+    },
+
+    get: read,
+
+    async list(fromDate, toDate) {
+      const entries = await Promise.all((await days()).filter((date) => inRange(date, fromDate, toDate)).map(read));
+      return entries.filter(Boolean).sort(newestFirst);
+    },
+
+    async clear() {
+      await fs.rm(dirPath, { recursive: true, force: true });
+    }
+  };
+}
+
+let defaultArchive = null;
+
+/**
+ * Get the shared morning report archive
+ * Uses the file-backed archive when MORNING_REPORT_ARCHIVE=file (directory from
+ * MORNING_REPORT_ARCHIVE_DIR), otherwise an in-memory archive; any other store
+ * with the same methods can be installed with setMorningReportArchive
+ * @returns {Object} Morning report archive
+ */
+export function getMorningReportArchive() {
+  if (!defaultArchive) {
+    defaultArchive = process.env.MORNING_REPORT_ARCHIVE === 'file'
+      ? createFileMorningReportArchive({ dir: process.env.MORNING_REPORT_ARCHIVE_DIR })
+      : createMemoryMorningReportArchive();
+  }
+  return defaultArchive;
+}
+
+/**
+ * Replace the shared morning report archive (pass null to rebuild it from the environment)
+ * @param {Object|null} archive - Morning report archive
+ */
+export function setMorningReportArchive(archive) {
+  defaultArchive = archive;
+}
+
+const isProduction = () => process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+
+/**
+ * Get the shared archive for reading past reports
+ * In production a non-durable archive only holds what this instance happened to fetch,
+ * so reads fail rather than report other instances' days as missing, unless
+ * MORNING_REPORT_ARCHIVE=memory opts in to that explicitly
+ * @returns {Object} Morning report archive
+ * @throws {MorningReportArchiveUnavailableError} When the archive can't be trusted for reads
+ */
+export function getReadableMorningReportArchive() {
+  const archive = getMorningReportArchive();
+  if (archive.durable === false && isProduction() && process.env.MORNING_REPORT_ARCHIVE !== 'memory') {
+    console.error('Morning report archive is per instance; set MORNING_REPORT_ARCHIVE_DIR on persistent storage or install a shared archive');
+    throw new MorningReportArchiveUnavailableError();
+  }
+  return archive;
+}
+
+/**
+ * Get the ET day a report belongs to
+ * @param {Object} report - Upstream morning report
+ * @returns {string|null} Day from the first REPORT_DATE_FIELDS field upstream sent, or null
+ */
+export function reportDay(report) {
+  for (const field of REPORT_DATE_FIELDS) {
+    const value = report?.[field];
+    if (typeof value !== 'string' || !value) continue;
+    const day = isValidYmd(value) ? value : getDateInET(value);
+    if (day) return day;
+  }
+  return null;
+}
+
+const sameReport = (entry, report) => entry.summary === (report.summary ?? null) && entry.brief === (report.brief ?? null);
+
+const unchanged = (entry, report) => sameReport(entry, report)
+  && JSON.stringify(entry.calendar) === JSON.stringify(report.calendar ?? null);
+
+/**
+ * Pick the day to archive a report under
+ * Upstream keeps serving the previous report until the next one is published, so an
+ * undated report is only filed under today on trading days, and not when it is the
+ * report already archived for an earlier day
+ * @param {Object} report - Upstream morning report
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @param {Object} archive - Morning report archive
+ * @returns {Promise<string|null>} Day (YYYY-MM-DD), or null when the report shouldn't be archived
+ */
+async function archiveDayFor(report, todayET, archive) {
+  const own = reportDay(report);
+  if (own) return own;
+  if (!isTradingDay(todayET)) return null;
+
+  const dayBefore = new Date(Date.parse(`${todayET}T00:00:00Z`) - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+  const [previous] = await archive.list(null, dayBefore);
+  return previous && sameReport(previous, report) ? null : todayET;
+}
+
+/**
+ * Archive a report, replacing what was archived for its day
+ * The day is the report's own date when upstream sends one (see archiveDayFor).
+ * Reports without a summary or brief are skipped so an empty response never
+ * overwrites a real one, and a report identical to the archived one is not written
+ * again; a write failure is logged rather than failing the request
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @param {Object} report - Upstream morning report
+ * @param {Object} archive - Morning report archive (defaults to the shared archive)
+ * @returns {Promise<Object|null>} The archive entry, or null when nothing was archived
+ */
+export async function archiveMorningReport(todayET, report, archive = getMorningReportArchive()) {
+  if (!report || (!report.summary && !report.brief)) return null;
+  try {
+    const date = await archiveDayFor(report, todayET, archive);
+    if (!date) return null;
+    const archived = await archive.get(date);
+    return archived && unchanged(archived, report) ? archived : await archive.save(date, report);
+  } catch (error) {
+    console.warn('Morning report archive write failed:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Fetch the latest morning report and archive it
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @returns {Promise<Object>} Morning report
+ * @throws {UpstreamError} On a non-OK status
+ */
+export async function fetchAndArchiveMorningReport(todayET = getTodayInET()) {
+  const report = await fetchMorningReport();
+  await archiveMorningReport(todayET, report);
+  return report;
+}
+
+/**
+ * Load the latest morning report, archiving it and falling back to its last good snapshot
+ * Shared by /api/v1/morning-report and its legacy alias
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @returns {Promise<Object>} Result of loadWithSnapshot ({ data, stale, savedAt })
+ * @throws {Error} The upstream error when no snapshot exists
+ */
+export function loadLatestMorningReport(todayET = getTodayInET()) {
+  return loadWithSnapshot(morningReportSnapshotKey(todayET), () => fetchAndArchiveMorningReport(todayET));
+}
+
+/**
+ * Load the morning report for an ET day
+ * Upstream only serves the latest report, so today's is fetched (and archived) while
+ * past days read the morning report archive, then the snapshot store; only today's
+ * report can be stale (upstream failed and its last good snapshot is served).
+ * Past days are only as durable as the archive: see getReadableMorningReportArchive
+ * @param {string} date - Day in ET (YYYY-MM-DD)
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} { data, stale, savedAt }, or null when no report is available
+ * @throws {MorningReportArchiveUnavailableError} For a past day when the archive is per instance in production
+ */
+export async function loadMorningReportForDay(date, todayET = getTodayInET()) {
+  if (date === todayET) {
+    return loadLatestMorningReport(todayET);
+  }
+  if (date < todayET) {
+    const entry = await getReadableMorningReportArchive().get(date);
+    if (entry) return { data: entry, stale: false, savedAt: entry.archivedAt };
+    const snapshot = await getSnapshotStore().get(morningReportSnapshotKey(date));
+    return snapshot ? { data: snapshot.data, stale: false, savedAt: snapshot.savedAt } : null;
+  }
+  return null;
+}
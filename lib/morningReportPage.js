@@ -0,0 +1,306 @@
+/**
+ * Server-rendered morning report page: /calendar/morning-report/:date
+ * The report summary, an audio player for the MP3 brief and that day's events,
+ * with PodcastEpisode/AudioObject JSON-LD. The summary and audio helpers are shared
+ * with the daily briefing pages
+ */
+
+import { computeDayRange, escapeHtml, formatTimeET, formatDateET } from './utils.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from './snapshotStore.js';
+import { loadMorningReportForDay } from './morningReportArchive.js';
+import { eventPermalink } from './calendarEvents.js';
+import { computeEtag, applyConditionalGet } from './conditionalGet.js';
+
+const SITE_URL = 'https://marketsquawk.ai';
+
+/**
+ * Permalink of a day's morning report page
+ * @param {string} date - Day in ET (YYYY-MM-DD)
+ * @returns {string} Absolute URL
+ */
+export const morningReportPermalink = (date) => `${SITE_URL}/calendar/morning-report/${date}`;
+
+// Upstream occasionally sends events without a parseable date; they can't be placed on the page
+const hasValidDate = (ev) => !Number.isNaN(new Date(ev.date).getTime());
+
+/**
+ * Check whether a report brief is a playable MP3 URL
+ * @param {*} brief - Report brief
+ * @returns {boolean} True for http(s) URLs ending in .mp3 (query strings allowed)
+ */
+export function isAudioBrief(brief) {
+  return typeof brief === 'string' && /^https?:\/\/[^\s]+\.mp3(\?[^\s]*)?$/i.test(brief.trim());
+}
+
+/**
+ * Render report text as paragraphs
+ * Blank lines separate paragraphs and single line breaks are kept
+ * @param {string} summary - Report text
+ * @returns {string} HTML <p> elements (empty when there is no text)
+ */
+export function formatReportParagraphs(summary) {
+  return String(summary || '')
+    .split(/\r?\n\s*\r?\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map((paragraph) => `<p>${paragraph.split(/\r?\n/).map(escapeHtml).join('<br/>')}</p>`)
+    .join('\n      ');
+}
+
+/**
+ * Render an accessible audio player for the MP3 brief
+ * Keeps a direct link for browsers without audio support and for downloading
+ * @param {string} brief - MP3 URL
+ * @param {string} label - Accessible name, e.g. 'Morning brief for Monday, January 15, 2024'
+ * @returns {string} HTML <figure> (empty when the brief is not an MP3 URL)
+ */
+export function renderAudioBrief(brief, label) {
+  if (!isAudioBrief(brief)) return '';
+  const src = escapeHtml(brief.trim());
+  return `<figure class="audio-briefing">
+      <figcaption>🎧 Morning Brief</figcaption>
+      <audio controls preload="none" src="${src}" aria-label="${escapeHtml(label)}">
+        <a href="${src}">Listen to Morning Brief (MP3)</a>
+      </audio>
+      <p><a href="${src}" target="_blank" rel="noopener noreferrer">Listen to Morning Brief</a> (MP3)</p>
+    </figure>`;
+}
+
+// Keep "</script>" in upstream text from closing the JSON-LD block
+const serializeJsonLd = (value) => JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+
+/**
+ * Build the JSON-LD for a morning report page
+ * A PodcastEpisode with the brief as its AudioObject, or an Article when there is no audio;
+ * events without a valid date are left out of mentions
+ * @param {Object} options - { date, report, events }
+ * @returns {Object} JSON-LD document
+ */
+export function buildMorningReportJsonLd({ date, report, events }) {
+  const canonical = morningReportPermalink(date);
+  const dateFormatted = formatDateET(date + 'T12:00:00Z');
+  const hasAudio = isAudioBrief(report.brief);
+  const description = String(report.summary || '').replace(/\s+/g, ' ').trim().slice(0, 300);
+
+  return {
+    "@context": "https://schema.org",
+    "@type": hasAudio ? "PodcastEpisode" : "Article",
+    "@id": canonical,
+    "url": canonical,
+    "name": `Morning Market Brief — ${dateFormatted}`,
+    ...(hasAudio ? {} : { "headline": `Morning Market Brief — ${dateFormatted}` }),
+    "datePublished": date,
+    ...(description ? { "description": description } : {}),
+    "inLanguage": "en-US",
+    "publisher": {
+      "@type": "Organization",
+      "name": "Market Squawk",
+      "url": SITE_URL
+    },
+    ...(hasAudio ? {
+      "partOfSeries": {
+        "@type": "PodcastSeries",
+        "name": "Market Squawk Morning Brief",
+        "url": `${SITE_URL}/calendar/today`
+      },
+      "associatedMedia": {
+        "@type": "AudioObject",
+        "contentUrl": report.brief.trim(),
+        "encodingFormat": "audio/mpeg",
+        "name": `Morning Market Brief — ${dateFormatted}`,
+        "uploadDate": date
+      }
+    } : {}),
+    "mentions": events.filter(hasValidDate).map((ev) => ({
+      "@type": "Event",
+      "@id": eventPermalink(ev),
+      "name": ev.event || 'Economic Event',
+      "startDate": new Date(ev.date).toISOString()
+    }))
+  };
+}
+
+/**
+ * Render a minimal status page
+ * @param {string} title - Page title and heading
+ * @param {string} message - Explanation shown to the reader
+ * @returns {string} HTML document
+ */
+function statusPage(title, message) {
+  return `<!doctype html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <meta name="robots" content="noindex"/>
+</head>
+<body style="font-family: sans-serif; padding: 20px; text-align: center;">
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  <p><a href="/calendar/today">← Today's Briefing</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * Render the morning report page for one ET day and send it (or a 304 when the client's copy is current)
+ * Answers 404 when no report exists for the day and 503 when today's report cannot be
+ * loaded; the events section is left out (with a notice) when the calendar cannot be loaded
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} options - Page options
+ * @param {string} options.date - Day in ET (YYYY-MM-DD)
+ * @returns {Promise<void>}
+ */
+export async function sendMorningReportPage(req, res, { date }) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+
+  try {
+    const { fromDate, toDate } = computeDayRange(date);
+    const [reportResult, calendarResult] = await Promise.allSettled([
+      loadMorningReportForDay(date),
+      loadWithSnapshot(calendarSnapshotKey(fromDate, toDate), () => fetchCalendarEvents(fromDate, toDate))
+    ]);
+
+    if (reportResult.status === 'rejected') {
+      console.error('Morning report page upstream error:', reportResult.reason?.message || 'Unknown error');
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Retry-After', '60');
+      return res.status(503).send(statusPage('Morning Report - Temporarily Unavailable', 'The morning report could not be loaded. Please try again in a minute.'));
+    }
+
+    const reportSnapshot = reportResult.value;
+    const report = reportSnapshot?.data;
+    if (!report || (!report.summary && !isAudioBrief(report.brief))) {
+      res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+      return res.status(404).send(statusPage('Morning Report Not Found', `No morning report was archived for ${formatDateET(date + 'T12:00:00Z')}.`));
+    }
+
+    if (calendarResult.status === 'rejected') {
+      console.error('Morning report page calendar error:', calendarResult.reason?.message || 'Unknown error');
+    }
+    const calendar = calendarResult.status === 'fulfilled' ? calendarResult.value : null;
+    const events = (calendar?.data || []).filter(hasValidDate).sort((a, b) => new Date(a.date) - new Date(b.date));
+    const partial = !calendar || calendar.stale || reportSnapshot.stale;
+
+    const canonical = morningReportPermalink(date);
+    const dateFormatted = formatDateET(date + 'T12:00:00Z');
+    const title = `Morning Market Brief — ${dateFormatted}`;
+    const hasAudio = isAudioBrief(report.brief);
+    const jsonLd = buildMorningReportJsonLd({ date, report, events });
+
+    // Keep pages with missing or stale events short-lived at the edge
+    res.setHeader('Cache-Control', partial ? 's-maxage=60, stale-while-revalidate=59' : 's-maxage=600, stale-while-revalidate=59');
+
+    const etag = computeEtag([date, report.summary, report.brief, partial, calendar?.stale && calendar.savedAt, reportSnapshot.stale && reportSnapshot.savedAt, events]);
+    if (applyConditionalGet(req, res, { etag })) {
+      return;
+    }
+
+    const eventRows = events.map((ev) => `<tr>
+          <td class="time">${formatTimeET(ev.date)} ET</td>
+          <td><a href="${escapeHtml(eventPermalink(ev))}">${escapeHtml(ev.event || 'Economic Event')}</a></td>
+          <td>${escapeHtml(ev.country || 'Unknown')}</td>
+          <td><span class="importance-${escapeHtml(String(ev.importance || 'low').toLowerCase())}">${escapeHtml(ev.importance || 'low')}</span></td>
+        </tr>`).join('\n        ');
+
+    const eventsSection = !calendar
+      ? `<p class="notice" role="status">The economic calendar for this day could not be loaded. Please try again in a minute.</p>`
+      : events.length > 0
+        ? `<table>
+        <caption class="visually-hidden">Economic events on ${escapeHtml(dateFormatted)}</caption>
+        <thead>
+          <tr>
+            <th scope="col">Time (ET)</th>
+            <th scope="col">Event</th>
+            <th scope="col">Country</th>
+            <th scope="col">Importance</th>
+          </tr>
+        </thead>
+        <tbody>
+        ${eventRows}
+        </tbody>
+      </table>`
+        : `<p class="no-content">No economic events scheduled for ${escapeHtml(dateFormatted)}</p>`;
+
+    const html = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeHtml(title)}</title>
+  <link rel="canonical" href="${canonical}"/>
+  <meta name="description" content="${escapeHtml(jsonLd.description || `Morning market brief for ${dateFormatted}.`)}"/>
+  <meta property="og:title" content="${escapeHtml(title)}"/>
+  <meta property="og:type" content="article"/>
+  <meta property="og:url" content="${canonical}"/>${hasAudio ? `
+  <meta property="og:audio" content="${escapeHtml(report.brief.trim())}"/>
+  <meta property="og:audio:type" content="audio/mpeg"/>` : ''}
+  <script type="application/ld+json">${serializeJsonLd(jsonLd)}</script>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
+    .container { max-width: 800px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+    h1 { margin: 0; padding: 20px; background: #1e293b; color: white; font-size: 1.5rem; }
+    h2 { margin: 20px 0 15px 0; padding: 0 20px; color: #374151; font-size: 1.25rem; }
+    nav { padding: 15px 20px; background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
+    nav a { color: #3b82f6; text-decoration: none; margin: 0 10px; }
+    nav a:hover { text-decoration: underline; }
+    .morning-report { padding: 0 20px 10px 20px; }
+    .morning-report p { color: #4b5563; margin: 15px 0; }
+    .audio-briefing { padding: 15px 20px; background: #f1f5f9; border-left: 4px solid #3b82f6; margin: 20px; border-radius: 4px; }
+    .audio-briefing figcaption { font-weight: 600; color: #374151; margin-bottom: 8px; }
+    .audio-briefing audio { width: 100%; }
+    .audio-briefing p { margin: 8px 0 0 0; font-size: 0.9rem; }
+    .audio-briefing a { color: #3b82f6; }
+    table { width: 100%; border-collapse: collapse; }
+    th { background: #f8fafc; padding: 12px; text-align: left; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb; }
+    td { padding: 8px 12px; border-bottom: 1px solid #f3f4f6; }
+    td a { color: #3b82f6; text-decoration: none; }
+    .time { font-family: monospace; white-space: nowrap; }
+    .importance-high { color: #dc2626; font-weight: 600; }
+    .importance-medium { color: #f59e0b; font-weight: 500; }
+    .importance-low { color: #10b981; }
+    .notice { padding: 12px 20px; margin: 0 20px; background: #fef3c7; color: #92400e; border-radius: 4px; }
+    .no-content { text-align: center; padding: 20px; color: #6b7280; font-style: italic; }
+    .visually-hidden { position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; }
+    .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; border-top: 1px solid #f3f4f6; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(title)}</h1>
+    <nav>
+      <a href="/calendar/day/${date}">← Briefing for ${escapeHtml(dateFormatted)}</a>
+      <span>|</span>
+      <a href="/calendar/today">Today</a>
+    </nav>
+
+    <main>
+    ${hasAudio ? renderAudioBrief(report.brief, `Morning brief for ${dateFormatted}`) : ''}
+
+    ${report.summary ? `<section class="morning-report" aria-labelledby="summary-heading">
+      <h2 id="summary-heading">Morning Market Summary</h2>
+      ${formatReportParagraphs(report.summary)}
+    </section>` : ''}
+
+    <section class="events-schedule" aria-labelledby="events-heading">
+      <h2 id="events-heading">Economic Calendar</h2>
+      ${eventsSection}
+    </section>
+    </main>
+
+    <div class="footer">
+      Morning Brief powered by Market Squawk
+    </div>
+  </div>
+</body>
+</html>`;
+
+    return res.status(200).send(html);
+  } catch (error) {
+    console.error('Morning report page error:', error);
+    return res.status(500).send(statusPage('Morning Report - Error', 'Something went wrong loading this report.'));
+  }
+}
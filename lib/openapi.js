@@ -0,0 +1,253 @@
+/**
+ * OpenAPI 3.1 document for the public API and the server-rendered pages
+ * Built from the definitions in lib/apiSchema.js, so the document always matches
+ * what the routes actually validate
+ */
+
+import {
+  CALENDAR_PARAMETERS,
+  MORNING_REPORT_PARAMETERS,
+  MORNING_REPORT_HISTORY_PARAMETERS,
+  PAGE_PARAMETERS,
+  COMPONENT_SCHEMAS
+} from './apiSchema.js';
+import { VALIDATION_CODES } from './validation.js';
+
+const SITE_URL = 'https://marketsquawk.ai';
+
+/**
+ * Version of the API described by the document
+ */
+export const API_VERSION = '1.0.0';
+
+const json = (schema) => ({ 'application/json': { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const RESPONSES = {
+  ValidationError: {
+    description: `Invalid parameter. \`error.code\` is one of ${Object.values(VALIDATION_CODES).join(', ')}.`,
+    content: json(ref('ValidationError'))
+  },
+  Unauthorized: {
+    description: 'Unknown or revoked API key, or a key is required for this route.',
+    content: json(ref('Error'))
+  },
+  Forbidden: {
+    description: 'The API key lacks the scope this route requires.',
+    content: json(ref('Error'))
+  },
+  TooManyRequests: {
+    description: 'Rate limit or daily quota exceeded; retry after the number of seconds in Retry-After.',
+    headers: {
+      'Retry-After': { schema: { type: 'integer' } }
+    },
+    content: json(ref('Error'))
+  },
+  UpstreamUnavailable: {
+    description: 'The upstream data source is unavailable and no snapshot exists.',
+    content: json(ref('Error'))
+  }
+};
+
+const RATE_LIMIT_HEADERS = {
+  'RateLimit-Limit': { description: 'Bucket capacity.', schema: { type: 'integer' } },
+  'RateLimit-Remaining': { description: 'Requests left in the bucket.', schema: { type: 'integer' } },
+  'RateLimit-Reset': { description: 'Seconds until the bucket is full again.', schema: { type: 'integer' } }
+};
+
+const apiResponses = (ok) => ({
+  200: ok,
+  401: { $ref: '#/components/responses/Unauthorized' },
+  403: { $ref: '#/components/responses/Forbidden' },
+  429: { $ref: '#/components/responses/TooManyRequests' }
+});
+
+const apiError = (description) => ({ description, content: json(ref('ApiError')) });
+
+// /api/v1 answers every failure with a typed ApiError
+const v1Responses = (ok, extra = {}) => ({
+  200: ok,
+  ...extra,
+  401: apiError('`unauthorized`: unknown or revoked API key, or a key is required for this route.'),
+  403: apiError('`forbidden`: the API key lacks the scope this route requires.'),
+  429: { ...apiError('`rate_limited` or `quota_exceeded`; retry after the number of seconds in Retry-After.'), headers: RESPONSES.TooManyRequests.headers },
+  503: apiError('`upstream_unavailable`: upstream failed and no snapshot exists; `archive_unavailable`: the morning report archive is not durable in this deployment.')
+});
+
+const VALIDATOR_HEADERS = {
+  ETag: { description: 'Changes whenever the events (and, on pages, the morning report) change.', schema: { type: 'string' } },
+  'Last-Modified': { description: 'Latest updated_at among the events.', schema: { type: 'string' } }
+};
+
+const NOT_MODIFIED = { description: 'Not modified: If-None-Match matched.' };
+
+const STALE_HEADERS = {
+  'X-Data-Stale': { description: '`true` when meta.stale is.', schema: { type: 'string' } },
+  'X-Data-As-Of': { description: 'meta.fetchedAt when meta.stale is true.', schema: { type: 'string', format: 'date-time' } }
+};
+
+/**
+ * Describe a server-rendered HTML page
+ * @param {string} summary - One-line summary
+ * @param {string} description - What the page shows
+ * @param {Array} parameters - Path parameters
+ * @param {Object} options - { conditional } when the page supports conditional GET
+ * @returns {Object} OpenAPI path item
+ */
+const htmlPage = (summary, description, parameters = [], { conditional = false } = {}) => ({
+  get: {
+    tags: ['Pages'],
+    summary,
+    description,
+    parameters,
+    responses: {
+      200: {
+        description: 'HTML page with JSON-LD structured data.',
+        ...(conditional ? { headers: VALIDATOR_HEADERS } : {}),
+        content: { 'text/html': { schema: { type: 'string' } } }
+      },
+      ...(conditional ? { 304: NOT_MODIFIED } : {}),
+      ...(parameters.length > 0 ? { 400: { $ref: '#/components/responses/ValidationError' } } : {}),
+      503: { description: 'Upstream is unavailable and no snapshot exists (HTML, Retry-After set).', content: { 'text/html': { schema: { type: 'string' } } } }
+    }
+  }
+});
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object} OpenAPI 3.1 document
+ */
+export function buildOpenApiDocument() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Market Squawk Economic Calendar API',
+      version: API_VERSION,
+      description: 'Economic calendar events and the daily morning report. API keys are optional: anonymous requests are rate limited per IP, keyed requests per key.'
+    },
+    servers: [{ url: SITE_URL }],
+    tags: [
+      { name: 'API v1', description: 'Versioned JSON endpoints with the { data, meta } envelope' },
+      { name: 'API', description: 'Legacy JSON endpoints, kept as aliases' },
+      { name: 'Pages', description: 'Server-rendered HTML pages' }
+    ],
+    security: [{}, { apiKey: [] }, { bearer: [] }],
+    paths: {
+      '/api/v1/calendar': {
+        get: {
+          tags: ['API v1'],
+          summary: 'List calendar events',
+          description: 'Events in a date range with optional filtering, full-text search, sorting and cursor pagination, in the { data, meta } envelope. Serves the last good snapshot (meta.stale) when upstream fails. Requires the calendar:read scope when called with an API key.',
+          parameters: CALENDAR_PARAMETERS,
+          responses: v1Responses({
+            description: 'Matching events.',
+            headers: {
+              'X-Total-Count': { description: 'Matching events before pagination.', schema: { type: 'integer' } },
+              Link: { description: 'RFC 8288 links with rel="first" and rel="next" when paginated.', schema: { type: 'string' } },
+              ETag: { description: 'Weak ETag; changes whenever the events change.', schema: { type: 'string' } },
+              'Last-Modified': VALIDATOR_HEADERS['Last-Modified'],
+              ...STALE_HEADERS,
+              ...RATE_LIMIT_HEADERS
+            },
+            content: json(ref('CalendarEnvelope'))
+          }, {
+            304: NOT_MODIFIED,
+            400: apiError(`Invalid parameter; \`error.code\` is one of ${Object.values(VALIDATION_CODES).join(', ')} and \`error.field\` names the parameter.`)
+          })
+        }
+      },
+      '/api/v1/morning-report': {
+        get: {
+          tags: ['API v1'],
+          summary: 'Get the latest or an archived morning report',
+          description: 'Summary text and MP3 brief of the latest morning report in the { data, meta } envelope; meta.fromDate and meta.toDate are today in US Eastern time. With date, returns the report archived for that day (meta.source is archive). Requires the morning-report:read scope when called with an API key.',
+          parameters: MORNING_REPORT_PARAMETERS,
+          responses: v1Responses({
+            description: 'Morning report, or the archived report when date is a past day.',
+            headers: { ...STALE_HEADERS, ...RATE_LIMIT_HEADERS },
+            content: json(ref('MorningReportEnvelope'))
+          }, {
+            400: apiError('`invalid_date`: date is not a real day in YYYY-MM-DD format.'),
+            404: apiError('`not_found`: no report archived for date.')
+          })
+        }
+      },
+      '/api/calendar': {
+        get: {
+          tags: ['API'],
+          deprecated: true,
+          summary: 'List calendar events (legacy)',
+          description: 'Legacy alias of /api/v1/calendar that returns a bare array, with X-Data-Stale when the last good snapshot is served. Requires the calendar:read scope when called with an API key.',
+          parameters: CALENDAR_PARAMETERS,
+          responses: {
+            ...apiResponses({
+              description: 'Matching events.',
+              headers: {
+                'X-Total-Count': { description: 'Matching events before pagination.', schema: { type: 'integer' } },
+                Link: { description: 'RFC 8288 links with rel="first" and rel="next" when paginated.', schema: { type: 'string' } },
+                ...VALIDATOR_HEADERS,
+                ...RATE_LIMIT_HEADERS
+              },
+              content: json({ type: 'array', items: ref('Event') })
+            }),
+            304: NOT_MODIFIED,
+            400: { $ref: '#/components/responses/ValidationError' },
+            503: { $ref: '#/components/responses/UpstreamUnavailable' }
+          }
+        }
+      },
+      '/api/morning-report': {
+        get: {
+          tags: ['API'],
+          deprecated: true,
+          summary: 'Get the latest morning report (legacy)',
+          description: 'Legacy alias of /api/v1/morning-report that returns the bare report, with null fields and an error message when upstream fails and no snapshot exists. With date, returns the report archived for that day instead. Requires the morning-report:read scope when called with an API key.',
+          parameters: MORNING_REPORT_PARAMETERS,
+          responses: {
+            ...apiResponses({
+              description: 'Morning report, or the archived report when date is a past day.',
+              headers: RATE_LIMIT_HEADERS,
+              content: json({ anyOf: [ref('MorningReport'), ref('ArchivedMorningReport')] })
+            }),
+            400: { $ref: '#/components/responses/ValidationError' },
+            404: { description: 'No report archived for date.', content: json(ref('Error')) }
+          }
+        }
+      },
+      '/api/morning-report/history': {
+        get: {
+          tags: ['API'],
+          summary: 'List archived morning reports',
+          description: 'Reports archived for each US Eastern day in the range, newest first. Each day keeps the last report fetched that day. Requires the morning-report:read scope when called with an API key.',
+          parameters: MORNING_REPORT_HISTORY_PARAMETERS,
+          responses: {
+            ...apiResponses({
+              description: 'Archived reports.',
+              headers: RATE_LIMIT_HEADERS,
+              content: json(ref('MorningReportHistory'))
+            }),
+            400: { $ref: '#/components/responses/ValidationError' }
+          }
+        }
+      },
+      '/calendar/today': htmlPage('Today\'s briefing', 'Morning report and today\'s events (US Eastern time).', [], { conditional: true }),
+      '/calendar/day/{date}': htmlPage('Daily briefing', 'Briefing for any day, with the archived morning report for past days and links to the previous/next trading days.', [PAGE_PARAMETERS.date], { conditional: true }),
+      '/calendar/morning-report/{date}': htmlPage('Morning report', 'Summary, MP3 audio player and events of one day\'s morning report, with PodcastEpisode JSON-LD; 404 when no report was archived for the day.', [PAGE_PARAMETERS.date], { conditional: true }),
+      '/calendar/week': htmlPage('This week', 'Events of the current Monday-to-Sunday week.', [], { conditional: true }),
+      '/calendar/week/{start}': htmlPage('Weekly calendar', 'Events of one week.', [PAGE_PARAMETERS.start], { conditional: true }),
+      '/calendar/month': htmlPage('This month', 'Events of the current month, grouped by day.'),
+      '/calendar/month/{month}': htmlPage('Monthly calendar', 'Events of one month, grouped by day.', [PAGE_PARAMETERS.month]),
+      '/calendar/category/{category}': htmlPage('Category page', 'Upcoming and recent events in one category.', [PAGE_PARAMETERS.category]),
+      '/calendar/country/{code}': htmlPage('Country page', 'Upcoming and recent events from one country.', [PAGE_PARAMETERS.code]),
+      '/calendar/event/{date}/{id}': htmlPage('Event page', 'Permalink for one release on its release day (US Eastern time), with links to the previous and next occurrences of its series; 404 when the event is not on that day.', [PAGE_PARAMETERS.date, PAGE_PARAMETERS.id])
+    },
+    components: {
+      schemas: COMPONENT_SCHEMAS,
+      responses: RESPONSES,
+      securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', description: 'The same API key sent as a bearer token.' }
+      }
+    }
+  };
+}
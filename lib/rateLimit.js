@@ -0,0 +1,204 @@
+/**
+ * Token-bucket rate limiting for the public API routes
+ * Each client (API key, or IP address for anonymous requests) gets a bucket that
+ * refills continuously; a request spends one token and gets 429 when the bucket is empty
+ * Applied by withApiAccess (lib/apiAccess.js)
+ */
+
+/**
+ * Maximum number of buckets kept by the in-memory store
+ */
+const MEMORY_STORE_LIMIT = 10000;
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Parse a trusted-proxy setting
+ * @param {string} value - 'vercel', 'none', or the number of proxies in front of the app
+ * @returns {string|number} 'vercel', 'none' or a hop count (anything else is 'none')
+ */
+export function parseTrustedProxy(value) {
+  const setting = String(value || '').trim().toLowerCase();
+  if (setting === 'vercel') return 'vercel';
+  if (/^\d+$/.test(setting) && Number(setting) > 0) return Number(setting);
+  return 'none';
+}
+
+/**
+ * Read rate limit configuration from the environment
+ * Evaluated per request so deployments (and tests) can change it at runtime
+ * Anonymous clients get the tighter `ip` policy; `key` is the default for API keys
+ * without their own quota. `trustedProxy` says which forwarding headers name the client
+ * (see clientAddress): RATE_LIMIT_TRUSTED_PROXY, defaulting to 'vercel' on Vercel and
+ * 'none' elsewhere
+ * @returns {Object} { enabled, trustedProxy, ip: { capacity, refillPerMinute }, key: { capacity, refillPerMinute } }
+ */
+export function getRateLimitConfig() {
+  return {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    trustedProxy: parseTrustedProxy(process.env.RATE_LIMIT_TRUSTED_PROXY ?? (process.env.VERCEL ? 'vercel' : 'none')),
+    ip: {
+      capacity: Math.max(1, readInt('RATE_LIMIT_IP_CAPACITY', 30)),
+      refillPerMinute: readInt('RATE_LIMIT_IP_REFILL_PER_MINUTE', 30)
+    },
+    key: {
+      capacity: Math.max(1, readInt('RATE_LIMIT_KEY_CAPACITY', 600)),
+      refillPerMinute: readInt('RATE_LIMIT_KEY_REFILL_PER_MINUTE', 600)
+    }
+  };
+}
+
+/**
+ * Create an in-memory bucket store
+ * Least recently used buckets are evicted once the store holds more than `limit` keys;
+ * an evicted bucket simply starts full again
+ * @param {Object} options - Store options
+ * @param {number} options.limit - Maximum number of buckets
+ * @returns {Object} Store with async get/set/clear
+ */
+export function createMemoryRateLimitStore({ limit = MEMORY_STORE_LIMIT } = {}) {
+  const buckets = new Map();
+
+  return {
+    async get(key) {
+      return buckets.get(key) || null;
+    },
+
+    async set(key, bucket) {
+      buckets.delete(key);
+      buckets.set(key, bucket);
+      if (buckets.size > limit) {
+        buckets.delete(buckets.keys().next().value);
+      }
+      return bucket;
+    },
+
+    async clear() {
+      buckets.clear();
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared bucket store (in-memory, so limits apply per function instance)
+ * @returns {Object} Rate limit store
+ */
+export function getRateLimitStore() {
+  if (!defaultStore) {
+    defaultStore = createMemoryRateLimitStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Replace the shared bucket store, e.g. with one backed by a shared cache
+ * (pass null to go back to the in-memory store)
+ * @param {Object|null} store - Store with async get(key) and set(key, bucket)
+ */
+export function setRateLimitStore(store) {
+  defaultStore = store;
+}
+
+const headerValue = (req, name) => {
+  const value = req.headers?.[name];
+  return Array.isArray(value) ? value[0] : value;
+};
+
+/**
+ * Address of the client that sent a request
+ * Forwarding headers are only believed when a proxy that sets them is trusted, since
+ * clients can send any value themselves:
+ * - 'vercel': the platform-set X-Vercel-Forwarded-For (else X-Real-IP), which Vercel
+ *   overwrites on every request
+ * - a hop count n: the n-th X-Forwarded-For entry from the right, i.e. the address the
+ *   outermost trusted proxy saw (entries further left are client-supplied)
+ * - 'none': the socket address only
+ * @param {Object} req - Request object
+ * @param {string|number} trustedProxy - Trusted proxy setting (defaults to the configured one)
+ * @returns {string} Client address, or 'unknown'
+ */
+export function clientAddress(req, trustedProxy = getRateLimitConfig().trustedProxy) {
+  const socket = req.socket?.remoteAddress || 'unknown';
+
+  if (trustedProxy === 'vercel') {
+    const forwarded = headerValue(req, 'x-vercel-forwarded-for');
+    return (forwarded ? forwarded.split(',')[0].trim() : '') || headerValue(req, 'x-real-ip') || socket;
+  }
+
+  if (typeof trustedProxy === 'number') {
+    const hops = String(headerValue(req, 'x-forwarded-for') || '')
+      .split(',')
+      .map((hop) => hop.trim())
+      .filter(Boolean);
+    return hops.length >= trustedProxy ? hops[hops.length - trustedProxy] : socket;
+  }
+
+  return socket;
+}
+
+/**
+ * Spend one token from a bucket
+ * @param {Object|null} bucket - Stored { tokens, updatedAt }, or null for a new client
+ * @param {Object} policy - { capacity, refillPerMinute }
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { bucket, allowed, remaining, resetSeconds, retryAfterSeconds }
+ */
+export function takeToken(bucket, { capacity, refillPerMinute }, now = Date.now()) {
+  const perMs = refillPerMinute / 60000;
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) : 0;
+  const available = bucket ? Math.min(capacity, bucket.tokens + elapsed * perMs) : capacity;
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+  const secondsUntil = (target) => (perMs > 0 ? Math.ceil((target - tokens) / perMs / 1000) : null);
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    remaining: Math.floor(tokens),
+    resetSeconds: tokens >= capacity ? 0 : secondsUntil(capacity),
+    retryAfterSeconds: allowed ? 0 : secondsUntil(1)
+  };
+}
+
+/**
+ * Apply a rate limit policy to a client, setting RateLimit-* headers
+ * Responds with 429 and Retry-After when the client's bucket is empty; a failing
+ * store lets the request through rather than taking the API down with it
+ * @param {Object} res - Response object
+ * @param {Object} client - { id, policy } where policy is { capacity, refillPerMinute }
+ * @param {Object} options - { body } sent with the 429
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+export async function applyRateLimit(res, { id, policy }, { body = { error: 'Too many requests' } } = {}) {
+  if (!getRateLimitConfig().enabled) return true;
+
+  const store = getRateLimitStore();
+
+  let result;
+  try {
+    result = takeToken(await store.get(id), policy);
+    await store.set(id, result.bucket);
+  } catch (error) {
+    console.warn('Rate limit store failed:', error.message);
+    return true;
+  }
+
+  const window = policy.refillPerMinute > 0 ? Math.ceil(policy.capacity * 60 / policy.refillPerMinute) : 0;
+  res.setHeader('RateLimit-Policy', window > 0 ? `${policy.capacity};w=${window}` : String(policy.capacity));
+  res.setHeader('RateLimit-Limit', String(policy.capacity));
+  res.setHeader('RateLimit-Remaining', String(result.remaining));
+  if (result.resetSeconds !== null) res.setHeader('RateLimit-Reset', String(result.resetSeconds));
+
+  if (!result.allowed) {
+    res.setHeader('Cache-Control', 'no-store');
+    if (result.retryAfterSeconds !== null) res.setHeader('Retry-After', String(result.retryAfterSeconds));
+    res.status(429).json(body);
+    return false;
+  }
+  return true;
+}
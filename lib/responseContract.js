@@ -0,0 +1,39 @@
+/**
+ * Response contract check for the /api/v1 routes
+ * Outside production, each envelope is validated against its schema in lib/apiSchema.js
+ * (the one the OpenAPI document publishes) before it is sent, and mismatches are logged,
+ * so a route that drifts from the documented contract shows up in development and tests
+ */
+
+import { validateSchema, COMPONENT_SCHEMAS } from './apiSchema.js';
+
+/**
+ * Whether responses are checked (everywhere but production, unless API_CONTRACT_CHECK is set)
+ * @returns {boolean} True when checkResponseContract validates
+ */
+export function isContractCheckEnabled() {
+  const setting = process.env.API_CONTRACT_CHECK;
+  if (setting !== undefined && setting !== '') return setting === 'true';
+  return process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Validate a response body against a component schema and log any mismatch
+ * Never throws: a mismatch is a bug to fix, not a reason to fail the request
+ * @param {string} route - Route path used in the log message
+ * @param {*} body - Response body
+ * @param {string} schemaName - Key of COMPONENT_SCHEMAS
+ * @returns {string[]} Problems found (empty when valid or when checks are off)
+ */
+export function checkResponseContract(route, body, schemaName) {
+  if (!isContractCheckEnabled()) return [];
+  if (!COMPONENT_SCHEMAS[schemaName]) {
+    console.warn(`${route}: unknown response schema ${schemaName}`);
+    return [];
+  }
+  const problems = validateSchema(body, { $ref: `#/components/schemas/${schemaName}` });
+  if (problems.length > 0) {
+    console.warn(`${route} response does not match ${schemaName}:`, problems.join('; '));
+  }
+  return problems;
+}
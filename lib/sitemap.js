@@ -0,0 +1,243 @@
+/**
+ * Dynamic XML sitemap (sitemaps.org protocol 0.9)
+ * Covers the landing pages, a rolling window of week, month and day pages, the
+ * category and country pages and every event page in the week window; sets larger than the per-file URL limit
+ * are split into numbered files behind a sitemap index
+ */
+
+import { getTodayInET, getWeekStartDate, getMonthKey, splitDateRange } from './utils.js';
+import { fetchCalendarEvents } from './upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from './snapshotStore.js';
+import { eventPermalink, rememberEvents } from './calendarEvents.js';
+import { SLICE_KINDS, normalizeSliceValue, slicePageUrl } from './calendarSlices.js';
+import { isTradingDay } from './tradingDays.js';
+import { escapeXml } from './feeds.js';
+import { normalizeEvent } from '../utils/eventUtils.js';
+
+const SITE_URL = 'https://marketsquawk.ai';
+
+/**
+ * Maximum number of URLs in one sitemap file (protocol limit)
+ */
+export const SITEMAP_MAX_URLS = 50000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days loaded from upstream per request
+const WINDOW_DAYS = 31;
+
+const readInt = (name, fallback, max = Infinity) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? Math.min(value, max) : fallback;
+};
+
+/**
+ * Read sitemap configuration from the environment
+ * @returns {Object} { pastWeeks, futureWeeks, pastMonths, futureMonths, maxUrls }
+ */
+export function getSitemapConfig() {
+  return {
+    pastWeeks: readInt('SITEMAP_PAST_WEEKS', 4),
+    futureWeeks: readInt('SITEMAP_FUTURE_WEEKS', 7),
+    pastMonths: readInt('SITEMAP_PAST_MONTHS', 3),
+    futureMonths: readInt('SITEMAP_FUTURE_MONTHS', 2),
+    maxUrls: Math.max(1, readInt('SITEMAP_MAX_URLS', SITEMAP_MAX_URLS, SITEMAP_MAX_URLS))
+  };
+}
+
+const addDays = (ymd, days) => new Date(Date.parse(`${ymd}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+const dayInET = (isoDate) => new Date(isoDate).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+/**
+ * Latest updated_at per page key
+ * @param {Array} events - Normalised events
+ * @param {Function} keyOf - Maps an event's ET day to a page key
+ * @returns {Map} Page key to ISO timestamp
+ */
+function latestUpdates(events, keyOf) {
+  const latest = new Map();
+  for (const ev of events) {
+    if (!ev.updated_at || Number.isNaN(Date.parse(ev.updated_at))) continue;
+    const key = keyOf(dayInET(ev.date));
+    const updated = new Date(ev.updated_at).toISOString();
+    if (!latest.has(key) || updated > latest.get(key)) latest.set(key, updated);
+  }
+  return latest;
+}
+
+/**
+ * Load the events of a date range, one snapshot-backed upstream request per window
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} Normalised events
+ */
+async function loadWindowEvents(fromDate, toDate) {
+  const events = [];
+  for (const window of splitDateRange(fromDate, toDate, WINDOW_DAYS)) {
+    const { data } = await loadWithSnapshot(
+      calendarSnapshotKey(window.fromDate, window.toDate),
+      () => fetchCalendarEvents(window.fromDate, window.toDate, { timeout: 10000 })
+    );
+    events.push(...data.map(normalizeEvent).filter(Boolean));
+  }
+  // Event pages linked from the sitemap can then be resolved without a scan
+  rememberEvents(events);
+  return events;
+}
+
+/**
+ * Build every sitemap entry
+ * @param {Object} config - Result of getSitemapConfig
+ * @returns {Promise<Array>} [{ loc, lastmod, changefreq, priority }]
+ * @throws {UpstreamError} When a window can't be loaded and has no snapshot
+ */
+export async function buildSitemapEntries(config = getSitemapConfig()) {
+  const today = getTodayInET();
+  const currentWeek = getWeekStartDate(today);
+  const currentMonth = today.slice(0, 7);
+  const fromDate = addDays(currentWeek, -7 * config.pastWeeks);
+  const toDate = addDays(currentWeek, 7 * config.futureWeeks + 6);
+
+  const events = await loadWindowEvents(fromDate, toDate);
+  const weekUpdates = latestUpdates(events, (day) => getWeekStartDate(day));
+  const monthUpdates = latestUpdates(events, (day) => day.slice(0, 7));
+  const dayUpdates = latestUpdates(events, (day) => day);
+
+  const entries = [
+    { loc: `${SITE_URL}/`, changefreq: 'hourly', priority: '1.0' },
+    { loc: `${SITE_URL}/calendar/today`, lastmod: dayUpdates.get(today), changefreq: 'hourly', priority: '1.0' },
+    { loc: `${SITE_URL}/calendar/week`, lastmod: weekUpdates.get(currentWeek), changefreq: 'hourly', priority: '1.0' }
+  ];
+
+  for (let i = -config.pastWeeks; i <= config.futureWeeks; i++) {
+    const week = addDays(currentWeek, 7 * i);
+    entries.push({
+      loc: `${SITE_URL}/calendar/week/${week}`,
+      lastmod: weekUpdates.get(week),
+      changefreq: i < 0 ? 'weekly' : 'daily',
+      priority: i < 0 ? '0.8' : '0.9'
+    });
+  }
+
+  const [year, month] = currentMonth.split('-').map(Number);
+  for (let i = -config.pastMonths; i <= config.futureMonths; i++) {
+    const key = getMonthKey(new Date(Date.UTC(year, month - 1 + i, 1)));
+    entries.push({
+      loc: `${SITE_URL}/calendar/month/${key}`,
+      lastmod: monthUpdates.get(key),
+      changefreq: i < 0 ? 'monthly' : 'daily',
+      priority: i < 0 ? '0.6' : '0.7'
+    });
+  }
+
+  // Category and country pages for every value seen in the window
+  for (const [kind, slice] of Object.entries(SLICE_KINDS)) {
+    const sliceUpdates = new Map();
+    for (const ev of events) {
+      const value = normalizeSliceValue(kind, String(ev[slice.field] || ''));
+      if (!value) continue;
+      const updated = ev.updated_at && !Number.isNaN(Date.parse(ev.updated_at)) ? new Date(ev.updated_at).toISOString() : '';
+      if (!sliceUpdates.has(value) || updated > sliceUpdates.get(value)) sliceUpdates.set(value, updated);
+    }
+    for (const value of [...sliceUpdates.keys()].sort()) {
+      entries.push({
+        loc: slicePageUrl(kind, value),
+        lastmod: sliceUpdates.get(value) || undefined,
+        changefreq: 'daily',
+        priority: '0.7'
+      });
+    }
+  }
+
+  for (let day = fromDate; day <= toDate; day = addDays(day, 1)) {
+    if (!isTradingDay(day)) continue;
+    entries.push({
+      loc: `${SITE_URL}/calendar/day/${day}`,
+      lastmod: dayUpdates.get(day),
+      changefreq: day < today ? 'weekly' : 'daily',
+      priority: day < today ? '0.5' : '0.6'
+    });
+  }
+
+  const now = Date.now();
+  const seen = new Set();
+  for (const ev of [...events].sort((a, b) => new Date(a.date) - new Date(b.date))) {
+    const loc = eventPermalink(ev);
+    if (seen.has(loc)) continue;
+    seen.add(loc);
+    const released = new Date(ev.date).getTime() <= now;
+    entries.push({
+      loc,
+      lastmod: ev.updated_at && !Number.isNaN(Date.parse(ev.updated_at)) ? new Date(ev.updated_at).toISOString() : undefined,
+      changefreq: released ? 'monthly' : 'daily',
+      priority: released ? '0.5' : '0.6'
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Split entries into sitemap files
+ * @param {Array} entries - Sitemap entries
+ * @param {number} maxUrls - Maximum URLs per file
+ * @returns {Array<Array>} Entries per file (always at least one, possibly empty)
+ */
+export function chunkSitemapEntries(entries, maxUrls = SITEMAP_MAX_URLS) {
+  const chunks = [];
+  for (let i = 0; i < entries.length; i += maxUrls) {
+    chunks.push(entries.slice(i, i + maxUrls));
+  }
+  return chunks.length > 0 ? chunks : [[]];
+}
+
+/**
+ * Public URL of one numbered sitemap file
+ * @param {number} page - 1-based file number
+ * @returns {string} Absolute URL
+ */
+export function sitemapPageUrl(page) {
+  return `${SITE_URL}/sitemap-${page}.xml`;
+}
+
+/**
+ * Build a <urlset> document
+ * @param {Array} entries - Sitemap entries
+ * @returns {string} Sitemap XML
+ */
+export function buildUrlset(entries) {
+  const urls = entries.map((entry) => `  <url>
+    <loc>${escapeXml(entry.loc)}</loc>${entry.lastmod ? `
+    <lastmod>${escapeXml(entry.lastmod)}</lastmod>` : ''}
+    <changefreq>${entry.changefreq}</changefreq>
+    <priority>${entry.priority}</priority>
+  </url>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls}
+</urlset>
+`;
+}
+
+/**
+ * Build a <sitemapindex> document pointing at the numbered files
+ * @param {Array<Array>} chunks - Result of chunkSitemapEntries
+ * @returns {string} Sitemap index XML
+ */
+export function buildSitemapIndex(chunks) {
+  const sitemaps = chunks.map((chunk, i) => {
+    const lastmod = chunk.reduce((latest, entry) => (entry.lastmod && entry.lastmod > latest ? entry.lastmod : latest), '');
+    return `  <sitemap>
+    <loc>${escapeXml(sitemapPageUrl(i + 1))}</loc>${lastmod ? `
+    <lastmod>${escapeXml(lastmod)}</lastmod>` : ''}
+  </sitemap>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps}
+</sitemapindex>
+`;
+}
@@ -0,0 +1,154 @@
+/**
+ * Last-known-good snapshot store for upstream payloads
+ * Lets server-rendered pages fall back to the most recent successful response
+ * (marked as stale) instead of rendering an empty page when upstream fails
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic } from './fileStore.js';
+
+/**
+ * Maximum number of entries kept by the in-memory store
+ */
+const MEMORY_STORE_LIMIT = 500;
+
+/**
+ * Build the snapshot key for a calendar date range
+ * @param {string} fromDate - Range start (YYYY-MM-DD)
+ * @param {string} toDate - Range end (YYYY-MM-DD)
+ * @returns {string} Snapshot key
+ */
+export function calendarSnapshotKey(fromDate, toDate) {
+  return `calendar:${fromDate}:${toDate}`;
+}
+
+/**
+ * Build the snapshot key for a day's morning report
+ * Reports are stored per ET day, so past days keep the last report seen that day
+ * @param {string} date - Day in ET (YYYY-MM-DD)
+ * @returns {string} Snapshot key
+ */
+export function morningReportSnapshotKey(date) {
+  return `morning_report:${date}`;
+}
+
+/**
+ * Create an in-memory snapshot store
+ * Oldest entries are evicted once the store holds more than `limit` keys
+ * @param {Object} options - Store options
+ * @param {number} options.limit - Maximum number of entries
+ * @returns {Object} Store with async get/set/clear
+ */
+export function createMemorySnapshotStore({ limit = MEMORY_STORE_LIMIT } = {}) {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      return entries.get(key) || null;
+    },
+
+    async set(key, data) {
+      const snapshot = { data, savedAt: new Date().toISOString() };
+      entries.delete(key);
+      entries.set(key, snapshot);
+      if (entries.size > limit) {
+        entries.delete(entries.keys().next().value);
+      }
+      return snapshot;
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Create a file-backed snapshot store (one JSON file per key)
+ * Survives warm function restarts and can be shared by processes on one host
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory holding snapshot files
+ * @returns {Object} Store with async get/set/clear
+ */
+export function createFileSnapshotStore({ dir } = {}) {
+  const baseDir = dir || path.join(os.tmpdir(), 'market-squawk-snapshots');
+  const fileFor = (key) => path.join(baseDir, `${key.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+
+  return {
+    async get(key) {
+      try {
+        const raw = await fs.readFile(fileFor(key), 'utf8');
+        return JSON.parse(raw);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn('Snapshot read failed:', error.message);
+        }
+        return null;
+      }
+    },
+
+    async set(key, data) {
+      const snapshot = { data, savedAt: new Date().toISOString() };
+      await writeFileAtomic(fileFor(key), JSON.stringify(snapshot));
+      return snapshot;
+    },
+
+    async clear() {
+      await fs.rm(baseDir, { recursive: true, force: true });
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared snapshot store
+ * Uses the file-backed store when SNAPSHOT_STORE=file (directory from SNAPSHOT_DIR),
+ * otherwise an in-memory store
+ * @returns {Object} Snapshot store
+ */
+export function getSnapshotStore() {
+  if (!defaultStore) {
+    defaultStore = process.env.SNAPSHOT_STORE === 'file'
+      ? createFileSnapshotStore({ dir: process.env.SNAPSHOT_DIR })
+      : createMemorySnapshotStore();
+  }
+  return defaultStore;
+}
+
+/**
+ * Replace the shared snapshot store (pass null to rebuild it from the environment)
+ * @param {Object|null} store - Snapshot store
+ */
+export function setSnapshotStore(store) {
+  defaultStore = store;
+}
+
+/**
+ * Load a payload, saving it as the last-known-good snapshot on success
+ * and falling back to the previous snapshot when loading fails
+ * @param {string} key - Snapshot key
+ * @param {Function} load - Async loader; must throw when the payload is unusable
+ * @param {Object} store - Snapshot store (defaults to the shared store)
+ * @returns {Promise<Object>} { data, stale, savedAt }
+ * @throws {Error} The loader error when no snapshot exists
+ */
+export async function loadWithSnapshot(key, load, store = getSnapshotStore()) {
+  try {
+    const data = await load();
+    try {
+      const { savedAt } = await store.set(key, data);
+      return { data, stale: false, savedAt };
+    } catch (error) {
+      console.warn('Snapshot write failed:', error.message);
+      return { data, stale: false, savedAt: new Date().toISOString() };
+    }
+  } catch (error) {
+    const snapshot = await store.get(key);
+    if (!snapshot) throw error;
+    console.warn(`Serving stale snapshot for ${key} (saved ${snapshot.savedAt}):`, error.message);
+    return { data: snapshot.data, stale: true, savedAt: snapshot.savedAt };
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * Status pages for the server-rendered calendar routes
+ */
+
+import { escapeHtml } from './utils.js';
+
+/**
+ * Send the 503 page for a page whose data couldn't be loaded and has no snapshot to fall back on
+ * The response is kept out of the CDN so an empty page is never cached, and the client
+ * is asked to retry in a minute
+ * @param {Object} res - Response object
+ * @param {Object} options - Page options
+ * @param {string} options.name - Page name used in the title and heading, e.g. 'Economic Calendar'
+ * @param {string} options.subject - What couldn't be loaded, e.g. 'Calendar data for 2024-02'
+ * @param {Object} options.back - { href, label } link below the message
+ */
+export function sendUnavailablePage(res, { name, subject, back }) {
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Retry-After', '60');
+  return res.status(503).send(`<!doctype html>
+<html>
+<head>
+  <title>${escapeHtml(name)} - Temporarily Unavailable</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <meta name="robots" content="noindex"/>
+</head>
+<body style="font-family: sans-serif; padding: 20px; text-align: center;">
+  <h1>${escapeHtml(name)} Temporarily Unavailable</h1>
+  <p>${escapeHtml(subject)} could not be loaded. Please try again in a minute.</p>
+  <p><a href="${escapeHtml(back.href)}">← ${escapeHtml(back.label)}</a></p>
+</body>
+</html>`);
+}
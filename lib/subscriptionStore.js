@@ -0,0 +1,212 @@
+/**
+ * Store for calendar feed subscriptions
+ * Each subscription maps an unguessable token to a saved filter set, so calendar
+ * clients can poll a personalised webcal feed. Tokens can be revoked at any time.
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { writeFileAtomic } from './fileStore.js';
+import { parseList } from './calendarFilters.js';
+import { parseAlarmMinutes, MAX_ALARM_MINUTES } from './ical.js';
+import { validationError, checkEnum, checkPattern, VALIDATION_CODES, MIN_IMPORTANCE_VALUES, CATEGORY_PATTERN } from './validation.js';
+
+/**
+ * Error thrown when subscriptions would be created in a store that only this instance can see
+ */
+export class SubscriptionStoreUnavailableError extends Error {
+  constructor(message = 'Subscription store is not configured for this deployment') {
+    super(message);
+    this.name = 'SubscriptionStoreUnavailableError';
+  }
+}
+
+/**
+ * Validate and normalise the filter set saved with a subscription
+ * @param {Object} input - Raw input (minImportance, category, country, alarm)
+ * @returns {Object} { filters } or { error } describing the invalid field
+ */
+export function normalizeSubscriptionFilters(input = {}) {
+  const minImportance = input.minImportance ? String(input.minImportance).trim().toLowerCase() : null;
+  const importanceError = minImportance ? checkEnum([minImportance], MIN_IMPORTANCE_VALUES, 'minImportance') : null;
+  if (importanceError) {
+    return { error: importanceError };
+  }
+
+  const alarm = parseAlarmMinutes(input.alarm === undefined || input.alarm === null ? undefined : String(input.alarm));
+  if (alarm === undefined) {
+    return { error: validationError(VALIDATION_CODES.INVALID_PARAMETER, 'alarm', `Invalid alarm. Use whole minutes from 0 to ${MAX_ALARM_MINUTES}.`) };
+  }
+
+  const category = parseList(input.category);
+  const categoryError = checkPattern(category, CATEGORY_PATTERN, 'category');
+  if (categoryError) {
+    return { error: categoryError };
+  }
+
+  return {
+    filters: {
+      minImportance: minImportance === 'all' ? null : minImportance,
+      category,
+      country: parseList(input.country),
+      alarm
+    }
+  };
+}
+
+/**
+ * Generate a new subscription token (192 bits, URL-safe)
+ * @returns {string} Token
+ */
+export function generateSubscriptionToken() {
+  return randomBytes(24).toString('base64url');
+}
+
+/**
+ * Check whether a string has the shape of a subscription token
+ * @param {string} token - Candidate token
+ * @returns {boolean} True if the token could have been issued by this store
+ */
+export function isValidTokenFormat(token) {
+  return typeof token === 'string' && /^[A-Za-z0-9_-]{16,64}$/.test(token);
+}
+
+const buildRecord = (filters) => ({
+  token: generateSubscriptionToken(),
+  filters,
+  createdAt: new Date().toISOString(),
+  revokedAt: null
+});
+
+/**
+ * Create an in-memory subscription store
+ * Not durable: each function instance has its own and loses it on a cold start
+ * @returns {Object} Store with async create/get/revoke/clear
+ */
+export function createMemorySubscriptionStore() {
+  const records = new Map();
+
+  return {
+    durable: false,
+
+    async create(filters) {
+      const record = buildRecord(filters);
+      records.set(record.token, record);
+      return record;
+    },
+
+    async get(token) {
+      return records.get(token) || null;
+    },
+
+    async revoke(token) {
+      const record = records.get(token);
+      if (!record) return null;
+      if (!record.revokedAt) record.revokedAt = new Date().toISOString();
+      return record;
+    },
+
+    async clear() {
+      records.clear();
+    }
+  };
+}
+
+/**
+ * Create a file-backed subscription store (one JSON file per token)
+ * Creating or revoking a subscription only writes that token's file, so concurrent
+ * requests never overwrite each other's records
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory holding the subscription files
+ * @returns {Object} Store with async create/get/revoke/clear
+ */
+export function createFileSubscriptionStore({ dir } = {}) {
+  const dirPath = dir || path.join(os.tmpdir(), 'market-squawk-subscriptions');
+  // Tokens are URL-safe base64, so a well-formed token is also a safe file name
+  const fileOf = (token) => (isValidTokenFormat(token) ? path.join(dirPath, `${token}.json`) : null);
+
+  const read = async (token) => {
+    const file = fileOf(token);
+    if (!file) return null;
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const write = (record) => writeFileAtomic(fileOf(record.token), JSON.stringify(record, null, 2));
+
+  return {
+    durable: true,
+
+    async create(filters) {
+      const record = buildRecord(filters);
+      await write(record);
+      return record;
+    },
+
+    get: read,
+
+    async revoke(token) {
+      const record = await read(token);
+      if (!record) return null;
+      if (!record.revokedAt) {
+        record.revokedAt = new Date().toISOString();
+        await write(record);
+      }
+      return record;
+    },
+
+    async clear() {
+      await fs.rm(dirPath, { recursive: true, force: true });
+    }
+  };
+}
+
+let defaultStore = null;
+
+/**
+ * Get the shared subscription store
+ * Uses the file-backed store when SUBSCRIPTION_STORE=file (directory from SUBSCRIPTION_DIR),
+ * otherwise an in-memory store
+ * @returns {Object} Subscription store
+ */
+export function getSubscriptionStore() {
+  if (!defaultStore) {
+    defaultStore = process.env.SUBSCRIPTION_STORE === 'file'
+      ? createFileSubscriptionStore({ dir: process.env.SUBSCRIPTION_DIR })
+      : createMemorySubscriptionStore();
+  }
+  return defaultStore;
+}
+
+const isProduction = () => process.env.VERCEL_ENV === 'production' || process.env.NODE_ENV === 'production';
+
+/**
+ * Get the shared subscription store for creating subscriptions
+ * In production a non-durable store would hand out tokens that other instances (and this
+ * one after a cold start) answer with 404, so creation fails instead, unless
+ * SUBSCRIPTION_STORE=memory opts in to that explicitly
+ * @returns {Object} Subscription store
+ * @throws {SubscriptionStoreUnavailableError} When the store can't keep new subscriptions
+ */
+export function getWritableSubscriptionStore() {
+  const store = getSubscriptionStore();
+  if (store.durable === false && isProduction() && process.env.SUBSCRIPTION_STORE !== 'memory') {
+    console.error('Subscription store is per instance; set SUBSCRIPTION_STORE=file with SUBSCRIPTION_DIR on persistent storage or install a shared store');
+    throw new SubscriptionStoreUnavailableError();
+  }
+  return store;
+}
+
+/**
+ * Replace the shared subscription store (pass null to rebuild it from the environment)
+ * @param {Object|null} store - Subscription store
+ */
+export function setSubscriptionStore(store) {
+  defaultStore = store;
+}
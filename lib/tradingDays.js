@@ -0,0 +1,120 @@
+/**
+ * US equity trading days (NYSE full-day closures)
+ * Holidays are computed from the exchange's rules rather than a hardcoded list,
+ * so any year works; unscheduled closures (e.g. national days of mourning) are not known
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toYmd = (date) => date.toISOString().split('T')[0];
+const utcDate = (year, monthIndex, day) => new Date(Date.UTC(year, monthIndex, day));
+
+/**
+ * Nth weekday of a month (n = -1 for the last one)
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Month (0-11)
+ * @param {number} weekday - Day of week (0 = Sunday)
+ * @param {number} n - Occurrence (1-based, or -1 for last)
+ * @returns {Date} Matching day (UTC midnight)
+ */
+function nthWeekday(year, monthIndex, weekday, n) {
+  if (n === -1) {
+    const last = utcDate(year, monthIndex + 1, 0);
+    return utcDate(year, monthIndex, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = utcDate(year, monthIndex, 1);
+  return utcDate(year, monthIndex, 1 + ((weekday - first.getUTCDay() + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Easter Sunday (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Full year
+ * @returns {Date} Easter Sunday (UTC midnight)
+ */
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return utcDate(year, month - 1, day);
+}
+
+/**
+ * Move a fixed-date holiday off the weekend (Saturday -> Friday, Sunday -> Monday)
+ * @param {Date} date - Holiday
+ * @returns {Date} Observed day
+ */
+function observed(date) {
+  const weekday = date.getUTCDay();
+  if (weekday === 6) return new Date(date.getTime() - DAY_MS);
+  if (weekday === 0) return new Date(date.getTime() + DAY_MS);
+  return date;
+}
+
+const holidayCache = new Map();
+
+/**
+ * NYSE full-day holidays observed in a year
+ * @param {number} year - Full year
+ * @returns {Set<string>} Observed holidays (YYYY-MM-DD)
+ */
+export function getMarketHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const days = [
+    nthWeekday(year, 0, 1, 3),                                // Martin Luther King Jr. Day
+    nthWeekday(year, 1, 1, 3),                                // Washington's Birthday
+    new Date(easterSunday(year).getTime() - 2 * DAY_MS),      // Good Friday
+    nthWeekday(year, 4, 1, -1),                               // Memorial Day
+    observed(utcDate(year, 6, 4)),                            // Independence Day
+    nthWeekday(year, 8, 1, 1),                                // Labor Day
+    nthWeekday(year, 10, 4, 4),                               // Thanksgiving
+    observed(utcDate(year, 11, 25))                           // Christmas
+  ];
+
+  // New Year's Day falling on a Saturday is not moved back into December
+  const newYear = utcDate(year, 0, 1);
+  if (newYear.getUTCDay() !== 6) days.push(observed(newYear));
+
+  if (year >= 2022) days.push(observed(utcDate(year, 5, 19)));   // Juneteenth
+
+  const holidays = new Set(days.map(toYmd));
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+/**
+ * Check whether US equity markets are open on a day
+ * @param {string} ymd - Day (YYYY-MM-DD)
+ * @returns {boolean} True on weekdays that are not exchange holidays
+ */
+export function isTradingDay(ymd) {
+  const date = new Date(`${ymd}T00:00:00Z`);
+  const weekday = date.getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return !getMarketHolidays(date.getUTCFullYear()).has(ymd);
+}
+
+/**
+ * Find the nearest trading day before or after a day
+ * @param {string} ymd - Reference day (YYYY-MM-DD); need not be a trading day itself
+ * @param {number} direction - -1 for the previous trading day, 1 for the next
+ * @returns {string} Trading day (YYYY-MM-DD)
+ */
+export function adjacentTradingDay(ymd, direction) {
+  let time = Date.parse(`${ymd}T00:00:00Z`);
+  do {
+    time += direction * DAY_MS;
+  } while (!isTradingDay(toYmd(new Date(time))));
+  return toYmd(new Date(time));
+}
@@ -0,0 +1,272 @@
+/**
+ * Shared server-side client for the upstream pricesquawk API
+ * Adds retries with jittered backoff, a per-host circuit breaker and failover
+ * to alternate base URLs, so a single upstream blip doesn't blank every page
+ */
+
+import { createTimeoutSignal } from './utils.js';
+
+/**
+ * Default upstream base URL (used when CALENDAR_API_BASE is not set)
+ */
+export const DEFAULT_API_BASE = 'https://data-dev.pricesquawk.com';
+
+/**
+ * Headers sent with every upstream request
+ */
+export const UPSTREAM_HEADERS = {
+  'accept': 'application/json',
+  'user-agent': 'Market-Squawk-Calendar/1.0 (+https://marketsquawk.ai)',
+  'referer': 'https://marketsquawk.ai'
+};
+
+/**
+ * Error raised when the upstream API cannot be reached at all
+ * (every base URL failed or has an open circuit)
+ */
+export class UpstreamError extends Error {
+  constructor(message, { status = 503, url = null, retryAfter = null, cause } = {}) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+    this.url = url;
+    this.retryAfter = retryAfter;
+    if (cause) this.cause = cause;
+  }
+}
+
+// Circuit breaker state per base URL: { failures, openedAt, probeAt }
+const circuits = new Map();
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Read client configuration from the environment
+ * Evaluated per request so deployments (and tests) can change it at runtime
+ * @returns {Object} Retry, backoff and circuit breaker settings
+ */
+export function getUpstreamConfig() {
+  return {
+    retries: readInt('UPSTREAM_RETRIES', 2),
+    retryBaseMs: readInt('UPSTREAM_RETRY_BASE_MS', 250),
+    retryMaxMs: readInt('UPSTREAM_RETRY_MAX_MS', 2000),
+    breakerThreshold: readInt('UPSTREAM_BREAKER_THRESHOLD', 5),
+    breakerCooldownMs: readInt('UPSTREAM_BREAKER_COOLDOWN_MS', 30000)
+  };
+}
+
+/**
+ * Get the ordered list of upstream base URLs (primary first, then failovers)
+ * @returns {string[]} Base URLs without trailing slashes
+ */
+export function getUpstreamBases() {
+  const primary = process.env.CALENDAR_API_BASE || DEFAULT_API_BASE;
+  const fallbacks = (process.env.CALENDAR_API_FALLBACK_BASES || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+  return [...new Set([primary, ...fallbacks])].map((base) => base.replace(/\/+$/, ''));
+}
+
+/**
+ * Check whether an open circuit's cooldown has elapsed
+ * @param {Object} state - Circuit state
+ * @param {Object} config - Client configuration
+ * @returns {boolean} True once a trial request may be made
+ */
+const isCooledDown = (state, config) => Date.now() - state.openedAt >= config.breakerCooldownMs;
+
+/**
+ * Claim a request to a base URL
+ * A closed circuit admits every request. A half-open one (cooldown elapsed) admits a
+ * single trial request and fails fast for everyone else until the trial settles; a
+ * trial that never settles is given up on after another cooldown
+ * @param {string} base - Upstream base URL
+ * @param {Object} config - Client configuration
+ * @returns {boolean} True if the request may be sent
+ */
+function acquireCircuit(base, config) {
+  const state = circuits.get(base);
+  if (!state || state.openedAt === null) return true;
+  if (!isCooledDown(state, config)) return false;
+  if (state.probeAt !== null && Date.now() - state.probeAt < config.breakerCooldownMs) return false;
+  state.probeAt = Date.now();
+  return true;
+}
+
+function recordSuccess(base) {
+  circuits.delete(base);
+}
+
+function recordFailure(base, config) {
+  const state = circuits.get(base) || { failures: 0, openedAt: null, probeAt: null };
+  state.failures += 1;
+  state.probeAt = null;
+  if (state.failures >= config.breakerThreshold) {
+    // (Re)open the circuit; a failed half-open trial restarts the cooldown
+    state.openedAt = Date.now();
+  }
+  circuits.set(base, state);
+}
+
+/**
+ * Get the circuit breaker state for every known base URL
+ * @returns {Array<Object>} Entries with base, state ('closed' | 'open' | 'half-open') and failures
+ */
+export function getCircuitStates() {
+  const config = getUpstreamConfig();
+  return getUpstreamBases().map((base) => {
+    const state = circuits.get(base);
+    if (!state || state.openedAt === null) {
+      return { base, state: 'closed', failures: state?.failures || 0 };
+    }
+    return {
+      base,
+      state: isCooledDown(state, config) ? 'half-open' : 'open',
+      failures: state.failures
+    };
+  });
+}
+
+/**
+ * Reset all circuit breaker state (used by tests)
+ */
+export function resetUpstreamState() {
+  circuits.clear();
+}
+
+/**
+ * Whether an HTTP status is worth retrying
+ * @param {number} status - HTTP status code
+ * @returns {boolean} True for timeouts, rate limiting and server errors
+ */
+function isTransientStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Compute a "full jitter" exponential backoff delay
+ * @param {number} attempt - Zero-based retry attempt
+ * @param {Object} config - Client configuration
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, config = getUpstreamConfig()) {
+  const ceiling = Math.min(config.retryMaxMs, config.retryBaseMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetch a path from the upstream API with retries, circuit breaking and failover
+ *
+ * Non-transient responses (2xx-4xx, except 408/429) are returned as-is so callers
+ * keep control over status handling. When every attempt fails, the last upstream
+ * response is returned if there was one, otherwise the last network error is thrown.
+ *
+ * @param {string} path - Path including query string (e.g. '/calendar?fromDate=...')
+ * @param {Object} options - Request options
+ * @param {number} options.timeout - Per-attempt timeout in milliseconds (default 8000)
+ * @param {Object} options.headers - Extra headers merged over the defaults
+ * @param {Object} options.next - Next.js fetch caching options, passed through
+ * @returns {Promise<Response>} Upstream fetch response
+ * @throws {UpstreamError} When every base URL has an open circuit
+ */
+export async function upstreamFetch(path, { timeout = 8000, headers = {}, next } = {}) {
+  const config = getUpstreamConfig();
+  const bases = getUpstreamBases();
+
+  let lastResponse = null;
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    if (attempt > 0) {
+      const delay = computeBackoff(attempt - 1, config);
+      if (delay > 0) await sleep(delay);
+    }
+
+    let attempted = false;
+    for (const base of bases) {
+      // Claimed just before sending, so a half-open failover isn't probed when the primary answers
+      if (!acquireCircuit(base, config)) continue;
+      attempted = true;
+
+      const init = {
+        headers: { ...UPSTREAM_HEADERS, ...headers },
+        signal: createTimeoutSignal(timeout)
+      };
+      if (next) init.next = next;
+
+      try {
+        const response = await fetch(`${base}${path}`, init);
+
+        if (!isTransientStatus(response.status)) {
+          recordSuccess(base);
+          return response;
+        }
+
+        recordFailure(base, config);
+        lastResponse = response;
+        lastError = null;
+      } catch (error) {
+        recordFailure(base, config);
+        lastError = error;
+      }
+    }
+    if (!attempted) {
+      break;
+    }
+  }
+
+  if (lastError) throw lastError;
+  if (lastResponse) return lastResponse;
+
+  // Every circuit is open: tell callers when the first one will admit a trial request
+  const reopenAt = Math.min(...bases.map((base) => circuits.get(base)?.openedAt ?? Date.now()));
+  const retryAfter = Math.max(1, Math.ceil((reopenAt + config.breakerCooldownMs - Date.now()) / 1000));
+  throw new UpstreamError('Upstream unavailable: circuit open', { url: path, retryAfter });
+}
+
+/**
+ * Fetch calendar events for a date range
+ * @param {string} fromDate - Range start (YYYY-MM-DD)
+ * @param {string} toDate - Range end (YYYY-MM-DD)
+ * @param {Object} options - Options passed to upstreamFetch
+ * @returns {Promise<Array>} Upstream events
+ * @throws {UpstreamError} On a non-OK status or a payload that isn't an array
+ */
+export async function fetchCalendarEvents(fromDate, toDate, options = {}) {
+  const path = `/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
+  const response = await upstreamFetch(path, options);
+
+  if (!response.ok) {
+    throw new UpstreamError(`Upstream API error: ${response.status}`, { status: response.status, url: path });
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data)) {
+    throw new UpstreamError('Invalid upstream response', { status: 502, url: path });
+  }
+
+  return data;
+}
+
+/**
+ * Fetch the latest morning report
+ * @param {Object} options - Options passed to upstreamFetch
+ * @returns {Promise<Object>} Morning report ({ summary, brief, ... })
+ * @throws {UpstreamError} On a non-OK status
+ */
+export async function fetchMorningReport(options = {}) {
+  const response = await upstreamFetch('/morning_report', options);
+
+  if (!response.ok) {
+    throw new UpstreamError(`Upstream API error: ${response.status}`, { status: response.status, url: '/morning_report' });
+  }
+
+  return response.json();
+}
@@ -60,6 +60,51 @@ export function linkForWeekOffset(currentWeekStart, weekOffset) {
   return `/calendar/week/${weekStart}`;
 }
 
+/**
+ * Compute month range (first to last day) for a given date
+ * @param {Date|string} date - Reference date (Date object, ISO string or YYYY-MM)
+ * @returns {Object} Object with fromDate and toDate as ISO strings
+ */
+export function computeMonthRange(date) {
+  const refDate = typeof date === 'string' ? new Date(date) : date;
+  
+  if (isNaN(refDate.getTime())) {
+    throw new Error('Invalid date provided');
+  }
+  
+  // First and last day of the month (using UTC methods for consistency)
+  const startOfMonth = new Date(Date.UTC(refDate.getUTCFullYear(), refDate.getUTCMonth(), 1));
+  const endOfMonth = new Date(Date.UTC(refDate.getUTCFullYear(), refDate.getUTCMonth() + 1, 0, 23, 59, 59, 999));
+  
+  return {
+    fromDate: startOfMonth.toISOString().split('T')[0], // YYYY-MM-DD format
+    toDate: endOfMonth.toISOString().split('T')[0]      // YYYY-MM-DD format
+  };
+}
+
+/**
+ * Get the month key (YYYY-MM) for a given date
+ * @param {Date|string} date - Reference date
+ * @returns {string} Month in YYYY-MM format
+ */
+export function getMonthKey(date) {
+  const { fromDate } = computeMonthRange(date);
+  return fromDate.slice(0, 7);
+}
+
+/**
+ * Generate previous/next month navigation links
+ * @param {string} currentMonth - Current month (YYYY-MM)
+ * @param {number} monthOffset - Number of months to offset (-1 for previous, +1 for next)
+ * @returns {string} URL for the offset month
+ */
+export function linkForMonthOffset(currentMonth, monthOffset) {
+  const [year, month] = currentMonth.split('-').map(Number);
+  const offsetDate = new Date(Date.UTC(year, month - 1 + monthOffset, 1));
+  
+  return `/calendar/month/${getMonthKey(offsetDate)}`;
+}
+
 /**
  * Escape HTML characters for safe rendering
  * @param {string} str - String to escape
@@ -133,6 +178,28 @@ export function getTodayInET() {
   });
 }
 
+/**
+ * Get the Eastern Time day of a timestamp
+ * @param {Date|string} date - Timestamp (Date object or ISO string)
+ * @returns {string|null} Day in ET as YYYY-MM-DD, or null for a missing or malformed date
+ */
+export function getDateInET(date) {
+  const time = new Date(date || NaN);
+  if (isNaN(time.getTime())) return null;
+  return time.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+/**
+ * Check whether an event's date parses
+ * Upstream occasionally sends events without a usable date; pages leave them out
+ * rather than render "Invalid Date" or fail on toISOString
+ * @param {Object} ev - Calendar event
+ * @returns {boolean} True if ev.date is a valid date
+ */
+export function hasValidDate(ev) {
+  return Boolean(ev?.date) && !isNaN(new Date(ev.date).getTime());
+}
+
 /**
  * Format date for display in ET timezone (full date)
  * @param {string} isoDateString - ISO date string
@@ -149,6 +216,27 @@ export function formatDateET(isoDateString) {
   });
 }
 
+/**
+ * Split an inclusive date range into consecutive windows, e.g. to stay within the
+ * span upstream answers in one request
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @param {number} days - Maximum days per window
+ * @returns {Array} [{ fromDate, toDate }] in chronological order
+ */
+export function splitDateRange(fromDate, toDate, days) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const toYmd = (ms) => new Date(ms).toISOString().slice(0, 10);
+  const windows = [];
+  const end = Date.parse(`${toDate}T00:00:00Z`);
+
+  for (let start = Date.parse(`${fromDate}T00:00:00Z`); start <= end; start += days * dayMs) {
+    windows.push({ fromDate: toYmd(start), toDate: toYmd(Math.min(start + (days - 1) * dayMs, end)) });
+  }
+
+  return windows;
+}
+
 /**
  * Create an AbortSignal with timeout that works across Node.js versions
  * @param {number} ms - Timeout in milliseconds
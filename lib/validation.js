@@ -0,0 +1,177 @@
+/**
+ * Shared request validation
+ * Parsers return { error } with a structured error instead of throwing, and every
+ * route answers a validation failure with 400 and { error: { code, message, field } }
+ */
+
+import { IMPORTANCE_HIERARCHY } from '../utils/importanceUtils.js';
+
+/**
+ * Error codes used in validation failures
+ */
+export const VALIDATION_CODES = {
+  MISSING: 'missing_parameter',
+  INVALID_DATE: 'invalid_date',
+  INVALID_RANGE: 'invalid_range',
+  RANGE_TOO_LARGE: 'range_too_large',
+  INVALID_ENUM: 'invalid_enum',
+  INVALID_PARAMETER: 'invalid_parameter'
+};
+
+/**
+ * Importance levels accepted by filters (lowest first)
+ */
+export const IMPORTANCE_VALUES = Object.keys(IMPORTANCE_HIERARCHY).sort((a, b) => IMPORTANCE_HIERARCHY[a] - IMPORTANCE_HIERARCHY[b]);
+
+/**
+ * Thresholds accepted by minImportance on every route ('all' keeps every level, as in the app's selector)
+ */
+export const MIN_IMPORTANCE_VALUES = [...IMPORTANCE_VALUES, 'all'];
+
+/**
+ * Event categories upstream is known to use ('other' is what events without one are
+ * normalised to); used for documentation only, since upstream adds categories over time
+ */
+export const EVENT_CATEGORIES = [
+  'employment',
+  'inflation',
+  'monetary_policy',
+  'gdp',
+  'income',
+  'retail',
+  'housing',
+  'manufacturing',
+  'trade',
+  'energy',
+  'treasury',
+  'other'
+];
+
+/**
+ * Shape of a category value; any category in this form is accepted, known or not
+ */
+export const CATEGORY_PATTERN = /^[a-z0-9_]{1,40}$/;
+
+/**
+ * Maximum days in a /api/calendar (and stream) date range
+ */
+export const MAX_RANGE_DAYS = 92;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a validation error
+ * @param {string} code - One of VALIDATION_CODES
+ * @param {string} field - Offending query/body parameter
+ * @param {string} message - Human-readable explanation
+ * @returns {Object} { code, message, field }
+ */
+export function validationError(code, field, message) {
+  return { code, message, field };
+}
+
+/**
+ * Send a 400 response for a validation error
+ * @param {Object} res - Response object
+ * @param {Object} error - Result of validationError
+ */
+export function sendValidationError(res, error) {
+  return res.status(400).json({ error });
+}
+
+/**
+ * Check for a real calendar day in strict YYYY-MM-DD form
+ * @param {*} value - Candidate
+ * @returns {boolean} True for e.g. 2024-02-29, false for 2024-2-29, 2024-02-30 or 2024
+ */
+export function isValidYmd(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const time = Date.parse(`${value}T00:00:00Z`);
+  return !Number.isNaN(time) && new Date(time).toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Validate an optional YYYY-MM-DD parameter
+ * @param {*} value - Raw parameter (undefined or '' when absent)
+ * @param {string} field - Parameter name
+ * @returns {Object|null} Validation error, or null when absent or valid
+ */
+export function checkDate(value, field) {
+  if (value === undefined || value === '') return null;
+  return isValidYmd(value)
+    ? null
+    : validationError(VALIDATION_CODES.INVALID_DATE, field, `Invalid ${field}. Use a real date in YYYY-MM-DD format.`);
+}
+
+/**
+ * Count the days in an inclusive YYYY-MM-DD range
+ * @param {string} fromDate - First day
+ * @param {string} toDate - Last day
+ * @returns {number} Number of days (0 when toDate is before fromDate)
+ */
+export function countRangeDays(fromDate, toDate) {
+  return Math.max(0, Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS) + 1);
+}
+
+/**
+ * Validate the order and span of a date range
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @param {number} maxDays - Largest allowed span
+ * @param {Object} options - { fields: [fromField, toField] } when the parameters are not fromDate/toDate
+ * @returns {Object|null} Validation error, or null when valid
+ */
+export function checkDateRange(fromDate, toDate, maxDays = MAX_RANGE_DAYS, { fields: [fromField, toField] = ['fromDate', 'toDate'] } = {}) {
+  const days = countRangeDays(fromDate, toDate);
+  if (days === 0) {
+    return validationError(VALIDATION_CODES.INVALID_RANGE, fromField, `${fromField} must not be after ${toField}.`);
+  }
+  if (days > maxDays) {
+    return validationError(VALIDATION_CODES.RANGE_TOO_LARGE, toField, `Date range too large. Use at most ${maxDays} days per request.`);
+  }
+  return null;
+}
+
+/**
+ * Validate that every value in a list is allowed
+ * @param {string[]} values - Parsed (lowercase) values
+ * @param {string[]} allowed - Accepted values
+ * @param {string} field - Parameter name
+ * @returns {Object|null} Validation error naming the first unknown value, or null
+ */
+export function checkEnum(values, allowed, field) {
+  const unknown = values.find((value) => !allowed.includes(value));
+  return unknown === undefined
+    ? null
+    : validationError(VALIDATION_CODES.INVALID_ENUM, field, `Unknown ${field} "${unknown}". Use one of: ${allowed.join(', ')}.`);
+}
+
+/**
+ * Validate that every value in a list has the expected shape
+ * @param {string[]} values - Parsed (lowercase) values
+ * @param {RegExp} pattern - Pattern each value must match
+ * @param {string} field - Parameter name
+ * @returns {Object|null} Validation error naming the first malformed value, or null
+ */
+export function checkPattern(values, pattern, field) {
+  const malformed = values.find((value) => !pattern.test(value));
+  return malformed === undefined
+    ? null
+    : validationError(VALIDATION_CODES.INVALID_PARAMETER, field, `Invalid ${field} "${malformed}".`);
+}
+
+/**
+ * Parse an optional whole-number parameter
+ * @param {*} value - Raw parameter
+ * @param {string} field - Parameter name
+ * @param {Object} bounds - { min, max, fallback }
+ * @returns {Object} { value } or { error }
+ */
+export function parseInteger(value, field, { min, max, fallback = null }) {
+  if (value === undefined || value === '') return { value: fallback };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    return { error: validationError(VALIDATION_CODES.INVALID_PARAMETER, field, `Invalid ${field}. Use a whole number from ${min} to ${max}.`) };
+  }
+  return { value: number };
+}
@@ -0,0 +1,418 @@
+/**
+ * Cache warming: the warm-up manifest, when to run which part of it, and run records
+ * The cron fires every CRON_INTERVAL_MINUTES; each run warms the core routes, the full
+ * manifest, or nothing, and re-warms the core routes right after scheduled releases.
+ * Runs are kept in their own run store; /api/admin/health and /api/admin/warm-runs only
+ * see runs made by the cron function instance when that store is durable
+ */
+
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { getTodayInET, computeDayRange, computeWeekRange, getWeekStartDate, getMonthKey, createTimeoutSignal } from './utils.js';
+import { isTradingDay, adjacentTradingDay } from './tradingDays.js';
+import { writeFileAtomic } from './fileStore.js';
+
+/**
+ * Cron interval configured in vercel.json (minutes)
+ */
+export const CRON_INTERVAL_MINUTES = 5;
+
+/**
+ * Run modes: core routes only, the whole manifest, or core routes after a release
+ */
+export const WARM_MODES = ['core', 'full', 'release'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Parse HH:MM release times (ET) into minutes after midnight
+ * @param {string} value - Comma-separated times, e.g. '08:30,10:00'
+ * @returns {number[]} Minutes after midnight, invalid entries dropped
+ */
+export function parseReleaseTimes(value) {
+  return String(value || '')
+    .split(',')
+    .map((time) => /^(\d{1,2}):(\d{2})$/.exec(time.trim()))
+    .filter((match) => match && Number(match[1]) < 24 && Number(match[2]) < 60)
+    .map((match) => Number(match[1]) * 60 + Number(match[2]));
+}
+
+/**
+ * Read cache warming configuration from the environment
+ * @returns {Object} Manifest, schedule, concurrency and history settings
+ */
+export function getWarmConfig() {
+  return {
+    concurrency: Math.max(1, readInt('WARM_CONCURRENCY', 4)),
+    timeoutMs: readInt('WARM_TIMEOUT_MS', 8000),
+    weeksAhead: readInt('WARM_WEEKS_AHEAD', 2),
+    monthsAhead: readInt('WARM_MONTHS_AHEAD', 1),
+    extraPaths: (process.env.WARM_EXTRA_PATHS || '').split(',').map((p) => p.trim()).filter((p) => p.startsWith('/')),
+    coreEveryMinutes: Math.max(CRON_INTERVAL_MINUTES, readInt('WARM_CORE_EVERY_MINUTES', 15)),
+    fullEveryMinutes: Math.max(CRON_INTERVAL_MINUTES, readInt('WARM_FULL_EVERY_MINUTES', 60)),
+    releaseTimes: parseReleaseTimes(process.env.WARM_RELEASE_TIMES ?? '08:30,10:00'),
+    releaseWindowMinutes: readInt('WARM_RELEASE_WINDOW_MINUTES', 15),
+    releaseCacheSeconds: Math.max(1, readInt('WARM_RELEASE_CACHE_SECONDS', 60)),
+    historySize: Math.max(1, readInt('WARM_HISTORY_SIZE', 50))
+  };
+}
+
+const addDays = (ymd, days) => new Date(Date.parse(`${ymd}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+const calendarPath = ({ fromDate, toDate }) => `/api/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
+
+/**
+ * Build the warm-up manifest
+ * Core entries are what changes on a release (today, this week, the morning report);
+ * extended entries are the upcoming week, month and day pages
+ * @param {string} todayET - Current day in ET (YYYY-MM-DD)
+ * @param {Object} config - Result of getWarmConfig
+ * @returns {Array} Entries with name, path, tier ('core' | 'extended') and accept
+ */
+export function buildWarmManifest(todayET = getTodayInET(), config = getWarmConfig()) {
+  const json = (name, path, tier) => ({ name, path, tier, accept: 'application/json' });
+  const page = (path, tier) => ({ name: `page:${path}`, path, tier, accept: 'text/html' });
+
+  const currentWeek = getWeekStartDate(todayET);
+  const [year, month] = todayET.split('-').map(Number);
+
+  const entries = [
+    json('calendar/today', calendarPath(computeDayRange(todayET)), 'core'),
+    json('calendar/week', calendarPath(computeWeekRange(todayET)), 'core'),
+    json('morning-report', '/api/morning-report', 'core'),
+    page('/', 'core'),
+    page('/calendar/today', 'core'),
+    page('/calendar/week', 'core'),
+    json('calendar/tomorrow', calendarPath(computeDayRange(addDays(todayET, 1))), 'extended'),
+    page(`/calendar/day/${adjacentTradingDay(todayET, 1)}`, 'extended')
+  ];
+
+  for (let i = 0; i <= config.weeksAhead; i++) {
+    entries.push(page(`/calendar/week/${addDays(currentWeek, 7 * i)}`, 'extended'));
+  }
+
+  entries.push(page('/calendar/month', 'extended'));
+  for (let i = 0; i <= config.monthsAhead; i++) {
+    entries.push(page(`/calendar/month/${getMonthKey(new Date(Date.UTC(year, month - 1 + i, 1)))}`, 'extended'));
+  }
+
+  for (const path of config.extraPaths) {
+    entries.push(page(path, 'extended'));
+  }
+
+  return entries;
+}
+
+/**
+ * Current day and minute of the day in ET
+ * @param {Date} now - Current time
+ * @returns {Object} { date: 'YYYY-MM-DD', minutes }
+ */
+export function clockInET(now = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'America/New_York',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now).map(({ type, value }) => [type, value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Decide what a cron tick should warm
+ * The full manifest runs every fullEveryMinutes; on trading days the core routes are
+ * re-warmed on every tick for releaseWindowMinutes after each release time; otherwise
+ * the core routes run every coreEveryMinutes
+ * @param {Date} now - Current time
+ * @param {Object} config - Result of getWarmConfig
+ * @returns {Object} { mode, reason } where mode is one of WARM_MODES or null to skip
+ */
+export function planWarmRun(now = new Date(), config = getWarmConfig()) {
+  const { date, minutes } = clockInET(now);
+
+  if (minutes % config.fullEveryMinutes < CRON_INTERVAL_MINUTES) {
+    return { mode: 'full', reason: `every ${config.fullEveryMinutes} minutes` };
+  }
+
+  const release = isTradingDay(date)
+    ? config.releaseTimes.find((time) => minutes >= time && minutes - time < config.releaseWindowMinutes)
+    : undefined;
+  if (release !== undefined) {
+    return { mode: 'release', reason: `after the ${formatMinutes(release)} ET release` };
+  }
+
+  if (minutes % config.coreEveryMinutes < CRON_INTERVAL_MINUTES) {
+    return { mode: 'core', reason: `every ${config.coreEveryMinutes} minutes` };
+  }
+  return { mode: null, reason: 'nothing due' };
+}
+
+/**
+ * Cache-Control for a core route, shortened around scheduled releases
+ * The release re-warm goes through the edge, so a copy cached just before a release
+ * would be served to it for up to s-maxage; from that long before each release until
+ * the re-warm window closes, trading days get releaseCacheSeconds instead
+ * @param {number} maxAge - Usual s-maxage (seconds)
+ * @param {number} staleWhileRevalidate - stale-while-revalidate (seconds)
+ * @param {Date} now - Current time
+ * @param {Object} config - Result of getWarmConfig
+ * @returns {string} Cache-Control header value
+ */
+export function releaseAwareCacheControl(maxAge, staleWhileRevalidate, now = new Date(), config = getWarmConfig()) {
+  const { date, minutes } = clockInET(now);
+  const lead = Math.ceil(maxAge / 60);
+  const nearRelease = isTradingDay(date) &&
+    config.releaseTimes.some((time) => minutes >= time - lead && minutes < time + config.releaseWindowMinutes);
+  const seconds = nearRelease ? Math.min(maxAge, config.releaseCacheSeconds) : maxAge;
+  return `s-maxage=${seconds}, stale-while-revalidate=${Math.min(staleWhileRevalidate, seconds)}`;
+}
+
+/**
+ * Entries of the manifest a mode warms
+ * @param {Array} manifest - Result of buildWarmManifest
+ * @param {string} mode - One of WARM_MODES
+ * @returns {Array} Entries to warm
+ */
+export const selectWarmEntries = (manifest, mode) => (mode === 'full' ? manifest : manifest.filter((entry) => entry.tier === 'core'));
+
+/**
+ * Map over items with at most `limit` calls in flight, keeping the input order
+ * @param {Array} items - Items
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - Async mapper
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Request every entry once
+ * Requests are anonymous on purpose: routes vary on the credential headers and keep
+ * keyed responses private, so a keyed warm-up would never fill the shared edge cache
+ * @param {Array} entries - Manifest entries
+ * @param {Object} options - Run options
+ * @param {string} options.baseUrl - Site to warm
+ * @param {number} options.concurrency - Maximum requests in flight
+ * @param {number} options.timeoutMs - Per-request timeout
+ * @returns {Promise<Array>} Results with endpoint, path, status ('error' on failure), cached and durationMs
+ */
+export function warmEntries(entries, { baseUrl, concurrency, timeoutMs }) {
+  return mapWithConcurrency(entries, concurrency, async (entry) => {
+    const started = Date.now();
+    try {
+      const response = await fetch(`${baseUrl}${entry.path}`, {
+        headers: { accept: entry.accept },
+        signal: createTimeoutSignal(timeoutMs)
+      });
+      return {
+        endpoint: entry.name,
+        path: entry.path,
+        status: response.status,
+        cached: response.headers.get('x-vercel-cache') || 'unknown',
+        durationMs: Date.now() - started
+      };
+    } catch (error) {
+      return {
+        endpoint: entry.name,
+        path: entry.path,
+        status: 'error',
+        error: error.message,
+        durationMs: Date.now() - started
+      };
+    }
+  });
+}
+
+/**
+ * Whether a warm-up result counts as successful
+ * @param {Object} result - { endpoint, status, ... }
+ * @returns {boolean} True for 2xx responses
+ */
+export const isWarmResultOk = (result) => typeof result.status === 'number' && result.status >= 200 && result.status < 300;
+
+/**
+ * Trim a newest-first run list to historySize, always keeping the newest successful run
+ * @param {Array} runs - Run records, newest first
+ * @param {number} historySize - Runs to keep
+ * @returns {Array} Runs to keep, newest first
+ */
+export function trimWarmRuns(runs, historySize) {
+  const kept = runs.slice(0, historySize);
+  const lastSuccess = runs.find((run) => run.ok);
+  return lastSuccess && !kept.includes(lastSuccess) ? [...kept, lastSuccess] : kept;
+}
+
+/**
+ * Create an in-memory run store
+ * Not durable: each function instance has its own and loses it on a cold start
+ * @returns {Object} Store with async add/list/clear
+ */
+export function createMemoryWarmRunStore() {
+  let runs = [];
+
+  return {
+    durable: false,
+
+    async add(record, historySize) {
+      runs = trimWarmRuns([record, ...runs], historySize);
+    },
+
+    async list() {
+      return [...runs];
+    },
+
+    async clear() {
+      runs = [];
+    }
+  };
+}
+
+const runFileName = (record) => `${record.startedAt.replace(/[:.]/g, '-')}-${randomBytes(4).toString('hex')}.json`;
+
+/**
+ * Create a file-backed run store, one JSON file per run
+ * Runs never rewrite a shared file, so overlapping runs can't drop each other's records.
+ * Durable only with an explicit directory on persistent storage; the default directory
+ * in the OS temp directory is per instance, like the in-memory store
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Directory holding the run files
+ * @returns {Object} Store with async add/list/clear
+ */
+export function createFileWarmRunStore({ dir } = {}) {
+  const dirPath = dir || path.join(os.tmpdir(), 'market-squawk-warm-runs');
+
+  const readAll = async () => {
+    let names;
+    try {
+      names = await fs.readdir(dirPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    const runs = await Promise.all(names.filter((name) => name.endsWith('.json')).map(async (name) => {
+      try {
+        return { name, run: JSON.parse(await fs.readFile(path.join(dirPath, name), 'utf8')) };
+      } catch (error) {
+        // Pruned by another run between readdir and readFile
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    }));
+    return runs.filter(Boolean).sort((a, b) => (a.name < b.name ? 1 : a.name > b.name ? -1 : 0));
+  };
+
+  return {
+    durable: Boolean(dir),
+
+    async add(record, historySize) {
+      await writeFileAtomic(path.join(dirPath, runFileName(record)), JSON.stringify(record, null, 2));
+
+      const all = await readAll();
+      const kept = new Set(trimWarmRuns(all.map(({ run }) => run), historySize));
+      await Promise.all(all
+        .filter(({ run }) => !kept.has(run))
+        .map(({ name }) => fs.rm(path.join(dirPath, name), { force: true })));
+    },
+
+    async list() {
+      return (await readAll()).map(({ run }) => run);
+    },
+
+    async clear() {
+      await fs.rm(dirPath, { recursive: true, force: true });
+    }
+  };
+}
+
+let defaultRunStore = null;
+
+/**
+ * Get the shared run store
+ * Uses the file-backed store when WARM_RUNS_STORE=file (directory from WARM_RUNS_DIR),
+ * otherwise an in-memory store; any other store with the same methods can be installed
+ * with setWarmRunStore
+ * @returns {Object} Run store
+ */
+export function getWarmRunStore() {
+  if (!defaultRunStore) {
+    defaultRunStore = process.env.WARM_RUNS_STORE === 'file'
+      ? createFileWarmRunStore({ dir: process.env.WARM_RUNS_DIR })
+      : createMemoryWarmRunStore();
+  }
+  return defaultRunStore;
+}
+
+/**
+ * Replace the shared run store (pass null to rebuild it from the environment)
+ * @param {Object|null} store - Run store
+ */
+export function setWarmRunStore(store) {
+  defaultRunStore = store;
+}
+
+/**
+ * Record a warm-cache run in the run history
+ * The newest run is the last run and the newest run with no failures the last success;
+ * a write failure is logged rather than failing the run
+ * @param {Object} run - { mode, startedAt, finishedAt, results }
+ * @param {Object} options - { store, historySize }
+ * @returns {Promise<Object>} The run with ok and failed counts added
+ */
+export async function recordWarmRun(run, { store = getWarmRunStore(), historySize = getWarmConfig().historySize } = {}) {
+  const failed = run.results.filter((result) => !isWarmResultOk(result)).length;
+  const record = { ...run, ok: failed === 0, failed };
+
+  try {
+    await store.add(record, historySize);
+  } catch (error) {
+    console.warn('Warm run write failed:', error.message);
+  }
+  return record;
+}
+
+/**
+ * Read the last run and the last fully successful run
+ * @param {Object} store - Run store (defaults to the shared store)
+ * @returns {Promise<Object>} { lastRun, lastSuccess }, each a run record or null
+ */
+export async function getWarmRunStatus(store = getWarmRunStore()) {
+  const runs = await store.list();
+  return { lastRun: runs[0] || null, lastSuccess: runs.find((run) => run.ok) || null };
+}
+
+/**
+ * Read the run history
+ * @param {Object} store - Run store (defaults to the shared store)
+ * @returns {Promise<Array>} Run records, newest first
+ */
+export async function getWarmRuns(store = getWarmRunStore()) {
+  return store.list();
+}
@@ -45,6 +45,10 @@ const nextConfig = {
         source: '/calendar/today',
         destination: '/api/calendar/today',
       },
+      {
+        source: '/calendar/day/:date',
+        destination: '/api/calendar/day?date=:date',
+      },
       {
         source: '/calendar/week',
         destination: '/api/calendar/week',
@@ -53,6 +57,58 @@ const nextConfig = {
         source: '/calendar/week/:start',
         destination: '/api/calendar/week?start=:start',
       },
+      {
+        source: '/calendar/month',
+        destination: '/api/calendar/month',
+      },
+      {
+        source: '/calendar/month/:month',
+        destination: '/api/calendar/month?month=:month',
+      },
+      {
+        source: '/calendar/category/:category',
+        destination: '/api/calendar/category?category=:category',
+      },
+      {
+        source: '/calendar/country/:code',
+        destination: '/api/calendar/country?code=:code',
+      },
+      {
+        source: '/calendar/event/:date(\\d{4}-\\d{2}-\\d{2})/:id',
+        destination: '/api/calendar/event-page?date=:date&id=:id',
+      },
+      {
+        source: '/calendar/event/:id',
+        destination: '/api/calendar/event-page?id=:id',
+      },
+      {
+        source: '/calendar/morning-report/:date',
+        destination: '/api/calendar/morning-report-page?date=:date',
+      },
+      {
+        source: '/calendar/subscribe/:token([A-Za-z0-9_-]+)\\.ics',
+        destination: '/api/calendar/subscribe/:token',
+      },
+      {
+        source: '/feeds/upcoming.xml',
+        destination: '/api/feeds/upcoming.xml',
+      },
+      {
+        source: '/feeds/upcoming.atom',
+        destination: '/api/feeds/upcoming.atom',
+      },
+      {
+        source: '/sitemap.xml',
+        destination: '/api/sitemap',
+      },
+      {
+        source: '/sitemap-:page(\\d+)\\.xml',
+        destination: '/api/sitemap?page=:page',
+      },
+      {
+        source: '/docs/api',
+        destination: '/api/docs',
+      },
     ];
   },
 };
@@ -0,0 +1,28 @@
+// Admin health report: /api/admin/health
+// Requires an API key with the admin scope. The full diagnostics behind /api/health:
+// upstream probes per base URL with latency and clock skew, circuit breaker state,
+// fallback snapshots, warm-up runs and the build. Answers 503 when degraded
+import { getHealthReport } from '../../../lib/health.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+
+async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method && req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const report = await getHealthReport();
+    if (report.status !== 'ok') {
+      console.error('Health check degraded:', report.problems.join('; '));
+    }
+    return res.status(report.status === 'ok' ? 200 : 503).json(report);
+  } catch (e) {
+    console.error('Health check error:', e);
+    return res.status(503).json({ status: 'degraded', problems: [e.message], checkedAt: new Date().toISOString() });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'admin' });
@@ -0,0 +1,43 @@
+// Admin usage report: /api/admin/usage
+// Requires an API key with the admin scope. Lists every key with its scopes,
+// quotas and request counts, plus the anonymous total (counts come from the usage
+// store, which covers only this function instance unless a shared one is installed)
+import { getApiKeyStore } from '../../../lib/apiKeyStore.js';
+import { getApiUsage } from '../../../lib/apiUsage.js';
+import { withApiAccess, ANONYMOUS_CLIENT } from '../../../lib/apiAccess.js';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const now = Date.now();
+    const keys = await getApiKeyStore().list();
+    const [usage, anonymous] = await Promise.all([
+      Promise.all(keys.map((record) => getApiUsage(record.id, now))),
+      getApiUsage(ANONYMOUS_CLIENT, now)
+    ]);
+
+    return res.status(200).json({
+      generatedAt: new Date(now).toISOString(),
+      keys: keys.map((record, i) => ({
+        id: record.id,
+        name: record.name,
+        scopes: record.scopes,
+        quota: record.quota,
+        revokedAt: record.revokedAt,
+        usage: usage[i]
+      })),
+      anonymous
+    });
+  } catch (e) {
+    console.error('Admin usage API error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'admin' });
@@ -0,0 +1,31 @@
+// Admin warm-up history: /api/admin/warm-runs
+// Requires an API key with the admin scope. Lists recent cache warming runs, newest
+// first, with per-route results; ?failed=1 keeps only runs where a warm-up failed.
+// durable: false means the list only holds runs made by this function instance
+import { getWarmRuns, getWarmRunStore } from '../../../lib/warmCache.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const store = getWarmRunStore();
+    const runs = await getWarmRuns(store);
+    const failedOnly = ['1', 'true'].includes(String(req.query?.failed || ''));
+
+    return res.status(200).json({
+      durable: store.durable !== false,
+      runs: failedOnly ? runs.filter((run) => !run.ok) : runs
+    });
+  } catch (e) {
+    console.error('Admin warm runs API error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'admin' });
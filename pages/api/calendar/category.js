@@ -0,0 +1,10 @@
+import { sendSlicePage } from '../../../lib/calendarSlices.js';
+
+/**
+ * Vercel Serverless Function for a category landing page
+ * Served at /calendar/category/:category (rewritten to /api/calendar/category?category=:category)
+ * Lists recent and upcoming releases in one category (employment, inflation, ...)
+ */
+export default async function handler(req, res) {
+  return sendSlicePage(res, { kind: 'category', value: req.query?.category });
+}
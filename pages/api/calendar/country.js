@@ -0,0 +1,10 @@
+import { sendSlicePage } from '../../../lib/calendarSlices.js';
+
+/**
+ * Vercel Serverless Function for a country landing page
+ * Served at /calendar/country/:code (rewritten to /api/calendar/country?code=:code)
+ * Lists recent and upcoming releases for one country code (USA, GBR, ...)
+ */
+export default async function handler(req, res) {
+  return sendSlicePage(res, { kind: 'country', value: req.query?.code });
+}
@@ -0,0 +1,22 @@
+import { sendDailyBriefing } from '../../../lib/dailyBriefing.js';
+import { sendValidationError } from '../../../lib/validation.js';
+import { validateParameters, PAGE_PARAMETERS } from '../../../lib/apiSchema.js';
+
+/**
+ * Vercel Serverless Function for the briefing of a specific day
+ * Served at /calendar/day/:date (rewritten to /api/calendar/day?date=:date)
+ * Same layout as /calendar/today; past days show that day's archived morning report
+ */
+export default async function handler(req, res) {
+  // Validate the date (YYYY-MM-DD, and a real calendar day)
+  const error = validateParameters(req.query, [PAGE_PARAMETERS.date]);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+  const date = String(req.query.date);
+
+  return sendDailyBriefing(req, res, {
+    date,
+    canonical: `https://marketsquawk.ai/calendar/day/${date}`
+  });
+}
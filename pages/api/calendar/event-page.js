@@ -0,0 +1,176 @@
+import { escapeHtml, formatTimeET, formatDateET, getWeekStartDate } from '../../../lib/utils.js';
+import { UpstreamError } from '../../../lib/upstream.js';
+import { isValidEventId, findEventById, findSeriesNeighbors, eventPermalink } from '../../../lib/calendarEvents.js';
+
+/**
+ * Render a minimal status page
+ * @param {string} title - Page title and heading
+ * @param {string} message - Explanation shown to the reader
+ * @returns {string} HTML document
+ */
+function statusPage(title, message) {
+  return `<!doctype html>
+<html>
+<head>
+  <title>${escapeHtml(title)}</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <meta name="robots" content="noindex"/>
+</head>
+<body style="font-family: sans-serif; padding: 20px; text-align: center;">
+  <h1>${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  <p><a href="/calendar/week">← View Weekly Calendar</a></p>
+</body>
+</html>`;
+}
+
+/**
+ * Vercel Serverless Function for a single economic release
+ * Served at /calendar/event/:date/:id (rewritten to /api/calendar/event-page?date=:date&id=:id);
+ * the older /calendar/event/:id links still resolve for ids the lookup index knows
+ * Returns pre-rendered HTML with Event JSON-LD and links to the previous and
+ * next occurrences of the same series
+ */
+export default async function handler(req, res) {
+  try {
+    const id = String(req.query?.id || '');
+    const date = req.query?.date === undefined ? undefined : String(req.query.date);
+    const ev = isValidEventId(id) ? await findEventById(id, { date }) : null;
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    if (!ev) {
+      // Not cached: an undated id misses on instances whose index hasn't seen it yet
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(404).send(statusPage('Economic Event Not Found', 'This release is not on the calendar. It may have been removed or rescheduled.'));
+    }
+
+    const { previous, next } = await findSeriesNeighbors(ev);
+
+    const canonical = eventPermalink(ev);
+    const weekLink = `/calendar/week/${getWeekStartDate(ev.date)}`;
+    const eventName = escapeHtml(ev.event);
+    const dateFormatted = formatDateET(ev.date);
+    const timeET = formatTimeET(ev.date);
+    const importance = escapeHtml(ev.importance);
+    const category = escapeHtml(String(ev.category).replace(/_/g, ' '));
+    const country = escapeHtml(ev.country);
+    const sourceName = escapeHtml(ev.source?.name || 'Unknown');
+    const sourceUrl = ev.source?.url || '';
+    const released = new Date(ev.date) <= new Date();
+
+    const occurrenceLink = (other, label, rel) => other
+      ? `<a href="${escapeHtml(eventPermalink(other))}" rel="${rel}">${label}: ${escapeHtml(formatDateET(other.date))}</a>`
+      : `<span class="muted">No ${label.toLowerCase()} release found</span>`;
+
+    // JSON-LD: a single Event with a stable @id
+    const jsonLd = {
+      "@context": "https://schema.org",
+      "@type": "Event",
+      "@id": canonical,
+      "url": canonical,
+      "name": ev.event,
+      "startDate": new Date(ev.date).toISOString(),
+      "eventStatus": "https://schema.org/EventScheduled",
+      "eventAttendanceMode": "https://schema.org/OnlineEventAttendanceMode",
+      "location": {
+        "@type": "Place",
+        "name": ev.country,
+        "address": {
+          "@type": "PostalAddress",
+          "addressCountry": ev.country
+        }
+      },
+      "organizer": {
+        "@type": "Organization",
+        "name": ev.source?.name || 'Economic Authority',
+        "url": sourceUrl
+      },
+      "description": `${ev.importance} importance ${String(ev.category).replace(/_/g, ' ')} release`,
+      "keywords": ev.tags.length > 0 ? ev.tags.join(', ') : 'economic calendar, market events'
+    };
+
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+
+    const html = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${eventName} — ${escapeHtml(dateFormatted)}</title>
+  <link rel="canonical" href="${canonical}"/>${previous ? `
+  <link rel="prev" href="${escapeHtml(eventPermalink(previous))}"/>` : ''}${next ? `
+  <link rel="next" href="${escapeHtml(eventPermalink(next))}"/>` : ''}
+  <meta name="description" content="${eventName} (${country}) ${released ? 'was released' : 'is scheduled'} on ${escapeHtml(dateFormatted)} at ${timeET} ET. ${importance} importance ${category} release."/>
+  <meta property="og:title" content="${eventName} — ${escapeHtml(dateFormatted)}"/>
+  <meta property="og:description" content="${importance} importance ${category} release at ${timeET} ET."/>
+  <meta property="og:type" content="website"/>
+  <meta property="og:url" content="${canonical}"/>
+  <script type="application/ld+json">${JSON.stringify(jsonLd, null, 2)}</script>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
+    .container { max-width: 800px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+    h1 { margin: 0; padding: 20px; background: #1e293b; color: white; font-size: 1.5rem; }
+    nav { padding: 15px 20px; background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
+    nav a { color: #3b82f6; text-decoration: none; margin: 0 10px; }
+    nav a:hover { text-decoration: underline; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 8px 20px; padding: 20px; margin: 0; }
+    dt { font-weight: 600; color: #374151; }
+    dd { margin: 0; color: #4b5563; }
+    dd a { color: #3b82f6; }
+    .importance-high { color: #dc2626; font-weight: 600; }
+    .importance-medium { color: #f59e0b; font-weight: 500; }
+    .importance-low { color: #10b981; }
+    .series { display: flex; justify-content: space-between; padding: 15px 20px; border-top: 1px solid #f3f4f6; }
+    .series a { color: #3b82f6; text-decoration: none; }
+    .series a:hover { text-decoration: underline; }
+    .muted { color: #9ca3af; }
+    .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; border-top: 1px solid #f3f4f6; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${eventName}</h1>
+    <nav>
+      <a href="${weekLink}">← Week of ${escapeHtml(getWeekStartDate(ev.date))}</a>
+      <span>|</span>
+      <a href="/calendar/today">Today</a>
+    </nav>
+    <dl>
+      <dt>Date</dt>
+      <dd><time datetime="${new Date(ev.date).toISOString()}">${escapeHtml(dateFormatted)}, ${timeET} ET</time>${released ? ' (released)' : ''}</dd>
+      <dt>Country</dt>
+      <dd>${country}</dd>
+      <dt>Importance</dt>
+      <dd><span class="importance-${importance.toLowerCase()}">${importance}</span></dd>
+      <dt>Category</dt>
+      <dd>${category}</dd>
+      <dt>Source</dt>
+      <dd>${sourceUrl ? `<a href="${escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer">${sourceName}</a>` : sourceName}</dd>${ev.tags.length > 0 ? `
+      <dt>Tags</dt>
+      <dd>${ev.tags.map(escapeHtml).join(', ')}</dd>` : ''}
+    </dl>
+    <nav class="series" aria-label="Other releases in this series">
+      ${occurrenceLink(previous, 'Previous', 'prev')}
+      ${occurrenceLink(next, 'Next', 'next')}
+    </nav>
+    <div class="footer">
+      Economic Calendar powered by Market Squawk • Data updated every 10 minutes
+    </div>
+  </div>
+</body>
+</html>`;
+
+    return res.status(200).send(html);
+  } catch (error) {
+    console.error('Event page error:', error);
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    if (error instanceof UpstreamError) {
+      res.setHeader('Cache-Control', 'no-store');
+      res.setHeader('Retry-After', String(error.retryAfter || 60));
+      return res.status(503).send(statusPage('Economic Event - Temporarily Unavailable', 'This release could not be loaded. Please try again in a minute.'));
+    }
+    return res.status(500).send(statusPage('Economic Event - Error', 'Something went wrong loading this release.'));
+  }
+}
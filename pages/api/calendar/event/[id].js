@@ -0,0 +1,59 @@
+// JSON API: /api/calendar/event/:id?date=YYYY-MM-DD
+// Looks up a single release by upstream _id on its release day (ET) and returns it
+// with its permalink and the previous/next occurrences of the same series. date is
+// required: the in-memory index of undated ids differs per instance, so a lookup
+// without it could answer 404 for an event that exists
+import { UpstreamError } from '../../../../lib/upstream.js';
+import { eventKey } from '../../../../lib/ical.js';
+import { validationError, sendValidationError, checkDate, VALIDATION_CODES } from '../../../../lib/validation.js';
+import { isValidEventId, findEventById, findSeriesNeighbors, eventPermalink } from '../../../../lib/calendarEvents.js';
+import { withApiAccess } from '../../../../lib/apiAccess.js';
+
+const summarize = (ev) => ev && {
+  id: eventKey(ev),
+  event: ev.event,
+  date: ev.date,
+  url: eventPermalink(ev)
+};
+
+async function handler(req, res) {
+  try {
+    const id = String(req.query?.id || '');
+    if (!isValidEventId(id)) {
+      return sendValidationError(res, validationError(VALIDATION_CODES.INVALID_PARAMETER, 'id', 'Invalid event id.'));
+    }
+
+    const dateError = req.query?.date
+      ? checkDate(req.query.date, 'date')
+      : validationError(VALIDATION_CODES.MISSING, 'date', 'Missing date. Use the release day in ET (YYYY-MM-DD).');
+    if (dateError) {
+      return sendValidationError(res, dateError);
+    }
+
+    const ev = await findEventById(id, { date: req.query.date });
+    if (!ev) {
+      // Not cached, so a release upstream adds or moves later is found on the next request
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { previous, next } = await findSeriesNeighbors(ev);
+
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    return res.status(200).json({
+      event: ev,
+      url: eventPermalink(ev),
+      previous: summarize(previous),
+      next: summarize(next)
+    });
+  } catch (e) {
+    if (e instanceof UpstreamError) {
+      if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error('Calendar event API error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'calendar:read' });
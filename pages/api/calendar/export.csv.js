@@ -0,0 +1,18 @@
+// CSV export: /api/calendar/export.csv
+// Accepts the same range, filter, search and sort parameters as /api/calendar
+// (limit/cursor are ignored; the whole range is exported), plus:
+//   columns  comma-separated columns (default: id,date,local_datetime,event,country,importance,category,source_name)
+//   tz       IANA timezone for the local_date, local_time and local_datetime columns (default: UTC)
+import { streamCalendarExport } from '../../../lib/calendarExport.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+
+async function handler(req, res) {
+  try {
+    return await streamCalendarExport(req, res, 'csv');
+  } catch (e) {
+    console.error('Calendar CSV export error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'export' });
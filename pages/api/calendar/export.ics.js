@@ -0,0 +1,74 @@
+// iCalendar export: /api/calendar/export.ics
+// Accepts the same range, filter, search and sort parameters as /api/calendar
+// (limit/cursor are ignored; the whole range is exported, up to 366 days, fetched
+// from upstream in EXPORT_WINDOW_DAYS windows like the CSV/NDJSON exports), plus:
+//   alarm    reminder lead time in minutes (0-1440), adds a VALARM to every event when > 0
+import { fetchCalendarEvents } from '../../../lib/upstream.js';
+import { parseCalendarQuery, applyCalendarQuery } from '../../../lib/calendarQuery.js';
+import { buildICalendar, parseAlarmMinutes, eventKey, MAX_ALARM_MINUTES } from '../../../lib/ical.js';
+import { MAX_EXPORT_DAYS, EXPORT_WINDOW_DAYS } from '../../../lib/calendarExport.js';
+import { splitDateRange } from '../../../lib/utils.js';
+import { sendUpstreamError } from '../../../lib/apiEnvelope.js';
+import { validationError, sendValidationError, VALIDATION_CODES } from '../../../lib/validation.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+
+/**
+ * Fetch a range from upstream one window at a time
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Array>} Events of every window, each once
+ */
+async function fetchExportRange(fromDate, toDate) {
+  const seen = new Set();
+  const events = [];
+  for (const window of splitDateRange(fromDate, toDate, EXPORT_WINDOW_DAYS)) {
+    for (const ev of await fetchCalendarEvents(window.fromDate, window.toDate, { timeout: 10000 })) {
+      // Windows don't overlap, but guard against upstream returning boundary events twice
+      const key = eventKey(ev);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      events.push(ev);
+    }
+  }
+  return events;
+}
+
+async function handler(req, res) {
+  try {
+    const q = req.query || {};
+    const parsed = parseCalendarQuery(q, { maxDays: MAX_EXPORT_DAYS });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const alarmMinutes = parseAlarmMinutes(q.alarm);
+    if (alarmMinutes === undefined) {
+      return sendValidationError(res, validationError(VALIDATION_CODES.INVALID_PARAMETER, 'alarm', `Invalid alarm. Use whole minutes from 0 to ${MAX_ALARM_MINUTES}.`));
+    }
+
+    const { fromDate, toDate } = parsed;
+    let fetched;
+    try {
+      fetched = await fetchExportRange(fromDate, toDate);
+    } catch (e) {
+      // Network failures are upstream being unavailable too, not server errors
+      return sendUpstreamError(res, e);
+    }
+    const events = applyCalendarQuery(fetched, parsed);
+
+    const ics = buildICalendar(events, {
+      name: `Market Squawk Economic Calendar (${fromDate} to ${toDate})`,
+      alarmMinutes
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="economic-calendar-${fromDate}-${toDate}.ics"`);
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    return res.status(200).send(ics);
+  } catch (e) {
+    console.error('Calendar ICS export error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'export' });
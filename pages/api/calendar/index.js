@@ -1,75 +1,55 @@
 // JSON API: /api/calendar
-// Proxies economic calendar data from upstream and supports optional filtering.
-import { computeWeekRange } from '../../../lib/utils.js';
+// Legacy alias of /api/v1/calendar: same parameters and data (lib/calendarApi.js), but
+// answers with a bare array and string errors. Supports optional filtering:
+//   importance, country, category          comma-separated lists (match any)
+//   excludeImportance, excludeCountry, ... comma-separated lists (drop matches)
+//   minImportance                          low | medium | high (that level and above) | all
+//   q                                      full-text search, results ranked by relevance then date
+//   sort                                   date | -date | importance | -importance (default: date,
+//                                          or relevance when q is set)
+//   limit, cursor                          pagination; totals in X-Total-Count, next page in Link
+import { UpstreamError } from '../../../lib/upstream.js';
+import { loadCalendarPage } from '../../../lib/calendarApi.js';
+import { setSnapshotHeaders } from '../../../lib/apiEnvelope.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+import { computeEtag, lastModifiedOf, applyConditionalGet } from '../../../lib/conditionalGet.js';
+import { releaseAwareCacheControl } from '../../../lib/warmCache.js';
+
+// Map a failed upstream load to the legacy { error: message } body
+function sendLegacyUpstreamError(res, e) {
+  res.setHeader('Cache-Control', 'no-store');
+  if (e instanceof UpstreamError) {
+    if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+    return res.status(e.status).json({ error: e.message });
+  }
+  return res.status(503).json({ error: 'Upstream data is temporarily unavailable.' });
+}
 
-export default async function handler(req, res) {
+async function handler(req, res) {
   try {
-    const q = req.query || {};
-    let { fromDate, toDate } = q;
-
-    const isYmd = (s) => typeof s === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(s);
-    if (!isYmd(fromDate)) fromDate = undefined;
-    if (!isYmd(toDate)) toDate = undefined;
-
-    // Default to the current week if dates are missing
-    if (!fromDate && !toDate) {
-      const r = computeWeekRange(new Date());
-      fromDate = r.fromDate;
-      toDate = r.toDate;
-    } else if (!fromDate && toDate) {
-      const r = computeWeekRange(toDate);
-      fromDate = r.fromDate;
-      // keep provided toDate if valid; else use computed
-      toDate = toDate || r.toDate;
-    } else if (fromDate && !toDate) {
-      const r = computeWeekRange(fromDate);
-      // keep provided fromDate if valid; else use computed
-      fromDate = fromDate || r.fromDate;
-      toDate = r.toDate;
+    let result;
+    try {
+      result = await loadCalendarPage(req, '/api/calendar');
+    } catch (e) {
+      console.error('Calendar API upstream error:', e.message);
+      return sendLegacyUpstreamError(res, e);
     }
-
-    const API_BASE = process.env.CALENDAR_API_BASE || 'https://data-dev.pricesquawk.com';
-    const url = `${API_BASE}/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
-
-    const upstream = await fetch(url, {
-      headers: { 
-        'accept': 'application/json',
-        'user-agent': 'Market-Squawk-Calendar/1.0 (+https://marketsquawk.ai)',
-        'referer': 'https://marketsquawk.ai'
-      },
-      // Node 18+ supports AbortSignal.timeout
-      signal: AbortSignal.timeout(10000),
-    });
-
-    if (!upstream.ok) {
-      return res.status(upstream.status).json({ error: `Upstream error: ${upstream.status}` });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
     }
+    const { snapshot, page, link } = result;
 
-    const data = await upstream.json();
-    if (!Array.isArray(data)) {
-      return res.status(502).json({ error: 'Invalid upstream response' });
+    setSnapshotHeaders(res, snapshot, releaseAwareCacheControl(600, 59));
+    res.setHeader('X-Total-Count', String(page.total));
+    if (link) res.setHeader('Link', link);
+    if (applyConditionalGet(req, res, { etag: computeEtag([page.items, snapshot.stale]), lastModified: lastModifiedOf(page.items) })) {
+      return;
     }
-
-    // Optional lightweight server-side filtering
-    const { importance, country, category } = q;
-    let result = data;
-    if (importance) {
-      const val = String(importance).toLowerCase();
-      result = result.filter((ev) => (ev.importance || '').toLowerCase() === val);
-    }
-    if (country) {
-      const val = String(country).toLowerCase();
-      result = result.filter((ev) => (ev.country || '').toLowerCase() === val);
-    }
-    if (category) {
-      const val = String(category).toLowerCase();
-      result = result.filter((ev) => (ev.category || '').toLowerCase() === val);
-    }
-
-    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
-    return res.status(200).json(result);
+    return res.status(200).json(page.items);
   } catch (e) {
     console.error('Calendar API error:', e);
     return res.status(500).json({ error: 'Server error' });
   }
 }
+
+export default withApiAccess(handler, { scope: 'calendar:read' });
@@ -0,0 +1,243 @@
+import { computeMonthRange, getMonthKey, linkForMonthOffset, escapeHtml, formatTimeET, formatDateET, hasValidDate } from '../../../lib/utils.js';
+import { fetchCalendarEvents } from '../../../lib/upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from '../../../lib/snapshotStore.js';
+import { eventPermalink } from '../../../lib/calendarEvents.js';
+import { sendValidationError } from '../../../lib/validation.js';
+import { validateParameters, PAGE_PARAMETERS } from '../../../lib/apiSchema.js';
+import { setSnapshotHeaders } from '../../../lib/apiEnvelope.js';
+import { sendUnavailablePage } from '../../../lib/statusPage.js';
+
+/**
+ * Vercel Serverless Function for Monthly Economic Calendar
+ * Returns pre-rendered HTML with JSON-LD structured data for SEO
+ * Events are grouped by day (ET) in one table
+ */
+export default async function handler(req, res) {
+  try {
+    const { month } = req.query; // optional month (YYYY-MM)
+
+    // Determine the month
+    let monthKey;
+    if (month) {
+      // Validate the provided month
+      const error = validateParameters(req.query, [PAGE_PARAMETERS.month]);
+      if (error) {
+        return sendValidationError(res, error);
+      }
+      monthKey = month;
+    } else {
+      // Default to current month
+      monthKey = getMonthKey(new Date());
+    }
+
+    // Compute month range
+    const { fromDate, toDate } = computeMonthRange(monthKey);
+
+    // Fetch events from upstream API, falling back to the last good snapshot
+    let events = [];
+    let snapshot;
+    try {
+      snapshot = await loadWithSnapshot(
+        calendarSnapshotKey(fromDate, toDate),
+        () => fetchCalendarEvents(fromDate, toDate)
+      );
+      events = snapshot.data;
+    } catch (apiError) {
+      console.error('API fetch failed:', apiError.message);
+      return sendUnavailablePage(res, {
+        name: 'Economic Calendar',
+        subject: `Calendar data for ${monthKey}`,
+        back: { href: '/calendar/week', label: 'View Weekly Calendar' }
+      });
+    }
+
+    // Sort events by time and group them by ET day, leaving out events without a valid date
+    const sortedEvents = events.filter(hasValidDate).sort((a, b) => new Date(a.date) - new Date(b.date));
+    const days = new Map();
+    for (const ev of sortedEvents) {
+      const day = formatDateET(ev.date);
+      if (!days.has(day)) days.set(day, []);
+      days.get(day).push(ev);
+    }
+
+    // Build one table body per day
+    const dayGroups = [...days].map(([day, dayEvents]) => {
+      const rows = dayEvents.map((ev) => {
+        const timeET = formatTimeET(ev.date);
+        const eventName = escapeHtml(ev.event || 'Unknown Event');
+        const country = escapeHtml(ev.country || 'Unknown');
+        const importance = escapeHtml(ev.importance || 'low');
+        const sourceName = escapeHtml(ev.source?.name || 'Unknown');
+        const sourceUrl = ev.source?.url || '#';
+
+        return `<tr>
+          <td class="px-4 py-2 border-b border-gray-200">${timeET} ET</td>
+          <td class="px-4 py-2 border-b border-gray-200"><a href="${escapeHtml(eventPermalink(ev))}">${eventName}</a></td>
+          <td class="px-4 py-2 border-b border-gray-200">${country}</td>
+          <td class="px-4 py-2 border-b border-gray-200">
+            <span class="importance-${importance.toLowerCase()}">${importance}</span>
+          </td>
+          <td class="px-4 py-2 border-b border-gray-200">
+            <a href="${escapeHtml(sourceUrl)}" target="_blank" rel="noopener noreferrer" class="text-blue-600 hover:text-blue-800">${sourceName}</a>
+          </td>
+        </tr>`;
+      }).join('');
+
+      return `<tbody>
+        <tr class="day-header"><th colspan="5" scope="rowgroup">${escapeHtml(day)} <span class="day-count">(${dayEvents.length})</span></th></tr>
+        ${rows}
+      </tbody>`;
+    }).join('');
+
+    // Format the month display
+    const monthFormatted = new Date(fromDate).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      timeZone: 'UTC'
+    });
+
+    // JSON-LD: ItemList of Events
+    const jsonLd = {
+      "@context": "https://schema.org",
+      "@type": "ItemList",
+      "name": `Economic Calendar - ${monthFormatted}`,
+      "description": "Monthly economic calendar with market events and announcements",
+      "itemListElement": sortedEvents.map((ev, idx) => ({
+        "@type": "ListItem",
+        "position": idx + 1,
+        "item": {
+          "@type": "Event",
+          "@id": eventPermalink(ev),
+          "url": eventPermalink(ev),
+          "name": ev.event || 'Economic Event',
+          "startDate": new Date(ev.date).toISOString(),
+          "eventStatus": "https://schema.org/EventScheduled",
+          "eventAttendanceMode": "https://schema.org/OnlineEventAttendanceMode",
+          "location": {
+            "@type": "Place",
+            "name": ev.country || 'Global',
+            "address": {
+              "@type": "PostalAddress",
+              "addressCountry": ev.country || 'Global'
+            }
+          },
+          "organizer": {
+            "@type": "Organization",
+            "name": ev.source?.name || 'Economic Authority',
+            "url": ev.source?.url || ''
+          },
+          "description": `${ev.importance || 'Medium'} importance economic event`,
+          "keywords": ev.tags ? ev.tags.join(', ') : 'economic calendar, market events'
+        }
+      }))
+    };
+
+    // Set response headers
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    setSnapshotHeaders(res, snapshot, 's-maxage=600, stale-while-revalidate=59');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // Generate navigation URLs
+    const canonical = `https://marketsquawk.ai/calendar/month/${monthKey}`;
+    const prev = linkForMonthOffset(monthKey, -1);
+    const next = linkForMonthOffset(monthKey, +1);
+
+    // Render HTML response
+    const html = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>Economic Calendar — ${monthFormatted}</title>
+  <link rel="canonical" href="${canonical}"/>
+  <link rel="prev" href="${prev}"/>
+  <link rel="next" href="${next}"/>
+  <link rel="alternate" type="application/rss+xml" title="Upcoming high-importance events (RSS)" href="https://marketsquawk.ai/feeds/upcoming.xml"/>
+  <link rel="alternate" type="application/atom+xml" title="Upcoming high-importance events (Atom)" href="https://marketsquawk.ai/feeds/upcoming.atom"/>
+  <meta name="description" content="Monthly economic calendar for ${monthFormatted}. Track major economic events, market announcements, and financial indicators with AI-powered market analysis."/>
+  <meta name="keywords" content="economic calendar, monthly calendar, market events, financial calendar, economic indicators"/>
+  <meta property="og:title" content="Economic Calendar — ${monthFormatted}"/>
+  <meta property="og:description" content="Monthly economic calendar with ${sortedEvents.length} events for market analysis and trading insights."/>
+  <meta property="og:type" content="website"/>
+  <meta property="og:url" content="${canonical}"/>${snapshot.stale ? `
+  <meta name="data-stale" content="${escapeHtml(snapshot.savedAt)}"/>` : ''}
+  <script type="application/ld+json">${JSON.stringify(jsonLd, null, 2)}</script>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
+    .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+    h1 { margin: 0; padding: 20px; background: #1e293b; color: white; font-size: 1.5rem; }
+    nav { padding: 15px 20px; background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
+    nav a { color: #3b82f6; text-decoration: none; margin: 0 10px; }
+    nav a:hover { text-decoration: underline; }
+    table { width: 100%; border-collapse: collapse; }
+    th { background: #f8fafc; padding: 12px; text-align: left; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb; }
+    td { padding: 8px 12px; border-bottom: 1px solid #f3f4f6; }
+    tr:hover { background: #f9fafb; }
+    .day-header th { background: #eef2ff; color: #1e293b; border-bottom: 1px solid #c7d2fe; }
+    .day-count { color: #6b7280; font-weight: 400; }
+    .importance-high { color: #dc2626; font-weight: 600; }
+    .importance-medium { color: #f59e0b; font-weight: 500; }
+    .importance-low { color: #10b981; }
+    .events-count { padding: 15px 20px; color: #6b7280; font-size: 0.9rem; }
+    .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; border-top: 1px solid #f3f4f6; }
+    .stale-notice { padding: 12px 20px; background: #fef3c7; color: #92400e; border-bottom: 1px solid #fde68a; font-size: 0.9rem; }
+  </style>
+</head>
+<body${snapshot.stale ? ' data-stale="true"' : ''}>
+  <div class="container">
+    <h1>Economic Calendar — ${monthFormatted}</h1>${snapshot.stale ? `
+    <div class="stale-notice" role="status">
+      Live data is temporarily unavailable. Showing the calendar as of ${escapeHtml(new Date(snapshot.savedAt).toUTCString())}.
+    </div>` : ''}
+    <nav>
+      <a href="${prev}">← Previous month</a>
+      <span>|</span>
+      <a href="/calendar/month">Current month</a>
+      <span>|</span>
+      <a href="${next}">Next month →</a>
+      <span>|</span>
+      <a href="/calendar/week/${fromDate}">Week view</a>
+    </nav>
+    <div class="events-count">
+      ${sortedEvents.length} economic events scheduled in ${monthFormatted}
+    </div>
+    <table>
+      <thead>
+        <tr>
+          <th>Time (ET)</th>
+          <th>Event</th>
+          <th>Country</th>
+          <th>Importance</th>
+          <th>Source</th>
+        </tr>
+      </thead>
+      ${dayGroups || '<tbody><tr><td colspan="5" style="text-align: center; padding: 40px; color: #6b7280;">No events scheduled for this month</td></tr></tbody>'}
+    </table>
+    <div class="footer">
+      Economic Calendar powered by Market Squawk • Data updated every 10 minutes
+    </div>
+  </div>
+</body>
+</html>`;
+
+    res.status(200).send(html);
+
+  } catch (error) {
+    console.error('Serverless function error:', error);
+
+    // Return a basic error page
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.status(500).send(`<!doctype html>
+<html>
+<head>
+  <title>Economic Calendar - Error</title>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+</head>
+<body style="font-family: sans-serif; padding: 20px; text-align: center;">
+  <h1>Economic Calendar Temporarily Unavailable</h1>
+  <p>We're experiencing technical difficulties. Please try again in a few minutes.</p>
+  <p><a href="/calendar/month">← Return to current month</a></p>
+</body>
+</html>`);
+  }
+}
@@ -0,0 +1,19 @@
+import { sendMorningReportPage } from '../../../lib/morningReportPage.js';
+import { sendValidationError } from '../../../lib/validation.js';
+import { validateParameters, PAGE_PARAMETERS } from '../../../lib/apiSchema.js';
+
+/**
+ * Vercel Serverless Function for a day's morning report
+ * Served at /calendar/morning-report/:date (rewritten to /api/calendar/morning-report-page?date=:date)
+ * Report summary, audio player for the MP3 brief and that day's events, with
+ * PodcastEpisode JSON-LD; past days read the morning report archive
+ */
+export default async function handler(req, res) {
+  // Validate the date (YYYY-MM-DD, and a real calendar day)
+  const error = validateParameters(req.query, [PAGE_PARAMETERS.date]);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  return sendMorningReportPage(req, res, { date: String(req.query.date) });
+}
@@ -0,0 +1,145 @@
+// Server-Sent Events: /api/calendar/stream
+// Pushes calendar changes for a date range (same fromDate/toDate defaulting and
+// importance/country/category filters as /api/calendar):
+//   event-added, event-updated, event-removed   upstream calendar changes
+//   release-imminent, released                  a release is about to happen / has happened
+//   resync                                      Last-Event-ID can't be resumed; refetch the range
+// Clients resume from Last-Event-ID (header, or lastEventId query for polyfills).
+// Comment heartbeats keep proxies from closing idle connections. The stream ends
+// before the function time limit and the retry hint brings clients straight back.
+// Each connection counts against the rate limit like any other API request, and at
+// most MAX_STREAM_FEEDS date ranges are streamed at once per instance (503 beyond that).
+import { UpstreamError } from '../../../lib/upstream.js';
+import { parseDateRange } from '../../../lib/calendarQuery.js';
+import { parseCalendarFilters, applyCalendarFilters } from '../../../lib/calendarFilters.js';
+import { validateParameters, DATE_RANGE_PARAMETERS, FILTER_PARAMETERS } from '../../../lib/apiSchema.js';
+import { sendValidationError } from '../../../lib/validation.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+import {
+  getCalendarFeed,
+  hasFeedCapacity,
+  startFeedTimers,
+  stopFeedTimersIfIdle,
+  formatSseMessage
+} from '../../../lib/calendarStream.js';
+
+const HEARTBEAT_MS = 15000;
+const STREAM_LIFETIME_MS = 55000;
+const RETRY_MS = 2000;
+const BUSY_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Rewrite a feed message for a client's filters
+ * Updates that move an event into or out of the filter become adds or removes
+ * @param {Object} message - Feed message
+ * @param {Object} filters - Parsed calendar filters
+ * @returns {Object|null} Message to send, or null to skip it
+ */
+function filterMessage({ id, type, data }, filters) {
+  const matches = (ev) => !!ev && applyCalendarFilters([ev], filters).length > 0;
+  const payload = { id: data.id, event: data.event };
+
+  if (type === 'event-updated') {
+    const now = matches(data.event);
+    const before = matches(data.previous);
+    if (now && before) return { id, type, data: payload };
+    if (now) return { id, type: 'event-added', data: payload };
+    if (before) return { id, type: 'event-removed', data: payload };
+    return null;
+  }
+
+  if (!matches(data.event)) return null;
+  return { id, type, data: type === 'release-imminent' ? data : payload };
+}
+
+// Too many date ranges are already streaming on this instance
+function sendBusy(res) {
+  res.setHeader('Cache-Control', 'no-store');
+  res.setHeader('Retry-After', String(BUSY_RETRY_AFTER_SECONDS));
+  return res.status(503).json({ error: 'Too many calendar streams are open. Please retry shortly.' });
+}
+
+async function handler(req, res) {
+  const q = req.query || {};
+  const error = validateParameters(q, [...DATE_RANGE_PARAMETERS, ...FILTER_PARAMETERS]);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+  const range = parseDateRange(q);
+  if (range.error) {
+    return sendValidationError(res, range.error);
+  }
+  const { fromDate, toDate } = range;
+  const filters = parseCalendarFilters(q);
+  const feed = getCalendarFeed(fromDate, toDate);
+  // Checked before the baseline fetch so a full instance doesn't load ranges it won't stream
+  if (!hasFeedCapacity(feed)) {
+    return sendBusy(res);
+  }
+
+  try {
+    await feed.start();
+  } catch (e) {
+    if (e instanceof UpstreamError) {
+      if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error('Calendar stream error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  // Other ranges may have started streaming while the baseline loaded
+  if (!startFeedTimers(feed)) {
+    return sendBusy(res);
+  }
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop proxies and compression from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.setHeader('Content-Encoding', 'none');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+
+  const send = (message) => {
+    const filtered = filterMessage(message, filters);
+    if (filtered) res.write(formatSseMessage(filtered));
+  };
+
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const lastEventId = req.headers?.['last-event-id'] || q.lastEventId;
+  if (lastEventId) {
+    const replay = feed.since(lastEventId);
+    if (replay) replay.forEach(send);
+    else res.write(formatSseMessage({ id: feed.lastEventId, type: 'resync', data: { fromDate, toDate } }));
+  }
+  // An id-only block moves the client's Last-Event-ID to the head without dispatching anything
+  res.write(`id: ${feed.lastEventId}\n\n`);
+
+  const unsubscribe = feed.subscribe(send);
+
+  return new Promise((resolve) => {
+    let closed = false;
+
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }, HEARTBEAT_MS);
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      clearTimeout(lifetime);
+      unsubscribe();
+      stopFeedTimersIfIdle(feed);
+      res.end();
+      resolve();
+    };
+
+    const lifetime = setTimeout(close, STREAM_LIFETIME_MS);
+    req.on?.('close', close);
+  });
+}
+
+export default withApiAccess(handler, { scope: 'calendar:read' });
@@ -0,0 +1,70 @@
+// Subscribed calendar feed: /calendar/subscribe/:token.ics (rewritten to /api/calendar/subscribe/:token)
+// Serves a rolling window of events filtered by the subscription's saved filters,
+// so calendar clients that poll the URL stay up to date
+import { fetchCalendarEvents, UpstreamError } from '../../../../lib/upstream.js';
+import { applyCalendarFilters, parseCalendarFilters } from '../../../../lib/calendarFilters.js';
+import { sortEvents } from '../../../../lib/calendarPaging.js';
+import { buildICalendar } from '../../../../lib/ical.js';
+import { getSubscriptionStore, isValidTokenFormat } from '../../../../lib/subscriptionStore.js';
+
+/**
+ * Rolling feed window relative to today (UTC)
+ */
+const FEED_PAST_DAYS = 7;
+const FEED_FUTURE_DAYS = 60;
+
+/**
+ * Suggested client polling interval in minutes
+ */
+const FEED_REFRESH_MINUTES = 60;
+
+const offsetDate = (days) => {
+  const date = new Date();
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+export default async function handler(req, res) {
+  try {
+    const token = String(req.query?.token || '').replace(/\.ics$/, '');
+    if (!isValidTokenFormat(token)) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const subscription = await getSubscriptionStore().get(token);
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+    if (subscription.revokedAt) {
+      return res.status(410).json({ error: 'Subscription has been revoked' });
+    }
+
+    const { minImportance, category, country, alarm } = subscription.filters;
+    const fromDate = offsetDate(-FEED_PAST_DAYS);
+    const toDate = offsetDate(FEED_FUTURE_DAYS);
+
+    const events = sortEvents(applyCalendarFilters(
+      await fetchCalendarEvents(fromDate, toDate, { timeout: 10000 }),
+      parseCalendarFilters({ minImportance, category, country })
+    ));
+
+    const ics = buildICalendar(events, {
+      name: 'Market Squawk Economic Calendar',
+      alarmMinutes: alarm,
+      refreshMinutes: FEED_REFRESH_MINUTES
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="market-squawk.ics"');
+    // Revocation takes effect once the edge copy expires
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    return res.status(200).send(ics);
+  } catch (e) {
+    if (e instanceof UpstreamError) {
+      if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error('Calendar subscription feed error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,77 @@
+// Calendar feed subscriptions: /api/calendar/subscriptions
+//   POST    create a subscription from minImportance, category, country and alarm
+//           (JSON body or query string); returns the token and webcal URL
+//   GET     ?token=... show a subscription's saved filters
+//   DELETE  ?token=... revoke a subscription; its feed returns 410 from then on
+// Every method needs an API key with the subscriptions:write scope
+import {
+  getSubscriptionStore,
+  getWritableSubscriptionStore,
+  normalizeSubscriptionFilters,
+  isValidTokenFormat,
+  SubscriptionStoreUnavailableError
+} from '../../../lib/subscriptionStore.js';
+import { validationError, sendValidationError, VALIDATION_CODES } from '../../../lib/validation.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+
+/**
+ * Public URLs for a subscription feed
+ * @param {string} token - Subscription token
+ * @returns {Object} { url, webcal }
+ */
+function feedUrls(token) {
+  const url = `https://marketsquawk.ai/calendar/subscribe/${token}.ics`;
+  return { url, webcal: url.replace(/^https:/, 'webcal:') };
+}
+
+const present = (record) => ({
+  token: record.token,
+  filters: record.filters,
+  createdAt: record.createdAt,
+  revokedAt: record.revokedAt,
+  ...feedUrls(record.token)
+});
+
+async function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (req.method === 'POST') {
+      const input = { ...(req.query || {}), ...(typeof req.body === 'object' && req.body ? req.body : {}) };
+      const { filters, error } = normalizeSubscriptionFilters(input);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const record = await getWritableSubscriptionStore().create(filters);
+      return res.status(201).json(present(record));
+    }
+
+    if (req.method === 'GET' || req.method === 'DELETE') {
+      const token = req.query?.token;
+      if (!isValidTokenFormat(token)) {
+        return sendValidationError(res, token
+          ? validationError(VALIDATION_CODES.INVALID_PARAMETER, 'token', 'Malformed token.')
+          : validationError(VALIDATION_CODES.MISSING, 'token', 'Missing token.'));
+      }
+
+      const store = getSubscriptionStore();
+      const record = req.method === 'DELETE' ? await store.revoke(token) : await store.get(token);
+      if (!record) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      return res.status(200).json(present(record));
+    }
+
+    res.setHeader('Allow', 'GET, POST, DELETE');
+    return res.status(405).json({ error: 'Method not allowed' });
+  } catch (e) {
+    if (e instanceof SubscriptionStoreUnavailableError) {
+      return res.status(503).json({ error: e.message });
+    }
+    console.error('Subscriptions API error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'subscriptions:write' });
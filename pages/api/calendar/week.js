@@ -1,4 +1,13 @@
 import { computeWeekRange, linkForWeekOffset, escapeHtml, formatTimeET } from '../../../lib/utils.js';
+import { fetchCalendarEvents } from '../../../lib/upstream.js';
+import { loadWithSnapshot, calendarSnapshotKey } from '../../../lib/snapshotStore.js';
+import { eventPermalink } from '../../../lib/calendarEvents.js';
+import { sendValidationError } from '../../../lib/validation.js';
+import { validateParameters, PAGE_PARAMETERS } from '../../../lib/apiSchema.js';
+import { computeEtag, lastModifiedOf, applyConditionalGet } from '../../../lib/conditionalGet.js';
+import { releaseAwareCacheControl } from '../../../lib/warmCache.js';
+import { setSnapshotHeaders } from '../../../lib/apiEnvelope.js';
+import { sendUnavailablePage } from '../../../lib/statusPage.js';
 
 /**
  * Vercel Serverless Function for Weekly Economic Calendar
@@ -12,11 +21,11 @@ export default async function handler(req, res) {
     let startDate;
     if (start) {
       // Validate the provided start date
-      const parsedDate = new Date(start);
-      if (isNaN(parsedDate.getTime())) {
-        return res.status(400).json({ error: 'Invalid start date format. Use YYYY-MM-DD.' });
+      const error = validateParameters(req.query, [PAGE_PARAMETERS.start]);
+      if (error) {
+        return sendValidationError(res, error);
       }
-      startDate = parsedDate;
+      startDate = new Date(start);
     } else {
       // Default to current week
       startDate = new Date();
@@ -25,32 +34,22 @@ export default async function handler(req, res) {
     // Compute week range
     const { fromDate, toDate } = computeWeekRange(startDate);
     
-    // Fetch events directly from upstream API
-    const API_BASE = process.env.CALENDAR_API_BASE || 'https://data-dev.pricesquawk.com';
-    const apiUrl = `${API_BASE}/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
-    
+    // Fetch events from upstream API, falling back to the last good snapshot
     let events = [];
+    let snapshot;
     try {
-      const response = await fetch(apiUrl, {
-        headers: { 
-          'accept': 'application/json',
-          'user-agent': 'Market-Squawk-Calendar/1.0 (+https://marketsquawk.ai)',
-          'referer': 'https://marketsquawk.ai'
-        },
-        // Add timeout
-        signal: AbortSignal.timeout(8000)
-      });
-      
-      if (!response.ok) {
-        throw new Error(`Upstream API error: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      events = Array.isArray(data) ? data : [];
+      snapshot = await loadWithSnapshot(
+        calendarSnapshotKey(fromDate, toDate),
+        () => fetchCalendarEvents(fromDate, toDate)
+      );
+      events = snapshot.data;
     } catch (apiError) {
       console.error('API fetch failed:', apiError.message);
-      // Return empty events array if API fails, but still render the page
-      events = [];
+      return sendUnavailablePage(res, {
+        name: 'Economic Calendar',
+        subject: `Calendar data for the week of ${fromDate}`,
+        back: { href: '/calendar/week', label: 'Return to current week' }
+      });
     }
     
     // Build table rows
@@ -67,7 +66,7 @@ export default async function handler(req, res) {
       return `<tr>
         <td class="px-4 py-2 border-b border-gray-200">${dayName}</td>
         <td class="px-4 py-2 border-b border-gray-200">${timeET} ET</td>
-        <td class="px-4 py-2 border-b border-gray-200">${eventName}</td>
+        <td class="px-4 py-2 border-b border-gray-200"><a href="${escapeHtml(eventPermalink(ev))}">${eventName}</a></td>
         <td class="px-4 py-2 border-b border-gray-200">${country}</td>
         <td class="px-4 py-2 border-b border-gray-200">
           <span class="importance-${importance.toLowerCase()}">${importance}</span>
@@ -89,7 +88,8 @@ export default async function handler(req, res) {
         "position": idx + 1,
         "item": {
           "@type": "Event",
-          "@id": `https://marketsquawk.ai/calendar/week/${fromDate}#event-${idx}`,
+          "@id": eventPermalink(ev),
+          "url": eventPermalink(ev),
           "name": ev.event || 'Economic Event',
           "startDate": new Date(ev.date).toISOString(),
           "eventStatus": "https://schema.org/EventScheduled",
@@ -115,8 +115,14 @@ export default async function handler(req, res) {
     
     // Set response headers
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
-    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    setSnapshotHeaders(res, snapshot, releaseAwareCacheControl(600, 59));
     res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // The page is rendered from the week and its events alone, so they make up the ETag
+    const etag = computeEtag([fromDate, snapshot.stale && snapshot.savedAt, events]);
+    if (applyConditionalGet(req, res, { etag, lastModified: lastModifiedOf(events) })) {
+      return;
+    }
     
     // Generate navigation URLs
     const canonical = `https://marketsquawk.ai/calendar/week/${fromDate}`;
@@ -146,12 +152,15 @@ export default async function handler(req, res) {
   <link rel="canonical" href="${canonical}"/>
   <link rel="prev" href="${prev}"/>
   <link rel="next" href="${next}"/>
+  <link rel="alternate" type="application/rss+xml" title="Upcoming high-importance events (RSS)" href="https://marketsquawk.ai/feeds/upcoming.xml"/>
+  <link rel="alternate" type="application/atom+xml" title="Upcoming high-importance events (Atom)" href="https://marketsquawk.ai/feeds/upcoming.atom"/>
   <meta name="description" content="Weekly economic calendar for ${weekStartFormatted} to ${weekEndFormatted}. Track major economic events, market announcements, and financial indicators with AI-powered market analysis."/>
   <meta name="keywords" content="economic calendar, market events, financial calendar, economic indicators, market analysis"/>
   <meta property="og:title" content="Economic Calendar — Week of ${weekStartFormatted}"/>
   <meta property="og:description" content="Weekly economic calendar with ${events.length} events for market analysis and trading insights."/>
   <meta property="og:type" content="website"/>
-  <meta property="og:url" content="${canonical}"/>
+  <meta property="og:url" content="${canonical}"/>${snapshot.stale ? `
+  <meta name="data-stale" content="${escapeHtml(snapshot.savedAt)}"/>` : ''}
   <script type="application/ld+json">${JSON.stringify(jsonLd, null, 2)}</script>
   <style>
     body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
@@ -169,11 +178,15 @@ export default async function handler(req, res) {
     .importance-low { color: #10b981; }
     .events-count { padding: 15px 20px; color: #6b7280; font-size: 0.9rem; }
     .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; border-top: 1px solid #f3f4f6; }
+    .stale-notice { padding: 12px 20px; background: #fef3c7; color: #92400e; border-bottom: 1px solid #fde68a; font-size: 0.9rem; }
   </style>
 </head>
-<body>
+<body${snapshot.stale ? ' data-stale="true"' : ''}>
   <div class="container">
-    <h1>Economic Calendar — Week of ${weekStartFormatted}</h1>
+    <h1>Economic Calendar — Week of ${weekStartFormatted}</h1>${snapshot.stale ? `
+    <div class="stale-notice" role="status">
+      Live data is temporarily unavailable. Showing the calendar as of ${escapeHtml(new Date(snapshot.savedAt).toUTCString())}.
+    </div>` : ''}
     <nav>
       <a href="${prev}">← Previous week</a>
       <span>|</span>
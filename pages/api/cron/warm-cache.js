@@ -1,7 +1,19 @@
 // API endpoint for warming up the cache via Vercel Cron
-// This endpoint will be called automatically by Vercel's cron scheduler
+// Called every 5 minutes by Vercel's cron scheduler; lib/warmCache.js decides whether a
+// tick warms the core routes, the full manifest or nothing. Pass ?mode=core|full|release
+// to force a run (e.g. from a deploy hook)
 
-import { getTodayInET, computeDayRange, computeWeekRange } from '../../../lib/utils.js';
+import { getTodayInET } from '../../../lib/utils.js';
+import {
+  getWarmConfig,
+  buildWarmManifest,
+  planWarmRun,
+  selectWarmEntries,
+  warmEntries,
+  recordWarmRun,
+  isWarmResultOk,
+  WARM_MODES
+} from '../../../lib/warmCache.js';
 
 export default async function handler(req, res) {
   // Verify this is a cron job request (optional security)
@@ -10,138 +22,50 @@ export default async function handler(req, res) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 
-  const results = [];
-  const baseUrl = process.env.VERCEL_URL 
+  const forced = req.query?.mode;
+  if (forced !== undefined && !WARM_MODES.includes(forced)) {
+    return res.status(400).json({ error: `Invalid mode. Use one of ${WARM_MODES.join(', ')}.` });
+  }
+
+  const baseUrl = process.env.VERCEL_URL
     ? `https://${process.env.VERCEL_URL}`
     : 'https://marketsquawk.ai';
+  const startedAt = new Date().toISOString();
+  const plan = forced ? { mode: forced, reason: 'requested' } : planWarmRun();
 
-  try {
-    // Get current date in ET
-    const todayET = getTodayInET();
-    const tomorrowET = new Date(new Date(todayET).getTime() + 24 * 60 * 60 * 1000)
-      .toISOString().split('T')[0];
-    
-    // Warm up today's calendar
-    const { fromDate: todayFrom, toDate: todayTo } = computeDayRange(todayET);
-    const todayUrl = `${baseUrl}/api/calendar?fromDate=${encodeURIComponent(todayFrom)}&toDate=${encodeURIComponent(todayTo)}`;
-    
-    try {
-      const todayResponse = await fetch(todayUrl, {
-        headers: { 'accept': 'application/json' },
-        signal: AbortSignal.timeout(5000)
-      });
-      results.push({
-        endpoint: 'calendar/today',
-        status: todayResponse.status,
-        cached: todayResponse.headers.get('x-vercel-cache') || 'unknown'
-      });
-    } catch (error) {
-      results.push({
-        endpoint: 'calendar/today',
-        status: 'error',
-        error: error.message
-      });
-    }
-
-    // Warm up tomorrow's calendar
-    const { fromDate: tomorrowFrom, toDate: tomorrowTo } = computeDayRange(tomorrowET);
-    const tomorrowUrl = `${baseUrl}/api/calendar?fromDate=${encodeURIComponent(tomorrowFrom)}&toDate=${encodeURIComponent(tomorrowTo)}`;
-    
-    try {
-      const tomorrowResponse = await fetch(tomorrowUrl, {
-        headers: { 'accept': 'application/json' },
-        signal: AbortSignal.timeout(5000)
-      });
-      results.push({
-        endpoint: 'calendar/tomorrow',
-        status: tomorrowResponse.status,
-        cached: tomorrowResponse.headers.get('x-vercel-cache') || 'unknown'
-      });
-    } catch (error) {
-      results.push({
-        endpoint: 'calendar/tomorrow',
-        status: 'error',
-        error: error.message
-      });
-    }
-
-    // Warm up this week's calendar
-    const { fromDate: weekFrom, toDate: weekTo } = computeWeekRange(todayET);
-    const weekUrl = `${baseUrl}/api/calendar?fromDate=${encodeURIComponent(weekFrom)}&toDate=${encodeURIComponent(weekTo)}`;
-    
-    try {
-      const weekResponse = await fetch(weekUrl, {
-        headers: { 'accept': 'application/json' },
-        signal: AbortSignal.timeout(5000)
-      });
-      results.push({
-        endpoint: 'calendar/week',
-        status: weekResponse.status,
-        cached: weekResponse.headers.get('x-vercel-cache') || 'unknown'
-      });
-    } catch (error) {
-      results.push({
-        endpoint: 'calendar/week',
-        status: 'error',
-        error: error.message
-      });
-    }
+  if (!plan.mode) {
+    return res.status(200).json({
+      success: true,
+      skipped: true,
+      reason: plan.reason,
+      timestamp: startedAt
+    });
+  }
 
-    // Warm up morning report
-    const morningReportUrl = `${baseUrl}/api/morning-report`;
-    
-    try {
-      const morningResponse = await fetch(morningReportUrl, {
-        headers: { 'accept': 'application/json' },
-        signal: AbortSignal.timeout(5000)
-      });
-      results.push({
-        endpoint: 'morning-report',
-        status: morningResponse.status,
-        cached: morningResponse.headers.get('x-vercel-cache') || 'unknown'
-      });
-    } catch (error) {
-      results.push({
-        endpoint: 'morning-report',
-        status: 'error',
-        error: error.message
-      });
-    }
+  try {
+    const config = getWarmConfig();
+    const entries = selectWarmEntries(buildWarmManifest(getTodayInET(), config), plan.mode);
 
-    // Warm up main pages (SSR cache)
-    const pagesToWarm = [
-      '/',
-      '/calendar/today',
-      '/calendar/week'
-    ];
+    const results = await warmEntries(entries, { baseUrl, concurrency: config.concurrency, timeoutMs: config.timeoutMs });
 
-    for (const page of pagesToWarm) {
-      try {
-        const pageResponse = await fetch(`${baseUrl}${page}`, {
-          headers: { 'accept': 'text/html' },
-          signal: AbortSignal.timeout(8000)
-        });
-        results.push({
-          endpoint: `page:${page}`,
-          status: pageResponse.status,
-          cached: pageResponse.headers.get('x-vercel-cache') || 'unknown'
-        });
-      } catch (error) {
-        results.push({
-          endpoint: `page:${page}`,
-          status: 'error',
-          error: error.message
-        });
-      }
-    }
+    // Keep the results for /api/health and /api/admin/warm-runs
+    const run = await recordWarmRun(
+      { mode: plan.mode, reason: plan.reason, startedAt, finishedAt: new Date().toISOString(), results },
+      { historySize: config.historySize }
+    );
 
     // Log results for monitoring
-    console.log('Cache warming completed:', JSON.stringify(results, null, 2));
+    console.log(`Cache warming (${plan.mode}) completed: ${results.length - run.failed}/${results.length} ok`);
+    if (run.failed > 0) {
+      console.error('Cache warming failures:', JSON.stringify(results.filter((result) => !isWarmResultOk(result))));
+    }
 
     return res.status(200).json({
-      success: true,
-      message: 'Cache warmed successfully',
-      timestamp: new Date().toISOString(),
+      success: run.ok,
+      mode: plan.mode,
+      reason: plan.reason,
+      message: run.ok ? 'Cache warmed successfully' : `${run.failed} of ${results.length} warm-ups failed`,
+      timestamp: startedAt,
       results
     });
 
@@ -150,8 +74,7 @@ export default async function handler(req, res) {
     return res.status(500).json({
       success: false,
       error: error.message,
-      timestamp: new Date().toISOString(),
-      results
+      timestamp: startedAt
     });
   }
-}
\ No newline at end of file
+}
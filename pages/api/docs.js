@@ -0,0 +1,186 @@
+import { escapeHtml } from '../../lib/utils.js';
+import { buildOpenApiDocument } from '../../lib/openapi.js';
+
+/**
+ * Describe a parameter's type in one line
+ * @param {Object} schema - Parameter schema
+ * @returns {string} e.g. "string (date)", "comma-separated low | medium | high"
+ */
+function describeType(schema) {
+  if (schema.type === 'array') {
+    return `comma-separated ${schema.items.enum ? schema.items.enum.join(' | ') : `${schema.items.type}s`}`;
+  }
+  if (schema.enum) return schema.enum.join(' | ');
+  if (schema.type === 'integer' && schema.minimum !== undefined) return `integer ${schema.minimum}–${schema.maximum}`;
+  if (schema.format) return `${schema.type} (${schema.format})`;
+  if (schema.pattern) return `${schema.type} matching ${schema.pattern}`;
+  return schema.type;
+}
+
+/**
+ * Resolve a local $ref in the document
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} value - Object that may be a { $ref }
+ * @returns {Object} Referenced object, or the value itself
+ */
+const resolve = (spec, value) => (value.$ref
+  ? value.$ref.slice(2).split('/').reduce((node, key) => node[key], spec)
+  : value);
+
+const anchorFor = (path) => `op-${path.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '')}`;
+
+/**
+ * Render one operation with its parameters, responses and a request form
+ * @param {Object} spec - OpenAPI document
+ * @param {string} path - Path template
+ * @param {Object} operation - OpenAPI operation
+ * @returns {string} HTML section
+ */
+function renderOperation(spec, path, operation) {
+  const parameters = operation.parameters || [];
+  const responses = Object.entries(operation.responses);
+  const isJson = Boolean(resolve(spec, operation.responses[200]).content?.['application/json']);
+
+  const parameterRows = parameters.map((p) => `
+          <tr>
+            <td><code>${escapeHtml(p.name)}</code>${p.required ? ' <span class="required">required</span>' : ''}</td>
+            <td>${escapeHtml(p.in)}</td>
+            <td>${escapeHtml(describeType(p.schema))}</td>
+            <td>${escapeHtml(p.description || '')}</td>
+          </tr>`).join('');
+
+  const responseItems = responses.map(([status, response]) => `
+        <li><code>${escapeHtml(status)}</code> ${escapeHtml(resolve(spec, response).description)}</li>`).join('');
+
+  const inputs = parameters.map((p) => `
+        <label>${escapeHtml(p.name)}
+          <input name="${escapeHtml(p.name)}" data-in="${escapeHtml(p.in)}"${p.required ? ' required' : ''} placeholder="${escapeHtml(describeType(p.schema))}"/>
+        </label>`).join('');
+
+  return `
+    <section id="${anchorFor(path)}">
+      <h2><span class="method">GET</span> <code>${escapeHtml(path)}</code>${operation.deprecated ? ' <span class="deprecated">legacy</span>' : ''}</h2>
+      <p><strong>${escapeHtml(operation.summary)}</strong>. ${escapeHtml(operation.description || '')}</p>${parameters.length > 0 ? `
+      <table>
+        <thead>
+          <tr><th scope="col">Parameter</th><th scope="col">In</th><th scope="col">Type</th><th scope="col">Description</th></tr>
+        </thead>
+        <tbody>${parameterRows}
+        </tbody>
+      </table>` : ''}
+      <h3>Responses</h3>
+      <ul>${responseItems}
+      </ul>
+      <form class="try" data-path="${escapeHtml(path)}" data-json="${isJson}">${inputs}
+        <button type="submit">${isJson ? 'Send request' : 'Open page'}</button>
+      </form>
+      <pre class="result" hidden></pre>
+    </section>`;
+}
+
+/**
+ * Vercel Serverless Function for the API reference
+ * Served at /docs/api; a self-contained page (no external scripts or styles)
+ * rendered from the OpenAPI document, with a request form per operation
+ */
+export default function handler(req, res) {
+  try {
+    const spec = buildOpenApiDocument();
+    const operations = Object.entries(spec.paths).map(([path, item]) => renderOperation(spec, path, item.get));
+    const toc = Object.entries(spec.paths).map(([path]) => `
+        <li><a href="#${anchorFor(path)}">${escapeHtml(path)}</a></li>`).join('');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8"/>
+  <meta name="viewport" content="width=device-width, initial-scale=1"/>
+  <title>${escapeHtml(spec.info.title)} — Reference</title>
+  <meta name="description" content="Reference for the Market Squawk economic calendar API: parameters, responses, errors and rate limits."/>
+  <link rel="canonical" href="https://marketsquawk.ai/docs/api"/>
+  <link rel="alternate" type="application/json" href="/api/openapi.json" title="OpenAPI document"/>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; margin: 0; padding: 20px; background-color: #f8fafc; }
+    .container { max-width: 1200px; margin: 0 auto; background: white; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,0.1); overflow: hidden; }
+    h1 { margin: 0; padding: 20px; background: #1e293b; color: white; font-size: 1.5rem; }
+    nav { padding: 15px 20px; background: #f1f5f9; border-bottom: 1px solid #e2e8f0; }
+    nav a { color: #3b82f6; text-decoration: none; }
+    nav a:hover { text-decoration: underline; }
+    nav ul { margin: 8px 0 0 0; padding-left: 20px; columns: 2; }
+    section, .intro { padding: 0 20px 20px 20px; border-bottom: 1px solid #f3f4f6; }
+    h2 { font-size: 1.15rem; color: #1e293b; }
+    h3 { font-size: 1rem; color: #374151; margin-bottom: 0; }
+    .method { background: #3b82f6; color: white; border-radius: 4px; padding: 2px 8px; font-size: 0.8rem; }
+    .required { color: #dc2626; font-size: 0.8rem; }
+    .deprecated { background: #f1f5f9; color: #6b7280; border-radius: 4px; padding: 2px 8px; font-size: 0.8rem; }
+    table { width: 100%; border-collapse: collapse; }
+    th { background: #f8fafc; padding: 12px; text-align: left; font-weight: 600; color: #374151; border-bottom: 2px solid #e5e7eb; }
+    td { padding: 8px 12px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+    form.try { display: flex; flex-wrap: wrap; gap: 10px; align-items: flex-end; margin-top: 10px; }
+    form.try label { display: flex; flex-direction: column; font-size: 0.85rem; color: #374151; }
+    form.try input { padding: 6px 8px; border: 1px solid #e2e8f0; border-radius: 4px; }
+    form.try button { padding: 7px 14px; background: #1e293b; color: white; border: 0; border-radius: 4px; cursor: pointer; }
+    pre.result { background: #1e293b; color: #e2e8f0; padding: 12px; border-radius: 4px; overflow: auto; max-height: 400px; font-size: 0.85rem; }
+    .footer { padding: 20px; text-align: center; color: #6b7280; font-size: 0.85rem; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>${escapeHtml(spec.info.title)} <small>v${escapeHtml(spec.info.version)}</small></h1>
+    <nav>
+      <a href="/api/openapi.json">OpenAPI document (JSON)</a>
+      <ul>${toc}
+      </ul>
+    </nav>
+    <div class="intro">
+      <p>${escapeHtml(spec.info.description)}</p>
+      <p>Send an API key as <code>X-API-Key: &lt;key&gt;</code> or <code>Authorization: Bearer &lt;key&gt;</code>. Invalid parameters return <code>400</code> with <code>{ "error": { "code", "message", "field" } }</code>; every limited response carries <code>RateLimit-Limit</code>, <code>RateLimit-Remaining</code> and <code>RateLimit-Reset</code>.</p>
+    </div>
+    <main>${operations.join('')}
+    </main>
+    <div class="footer">
+      <p>Data provided by Market Squawk. Generated from the same schema the API validates requests with.</p>
+    </div>
+  </div>
+  <script>
+    document.querySelectorAll('form.try').forEach(function (form) {
+      form.addEventListener('submit', async function (e) {
+        e.preventDefault();
+        var path = form.dataset.path;
+        var query = new URLSearchParams();
+        form.querySelectorAll('input').forEach(function (input) {
+          if (!input.value) return;
+          if (input.dataset.in === 'path') path = path.replace('{' + input.name + '}', encodeURIComponent(input.value));
+          else query.append(input.name, input.value);
+        });
+        var url = path + (query.toString() ? '?' + query : '');
+        if (form.dataset.json !== 'true') {
+          window.location.href = url;
+          return;
+        }
+        var result = form.nextElementSibling;
+        result.hidden = false;
+        result.textContent = 'GET ' + url + ' …';
+        try {
+          var response = await fetch(url, { headers: { accept: 'application/json' } });
+          var body = await response.text();
+          try { body = JSON.stringify(JSON.parse(body), null, 2); } catch (_) {}
+          result.textContent = 'GET ' + url + '\\n' + response.status + ' ' + response.statusText + '\\n\\n' + body;
+        } catch (error) {
+          result.textContent = 'GET ' + url + '\\n' + error.message;
+        }
+      });
+    });
+  </script>
+</body>
+</html>`;
+
+    res.setHeader('Content-Type', 'text/html; charset=utf-8');
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=600');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    return res.status(200).send(html);
+  } catch (e) {
+    console.error('API docs error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,29 @@
+// RSS 2.0 feed of upcoming events: /feeds/upcoming.xml (rewritten to /api/feeds/upcoming.xml)
+// Parameters:
+//   days           number of days ahead to cover, 1-60 (default 7)
+//   minImportance  low | medium | high | all (default high)
+import { UpstreamError } from '../../../lib/upstream.js';
+import { parseFeedOptions, loadUpcomingEvents, buildRssFeed, feedSelfUrl } from '../../../lib/feeds.js';
+
+export default async function handler(req, res) {
+  try {
+    const options = parseFeedOptions(req.query || {});
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const events = await loadUpcomingEvents(options);
+    const xml = buildRssFeed(events, { ...options, selfUrl: feedSelfUrl('/feeds/upcoming.xml', options) });
+
+    res.setHeader('Content-Type', 'application/rss+xml; charset=utf-8');
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    return res.status(200).send(xml);
+  } catch (e) {
+    if (e instanceof UpstreamError) {
+      if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error('RSS feed error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,18 @@
+// Liveness and readiness: /api/health
+// Public and cheap: answers a summary of the cached health report (rebuilt at most every
+// HEALTH_CACHE_SECONDS), 503 when degraded, so uptime monitors and load balancers can act
+// on the status code alone and anyone can see which upstream path is failing. The full
+// diagnostics (base URLs, errors, circuits, build) are at /api/admin/health
+import { getHealthReport, summarizeHealthReport } from '../../lib/health.js';
+
+export default async function handler(req, res) {
+  res.setHeader('Cache-Control', 'no-store');
+
+  try {
+    const report = await getHealthReport();
+    return res.status(report.status === 'ok' ? 200 : 503).json(summarizeHealthReport(report));
+  } catch (e) {
+    console.error('Health check error:', e);
+    return res.status(503).json({ status: 'degraded', checkedAt: new Date().toISOString() });
+  }
+}
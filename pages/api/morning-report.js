@@ -1,36 +1,49 @@
 // API endpoint for morning report with caching
-export default async function handler(req, res) {
+// Legacy alias of /api/v1/morning-report, kept for the SPA and existing clients: the same
+// report (lib/morningReportArchive.js), but bare, and with null fields instead of an error
+// status when upstream fails and no snapshot exists
+// ?date=YYYY-MM-DD reads a past day's report from the morning report archive
+import { UpstreamError } from '../../lib/upstream.js';
+import { withApiAccess } from '../../lib/apiAccess.js';
+import { getTodayInET } from '../../lib/utils.js';
+import { sendValidationError } from '../../lib/validation.js';
+import { validateParameters, MORNING_REPORT_PARAMETERS } from '../../lib/apiSchema.js';
+import { setSnapshotHeaders } from '../../lib/apiEnvelope.js';
+import { loadLatestMorningReport, getReadableMorningReportArchive, MorningReportArchiveUnavailableError } from '../../lib/morningReportArchive.js';
+import { releaseAwareCacheControl } from '../../lib/warmCache.js';
+
+async function handler(req, res) {
+  const error = validateParameters(req.query, MORNING_REPORT_PARAMETERS);
+  if (error) {
+    return sendValidationError(res, error);
+  }
+
+  const today = getTodayInET();
+  const date = req.query?.date;
+  if (date && date !== today) {
+    return sendArchivedReport(res, date);
+  }
+
   try {
-    const API_BASE = process.env.CALENDAR_API_BASE || 'https://data-dev.pricesquawk.com';
-    const morningReportUrl = `${API_BASE}/morning_report`;
-    
-    const response = await fetch(morningReportUrl, {
-      headers: { 
-        'accept': 'application/json',
-        'user-agent': 'Market-Squawk-Calendar/1.0 (+https://marketsquawk.ai)',
-        'referer': 'https://marketsquawk.ai'
-      },
-      signal: AbortSignal.timeout(8000)
-    });
-    
-    if (!response.ok) {
-      return res.status(response.status).json({ 
-        error: `Upstream error: ${response.status}`,
+    const snapshot = await loadLatestMorningReport(today);
+
+    // Cache for 30 minutes - morning reports update less frequently (shorter around releases)
+    setSnapshotHeaders(res, snapshot, releaseAwareCacheControl(1800, 600));
+
+    return res.status(200).json(snapshot.data);
+
+  } catch (error) {
+    console.error('Morning report API error:', error);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (error instanceof UpstreamError) {
+      return res.status(error.status).json({
+        error: `Upstream error: ${error.status}`,
         summary: null,
-        brief: null 
+        brief: null
       });
     }
-    
-    const data = await response.json();
-    
-    // Cache for 30 minutes - morning reports update less frequently
-    res.setHeader('Cache-Control', 's-maxage=1800, stale-while-revalidate=600');
-    
-    return res.status(200).json(data);
-    
-  } catch (error) {
-    console.error('Morning report API error:', error);
-    
+
     // Return empty report on error
     return res.status(200).json({
       summary: null,
@@ -38,4 +51,27 @@ export default async function handler(req, res) {
       error: error.message
     });
   }
-}
\ No newline at end of file
+}
+
+async function sendArchivedReport(res, date) {
+  try {
+    const entry = await getReadableMorningReportArchive().get(date);
+    if (!entry) {
+      res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+      return res.status(404).json({ error: `No archived morning report for ${date}` });
+    }
+
+    // Past days are no longer written to, so they can be cached for a day
+    res.setHeader('Cache-Control', 's-maxage=86400, stale-while-revalidate=600');
+    return res.status(200).json(entry);
+  } catch (error) {
+    if (error instanceof MorningReportArchiveUnavailableError) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(503).json({ error: error.message });
+    }
+    console.error('Morning report archive error:', error);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'morning-report:read' });
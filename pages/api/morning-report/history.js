@@ -0,0 +1,48 @@
+// Morning report history: /api/morning-report/history?from=&to=
+// Archived reports for a range of ET days, newest first, so past briefings can be
+// reviewed after upstream has replaced them. Defaults to the last DEFAULT_HISTORY_DAYS days
+import { withApiAccess } from '../../../lib/apiAccess.js';
+import { getTodayInET } from '../../../lib/utils.js';
+import { sendValidationError, checkDateRange, MAX_RANGE_DAYS } from '../../../lib/validation.js';
+import { validateParameters, MORNING_REPORT_HISTORY_PARAMETERS } from '../../../lib/apiSchema.js';
+import { getReadableMorningReportArchive, MorningReportArchiveUnavailableError, DEFAULT_HISTORY_DAYS } from '../../../lib/morningReportArchive.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (ymd, days) => new Date(Date.parse(`${ymd}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+
+async function handler(req, res) {
+  try {
+    if (req.method && req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const error = validateParameters(req.query, MORNING_REPORT_HISTORY_PARAMETERS);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const to = req.query?.to || getTodayInET();
+    const from = req.query?.from || addDays(to, 1 - DEFAULT_HISTORY_DAYS);
+    const rangeError = checkDateRange(from, to, MAX_RANGE_DAYS, { fields: ['from', 'to'] });
+    if (rangeError) {
+      return sendValidationError(res, rangeError);
+    }
+
+    const reports = await getReadableMorningReportArchive().list(from, to);
+
+    // Today's entry is replaced whenever a newer report is fetched
+    res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    return res.status(200).json({ from, to, count: reports.length, reports });
+  } catch (e) {
+    if (e instanceof MorningReportArchiveUnavailableError) {
+      res.setHeader('Cache-Control', 'no-store');
+      return res.status(503).json({ error: e.message });
+    }
+    console.error('Morning report history API error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
+
+export default withApiAccess(handler, { scope: 'morning-report:read' });
@@ -0,0 +1,14 @@
+// OpenAPI document: /api/openapi.json
+// Generated from the request/response schemas in lib/apiSchema.js
+import { buildOpenApiDocument } from '../../lib/openapi.js';
+
+export default function handler(req, res) {
+  try {
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=600');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    return res.status(200).json(buildOpenApiDocument());
+  } catch (e) {
+    console.error('OpenAPI document error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,42 @@
+// Dynamic sitemap: /sitemap.xml and /sitemap-:page.xml (rewritten to /api/sitemap)
+// Parameters:
+//   page  1-based sitemap file number; only present once the URL count exceeds
+//         SITEMAP_MAX_URLS and /sitemap.xml has become a sitemap index
+import { UpstreamError } from '../../lib/upstream.js';
+import { validationError, sendValidationError, VALIDATION_CODES } from '../../lib/validation.js';
+import { getSitemapConfig, buildSitemapEntries, chunkSitemapEntries, buildUrlset, buildSitemapIndex } from '../../lib/sitemap.js';
+
+export default async function handler(req, res) {
+  try {
+    const { page } = req.query || {};
+    if (page !== undefined && !/^[1-9]\d*$/.test(String(page))) {
+      return sendValidationError(res, validationError(VALIDATION_CODES.INVALID_PARAMETER, 'page', 'Invalid page. Use a positive whole number.'));
+    }
+
+    const config = getSitemapConfig();
+    const chunks = chunkSitemapEntries(await buildSitemapEntries(config), config.maxUrls);
+
+    let xml;
+    if (page === undefined) {
+      xml = chunks.length > 1 ? buildSitemapIndex(chunks) : buildUrlset(chunks[0]);
+    } else {
+      const chunk = chunks[Number(page) - 1];
+      if (!chunk) {
+        return res.status(404).json({ error: 'Sitemap page not found' });
+      }
+      xml = buildUrlset(chunk);
+    }
+
+    res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+    // Crawlers fetch sitemaps rarely; an hour at the edge keeps upstream load negligible
+    res.setHeader('Cache-Control', 's-maxage=3600, stale-while-revalidate=600');
+    return res.status(200).send(xml);
+  } catch (e) {
+    if (e instanceof UpstreamError) {
+      if (e.retryAfter) res.setHeader('Retry-After', String(e.retryAfter));
+      return res.status(e.status).json({ error: e.message });
+    }
+    console.error('Sitemap error:', e);
+    return res.status(500).json({ error: 'Server error' });
+  }
+}
@@ -0,0 +1,51 @@
+// JSON API v1: /api/v1/calendar
+// Same parameters as /api/calendar, answered with the { data, meta } envelope and
+// typed errors. Falls back to the last good snapshot when upstream fails (meta.stale)
+import { loadCalendarPage } from '../../../../lib/calendarApi.js';
+import { sendValidationError } from '../../../../lib/validation.js';
+import { buildMeta, sendEnvelope, sendApiError, sendUpstreamError, API_ERROR_CODES } from '../../../../lib/apiEnvelope.js';
+import { withApiAccess } from '../../../../lib/apiAccess.js';
+import { computeEtag, lastModifiedOf } from '../../../../lib/conditionalGet.js';
+import { releaseAwareCacheControl } from '../../../../lib/warmCache.js';
+import { checkResponseContract } from '../../../../lib/responseContract.js';
+
+async function handler(req, res) {
+  try {
+    if (req.method && req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendApiError(res, 405, API_ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
+    }
+
+    let result;
+    try {
+      result = await loadCalendarPage(req, '/api/v1/calendar');
+    } catch (e) {
+      console.error('Calendar API v1 upstream error:', e.message);
+      return sendUpstreamError(res, e);
+    }
+    if (result.error) {
+      return sendValidationError(res, result.error);
+    }
+    const { fromDate, toDate, snapshot, page, link } = result;
+
+    res.setHeader('X-Total-Count', String(page.total));
+    if (link) res.setHeader('Link', link);
+
+    // Weak: meta.fetchedAt changes with every upstream fetch while the events stay the same
+    const etag = computeEtag([page.items, snapshot.stale], { weak: true });
+    const meta = buildMeta({ fromDate, toDate, count: page.items.length, snapshot });
+    checkResponseContract('/api/v1/calendar', { data: page.items, meta }, 'CalendarEnvelope');
+    return sendEnvelope(
+      res,
+      page.items,
+      meta,
+      releaseAwareCacheControl(600, 59),
+      { req, etag, lastModified: lastModifiedOf(page.items) }
+    );
+  } catch (e) {
+    console.error('Calendar API v1 error:', e);
+    return sendApiError(res, 500, API_ERROR_CODES.SERVER_ERROR, 'Server error');
+  }
+}
+
+export default withApiAccess(handler, { scope: 'calendar:read', envelope: true });
@@ -0,0 +1,83 @@
+// JSON API v1: /api/v1/morning-report
+// Latest morning report in the { data, meta } envelope. Unlike the legacy route,
+// an upstream failure without an archived report is a 503 rather than a 200 with
+// null fields; with one, the archived report is served with meta.stale.
+// ?date=YYYY-MM-DD reads a past day's report from the morning report archive
+import { getTodayInET } from '../../../lib/utils.js';
+import { sendValidationError } from '../../../lib/validation.js';
+import { validateParameters, MORNING_REPORT_PARAMETERS } from '../../../lib/apiSchema.js';
+import { buildMeta, sendEnvelope, sendApiError, sendUpstreamError, API_ERROR_CODES, DATA_SOURCES } from '../../../lib/apiEnvelope.js';
+import { withApiAccess } from '../../../lib/apiAccess.js';
+import { loadLatestMorningReport, getReadableMorningReportArchive, MorningReportArchiveUnavailableError } from '../../../lib/morningReportArchive.js';
+import { releaseAwareCacheControl } from '../../../lib/warmCache.js';
+import { checkResponseContract } from '../../../lib/responseContract.js';
+
+const sendReport = (res, data, meta, cacheControl) => {
+  checkResponseContract('/api/v1/morning-report', { data, meta }, 'MorningReportEnvelope');
+  return sendEnvelope(res, data, meta, cacheControl);
+};
+
+async function sendArchivedReport(res, date) {
+  let entry;
+  try {
+    entry = await getReadableMorningReportArchive().get(date);
+  } catch (e) {
+    if (e instanceof MorningReportArchiveUnavailableError) {
+      res.setHeader('Cache-Control', 'no-store');
+      return sendApiError(res, 503, API_ERROR_CODES.ARCHIVE_UNAVAILABLE, e.message);
+    }
+    throw e;
+  }
+  if (!entry) {
+    res.setHeader('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+    return sendApiError(res, 404, API_ERROR_CODES.NOT_FOUND, `No archived morning report for ${date}`);
+  }
+
+  // Past days are no longer written to, so they can be cached for a day
+  return sendReport(
+    res,
+    entry,
+    buildMeta({ fromDate: date, toDate: date, count: 1, snapshot: { stale: false, savedAt: entry.archivedAt }, source: DATA_SOURCES.ARCHIVE }),
+    's-maxage=86400, stale-while-revalidate=600'
+  );
+}
+
+async function handler(req, res) {
+  try {
+    if (req.method && req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      return sendApiError(res, 405, API_ERROR_CODES.METHOD_NOT_ALLOWED, 'Method not allowed');
+    }
+
+    const error = validateParameters(req.query, MORNING_REPORT_PARAMETERS);
+    if (error) {
+      return sendValidationError(res, error);
+    }
+
+    const today = getTodayInET();
+    const date = req.query?.date;
+    if (date && date !== today) {
+      return await sendArchivedReport(res, date);
+    }
+
+    let snapshot;
+    try {
+      snapshot = await loadLatestMorningReport(today);
+    } catch (e) {
+      console.error('Morning report API v1 upstream error:', e.message);
+      return sendUpstreamError(res, e);
+    }
+
+    return sendReport(
+      res,
+      snapshot.data,
+      buildMeta({ fromDate: today, toDate: today, count: 1, snapshot }),
+      releaseAwareCacheControl(1800, 600)
+    );
+  } catch (e) {
+    console.error('Morning report API v1 error:', e);
+    return sendApiError(res, 500, API_ERROR_CODES.SERVER_ERROR, 'Server error');
+  }
+}
+
+export default withApiAccess(handler, { scope: 'morning-report:read', envelope: true });
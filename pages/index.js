@@ -2,6 +2,8 @@ import React from 'react';
 import Head from 'next/head';
 import EconomicCalendar from '../components/features/EconomicCalendar';
 import { getTodayInET, computeDayRange, computeWeekRange, escapeHtml, formatDateET } from '../lib/utils.js';
+import { upstreamFetch } from '../lib/upstream.js';
+import { eventPermalink } from '../lib/calendarEvents.js';
 
 export default function HomePage({ initialData, pageMetadata }) {
   return (
@@ -53,8 +55,6 @@ export async function getServerSideProps({ req, res }) {
     const tomorrowET = new Date(new Date(todayET).getTime() + 24 * 60 * 60 * 1000)
       .toISOString().split('T')[0];
     
-    const EXTERNAL_API_BASE = process.env.CALENDAR_API_BASE || 'https://data-dev.pricesquawk.com';
-    
     let events = [];
     let morningReport = null;
     let dataSource = '';
@@ -64,20 +64,16 @@ export async function getServerSideProps({ req, res }) {
     // Try 1: Today's events (using Next.js server fetch with caching)
     try {
       const { fromDate, toDate } = computeDayRange(todayET);
-      const todayUrl = `${EXTERNAL_API_BASE}/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
-      
-      const response = await fetch(todayUrl, {
-        headers: { 
-          'accept': 'application/json',
-          'user-agent': 'Market-Squawk-SSR/1.0'
-        },
-        // Next.js fetch caching configuration
-        next: { 
-          revalidate: 300, // Cache for 5 minutes
-          tags: ['calendar-today']
-        },
-        signal: AbortSignal.timeout(8000)
-      });
+      const response = await upstreamFetch(
+        `/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`,
+        {
+          // Next.js fetch caching configuration
+          next: { 
+            revalidate: 300, // Cache for 5 minutes
+            tags: ['calendar-today']
+          }
+        }
+      );
       
       if (response.ok) {
         const data = await response.json();
@@ -96,20 +92,16 @@ export async function getServerSideProps({ req, res }) {
     if (events.length === 0) {
       try {
         const { fromDate, toDate } = computeDayRange(tomorrowET);
-        const tomorrowUrl = `${EXTERNAL_API_BASE}/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
-        
-        const response = await fetch(tomorrowUrl, {
-          headers: { 
-            'accept': 'application/json',
-            'user-agent': 'Market-Squawk-SSR/1.0'
-          },
-          // Next.js fetch caching configuration
-          next: { 
-            revalidate: 300, // Cache for 5 minutes
-            tags: ['calendar-tomorrow']
-          },
-          signal: AbortSignal.timeout(8000)
-        });
+        const response = await upstreamFetch(
+          `/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`,
+          {
+            // Next.js fetch caching configuration
+            next: { 
+              revalidate: 300, // Cache for 5 minutes
+              tags: ['calendar-tomorrow']
+            }
+          }
+        );
         
         if (response.ok) {
           const data = await response.json();
@@ -129,20 +121,16 @@ export async function getServerSideProps({ req, res }) {
     if (events.length === 0) {
       try {
         const { fromDate, toDate } = computeWeekRange(todayET);
-        const weekUrl = `${EXTERNAL_API_BASE}/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`;
-        
-        const response = await fetch(weekUrl, {
-          headers: { 
-            'accept': 'application/json',
-            'user-agent': 'Market-Squawk-SSR/1.0'
-          },
-          // Next.js fetch caching configuration
-          next: { 
-            revalidate: 300, // Cache for 5 minutes
-            tags: ['calendar-week']
-          },
-          signal: AbortSignal.timeout(8000)
-        });
+        const response = await upstreamFetch(
+          `/calendar?fromDate=${encodeURIComponent(fromDate)}&toDate=${encodeURIComponent(toDate)}`,
+          {
+            // Next.js fetch caching configuration
+            next: { 
+              revalidate: 300, // Cache for 5 minutes
+              tags: ['calendar-week']
+            }
+          }
+        );
         
         if (response.ok) {
           const data = await response.json();
@@ -156,15 +144,9 @@ export async function getServerSideProps({ req, res }) {
       }
     }
     
-    // Try to fetch morning report (using our cached API)
+    // Try to fetch morning report
     try {
-      const morningReportUrl = `${baseUrl}/api/morning-report`;
-      const response = await fetch(morningReportUrl, {
-        headers: { 
-          'accept': 'application/json'
-        },
-        signal: AbortSignal.timeout(8000)
-      });
+      const response = await upstreamFetch('/morning_report');
       
       if (response.ok) {
         morningReport = await response.json();
@@ -218,7 +200,8 @@ export async function getServerSideProps({ req, res }) {
         "position": idx + 1,
         "item": {
           "@type": "Event",
-          "@id": `https://marketsquawk.ai/#event-${idx}`,
+          "@id": eventPermalink(ev),
+          "url": eventPermalink(ev),
           "name": ev.event || 'Economic Event',
           "startDate": new Date(ev.date).toISOString(),
           "eventStatus": "https://schema.org/EventScheduled",
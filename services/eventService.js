@@ -1,5 +1,6 @@
 import api from './api.js';
 import mockEvents from '../data/mock-events.json';
+import { normalizeEvent } from '../utils/eventUtils.js';
 
 /**
  * Service for handling economic calendar event API calls
@@ -70,24 +71,11 @@ export const eventService = {
       
       // Validate each event has required fields
       const validatedEvents = response.data.map(event => {
-        if (!event.date || !event.event) {
+        const normalized = normalizeEvent(event);
+        if (!normalized) {
           console.warn('Invalid event data:', event);
-          return null;
         }
-        
-        // Ensure consistent data structure
-        return {
-          _id: event._id,
-          date: event.date,
-          country: event.country || 'Unknown',
-          event: event.event,
-          importance: event.importance || 'low',
-          source: event.source || { name: 'Unknown', url: '' },
-          category: event.category || 'other',
-          tags: event.tags || [],
-          created_at: event.created_at,
-          updated_at: event.updated_at
-        };
+        return normalized;
       }).filter(Boolean); // Remove null entries
       
       return validatedEvents;
@@ -97,6 +85,23 @@ export const eventService = {
     }
   },
 
+  /**
+   * Build the URL of the live calendar change stream (Server-Sent Events)
+   * Always served by this app, so it ignores NEXT_PUBLIC_API_BASE_URL
+   * @param {Object} params - fromDate, toDate and calendar filters
+   * @returns {string} Stream URL
+   */
+  getStreamUrl(params = {}) {
+    const query = new URLSearchParams();
+    Object.keys(params).sort().forEach(key => {
+      if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+        query.set(key, String(params[key]));
+      }
+    });
+    const qs = query.toString();
+    return `/api/calendar/stream${qs ? `?${qs}` : ''}`;
+  },
+
   /**
    * Fetch events for a specific date range
    * @param {Date} startDate - Start date
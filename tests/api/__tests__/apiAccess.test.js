@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { withApiAccess, readApiKey, ANONYMOUS_SCOPES } from '../../../lib/apiAccess.js';
+import { createMemoryApiKeyStore, setApiKeyStore, hashApiKey } from '../../../lib/apiKeyStore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../../../lib/rateLimit.js';
+import { getApiUsage, resetApiUsage } from '../../../lib/apiUsage.js';
+
+const mockRes = () => {
+  const res = {
+    headers: {},
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    setHeader: vi.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+const records = [
+  { id: 'research', name: 'Research notebook', keyHash: hashApiKey('research-key'), scopes: ['calendar:read'], quota: { capacity: 5, refillPerMinute: 5, daily: 3 } },
+  { id: 'revoked', keyHash: hashApiKey('revoked-key'), scopes: ['calendar:read'], revokedAt: '2024-01-01T00:00:00.000Z' }
+];
+
+const request = (headers = {}) => ({ method: 'GET', query: {}, headers: { 'x-real-ip': '203.0.113.9', ...headers } });
+
+describe('API Access', () => {
+  let inner, handler;
+
+  beforeEach(() => {
+    setApiKeyStore(createMemoryApiKeyStore({ records }));
+    setRateLimitStore(createMemoryRateLimitStore());
+    resetApiUsage();
+    inner = vi.fn();
+    handler = withApiAccess(inner, { scope: 'calendar:read' });
+  });
+
+  afterEach(() => {
+    setApiKeyStore(null);
+    setRateLimitStore(null);
+    delete process.env.RATE_LIMIT_IP_CAPACITY;
+    delete process.env.RATE_LIMIT_TRUSTED_PROXY;
+  });
+
+  describe('readApiKey', () => {
+    it('should read X-API-Key or a bearer token', () => {
+      expect(readApiKey({ headers: { 'x-api-key': ' abc ' } })).toBe('abc');
+      expect(readApiKey({ headers: { authorization: 'Bearer abc' } })).toBe('abc');
+      expect(readApiKey({ headers: { authorization: 'Basic abc' } })).toBeNull();
+      expect(readApiKey({})).toBeNull();
+    });
+  });
+
+  describe('withApiAccess', () => {
+    it('should let anonymous requests through with the per-IP limit', async () => {
+      const res = mockRes();
+      await handler(request(), res);
+
+      expect(inner).toHaveBeenCalledTimes(1);
+      expect(inner.mock.calls[0][0].apiKey).toBeNull();
+      expect(res.headers['RateLimit-Limit']).toBe('30');
+      expect((await getApiUsage('anonymous')).total).toBe(1);
+    });
+
+    it('should keep clients that rotate forwarding headers in one bucket', async () => {
+      process.env.RATE_LIMIT_IP_CAPACITY = '2';
+      const spoofing = (i) => ({
+        method: 'GET',
+        query: {},
+        headers: { 'x-real-ip': `198.51.100.${i}`, 'x-forwarded-for': `203.0.113.${i}, 192.0.2.1` },
+        socket: { remoteAddress: '192.0.2.1' }
+      });
+
+      const statuses = [];
+      for (let i = 0; i < 3; i++) {
+        const res = mockRes();
+        await handler(spoofing(i), res);
+        statuses.push(res.status.mock.calls[0]?.[0] ?? 200);
+      }
+      expect(statuses).toEqual([200, 200, 429]);
+
+      // Behind one trusted proxy only the hop it appended counts
+      setRateLimitStore(createMemoryRateLimitStore());
+      process.env.RATE_LIMIT_TRUSTED_PROXY = '1';
+      statuses.length = 0;
+      for (let i = 0; i < 3; i++) {
+        const res = mockRes();
+        await handler(spoofing(i), res);
+        statuses.push(res.status.mock.calls[0]?.[0] ?? 200);
+      }
+      expect(statuses).toEqual([200, 200, 429]);
+    });
+
+    it('should attach the key record and apply its own quota', async () => {
+      const res = mockRes();
+      await handler(request({ 'x-api-key': 'research-key' }), res);
+
+      expect(inner.mock.calls[0][0].apiKey).toMatchObject({ id: 'research', name: 'Research notebook' });
+      expect(res.headers['RateLimit-Limit']).toBe('5');
+      expect((await getApiUsage('research')).total).toBe(1);
+      expect((await getApiUsage('anonymous')).total).toBe(0);
+    });
+
+    it('should reject unknown and revoked keys with 401', async () => {
+      for (const key of ['made-up-key', 'revoked-key']) {
+        const res = mockRes();
+        await handler(request({ 'x-api-key': key }), res);
+
+        expect(res.status).toHaveBeenCalledWith(401);
+        expect(res.json).toHaveBeenCalledWith({ error: 'Invalid API key' });
+        expect(res.headers['WWW-Authenticate']).toBe('Bearer');
+      }
+      expect(inner).not.toHaveBeenCalled();
+    });
+
+    it('should require a key with the route scope', async () => {
+      const admin = withApiAccess(inner, { scope: 'admin' });
+
+      const anonymous = mockRes();
+      await admin(request(), anonymous);
+      expect(anonymous.status).toHaveBeenCalledWith(401);
+
+      const keyed = mockRes();
+      await admin(request({ authorization: 'Bearer research-key' }), keyed);
+      expect(keyed.status).toHaveBeenCalledWith(403);
+      expect(keyed.json).toHaveBeenCalledWith({ error: 'API key lacks the admin scope' });
+      expect(inner).not.toHaveBeenCalled();
+      expect(ANONYMOUS_SCOPES).not.toContain('admin');
+    });
+
+    it('should answer 429 once the daily quota is used up', async () => {
+      for (let i = 0; i < 3; i++) {
+        await handler(request({ 'x-api-key': 'research-key' }), mockRes());
+      }
+      const res = mockRes();
+      await handler(request({ 'x-api-key': 'research-key' }), res);
+
+      expect(inner).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith({ error: 'Daily quota exceeded' });
+      expect(Number(res.headers['Retry-After'])).toBeGreaterThan(0);
+    });
+
+    it('should send typed errors for /api/v1 routes', async () => {
+      const v1 = withApiAccess(inner, { scope: 'admin', envelope: true });
+
+      const unknown = mockRes();
+      await v1(request({ 'x-api-key': 'made-up-key' }), unknown);
+      expect(unknown.json).toHaveBeenCalledWith({ error: { code: 'unauthorized', message: 'Invalid API key' } });
+
+      const keyed = mockRes();
+      await v1(request({ 'x-api-key': 'research-key' }), keyed);
+      expect(keyed.json).toHaveBeenCalledWith({ error: { code: 'forbidden', message: 'API key lacks the admin scope' } });
+    });
+
+    it('should answer 500 when the key store fails', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      setApiKeyStore({ findByKey: () => Promise.reject(new Error('disk')) });
+      const res = mockRes();
+      await handler(request({ 'x-api-key': 'research-key' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.headers['Cache-Control']).toBe('no-store');
+      expect(inner).not.toHaveBeenCalled();
+      error.mockRestore();
+    });
+
+    it('should vary on the credential headers', async () => {
+      const res = mockRes();
+      await handler(request(), res);
+
+      expect(res.headers.Vary).toBe('Authorization, X-API-Key');
+    });
+
+    it('should keep keyed responses out of shared caches', async () => {
+      const send = (res) => {
+        res.setHeader('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+        res.writeHead(200);
+      };
+      const withWriteHead = () => Object.assign(mockRes(), {
+        writeHead: vi.fn(),
+        getHeader(name) { return this.headers[name]; }
+      });
+      inner.mockImplementation((req, res) => send(res));
+
+      const keyed = withWriteHead();
+      const { writeHead } = keyed;
+      await handler(request({ 'x-api-key': 'research-key' }), keyed);
+      expect(keyed.headers['Cache-Control']).toBe('private, no-store');
+      expect(writeHead).toHaveBeenCalledWith(200);
+
+      const anonymous = withWriteHead();
+      await handler(request(), anonymous);
+      expect(anonymous.headers['Cache-Control']).toBe('s-maxage=600, stale-while-revalidate=59');
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  hashApiKey,
+  generateApiKey,
+  normalizeApiKeyRecord,
+  createMemoryApiKeyStore,
+  createFileApiKeyStore
+} from '../../../lib/apiKeyStore.js';
+
+const records = [
+  { id: 'research', name: 'Research notebook', keyHash: hashApiKey('research-key-0001'), scopes: ['calendar:read', 'export'], quota: { daily: 1000 } },
+  { id: 'ops', keyHash: hashApiKey('ops-key-00000001'), scopes: ['admin', 'write'], revokedAt: '2024-01-01T00:00:00.000Z' }
+];
+
+describe('API Key Store', () => {
+  describe('hashApiKey', () => {
+    it('should hash keys with SHA-256', () => {
+      expect(hashApiKey('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    it('should generate distinct prefixed keys', () => {
+      const key = generateApiKey();
+      expect(key).toMatch(/^msk_[A-Za-z0-9_-]{32}$/);
+      expect(generateApiKey()).not.toBe(key);
+    });
+  });
+
+  describe('normalizeApiKeyRecord', () => {
+    it('should fill defaults and drop unknown scopes and invalid quotas', () => {
+      expect(normalizeApiKeyRecord({ ...records[1], quota: { capacity: -1, daily: 1.5 } })).toEqual({
+        id: 'ops',
+        name: 'ops',
+        keyHash: records[1].keyHash,
+        scopes: ['admin'],
+        quota: { capacity: null, refillPerMinute: null, daily: null },
+        revokedAt: '2024-01-01T00:00:00.000Z'
+      });
+    });
+
+    it('should reject records without an id or hash', () => {
+      expect(normalizeApiKeyRecord({ id: 'x' })).toBeNull();
+      expect(normalizeApiKeyRecord({ keyHash: 'abc' })).toBeNull();
+      expect(normalizeApiKeyRecord(null)).toBeNull();
+    });
+  });
+
+  const storeContract = (makeStore) => {
+    it('should find records by plaintext key', async () => {
+      const store = await makeStore();
+      const record = await store.findByKey('research-key-0001');
+
+      expect(record).toMatchObject({ id: 'research', name: 'Research notebook', scopes: ['calendar:read', 'export'] });
+      expect(record.quota.daily).toBe(1000);
+      expect(await store.findByKey('unknown-key')).toBeNull();
+    });
+
+    it('should list every record, including revoked ones', async () => {
+      const store = await makeStore();
+      expect((await store.list()).map((record) => record.id)).toEqual(['research', 'ops']);
+    });
+  };
+
+  describe('createMemoryApiKeyStore', () => {
+    storeContract(() => createMemoryApiKeyStore({ records }));
+
+    it('should be empty by default', async () => {
+      expect(await createMemoryApiKeyStore().list()).toEqual([]);
+    });
+  });
+
+  describe('createFileApiKeyStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-key-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    storeContract(() => {
+      const file = path.join(dir, 'api-keys.json');
+      fs.writeFileSync(file, JSON.stringify(records));
+      return createFileApiKeyStore({ file });
+    });
+
+    it('should pick up edits without a restart and treat a missing file as empty', async () => {
+      const file = path.join(dir, 'api-keys.json');
+      const store = createFileApiKeyStore({ file });
+      expect(await store.list()).toEqual([]);
+
+      fs.writeFileSync(file, JSON.stringify(records.slice(0, 1)));
+      expect((await store.findByKey('research-key-0001')).id).toBe('research');
+    });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest';
+import {
+  validateParameters,
+  validateSchema,
+  CALENDAR_PARAMETERS,
+  PAGE_PARAMETERS,
+  COMPONENT_SCHEMAS
+} from '../../../lib/apiSchema.js';
+
+describe('API Schema', () => {
+  describe('validateParameters', () => {
+    it('should accept valid and absent parameters', () => {
+      expect(validateParameters({}, CALENDAR_PARAMETERS)).toBeNull();
+      expect(validateParameters({
+        fromDate: '2024-01-15',
+        toDate: '2024-01-21',
+        importance: 'high,Medium',
+        category: ['inflation', 'employment'],
+        country: 'USA,GBR',
+        minImportance: 'HIGH',
+        sort: '-date',
+        limit: '50',
+        q: 'cpi'
+      }, CALENDAR_PARAMETERS)).toBeNull();
+    });
+
+    it('should report the first invalid parameter with a structured error', () => {
+      expect(validateParameters({ fromDate: '2024-02-30' }, CALENDAR_PARAMETERS))
+        .toMatchObject({ code: 'invalid_date', field: 'fromDate' });
+      expect(validateParameters({ excludeCategory: 'inflation,weather-alerts' }, CALENDAR_PARAMETERS))
+        .toMatchObject({ code: 'invalid_parameter', field: 'excludeCategory', message: expect.stringContaining('"weather-alerts"') });
+      expect(validateParameters({ sort: 'name' }, CALENDAR_PARAMETERS))
+        .toMatchObject({ code: 'invalid_enum', field: 'sort' });
+      expect(validateParameters({ limit: '501' }, CALENDAR_PARAMETERS))
+        .toMatchObject({ code: 'invalid_parameter', field: 'limit' });
+    });
+
+    it('should accept categories upstream adds later', () => {
+      expect(validateParameters({ category: 'weather', excludeCategory: 'central_bank_speech' }, CALENDAR_PARAMETERS)).toBeNull();
+      expect(validateParameters({ category: 'x'.repeat(41) }, CALENDAR_PARAMETERS)).toMatchObject({ code: 'invalid_parameter', field: 'category' });
+    });
+
+    it('should accept minImportance=all like the feeds and subscriptions', () => {
+      expect(validateParameters({ minImportance: 'all' }, CALENDAR_PARAMETERS)).toBeNull();
+      expect(validateParameters({ importance: 'all' }, CALENDAR_PARAMETERS)).toMatchObject({ code: 'invalid_enum', field: 'importance' });
+    });
+
+    it('should check page path parameters', () => {
+      expect(validateParameters({}, [PAGE_PARAMETERS.date])).toMatchObject({ code: 'missing_parameter', field: 'date' });
+      expect(validateParameters({ month: '2024-13' }, [PAGE_PARAMETERS.month]))
+        .toEqual({ code: 'invalid_date', field: 'month', message: 'Invalid month. Use YYYY-MM.' });
+      expect(validateParameters({ month: '2024-12' }, [PAGE_PARAMETERS.month])).toBeNull();
+      expect(validateParameters({ code: 'usa' }, [PAGE_PARAMETERS.code])).toBeNull();
+      expect(validateParameters({ code: 'U1' }, [PAGE_PARAMETERS.code])).toMatchObject({ code: 'invalid_parameter', field: 'code' });
+      expect(validateParameters({ id: '../etc' }, [PAGE_PARAMETERS.id])).toMatchObject({ field: 'id' });
+    });
+  });
+
+  describe('validateSchema', () => {
+    const event = {
+      _id: '1',
+      date: '2024-01-17T13:30:00Z',
+      event: 'CPI',
+      importance: 'high',
+      tags: ['cpi'],
+      source: { name: 'BLS', url: 'https://www.bls.gov' }
+    };
+
+    it('should accept values matching the schema', () => {
+      expect(validateSchema([event], { type: 'array', items: { $ref: '#/components/schemas/Event' } })).toEqual([]);
+      expect(validateSchema({ summary: null, brief: 'https://example.com/a.mp3' }, COMPONENT_SCHEMAS.MorningReport)).toEqual([]);
+      expect(validateSchema({ error: { code: 'invalid_date', message: 'x', field: 'fromDate' } }, COMPONENT_SCHEMAS.ValidationError)).toEqual([]);
+    });
+
+    it('should list every problem with its location', () => {
+      const problems = validateSchema([{ ...event, _id: undefined, importance: 'urgent', date: 'soon', tags: [1] }], {
+        type: 'array',
+        items: { $ref: '#/components/schemas/Event' }
+      });
+
+      expect(problems).toEqual([
+        '$[0]._id: required',
+        '$[0].date: "soon" is not a date-time',
+        '$[0].importance: "urgent" is not one of low, medium, high',
+        '$[0].tags[0]: expected string, got integer'
+      ]);
+      expect(validateSchema({ summary: 3 }, COMPONENT_SCHEMAS.MorningReport)).toEqual(['$.summary: expected string or null, got integer']);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { recordApiUsage, getApiUsage, resetApiUsage, setApiUsageStore, USAGE_DAYS_KEPT } from '../../../lib/apiUsage.js';
+
+const at = (ymd, time = '12:00:00') => Date.parse(`${ymd}T${time}Z`);
+
+describe('API Usage', () => {
+  beforeEach(() => {
+    resetApiUsage();
+  });
+
+  it('should count requests per client and UTC day', async () => {
+    await recordApiUsage('research', at('2024-01-15', '23:59:00'));
+    await recordApiUsage('research', at('2024-01-16', '00:01:00'));
+    await recordApiUsage('research', at('2024-01-16'));
+    await recordApiUsage('anonymous', at('2024-01-16'));
+
+    expect(await getApiUsage('research', at('2024-01-16'))).toEqual({
+      total: 3,
+      today: 2,
+      byDay: { '2024-01-15': 1, '2024-01-16': 2 },
+      lastUsedAt: '2024-01-16T12:00:00.000Z'
+    });
+    expect((await getApiUsage('anonymous', at('2024-01-17'))).today).toBe(0);
+  });
+
+  it('should report zero usage for unseen clients', async () => {
+    expect(await getApiUsage('unknown')).toEqual({ total: 0, today: 0, byDay: {}, lastUsedAt: null });
+  });
+
+  it('should keep a bounded number of days', async () => {
+    for (let day = 0; day < USAGE_DAYS_KEPT + 5; day++) {
+      await recordApiUsage('research', Date.UTC(2024, 0, 1 + day, 12));
+    }
+    const usage = await getApiUsage('research');
+
+    expect(Object.keys(usage.byDay)).toHaveLength(USAGE_DAYS_KEPT);
+    expect(usage.byDay['2024-01-01']).toBeUndefined();
+    expect(usage.total).toBe(USAGE_DAYS_KEPT + 5);
+  });
+
+  it('should count through an installed store', async () => {
+    const store = { increment: vi.fn(() => Promise.resolve()), get: vi.fn(() => Promise.resolve({ total: 7, today: 2, byDay: {}, lastUsedAt: null })) };
+    setApiUsageStore(store);
+
+    await recordApiUsage('research', at('2024-01-16'));
+
+    expect(store.increment).toHaveBeenCalledWith('research', at('2024-01-16'));
+    expect((await getApiUsage('research', at('2024-01-16'))).total).toBe(7);
+  });
+
+  it('should not fail a request when the store cannot be written', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setApiUsageStore({ increment: () => Promise.reject(new Error('unreachable')) });
+
+    await expect(recordApiUsage('research')).resolves.toBeUndefined();
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
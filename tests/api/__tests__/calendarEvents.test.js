@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  isValidEventId,
+  eventPermalink,
+  seriesKey,
+  findEventById,
+  findSeriesNeighbors,
+  rememberEvents,
+  resetEventIndex,
+  releaseDay
+} from '../../../lib/calendarEvents.js';
+import { resetUpstreamState } from '../../../lib/upstream.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const upstreamJson = (data) => ({ ok: true, status: 200, json: () => Promise.resolve(data) });
+const rangeOf = (call) => /fromDate=([\d-]+)&toDate=([\d-]+)/.exec(call[0]).slice(1);
+
+const cpiMay = { _id: 'cpi-may', date: '2024-06-12T12:30:00Z', event: 'Consumer Price Index - May', country: 'USA' };
+const cpiApr = { _id: 'cpi-apr', date: '2024-05-15T12:30:00Z', event: 'Consumer Price Index - April', country: 'USA' };
+const cpiJun = { _id: 'cpi-jun', date: '2024-07-11T12:30:00Z', event: 'Consumer Price Index - June', country: 'USA' };
+const cpiMar = { _id: 'cpi-mar', date: '2024-04-10T12:30:00Z', event: 'Consumer Price Index - March', country: 'USA' };
+const ppiMay = { _id: 'ppi-may', date: '2024-06-13T12:30:00Z', event: 'Producer Price Index - May', country: 'USA' };
+
+describe('Calendar Events', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+    resetEventIndex();
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+  });
+
+  describe('isValidEventId', () => {
+    it('should accept upstream ids and reject anything path-like', () => {
+      expect(isValidEventId('686dff94ea7a38a27d141e9e')).toBe(true);
+      expect(isValidEventId('../etc')).toBe(false);
+      expect(isValidEventId('')).toBe(false);
+      expect(isValidEventId('a'.repeat(65))).toBe(false);
+    });
+  });
+
+  describe('eventPermalink', () => {
+    it('should build the event page URL from the ET release day and upstream id', () => {
+      expect(eventPermalink(cpiMay)).toBe('https://marketsquawk.ai/calendar/event/2024-06-12/cpi-may');
+      // 8pm ET is already the next day in UTC
+      expect(eventPermalink({ _id: 'cn-cpi', date: '2024-06-13T00:00:00Z' })).toBe('https://marketsquawk.ai/calendar/event/2024-06-12/cn-cpi');
+    });
+
+    it('should leave the day out when the date is malformed', () => {
+      expect(releaseDay('not-a-date')).toBeNull();
+      expect(eventPermalink({ _id: 'bad', date: 'not-a-date' })).toBe('https://marketsquawk.ai/calendar/event/bad');
+    });
+  });
+
+  describe('seriesKey', () => {
+    it('should ignore the reference period suffix', () => {
+      expect(seriesKey(cpiMay)).toBe(seriesKey(cpiApr));
+      expect(seriesKey(cpiMay)).not.toBe(seriesKey(ppiMay));
+      expect(seriesKey({ ...cpiMay, country: 'GBR' })).not.toBe(seriesKey(cpiMay));
+    });
+  });
+
+  describe('findEventById', () => {
+    it('should look the id up on its release day only', async () => {
+      global.fetch.mockResolvedValueOnce(upstreamJson([ppiMay, cpiMay]));
+
+      const ev = await findEventById('cpi-may', { date: '2024-06-12' });
+
+      expect(ev.event).toBe('Consumer Price Index - May');
+      expect(ev.importance).toBe('low');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(rangeOf(global.fetch.mock.calls[0])).toEqual(['2024-06-12', '2024-06-13']);
+    });
+
+    it('should not find an event on the wrong day', async () => {
+      global.fetch.mockResolvedValueOnce(upstreamJson([ppiMay]));
+
+      expect(await findEventById('cpi-may', { date: '2024-06-13' })).toBeNull();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should go straight to the release day for remembered ids without a day', async () => {
+      rememberEvents([cpiMay]);
+      global.fetch.mockResolvedValueOnce(upstreamJson([cpiMay]));
+
+      expect((await findEventById('cpi-may'))._id).toBe('cpi-may');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(rangeOf(global.fetch.mock.calls[0])).toEqual(['2024-06-12', '2024-06-13']);
+    });
+
+    it('should not scan upstream for unknown ids without a day', async () => {
+      expect(await findEventById('missing')).toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should not query upstream for malformed ids or days', async () => {
+      expect(await findEventById('../secret', { date: '2024-06-12' })).toBeNull();
+      expect(await findEventById('cpi-may', { date: '2024-02-30' })).toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findSeriesNeighbors', () => {
+    it('should return the nearest earlier and later occurrences', async () => {
+      global.fetch.mockResolvedValueOnce(upstreamJson([cpiMar, cpiApr, ppiMay, cpiMay, cpiJun]));
+
+      const { previous, next } = await findSeriesNeighbors(cpiMay);
+
+      expect(previous._id).toBe('cpi-apr');
+      expect(next._id).toBe('cpi-jun');
+      expect(rangeOf(global.fetch.mock.calls[0])).toEqual(['2024-02-02', '2024-10-28']);
+    });
+
+    it('should reuse the month range for other releases until it expires', async () => {
+      global.fetch.mockResolvedValue(upstreamJson([cpiApr, cpiMay, ppiMay, cpiJun]));
+      const now = Date.parse('2024-06-14T00:00:00Z');
+
+      await findSeriesNeighbors(cpiMay, { now });
+      await findSeriesNeighbors(ppiMay, { now: now + 60 * 1000 });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      await findSeriesNeighbors(cpiMay, { now: now + 11 * 60 * 1000 });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return nulls when the series has no other occurrences', async () => {
+      global.fetch.mockResolvedValueOnce(upstreamJson([ppiMay]));
+
+      expect(await findSeriesNeighbors(ppiMay)).toEqual({ previous: null, next: null });
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseExportOptions,
+  buildExportRecord,
+  escapeCsvField,
+  formatLocalParts,
+  DEFAULT_EXPORT_COLUMNS
+} from '../../../lib/calendarExport.js';
+import { countRangeDays } from '../../../lib/validation.js';
+import { normalizeEvent } from '../../../utils/eventUtils.js';
+
+describe('Calendar Export', () => {
+  describe('parseExportOptions', () => {
+    it('should default to the standard columns in UTC', () => {
+      const options = parseExportOptions({});
+      expect(options.columns).toEqual(DEFAULT_EXPORT_COLUMNS);
+      expect(options.timezone).toBe('UTC');
+    });
+
+    it('should accept a column subset and an IANA timezone', () => {
+      const options = parseExportOptions({ columns: 'date,Event,local_time', tz: 'America/New_York' });
+      expect(options.columns).toEqual(['date', 'event', 'local_time']);
+      expect(options.timezone).toBe('America/New_York');
+    });
+
+    it('should reject unknown columns and timezones', () => {
+      expect(parseExportOptions({ columns: 'date,price' }).error).toMatchObject({ code: 'invalid_enum', field: 'columns', message: expect.stringMatching(/Unknown column: price/) });
+      expect(parseExportOptions({ tz: 'Mars/Olympus' }).error).toMatchObject({ code: 'invalid_parameter', field: 'tz', message: expect.stringMatching(/Invalid tz/) });
+    });
+  });
+
+  describe('formatLocalParts', () => {
+    it('should render local date, time and offset', () => {
+      const { formatter } = parseExportOptions({ tz: 'America/New_York' });
+      expect(formatLocalParts('2024-01-05T13:30:00Z', formatter)).toEqual({
+        date: '2024-01-05',
+        time: '08:30',
+        datetime: '2024-01-05T08:30:00-05:00'
+      });
+    });
+
+    it('should use Z for UTC', () => {
+      const { formatter } = parseExportOptions({});
+      expect(formatLocalParts('2024-07-05T12:30:00Z', formatter).datetime).toBe('2024-07-05T12:30:00Z');
+    });
+
+    it('should return empty parts for a malformed date', () => {
+      const { formatter } = parseExportOptions({});
+      expect(formatLocalParts('next Tuesday', formatter)).toEqual({ date: '', time: '', datetime: '' });
+    });
+  });
+
+  describe('buildExportRecord', () => {
+    it('should project normalised events onto the selected columns', () => {
+      const options = parseExportOptions({ columns: 'id,local_date,event,tags,source_name', tz: 'Asia/Tokyo' });
+      const ev = normalizeEvent({ _id: 'nfp', date: '2024-01-05T20:00:00Z', event: 'Payrolls', tags: ['jobs'] });
+
+      expect(buildExportRecord(ev, options)).toEqual({
+        id: 'nfp',
+        local_date: '2024-01-06',
+        event: 'Payrolls',
+        tags: ['jobs'],
+        source_name: 'Unknown'
+      });
+    });
+  });
+
+  describe('escapeCsvField', () => {
+    it('should quote fields with delimiters, quotes or newlines', () => {
+      expect(escapeCsvField('plain')).toBe('plain');
+      expect(escapeCsvField('GDP, advance')).toBe('"GDP, advance"');
+      expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvField('two\nlines')).toBe('"two\nlines"');
+      expect(escapeCsvField(['a', 'b'])).toBe('a;b');
+      expect(escapeCsvField(undefined)).toBe('');
+    });
+  });
+
+  describe('date ranges', () => {
+    it('should count inclusive days', () => {
+      expect(countRangeDays('2024-01-01', '2024-01-01')).toBe(1);
+      expect(countRangeDays('2024-01-01', '2024-12-31')).toBe(366);
+      expect(countRangeDays('2024-01-02', '2024-01-01')).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { parseList, parseCalendarFilters, applyCalendarFilters } from '../../../lib/calendarFilters.js';
+import { filterEventsByImportance } from '../../../utils/importanceUtils.js';
+
+const events = [
+  { _id: '1', event: 'Nonfarm Payrolls', country: 'USA', category: 'employment', importance: 'high' },
+  { _id: '2', event: 'CPI', country: 'USA', category: 'inflation', importance: 'high' },
+  { _id: '3', event: 'Claimant Count', country: 'GBR', category: 'employment', importance: 'medium' },
+  { _id: '4', event: '4-Week Bill Auction', country: 'USA', category: 'treasury', importance: 'low' },
+  { _id: '5', event: 'HICP Flash', country: 'EUR', category: 'inflation', importance: 'medium' }
+];
+
+const ids = (list) => list.map((ev) => ev._id);
+
+describe('Calendar Filters', () => {
+  describe('parseList', () => {
+    it('should split comma-separated values and normalise case', () => {
+      expect(parseList('USA, gbr,,')).toEqual(['usa', 'gbr']);
+    });
+
+    it('should accept repeated query parameters', () => {
+      expect(parseList(['USA', 'GBR,EUR'])).toEqual(['usa', 'gbr', 'eur']);
+    });
+
+    it('should return an empty list for missing values', () => {
+      expect(parseList(undefined)).toEqual([]);
+    });
+  });
+
+  describe('applyCalendarFilters', () => {
+    it('should return all events when no filters are set', () => {
+      expect(applyCalendarFilters(events, parseCalendarFilters({}))).toEqual(events);
+    });
+
+    it('should keep the single-value behaviour', () => {
+      const filters = parseCalendarFilters({ importance: 'HIGH' });
+      expect(ids(applyCalendarFilters(events, filters))).toEqual(['1', '2']);
+    });
+
+    it('should match any value in multi-value lists', () => {
+      const filters = parseCalendarFilters({ country: 'USA,GBR', category: 'employment,inflation' });
+      expect(ids(applyCalendarFilters(events, filters))).toEqual(['1', '2', '3']);
+    });
+
+    it('should drop events matching exclude lists', () => {
+      const filters = parseCalendarFilters({ excludeCountry: 'usa', excludeCategory: 'inflation' });
+      expect(ids(applyCalendarFilters(events, filters))).toEqual(['3']);
+    });
+
+    it('should apply minImportance as "this level and above"', () => {
+      const filters = parseCalendarFilters({ minImportance: 'medium' });
+      expect(ids(applyCalendarFilters(events, filters))).toEqual(['1', '2', '3', '5']);
+    });
+
+    it('should match the client-side importance filter for every level', () => {
+      for (const level of ['all', 'low', 'medium', 'high']) {
+        const filters = parseCalendarFilters({ minImportance: level });
+        expect(applyCalendarFilters(events, filters)).toEqual(filterEventsByImportance(events, level));
+      }
+    });
+
+    it('should combine include, exclude and threshold filters', () => {
+      const filters = parseCalendarFilters({
+        category: 'employment,inflation',
+        excludeCountry: 'EUR',
+        minImportance: 'high'
+      });
+      expect(ids(applyCalendarFilters(events, filters))).toEqual(['1', '2']);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  sortEvents,
+  parsePaging,
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  buildLinkHeader
+} from '../../../lib/calendarPaging.js';
+
+const events = [
+  { _id: 'c', date: '2024-01-17T13:30:00Z', importance: 'low' },
+  { _id: 'a', date: '2024-01-15T13:30:00Z', importance: 'medium' },
+  { _id: 'd', date: '2024-01-16T15:00:00Z', importance: 'high' },
+  { _id: 'b', date: '2024-01-15T13:30:00Z', importance: 'high' }
+];
+
+const ids = (list) => list.map((ev) => ev._id);
+
+describe('Calendar Paging', () => {
+  describe('sortEvents', () => {
+    it('should sort by date with a stable tie-breaker', () => {
+      expect(ids(sortEvents(events, 'date'))).toEqual(['a', 'b', 'd', 'c']);
+    });
+
+    it('should sort by date descending', () => {
+      expect(ids(sortEvents(events, '-date'))).toEqual(['c', 'd', 'a', 'b']);
+    });
+
+    it('should put the most important events first, then by date', () => {
+      expect(ids(sortEvents(events, 'importance'))).toEqual(['b', 'd', 'a', 'c']);
+      expect(ids(sortEvents(events, '-importance'))).toEqual(['c', 'a', 'b', 'd']);
+    });
+
+    it('should not mutate the input', () => {
+      const copy = [...events];
+      sortEvents(events, '-date');
+      expect(events).toEqual(copy);
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip offsets', () => {
+      expect(decodeCursor(encodeCursor(40))).toBe(40);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"o":-1}').toString('base64url'))).toBeNull();
+    });
+  });
+
+  describe('parsePaging', () => {
+    it('should default to date order without a limit', () => {
+      expect(parsePaging({})).toEqual({ sort: 'date', limit: null, offset: 0 });
+    });
+
+    it('should reject unknown sorts and out-of-range limits', () => {
+      expect(parsePaging({ sort: 'name' }).error).toMatchObject({ code: 'invalid_enum', field: 'sort' });
+      expect(parsePaging({ limit: '0' }).error).toMatchObject({ code: 'invalid_parameter', field: 'limit', message: expect.stringMatching(/Invalid limit/) });
+      expect(parsePaging({ limit: '501' }).error).toMatchObject({ field: 'limit' });
+      expect(parsePaging({ cursor: '%%%' }).error).toEqual({ code: 'invalid_parameter', field: 'cursor', message: 'Invalid cursor.' });
+    });
+
+    it('should use the default page size when only a cursor is given', () => {
+      expect(parsePaging({ cursor: encodeCursor(100) })).toEqual({ sort: 'date', limit: 100, offset: 100 });
+    });
+  });
+
+  describe('paginate', () => {
+    it('should return a page and the next offset', () => {
+      const page = paginate(sortEvents(events), { limit: 3, offset: 0 });
+      expect(ids(page.items)).toEqual(['a', 'b', 'd']);
+      expect(page.total).toBe(4);
+      expect(page.nextOffset).toBe(3);
+    });
+
+    it('should end on the last page', () => {
+      const page = paginate(sortEvents(events), { limit: 3, offset: 3 });
+      expect(ids(page.items)).toEqual(['c']);
+      expect(page.nextOffset).toBeNull();
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    it('should link to the first and next pages, keeping other parameters', () => {
+      const link = buildLinkHeader('/api/calendar', { country: 'USA', cursor: 'x', limit: '2' }, { limit: 2, nextOffset: 4 });
+      expect(link).toBe(
+        `</api/calendar?country=USA&limit=2>; rel="first", </api/calendar?country=USA&limit=2&cursor=${encodeCursor(4)}>; rel="next"`
+      );
+    });
+
+    it('should be empty for unpaginated responses', () => {
+      expect(buildLinkHeader('/api/calendar', {}, { limit: null, nextOffset: null })).toBe('');
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSearchText, searchEvents } from '../../../lib/calendarSearch.js';
+
+const events = [
+  {
+    _id: 'jolts',
+    date: '2025-07-01T14:00:00.000Z',
+    event: 'Job Openings and Labor Turnover Survey (JOLTS) - May',
+    category: 'employment',
+    tags: ['jolts'],
+    source: { name: 'BLS' }
+  },
+  {
+    _id: 'state-jolts',
+    date: '2025-07-18T14:00:00.000Z',
+    event: 'State Job Openings and Labor Turnover - May',
+    category: 'employment',
+    tags: [],
+    source: { name: 'BLS' }
+  },
+  {
+    _id: 'nfp',
+    date: '2025-07-03T12:30:00.000Z',
+    event: 'Non-Farm Payrolls',
+    category: 'employment',
+    tags: [],
+    source: { name: 'BLS' }
+  },
+  {
+    _id: 'minutes',
+    date: '2025-07-09T18:00:00.000Z',
+    event: 'FOMC Meeting Minutes',
+    category: 'monetary_policy',
+    tags: ['fomc'],
+    source: { name: 'Federal Reserve' }
+  },
+  {
+    _id: 'fomc',
+    date: '2025-07-30T18:00:00.000Z',
+    event: 'FOMC Rate Decision',
+    category: 'monetary_policy',
+    tags: ['fomc'],
+    source: { name: 'Federal Reserve' }
+  },
+  {
+    _id: 'bills',
+    date: '2025-07-02T15:30:00.000Z',
+    event: '17-Week Treasury Bill Auction',
+    category: 'treasury',
+    tags: ['weekly'],
+    source: { name: 'Treasury' }
+  }
+];
+
+const ids = (list) => list.map((ev) => ev._id);
+
+describe('Calendar Search', () => {
+  describe('normalizeSearchText', () => {
+    it('should lowercase and strip punctuation', () => {
+      expect(normalizeSearchText('Non-Farm Payrolls (NFP)!')).toBe('non farm payrolls nfp');
+    });
+
+    it('should strip accents', () => {
+      expect(normalizeSearchText('Índice de Precios')).toBe('indice de precios');
+    });
+  });
+
+  describe('searchEvents', () => {
+    it('should find releases case-insensitively', () => {
+      expect(ids(searchEvents(events, 'jolts'))).toEqual(['jolts']);
+    });
+
+    it('should ignore punctuation inside names', () => {
+      expect(ids(searchEvents(events, 'nonfarm'))).toEqual(['nfp']);
+      expect(ids(searchEvents(events, 'non-farm'))).toEqual(['nfp']);
+    });
+
+    it('should require every word and rank phrase matches first', () => {
+      expect(ids(searchEvents(events, 'FOMC minutes'))).toEqual(['minutes']);
+      expect(ids(searchEvents(events, 'fomc'))).toEqual(['minutes', 'fomc']);
+    });
+
+    it('should search category and source name', () => {
+      expect(ids(searchEvents(events, 'monetary policy'))).toEqual(['minutes', 'fomc']);
+      expect(ids(searchEvents(events, 'federal reserve'))).toEqual(['minutes', 'fomc']);
+    });
+
+    it('should rank name matches above category matches, then by date', () => {
+      expect(ids(searchEvents(events, 'labor'))).toEqual(['jolts', 'state-jolts']);
+      expect(ids(searchEvents(events, 'employment'))).toEqual(['jolts', 'nfp', 'state-jolts']);
+      expect(ids(searchEvents(events, 'job openings'))[0]).toBe('jolts');
+    });
+
+    it('should return events unchanged for an empty query', () => {
+      expect(searchEvents(events, ' ?! ')).toBe(events);
+    });
+  });
+});
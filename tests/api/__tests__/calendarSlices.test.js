@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeSliceValue, slicePageUrl, splitSliceEvents } from '../../../lib/calendarSlices.js';
+
+const events = [
+  { _id: 'a', date: '2024-01-05T13:30:00Z', event: 'Nonfarm Payrolls', country: 'USA', category: 'employment' },
+  { _id: 'b', date: '2024-01-11T13:30:00Z', event: 'Consumer Price Index', country: 'USA', category: 'inflation' },
+  { _id: 'c', date: '2024-01-17T07:00:00Z', event: 'CPI', country: 'GBR', category: 'inflation' },
+  { _id: 'd', date: '2024-02-02T13:30:00Z', event: 'Nonfarm Payrolls', country: 'USA', category: 'employment' },
+  { _id: 'e', date: '2024-01-18T13:30:00Z', event: 'Initial Jobless Claims', country: 'USA', category: 'Employment' }
+];
+
+describe('Calendar Slices', () => {
+  describe('normalizeSliceValue', () => {
+    it('should lowercase categories and uppercase country codes', () => {
+      expect(normalizeSliceValue('category', 'Monetary_Policy')).toBe('monetary_policy');
+      expect(normalizeSliceValue('country', 'usa')).toBe('USA');
+      expect(normalizeSliceValue('country', 'gb')).toBe('GB');
+    });
+
+    it('should reject malformed values', () => {
+      expect(normalizeSliceValue('category', 'monetary policy')).toBeNull();
+      expect(normalizeSliceValue('category', '<script>')).toBeNull();
+      expect(normalizeSliceValue('country', 'United States')).toBeNull();
+      expect(normalizeSliceValue('country', 'U')).toBeNull();
+      expect(normalizeSliceValue('country', undefined)).toBeNull();
+      expect(normalizeSliceValue('region', 'emea')).toBeNull();
+    });
+  });
+
+  describe('slicePageUrl', () => {
+    it('should build canonical URLs', () => {
+      expect(slicePageUrl('category', 'inflation')).toBe('https://marketsquawk.ai/calendar/category/inflation');
+      expect(slicePageUrl('country', 'USA')).toBe('https://marketsquawk.ai/calendar/country/USA');
+    });
+  });
+
+  describe('splitSliceEvents', () => {
+    const now = new Date('2024-01-15T12:00:00Z');
+
+    it('should split a category into upcoming and recent events', () => {
+      const { upcoming, recent } = splitSliceEvents(events, 'category', 'employment', now);
+      expect(upcoming.map((ev) => ev._id)).toEqual(['e', 'd']);
+      expect(recent.map((ev) => ev._id)).toEqual(['a']);
+    });
+
+    it('should filter countries case-insensitively', () => {
+      const { upcoming, recent } = splitSliceEvents(events, 'country', 'GBR', now);
+      expect(upcoming.map((ev) => ev._id)).toEqual(['c']);
+      expect(recent).toEqual([]);
+    });
+  });
+});
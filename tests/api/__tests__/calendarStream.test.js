@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createCalendarFeed, diffEvents, formatSseMessage } from '../../../lib/calendarStream.js';
+
+const base = [
+  { _id: 'claims', date: '2024-01-04T13:30:00Z', event: 'Jobless Claims', importance: 'medium', updated_at: '2024-01-01T00:00:00Z' },
+  { _id: 'nfp', date: '2024-01-05T13:30:00Z', event: 'Payrolls', importance: 'high', updated_at: '2024-01-01T00:00:00Z' }
+];
+
+const createFeed = (responses, time) => {
+  const load = vi.fn();
+  responses.forEach((data) => load.mockResolvedValueOnce(data));
+  const clock = { now: new Date(time).getTime() };
+  const feed = createCalendarFeed({ fromDate: '2024-01-01', toDate: '2024-01-07', load, now: () => clock.now });
+  const messages = [];
+  feed.subscribe((message) => messages.push(message));
+  return { feed, messages, clock, load };
+};
+
+describe('Calendar Stream', () => {
+  describe('diffEvents', () => {
+    it('should detect added, updated and removed events', () => {
+      const previous = new Map(base.map((ev) => [ev._id, ev]));
+      const next = [
+        { ...base[1], importance: 'medium' },
+        { _id: 'cpi', date: '2024-01-06T13:30:00Z', event: 'CPI' }
+      ];
+
+      const { added, updated, removed } = diffEvents(previous, next);
+      expect(added.map((ev) => ev._id)).toEqual(['cpi']);
+      expect(updated.map((ev) => ev._id)).toEqual(['nfp']);
+      expect(removed.map((ev) => ev._id)).toEqual(['claims']);
+    });
+  });
+
+  describe('formatSseMessage', () => {
+    it('should emit id, event and JSON data lines', () => {
+      expect(formatSseMessage({ id: 'a-1', type: 'released', data: { id: 'nfp' } }))
+        .toBe('id: a-1\nevent: released\ndata: {"id":"nfp"}\n\n');
+    });
+  });
+
+  describe('createCalendarFeed', () => {
+    it('should emit changes between polls but not for the baseline', async () => {
+      const { feed, messages } = createFeed([
+        base,
+        [{ ...base[1], date: '2024-01-05T15:00:00Z', updated_at: '2024-01-02T00:00:00Z' }, { _id: 'cpi', date: '2024-01-06T13:30:00Z', event: 'CPI' }]
+      ], '2024-01-02T00:00:00Z');
+
+      await feed.start();
+      expect(messages).toEqual([]);
+
+      await feed.poll();
+      expect(messages.map((m) => [m.type, m.data.id])).toEqual([
+        ['event-added', 'cpi'],
+        ['event-updated', 'nfp'],
+        ['event-removed', 'claims']
+      ]);
+      expect(messages[1].data.previous.date).toBe('2024-01-05T13:30:00Z');
+    });
+
+    it('should keep state when a poll fails', async () => {
+      const { feed, messages, load } = createFeed([base], '2024-01-02T00:00:00Z');
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      await feed.start();
+
+      load.mockRejectedValueOnce(new Error('down'));
+      await feed.poll();
+      load.mockResolvedValueOnce(base);
+      await feed.poll();
+
+      expect(messages).toEqual([]);
+    });
+
+    it('should tick release-imminent and released once each', async () => {
+      const { feed, messages, clock } = createFeed([base], '2024-01-04T13:00:00Z');
+      await feed.start();
+
+      clock.now = new Date('2024-01-04T13:26:00Z').getTime();
+      feed.tick();
+      feed.tick();
+      expect(messages.map((m) => [m.type, m.data.id, m.data.secondsUntil])).toEqual([['release-imminent', 'claims', 240]]);
+
+      clock.now = new Date('2024-01-04T13:30:00Z').getTime();
+      feed.tick();
+      feed.tick();
+      expect(messages.map((m) => m.type)).toEqual(['release-imminent', 'released']);
+    });
+
+    it('should not tick releases that had passed when the feed started', async () => {
+      const { feed, messages } = createFeed([base], '2024-01-04T14:00:00Z');
+      await feed.start();
+      feed.tick();
+      expect(messages).toEqual([]);
+    });
+
+    it('should replay messages after a Last-Event-ID', async () => {
+      const { feed, messages } = createFeed([base, [base[0]], base], '2024-01-02T00:00:00Z');
+      await feed.start();
+      const head = feed.lastEventId;
+
+      await feed.poll();
+      await feed.poll();
+
+      expect(feed.since(head).map((m) => m.type)).toEqual(['event-removed', 'event-added']);
+      expect(feed.since(messages[0].id).map((m) => m.type)).toEqual(['event-added']);
+      expect(feed.since(feed.lastEventId)).toEqual([]);
+    });
+
+    it('should refuse to resume unknown or expired ids', async () => {
+      const load = vi.fn().mockResolvedValue(base);
+      const feed = createCalendarFeed({ fromDate: '2024-01-01', toDate: '2024-01-07', load, replayLimit: 1, now: () => new Date('2024-01-02T00:00:00Z').getTime() });
+      await feed.start();
+      const head = feed.lastEventId;
+
+      load.mockResolvedValueOnce([base[0]]).mockResolvedValueOnce(base);
+      await feed.poll();
+      await feed.poll();
+
+      expect(feed.since(head)).toBeNull();
+      expect(feed.since('deadbeef-1')).toBeNull();
+      expect(feed.since('garbage')).toBeNull();
+    });
+  });
+});
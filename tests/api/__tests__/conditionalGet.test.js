@@ -0,0 +1,97 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  canonicalJson,
+  computeEtag,
+  lastModifiedOf,
+  isNotModified,
+  applyConditionalGet
+} from '../../../lib/conditionalGet.js';
+
+const mockRes = () => {
+  const res = {
+    headers: {},
+    status: vi.fn().mockReturnThis(),
+    end: vi.fn().mockReturnThis(),
+    setHeader: vi.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+describe('Conditional GET', () => {
+  describe('canonicalJson', () => {
+    it('should sort object keys at every level and drop undefined values', () => {
+      expect(canonicalJson({ b: 1, a: { d: [1, { f: 2, e: 3 }], c: undefined } }))
+        .toBe('{"a":{"d":[1,{"e":3,"f":2}]},"b":1}');
+    });
+  });
+
+  describe('computeEtag', () => {
+    it('should be stable across key order and change with the data', () => {
+      const etag = computeEtag([{ _id: '1', event: 'CPI' }]);
+      expect(etag).toMatch(/^"[A-Za-z0-9_-]{27}"$/);
+      expect(computeEtag([{ event: 'CPI', _id: '1' }])).toBe(etag);
+      expect(computeEtag([{ _id: '1', event: 'CPI', actual: '3.4%' }])).not.toBe(etag);
+      expect(computeEtag([{ _id: '1', event: 'CPI' }], { weak: true })).toBe(`W/${etag}`);
+    });
+  });
+
+  describe('lastModifiedOf', () => {
+    it('should return the latest valid updated_at', () => {
+      expect(lastModifiedOf([
+        { updated_at: '2024-01-10T08:00:00Z' },
+        { updated_at: '2024-01-12T09:30:00Z' },
+        { updated_at: 'never' },
+        {}
+      ])).toEqual(new Date('2024-01-12T09:30:00Z'));
+      expect(lastModifiedOf([{}])).toBeNull();
+    });
+  });
+
+  describe('isNotModified', () => {
+    const etag = '"abc"';
+    const lastModified = new Date('2024-01-12T09:30:00.500Z');
+
+    it('should match If-None-Match lists, weak tags and *', () => {
+      expect(isNotModified({ headers: { 'if-none-match': '"xyz", "abc"' } }, { etag })).toBe(true);
+      expect(isNotModified({ headers: { 'if-none-match': 'W/"abc"' } }, { etag })).toBe(true);
+      expect(isNotModified({ headers: { 'if-none-match': '*' } }, { etag })).toBe(true);
+      expect(isNotModified({ headers: { 'if-none-match': '"xyz"' } }, { etag })).toBe(false);
+    });
+
+    it('should compare If-Modified-Since at one-second precision', () => {
+      expect(isNotModified({ headers: { 'if-modified-since': 'Fri, 12 Jan 2024 09:30:00 GMT' } }, { lastModified })).toBe(true);
+      expect(isNotModified({ headers: { 'if-modified-since': 'Fri, 12 Jan 2024 09:29:59 GMT' } }, { lastModified })).toBe(false);
+      expect(isNotModified({ headers: { 'if-modified-since': 'garbage' } }, { lastModified })).toBe(false);
+    });
+
+    it('should ignore If-Modified-Since when the response has an ETag', () => {
+      // Dropping an event leaves the newest updated_at unchanged, so only the ETag notices
+      expect(isNotModified({ headers: { 'if-modified-since': 'Sat, 13 Jan 2024 00:00:00 GMT' } }, { etag, lastModified })).toBe(false);
+    });
+
+    it('should ignore If-Modified-Since when If-None-Match is sent', () => {
+      expect(isNotModified({
+        headers: { 'if-none-match': '"xyz"', 'if-modified-since': 'Sat, 13 Jan 2024 00:00:00 GMT' }
+      }, { etag, lastModified })).toBe(false);
+    });
+  });
+
+  describe('applyConditionalGet', () => {
+    it('should always set the validators and answer 304 only when current', () => {
+      const lastModified = new Date('2024-01-12T09:30:00Z');
+
+      const fresh = mockRes();
+      expect(applyConditionalGet({ method: 'GET', headers: {} }, fresh, { etag: '"abc"', lastModified })).toBe(false);
+      expect(fresh.headers).toEqual({ ETag: '"abc"', 'Last-Modified': 'Fri, 12 Jan 2024 09:30:00 GMT' });
+      expect(fresh.status).not.toHaveBeenCalled();
+
+      const cached = mockRes();
+      expect(applyConditionalGet({ method: 'GET', headers: { 'if-none-match': '"abc"' } }, cached, { etag: '"abc"' })).toBe(true);
+      expect(cached.status).toHaveBeenCalledWith(304);
+      expect(cached.end).toHaveBeenCalled();
+    });
+  });
+});
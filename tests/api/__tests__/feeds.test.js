@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseFeedOptions,
+  buildRssFeed,
+  buildAtomFeed,
+  feedEntryId,
+  feedSelfUrl,
+  escapeXml
+} from '../../../lib/feeds.js';
+
+const events = [
+  {
+    _id: 'nfp',
+    date: '2024-01-05T13:30:00Z',
+    event: 'Employment Situation & Payrolls',
+    country: 'USA',
+    category: 'employment',
+    importance: 'high',
+    source: { name: 'BLS', url: 'https://www.bls.gov/news.release/empsit.toc.htm' },
+    updated_at: '2024-01-02T10:00:00Z'
+  },
+  {
+    date: '2024-01-11T13:30:00Z',
+    event: 'Consumer Price Index',
+    country: 'USA',
+    category: 'inflation',
+    importance: 'high'
+  }
+];
+
+const now = new Date('2024-01-03T12:00:00Z');
+
+describe('Feeds', () => {
+  describe('parseFeedOptions', () => {
+    it('should default to 7 days of high-importance events', () => {
+      expect(parseFeedOptions({})).toEqual({ days: 7, minImportance: 'high' });
+    });
+
+    it('should accept days and an importance threshold', () => {
+      expect(parseFeedOptions({ days: '14', minImportance: 'Medium' })).toEqual({ days: 14, minImportance: 'medium' });
+    });
+
+    it('should reject out-of-range days and unknown importance', () => {
+      expect(parseFeedOptions({ days: '0' }).error).toMatchObject({ code: 'invalid_parameter', field: 'days' });
+      expect(parseFeedOptions({ days: '61' }).error).toMatchObject({ field: 'days' });
+      expect(parseFeedOptions({ minImportance: 'urgent' }).error).toMatchObject({ code: 'invalid_enum', field: 'minImportance' });
+      expect(parseFeedOptions({ minImportance: 'all' })).toEqual({ days: 7, minImportance: 'all' });
+    });
+  });
+
+  describe('feedEntryId', () => {
+    it('should be stable for events with and without an upstream id', () => {
+      expect(feedEntryId(events[0])).toBe('tag:marketsquawk.ai,2025:event:nfp');
+      expect(feedEntryId(events[1])).toBe(feedEntryId({ ...events[1] }));
+      expect(feedEntryId(events[1])).toMatch(/^tag:marketsquawk\.ai,2025:event:[0-9a-f]{40}$/);
+    });
+  });
+
+  describe('feedSelfUrl', () => {
+    it('should only include non-default parameters', () => {
+      expect(feedSelfUrl('/feeds/upcoming.xml', { days: 7, minImportance: 'high' })).toBe('https://marketsquawk.ai/feeds/upcoming.xml');
+      expect(feedSelfUrl('/feeds/upcoming.atom', { days: 30, minImportance: 'all' }))
+        .toBe('https://marketsquawk.ai/feeds/upcoming.atom?days=30&minImportance=all');
+    });
+  });
+
+  describe('escapeXml', () => {
+    it('should escape markup and drop control characters', () => {
+      expect(escapeXml('A & B <c>\u0007')).toBe('A &amp; B &lt;c&gt;');
+    });
+  });
+
+  describe('buildRssFeed', () => {
+    const xml = buildRssFeed(events, { minImportance: 'high', days: 7, selfUrl: 'https://marketsquawk.ai/feeds/upcoming.xml', now });
+
+    it('should describe the channel', () => {
+      expect(xml).toContain('<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">');
+      expect(xml).toContain('<atom:link href="https://marketsquawk.ai/feeds/upcoming.xml" rel="self" type="application/rss+xml"/>');
+      expect(xml).toContain(`<lastBuildDate>${now.toUTCString()}</lastBuildDate>`);
+    });
+
+    it('should emit items with guid, release-time pubDate and source link', () => {
+      expect(xml).toContain('<title>Employment Situation &amp; Payrolls</title>');
+      expect(xml).toContain('<guid isPermaLink="false">tag:marketsquawk.ai,2025:event:nfp</guid>');
+      expect(xml).toContain('<pubDate>Fri, 05 Jan 2024 13:30:00 GMT</pubDate>');
+      expect(xml).toContain('<link>https://www.bls.gov/news.release/empsit.toc.htm</link>');
+    });
+
+    it('should link events without a source to their event page', () => {
+      expect(xml).toMatch(/<link>https:\/\/marketsquawk\.ai\/calendar\/event\/2024-01-11\/[0-9a-f]{40}<\/link>/);
+    });
+
+    it('should skip events with malformed dates', () => {
+      const malformed = buildRssFeed([events[0], { ...events[1], date: 'not-a-date' }], { minImportance: 'high', days: 7, selfUrl: 'https://marketsquawk.ai/feeds/upcoming.xml', now });
+      expect(malformed).not.toContain('Consumer Price Index');
+      expect(malformed).not.toContain('Invalid Date');
+    });
+  });
+
+  describe('buildAtomFeed', () => {
+    const xml = buildAtomFeed(events, { minImportance: 'high', days: 7, selfUrl: 'https://marketsquawk.ai/feeds/upcoming.atom', now });
+
+    it('should emit entries with id, published time and links', () => {
+      expect(xml).toContain('<feed xmlns="http://www.w3.org/2005/Atom">');
+      expect(xml).toContain('<id>tag:marketsquawk.ai,2025:event:nfp</id>');
+      expect(xml).toContain('<published>2024-01-05T13:30:00.000Z</published>');
+      expect(xml).toContain('<updated>2024-01-02T10:00:00.000Z</updated>');
+      expect(xml).toContain('<link rel="alternate" type="text/html" href="https://marketsquawk.ai/calendar/event/2024-01-05/nfp"/>');
+      expect(xml).toContain('<link rel="related" href="https://www.bls.gov/news.release/empsit.toc.htm" title="BLS"/>');
+    });
+
+    it('should skip events with malformed dates and fall back to the release time for a malformed updated_at', () => {
+      const malformed = buildAtomFeed([
+        { ...events[0], updated_at: 'garbage' },
+        { ...events[1], date: 'not-a-date' }
+      ], { minImportance: 'high', days: 7, selfUrl: 'https://marketsquawk.ai/feeds/upcoming.atom', now });
+
+      expect(malformed).toContain('<updated>2024-01-05T13:30:00.000Z</updated>');
+      expect(malformed).not.toContain('Consumer Price Index');
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { writeFileAtomic } from '../../../lib/fileStore.js';
+
+describe('File Store Helpers', () => {
+  describe('writeFileAtomic', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should create missing directories and replace the file', async () => {
+      const file = path.join(dir, 'nested', 'record.json');
+      await writeFileAtomic(file, 'first');
+      await writeFileAtomic(file, 'second');
+
+      expect(fs.readFileSync(file, 'utf8')).toBe('second');
+      expect(fs.readdirSync(path.dirname(file))).toEqual(['record.json']);
+    });
+
+    it('should leave one complete file when writes overlap', async () => {
+      const file = path.join(dir, 'record.json');
+      const contents = Array.from({ length: 10 }, (_, i) => String(i).repeat(10000));
+      await Promise.all(contents.map((data) => writeFileAtomic(file, data)));
+
+      expect(contents).toContain(fs.readFileSync(file, 'utf8'));
+      expect(fs.readdirSync(dir)).toEqual(['record.json']);
+    });
+
+    it('should clean up its temp file when the write fails', async () => {
+      const target = path.join(dir, 'taken');
+      fs.mkdirSync(path.join(target, 'child'), { recursive: true });
+
+      await expect(writeFileAtomic(target, 'data')).rejects.toThrow();
+      expect(fs.readdirSync(dir)).toEqual(['taken']);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../pages/api/health.js';
+import { probeUpstream, describeSnapshots, getBuildInfo, buildHealthReport, getHealthReport, resetHealthReport, summarizeHealthReport } from '../../../lib/health.js';
+import { resetUpstreamState } from '../../../lib/upstream.js';
+import { createMemorySnapshotStore, setSnapshotStore, morningReportSnapshotKey } from '../../../lib/snapshotStore.js';
+import { recordWarmRun, setWarmRunStore } from '../../../lib/warmCache.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis()
+});
+
+const upstreamResponse = ({ ok = true, status = 200, date = new Date().toUTCString() } = {}) => ({
+  ok,
+  status,
+  headers: { get: (name) => (name === 'date' ? date : null) },
+  json: () => Promise.resolve([])
+});
+
+describe('Health', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+    process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    resetUpstreamState();
+    resetHealthReport();
+    setSnapshotStore(createMemorySnapshotStore());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.CALENDAR_API_FALLBACK_BASES;
+    delete process.env.VERCEL_GIT_COMMIT_SHA;
+    delete process.env.HEALTH_MAX_CLOCK_SKEW_SECONDS;
+    setSnapshotStore(null);
+    setWarmRunStore(null);
+  });
+
+  describe('probeUpstream', () => {
+    it('should hit the primary base once and report status and clock skew', async () => {
+      global.fetch.mockResolvedValue(upstreamResponse({ date: 'Mon, 15 Jan 2024 15:02:00 GMT' }));
+
+      const probe = await probeUpstream('morning_report', '/morning_report');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch.mock.calls[0][0]).toBe('https://data-dev.pricesquawk.com/morning_report');
+      expect(probe).toMatchObject({ name: 'morning_report', ok: true, status: 200, skewSeconds: 120 });
+      expect(probe.latencyMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should report network errors without throwing', async () => {
+      global.fetch.mockRejectedValue(new Error('ECONNREFUSED'));
+
+      expect(await probeUpstream('calendar', '/calendar')).toMatchObject({ ok: false, status: null, error: 'ECONNREFUSED' });
+    });
+  });
+
+  describe('describeSnapshots', () => {
+    it('should report which fallback snapshots exist and their age', async () => {
+      const store = createMemorySnapshotStore();
+      setSnapshotStore(store);
+      await store.set(morningReportSnapshotKey('2024-01-15'), { summary: 'x' });
+      vi.setSystemTime(new Date('2024-01-15T15:10:00Z'));
+
+      const snapshots = await describeSnapshots('2024-01-15');
+
+      expect(snapshots.map((s) => s.name)).toEqual(['calendar:today', 'calendar:week', 'morning_report:today']);
+      expect(snapshots[0]).toMatchObject({ present: false, ageSeconds: null });
+      expect(snapshots[2]).toMatchObject({ present: true, ageSeconds: 600 });
+    });
+  });
+
+  describe('getBuildInfo', () => {
+    it('should read the deployment commit', () => {
+      process.env.VERCEL_GIT_COMMIT_SHA = 'abc1234';
+      expect(getBuildInfo()).toMatchObject({ version: '1.0.0', commit: 'abc1234' });
+    });
+  });
+
+  describe('buildHealthReport', () => {
+    it('should report diagnostics when upstream is healthy', async () => {
+      global.fetch.mockResolvedValue(upstreamResponse());
+      await recordWarmRun({ startedAt: '2024-01-15T14:55:00.000Z', finishedAt: '2024-01-15T14:55:02.000Z', results: [{ endpoint: 'calendar/week', status: 200 }] });
+
+      const report = await buildHealthReport();
+
+      expect(report.status).toBe('ok');
+      expect(report.upstream.checks.map((c) => c.name)).toEqual(['calendar', 'morning_report']);
+      expect(report.upstream.circuits[0]).toEqual({ base: 'https://data-dev.pricesquawk.com', state: 'closed', failures: 0 });
+      expect(report.clock.skewSeconds).toBe(0);
+      expect(report.warmCache.lastSuccess).toMatchObject({ ok: true, failed: 0, finishedAt: '2024-01-15T14:55:02.000Z' });
+    });
+
+    it('should be degraded when an upstream probe fails', async () => {
+      global.fetch.mockImplementation((url) => Promise.resolve(
+        url.includes('/morning_report') ? upstreamResponse({ ok: false, status: 500 }) : upstreamResponse()
+      ));
+
+      const report = await buildHealthReport();
+
+      expect(report.status).toBe('degraded');
+      expect(report.problems).toEqual(['upstream morning_report returned 500']);
+    });
+
+    it('should probe every failover base and stay ok while one of them answers', async () => {
+      process.env.CALENDAR_API_FALLBACK_BASES = 'https://backup.example.com';
+      global.fetch.mockImplementation((url) => Promise.resolve(
+        url.startsWith('https://data-dev') ? upstreamResponse({ ok: false, status: 502 }) : upstreamResponse()
+      ));
+
+      const report = await buildHealthReport();
+
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+      expect(report.upstream.checks.map((c) => c.base)).toEqual([
+        'https://data-dev.pricesquawk.com',
+        'https://backup.example.com',
+        'https://data-dev.pricesquawk.com',
+        'https://backup.example.com'
+      ]);
+      expect(report.status).toBe('ok');
+      expect(report.warnings).toEqual([
+        'upstream calendar returned 502 on https://data-dev.pricesquawk.com',
+        'upstream morning_report returned 502 on https://data-dev.pricesquawk.com'
+      ]);
+    });
+
+    it('should be degraded when the clock is skewed', async () => {
+      process.env.HEALTH_MAX_CLOCK_SKEW_SECONDS = '30';
+      global.fetch.mockResolvedValue(upstreamResponse({ date: 'Mon, 15 Jan 2024 14:58:00 GMT' }));
+
+      expect((await buildHealthReport()).problems).toEqual(['clock skewed by 120s']);
+    });
+  });
+
+  describe('getHealthReport', () => {
+    it('should reuse the report until it expires', async () => {
+      global.fetch.mockResolvedValue(upstreamResponse());
+      const now = Date.now();
+
+      await Promise.all([getHealthReport({ now }), getHealthReport({ now })]);
+      await getHealthReport({ now: now + 29 * 1000 });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      await getHealthReport({ now: now + 31 * 1000 });
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('summarizeHealthReport', () => {
+    it('should report each upstream path across bases without naming them', async () => {
+      process.env.CALENDAR_API_FALLBACK_BASES = 'https://backup.example.com';
+      global.fetch.mockImplementation((url) => Promise.resolve(
+        url.startsWith('https://data-dev') && url.includes('/morning_report') ? upstreamResponse({ ok: false, status: 502 }) : upstreamResponse()
+      ));
+
+      const summary = summarizeHealthReport(await buildHealthReport());
+
+      expect(summary.upstream).toEqual({
+        calendar: { ok: true, latencyMs: expect.any(Number) },
+        morning_report: { ok: true, latencyMs: expect.any(Number) }
+      });
+      expect(JSON.stringify(summary)).not.toContain('example.com');
+      expect(JSON.stringify(summary)).not.toContain('pricesquawk');
+    });
+  });
+
+  describe('handler', () => {
+    it('should answer 200 with a summary that leaves out deployment details', async () => {
+      global.fetch.mockResolvedValue(upstreamResponse());
+      process.env.VERCEL_GIT_COMMIT_SHA = 'abc1234';
+      setWarmRunStore(null);
+      await recordWarmRun({ startedAt: '2024-01-15T14:55:00.000Z', finishedAt: '2024-01-15T14:55:02.000Z', ok: true, failed: 0, results: [] });
+
+      const res = mockRes();
+      await handler({ method: 'GET', query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+      const body = res.json.mock.calls[0][0];
+      expect(body).toMatchObject({
+        status: 'ok',
+        checkedAt: '2024-01-15T15:00:00.000Z',
+        upstream: { calendar: { ok: true }, morning_report: { ok: true } },
+        clock: { skewSeconds: 0 },
+        warmCache: { lastRunAt: '2024-01-15T14:55:00.000Z', lastSuccessAt: '2024-01-15T14:55:00.000Z' }
+      });
+      expect(body.snapshots.map((snapshot) => Object.keys(snapshot))).toEqual(Array(3).fill(['name', 'present', 'ageSeconds']));
+      expect(JSON.stringify(body)).not.toContain('abc1234');
+      expect(JSON.stringify(body)).not.toContain('pricesquawk');
+    });
+
+    it('should answer 503 when degraded and show which path fails', async () => {
+      global.fetch.mockResolvedValue(upstreamResponse({ ok: false, status: 500 }));
+
+      const res = mockRes();
+      await handler({ method: 'GET', query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        status: 'degraded',
+        upstream: { calendar: { ok: false, latencyMs: null }, morning_report: { ok: false, latencyMs: null } }
+      });
+      expect(res.json.mock.calls[0][0]).not.toHaveProperty('problems');
+    });
+  });
+});
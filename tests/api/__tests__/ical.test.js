@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildICalendar,
+  escapeICalText,
+  foldICalLine,
+  formatICalDate,
+  eventUid,
+  parseAlarmMinutes
+} from '../../../lib/ical.js';
+
+const event = {
+  _id: '686dff94ea7a38a27d141e9e',
+  date: '2025-07-01T14:00:00.000Z',
+  country: 'USA',
+  event: 'Job Openings and Labor Turnover Survey (JOLTS) - May',
+  importance: 'medium',
+  source: { name: 'BLS', url: 'https://www.bls.gov/schedule/2025/home.htm' },
+  category: 'employment',
+  tags: ['jolts'],
+  created_at: '2025-06-09T05:35:16.558Z',
+  updated_at: '2025-07-09T05:35:16.558Z'
+};
+
+// Undo line folding so assertions can match whole content lines
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+
+describe('iCalendar Export', () => {
+  describe('escapeICalText', () => {
+    it('should escape backslashes, separators and newlines', () => {
+      expect(escapeICalText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+    });
+  });
+
+  describe('foldICalLine', () => {
+    it('should leave short lines untouched', () => {
+      expect(foldICalLine('SUMMARY:CPI')).toBe('SUMMARY:CPI');
+    });
+
+    it('should fold long lines to 75 octets without splitting characters', () => {
+      const line = `SUMMARY:${'é'.repeat(60)}`;
+      const folded = foldICalLine(line).split('\r\n');
+
+      expect(folded.length).toBeGreaterThan(1);
+      folded.forEach((part) => expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75));
+      expect(folded.slice(1).every((part) => part.startsWith(' '))).toBe(true);
+      expect(folded.map((part, i) => (i ? part.slice(1) : part)).join('')).toBe(line);
+    });
+  });
+
+  describe('formatICalDate', () => {
+    it('should format UTC DATE-TIME values', () => {
+      expect(formatICalDate('2025-07-01T14:00:00.000Z')).toBe('20250701T140000Z');
+    });
+
+    it('should return null for dates that do not parse', () => {
+      expect(formatICalDate('not-a-date')).toBeNull();
+    });
+  });
+
+  describe('eventUid', () => {
+    it('should derive the UID from the upstream _id', () => {
+      expect(eventUid(event)).toBe('686dff94ea7a38a27d141e9e@marketsquawk.ai');
+    });
+
+    it('should fall back to a stable hash', () => {
+      const { _id, ...withoutId } = event;
+      expect(eventUid(withoutId)).toBe(eventUid({ ...withoutId }));
+      expect(eventUid(withoutId)).toMatch(/^[0-9a-f]{40}@marketsquawk\.ai$/);
+    });
+  });
+
+  describe('parseAlarmMinutes', () => {
+    it('should accept whole minutes within a day', () => {
+      expect(parseAlarmMinutes(undefined)).toBeNull();
+      expect(parseAlarmMinutes('15')).toBe(15);
+      expect(parseAlarmMinutes('0')).toBe(0);
+    });
+
+    it('should reject invalid values', () => {
+      expect(parseAlarmMinutes('-5')).toBeUndefined();
+      expect(parseAlarmMinutes('1.5')).toBeUndefined();
+      expect(parseAlarmMinutes('1441')).toBeUndefined();
+    });
+  });
+
+  describe('buildICalendar', () => {
+    it('should produce a VCALENDAR with CRLF line endings', () => {
+      const ics = buildICalendar([event]);
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    it('should serialise each event as a VEVENT', () => {
+      const ics = unfold(buildICalendar([event]));
+
+      expect(ics).toContain('UID:686dff94ea7a38a27d141e9e@marketsquawk.ai');
+      expect(ics).toContain('DTSTART:20250701T140000Z');
+      expect(ics).toContain('DTSTAMP:20250709T053516Z');
+      expect(ics).toContain('SUMMARY:Job Openings and Labor Turnover Survey (JOLTS) - May');
+      expect(ics).toContain('DESCRIPTION:Importance: medium\\nCategory: employment\\nCountry: USA\\nSource: BLS (https://www.bls.gov/schedule/2025/home.htm)');
+      expect(ics).toContain('URL:https://www.bls.gov/schedule/2025/home.htm');
+      expect(ics).not.toContain('BEGIN:VALARM');
+    });
+
+    it('should add a VALARM when a lead time is given', () => {
+      const ics = buildICalendar([event], { alarmMinutes: 10 });
+
+      expect(ics).toContain('BEGIN:VALARM\r\nACTION:DISPLAY');
+      expect(ics).toContain('TRIGGER:-PT10M');
+    });
+
+    it('should skip events without a valid date', () => {
+      const ics = buildICalendar([{ ...event, date: 'not-a-date' }]);
+      expect(ics).not.toContain('BEGIN:VEVENT');
+    });
+
+    it('should drop malformed created and updated timestamps', () => {
+      const now = new Date('2025-07-10T00:00:00Z');
+      const ics = unfold(buildICalendar([{ ...event, created_at: 'garbage', updated_at: 'garbage' }], { now }));
+      expect(ics).toContain('DTSTAMP:20250710T000000Z');
+      expect(ics).not.toContain('CREATED:');
+      expect(ics).not.toContain('LAST-MODIFIED:');
+    });
+  });
+});
@@ -1,11 +1,21 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import handler from '../../../pages/api/morning-report.js';
+import { resetUpstreamState } from '../../../lib/upstream.js';
+import { createMemoryMorningReportArchive, setMorningReportArchive } from '../../../lib/morningReportArchive.js';
+import { createMemorySnapshotStore, setSnapshotStore, morningReportSnapshotKey } from '../../../lib/snapshotStore.js';
+import { getTodayInET } from '../../../lib/utils.js';
 
 // Mock fetch globally
 global.fetch = vi.fn();
 
+const createSnapshot = async (report) => {
+  const store = createMemorySnapshotStore();
+  await store.set(morningReportSnapshotKey(getTodayInET()), report);
+  setSnapshotStore(store);
+};
+
 describe('Morning Report API Endpoint', () => {
-  let req, res;
+  let req, res, archive;
 
   beforeEach(() => {
     vi.clearAllMocks();
@@ -24,10 +34,19 @@ describe('Morning Report API Endpoint', () => {
 
     // Set default environment variable
     process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    archive = createMemoryMorningReportArchive();
+    setMorningReportArchive(archive);
+    setSnapshotStore(createMemorySnapshotStore());
   });
 
   afterEach(() => {
+    vi.useRealTimers();
     delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+    setMorningReportArchive(null);
+    setSnapshotStore(null);
   });
 
   it('should export a default handler function', () => {
@@ -70,6 +89,9 @@ describe('Morning Report API Endpoint', () => {
   });
 
   it('should set appropriate cache headers', async () => {
+    // Away from the release windows, where core routes get a shorter TTL
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2024-01-16T18:00:00Z'));
     global.fetch.mockResolvedValue({
       ok: true,
       json: () => Promise.resolve({ summary: 'Test', brief: null })
@@ -100,6 +122,21 @@ describe('Morning Report API Endpoint', () => {
     });
   });
 
+  it('should serve the last good snapshot like /api/v1/morning-report when upstream fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const snapshot = { summary: 'Earlier report', brief: null };
+    await createSnapshot(snapshot);
+    global.fetch.mockResolvedValue({ ok: false, status: 503 });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith(snapshot);
+    expect(res.setHeader).toHaveBeenCalledWith('X-Data-Stale', 'true');
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+    warn.mockRestore();
+  });
+
   it('should handle network errors gracefully', async () => {
     global.fetch.mockRejectedValue(new Error('Network failure'));
 
@@ -232,4 +269,61 @@ describe('Morning Report API Endpoint', () => {
 
     expect(res.json).toHaveBeenCalledWith(audioOnlyReport);
   });
-});
\ No newline at end of file
+
+  describe('archive', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+    });
+
+    it('should archive the latest report under its own day', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve({ date: '2024-01-15', summary: 'Markets closed for MLK Day', brief: null, calendar: [] })
+      });
+
+      await handler(req, res);
+
+      expect(await archive.get('2024-01-15')).toMatchObject({ date: '2024-01-15', summary: 'Markets closed for MLK Day', calendar: [] });
+    });
+
+    it('should serve a past day from the archive without calling upstream', async () => {
+      await archive.save('2024-01-11', { summary: 'CPI day', brief: 'https://cdn.example.com/2024-01-11.mp3' });
+      req.query.date = '2024-01-11';
+
+      await handler(req, res);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ date: '2024-01-11', summary: 'CPI day', brief: 'https://cdn.example.com/2024-01-11.mp3' });
+      expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=86400, stale-while-revalidate=600');
+    });
+
+    it('should fetch the latest report when date is today', async () => {
+      global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ summary: 'Latest', brief: null }) });
+      req.query.date = '2024-01-15';
+
+      await handler(req, res);
+
+      expect(res.json).toHaveBeenCalledWith({ summary: 'Latest', brief: null });
+    });
+
+    it('should return 404 for days without an archived report', async () => {
+      req.query.date = '2024-01-12';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: 'No archived morning report for 2024-01-12' });
+    });
+
+    it('should reject malformed dates', async () => {
+      req.query.date = '2024-02-30';
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'invalid_date', field: 'date' });
+    });
+  });
+});
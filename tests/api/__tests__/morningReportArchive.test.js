@@ -0,0 +1,221 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  toArchiveEntry,
+  createMemoryMorningReportArchive,
+  createFileMorningReportArchive,
+  archiveMorningReport,
+  fetchAndArchiveMorningReport,
+  setMorningReportArchive,
+  getReadableMorningReportArchive,
+  reportDay,
+  MorningReportArchiveUnavailableError
+} from '../../../lib/morningReportArchive.js';
+import { resetUpstreamState } from '../../../lib/upstream.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const report = (summary) => ({
+  summary,
+  brief: `https://cdn.example.com/${summary}.mp3`,
+  calendar: [{ event: 'Consumer Price Index' }],
+  extra: 'not archived'
+});
+
+describe('Morning Report Archive', () => {
+  describe('toArchiveEntry', () => {
+    it('should keep the summary, brief and calendar of a report', () => {
+      const entry = toArchiveEntry('2024-01-11', report('cpi'));
+
+      expect(entry).toMatchObject({
+        date: '2024-01-11',
+        summary: 'cpi',
+        brief: 'https://cdn.example.com/cpi.mp3',
+        calendar: [{ event: 'Consumer Price Index' }]
+      });
+      expect(entry).not.toHaveProperty('extra');
+      expect(Date.parse(entry.archivedAt)).not.toBeNaN();
+    });
+
+    it('should default missing fields to null', () => {
+      expect(toArchiveEntry('2024-01-11', { summary: 'text only' })).toMatchObject({ brief: null, calendar: null });
+    });
+  });
+
+  const archiveContract = (makeArchive) => {
+    it('should keep one report per day, the latest saved', async () => {
+      const archive = await makeArchive();
+      await archive.save('2024-01-11', report('early'));
+      await archive.save('2024-01-11', report('final'));
+
+      expect((await archive.get('2024-01-11')).summary).toBe('final');
+      expect(await archive.get('2024-01-12')).toBeNull();
+    });
+
+    it('should list a range of days, newest first', async () => {
+      const archive = await makeArchive();
+      for (const date of ['2024-01-10', '2024-01-12', '2024-01-11', '2024-01-15']) {
+        await archive.save(date, report(date));
+      }
+
+      expect((await archive.list('2024-01-11', '2024-01-14')).map((entry) => entry.date)).toEqual(['2024-01-12', '2024-01-11']);
+      expect(await archive.list('2024-02-01', '2024-02-29')).toEqual([]);
+    });
+  };
+
+  describe('createMemoryMorningReportArchive', () => {
+    archiveContract(() => createMemoryMorningReportArchive());
+  });
+
+  describe('createFileMorningReportArchive', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'morning-report-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    archiveContract(() => createFileMorningReportArchive({ dir }));
+
+    it('should persist reports across archive instances', async () => {
+      await createFileMorningReportArchive({ dir }).save('2024-01-11', report('cpi'));
+
+      expect((await createFileMorningReportArchive({ dir }).get('2024-01-11')).summary).toBe('cpi');
+    });
+
+    it('should keep every day when saves overlap', async () => {
+      const archive = createFileMorningReportArchive({ dir });
+      const dates = ['2024-01-08', '2024-01-09', '2024-01-10', '2024-01-11', '2024-01-12'];
+      await Promise.all(dates.flatMap((date) => [archive.save(date, report(`${date} early`)), archive.save(date, report(date))]));
+
+      expect((await archive.list()).map((entry) => entry.date)).toEqual([...dates].reverse());
+      expect(fs.readdirSync(dir).filter((name) => name.endsWith('.tmp'))).toEqual([]);
+    });
+
+    it('should not read files outside its directory', async () => {
+      expect(await createFileMorningReportArchive({ dir }).get('../outside')).toBeNull();
+    });
+  });
+
+  describe('archiveMorningReport', () => {
+    it('should not rewrite a day whose report is unchanged', async () => {
+      const archive = createMemoryMorningReportArchive();
+      const save = vi.spyOn(archive, 'save');
+      const first = await archiveMorningReport('2024-01-11', report('cpi'), archive);
+
+      expect(await archiveMorningReport('2024-01-11', report('cpi'), archive)).toBe(first);
+      expect(save).toHaveBeenCalledTimes(1);
+
+      await archiveMorningReport('2024-01-11', { ...report('cpi'), calendar: [] }, archive);
+      expect(save).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip empty reports so they never replace a real one', async () => {
+      const archive = createMemoryMorningReportArchive();
+      await archiveMorningReport('2024-01-11', report('cpi'), archive);
+
+      expect(await archiveMorningReport('2024-01-11', { summary: null, brief: null }, archive)).toBeNull();
+      expect(await archiveMorningReport('2024-01-11', null, archive)).toBeNull();
+      expect((await archive.get('2024-01-11')).summary).toBe('cpi');
+    });
+
+    it('should file a report under its own date when upstream sends one', async () => {
+      const archive = createMemoryMorningReportArchive();
+
+      expect(reportDay({ date: '2024-01-12' })).toBe('2024-01-12');
+      expect(reportDay({ created_at: '2024-01-12T11:00:00Z' })).toBe('2024-01-12');
+      expect(reportDay({ date: 'soon' })).toBeNull();
+
+      // Saturday, but the report says it is Friday's
+      const entry = await archiveMorningReport('2024-01-13', { ...report('fri'), created_at: '2024-01-12T11:00:00Z' }, archive);
+      expect(entry.date).toBe('2024-01-12');
+      expect(await archive.get('2024-01-13')).toBeNull();
+    });
+
+    it('should only file undated reports under today on trading days', async () => {
+      const archive = createMemoryMorningReportArchive();
+
+      // Saturday and Martin Luther King Jr. Day
+      expect(await archiveMorningReport('2024-01-13', report('fri'), archive)).toBeNull();
+      expect(await archiveMorningReport('2024-01-15', report('fri'), archive)).toBeNull();
+      expect((await archiveMorningReport('2024-01-16', report('tue'), archive)).date).toBe('2024-01-16');
+    });
+
+    it('should not file the previous day\'s report under today before the new one is published', async () => {
+      const archive = createMemoryMorningReportArchive();
+      await archiveMorningReport('2024-01-11', report('thu'), archive);
+
+      expect(await archiveMorningReport('2024-01-12', report('thu'), archive)).toBeNull();
+      expect((await archiveMorningReport('2024-01-12', report('fri'), archive)).summary).toBe('fri');
+    });
+
+    it('should log write failures instead of throwing', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const archive = { list: async () => [], save: () => Promise.reject(new Error('disk full')) };
+
+      expect(await archiveMorningReport('2024-01-11', report('cpi'), archive)).toBeNull();
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+  });
+
+  describe('fetchAndArchiveMorningReport', () => {
+    beforeEach(() => {
+      vi.clearAllMocks();
+      process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+      resetUpstreamState();
+    });
+
+    afterEach(() => {
+      delete process.env.CALENDAR_API_BASE;
+      setMorningReportArchive(null);
+    });
+
+    it('should archive the latest report under the given day', async () => {
+      const archive = createMemoryMorningReportArchive();
+      setMorningReportArchive(archive);
+      global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(report('latest')) });
+
+      expect(await fetchAndArchiveMorningReport('2024-01-16')).toEqual(report('latest'));
+      expect((await archive.get('2024-01-16')).summary).toBe('latest');
+    });
+  });
+
+  describe('getReadableMorningReportArchive', () => {
+    afterEach(() => {
+      delete process.env.VERCEL_ENV;
+      delete process.env.MORNING_REPORT_ARCHIVE;
+      setMorningReportArchive(null);
+    });
+
+    it('should refuse reads from a per-instance archive in production', () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.VERCEL_ENV = 'production';
+
+      expect(() => getReadableMorningReportArchive()).toThrow(MorningReportArchiveUnavailableError);
+      expect(error).toHaveBeenCalled();
+      error.mockRestore();
+    });
+
+    it('should allow durable archives and an explicit opt-in to memory', () => {
+      process.env.VERCEL_ENV = 'production';
+      const durable = createFileMorningReportArchive({ dir: '/var/lib/market-squawk/morning-reports' });
+      setMorningReportArchive(durable);
+      expect(getReadableMorningReportArchive()).toBe(durable);
+
+      setMorningReportArchive(null);
+      process.env.MORNING_REPORT_ARCHIVE = 'memory';
+      expect(getReadableMorningReportArchive().durable).toBe(false);
+    });
+
+    it('should allow the memory archive outside production', () => {
+      expect(getReadableMorningReportArchive().durable).toBe(false);
+    });
+  });
+});
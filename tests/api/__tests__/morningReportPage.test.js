@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import {
+  isAudioBrief,
+  formatReportParagraphs,
+  renderAudioBrief,
+  buildMorningReportJsonLd,
+  morningReportPermalink
+} from '../../../lib/morningReportPage.js';
+
+const cpi = { _id: 'cpi-jan', date: '2024-01-11T13:30:00Z', event: 'Consumer Price Index', country: 'USA', importance: 'high' };
+
+describe('Morning Report Page', () => {
+  describe('isAudioBrief', () => {
+    it('should accept http(s) MP3 URLs only', () => {
+      expect(isAudioBrief('https://cdn.example.com/2024-01-11.mp3')).toBe(true);
+      expect(isAudioBrief('https://cdn.example.com/brief.MP3?sig=abc')).toBe(true);
+      expect(isAudioBrief('javascript:alert(1)//.mp3')).toBe(false);
+      expect(isAudioBrief('audio-brief.mp3')).toBe(false);
+      expect(isAudioBrief(null)).toBe(false);
+    });
+  });
+
+  describe('formatReportParagraphs', () => {
+    it('should split paragraphs on blank lines and keep line breaks', () => {
+      expect(formatReportParagraphs('Futures higher.\n\nCPI at 8:30.\nWatch core <services>.')).toBe(
+        '<p>Futures higher.</p>\n      <p>CPI at 8:30.<br/>Watch core &lt;services&gt;.</p>'
+      );
+      expect(formatReportParagraphs('')).toBe('');
+    });
+  });
+
+  describe('renderAudioBrief', () => {
+    it('should render a labelled player with a fallback link', () => {
+      const html = renderAudioBrief('https://cdn.example.com/a.mp3', 'Morning brief for Thursday, January 11, 2024');
+
+      expect(html).toContain('<audio controls preload="none" src="https://cdn.example.com/a.mp3" aria-label="Morning brief for Thursday, January 11, 2024">');
+      expect(html).toContain('<a href="https://cdn.example.com/a.mp3">Listen to Morning Brief (MP3)</a>');
+      expect(renderAudioBrief('not-audio', 'x')).toBe('');
+    });
+  });
+
+  describe('buildMorningReportJsonLd', () => {
+    it('should describe a PodcastEpisode with an AudioObject', () => {
+      const jsonLd = buildMorningReportJsonLd({
+        date: '2024-01-11',
+        report: { summary: 'CPI day.', brief: 'https://cdn.example.com/2024-01-11.mp3' },
+        events: [cpi]
+      });
+
+      expect(jsonLd).toMatchObject({
+        '@type': 'PodcastEpisode',
+        '@id': morningReportPermalink('2024-01-11'),
+        datePublished: '2024-01-11',
+        description: 'CPI day.',
+        partOfSeries: { '@type': 'PodcastSeries' },
+        associatedMedia: { '@type': 'AudioObject', contentUrl: 'https://cdn.example.com/2024-01-11.mp3', encodingFormat: 'audio/mpeg' }
+      });
+      expect(jsonLd.mentions).toEqual([expect.objectContaining({ '@type': 'Event', name: 'Consumer Price Index', startDate: '2024-01-11T13:30:00.000Z' })]);
+    });
+
+    it('should fall back to an Article without audio', () => {
+      const jsonLd = buildMorningReportJsonLd({ date: '2024-01-11', report: { summary: 'Text only.', brief: null }, events: [] });
+
+      expect(jsonLd['@type']).toBe('Article');
+      expect(jsonLd).not.toHaveProperty('associatedMedia');
+      expect(jsonLd.headline).toBe('Morning Market Brief — Thursday, January 11, 2024');
+    });
+  });
+});
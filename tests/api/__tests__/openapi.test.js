@@ -0,0 +1,173 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import openApiHandler from '../../../pages/api/openapi.json.js';
+import docsHandler from '../../../pages/api/docs.js';
+import calendarHandler from '../../../pages/api/calendar/index.js';
+import morningReportHandler from '../../../pages/api/morning-report.js';
+import morningReportHistoryHandler from '../../../pages/api/morning-report/history.js';
+import v1CalendarHandler from '../../../pages/api/v1/calendar/index.js';
+import { buildOpenApiDocument } from '../../../lib/openapi.js';
+import { validateSchema } from '../../../lib/apiSchema.js';
+import { resetUpstreamState } from '../../../lib/upstream.js';
+import { createMemoryMorningReportArchive, setMorningReportArchive } from '../../../lib/morningReportArchive.js';
+import { getTodayInET } from '../../../lib/utils.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+  send: vi.fn().mockReturnThis()
+});
+
+const responseSchema = (spec, path, status = 200) => {
+  const response = spec.paths[path].get.responses[status];
+  return response.content['application/json'].schema;
+};
+
+describe('OpenAPI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+  });
+
+  describe('buildOpenApiDocument', () => {
+    const spec = buildOpenApiDocument();
+
+    it('should describe the JSON API and the HTML routes', () => {
+      expect(spec.openapi).toBe('3.1.0');
+      expect(Object.keys(spec.paths)).toEqual(expect.arrayContaining([
+        '/api/v1/calendar',
+        '/api/v1/morning-report',
+        '/api/calendar',
+        '/api/morning-report',
+        '/api/morning-report/history',
+        '/calendar/today',
+        '/calendar/week/{start}',
+        '/calendar/month/{month}',
+        '/calendar/day/{date}',
+        '/calendar/morning-report/{date}',
+        '/calendar/event/{date}/{id}'
+      ]));
+    });
+
+    it('should declare every path template parameter and resolve every $ref', () => {
+      for (const [path, item] of Object.entries(spec.paths)) {
+        const declared = (item.get.parameters || []).filter((p) => p.in === 'path').map((p) => p.name).sort();
+        const templated = [...path.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort();
+        expect(declared).toEqual(templated);
+      }
+
+      const refs = [...JSON.stringify(spec).matchAll(/"\$ref":"#\/([^"]+)"/g)].map((m) => m[1]);
+      expect(refs.length).toBeGreaterThan(0);
+      for (const ref of refs) {
+        const target = ref.split('/').reduce((node, key) => node?.[key], spec);
+        expect(target, ref).toBeDefined();
+      }
+    });
+
+    it('should document the enums the validators use', () => {
+      const importance = spec.paths['/api/calendar'].get.parameters.find((p) => p.name === 'importance');
+      expect(importance).toMatchObject({ in: 'query', style: 'form', explode: false });
+      expect(importance.schema.items.enum).toEqual(['low', 'medium', 'high']);
+    });
+  });
+
+  describe('handlers', () => {
+    it('should serve the document as JSON', () => {
+      const res = mockRes();
+      openApiHandler({ method: 'GET', query: {} }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toEqual(buildOpenApiDocument());
+      expect(res.setHeader).toHaveBeenCalledWith('Access-Control-Allow-Origin', '*');
+    });
+
+    it('should render a self-contained docs page', () => {
+      const res = mockRes();
+      docsHandler({ method: 'GET', query: {} }, res);
+
+      const html = res.send.mock.calls[0][0];
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/html; charset=utf-8');
+      expect(html).toContain('<code>/api/calendar</code>');
+      expect(html).toContain('data-path="/calendar/week/{start}"');
+      expect(html).toContain('href="/api/openapi.json"');
+      expect(html).not.toMatch(/<script[^>]+src=|<link[^>]+stylesheet/);
+    });
+  });
+
+  describe('responses match the document', () => {
+    const spec = buildOpenApiDocument();
+
+    it('should match for /api/calendar events and validation errors', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve([
+          { _id: '1', date: '2024-01-17T13:30:00.000Z', event: 'CPI', country: 'USA', category: 'inflation', importance: 'high', source: { name: 'BLS', url: 'https://www.bls.gov' }, tags: ['cpi'] }
+        ])
+      });
+
+      const ok = mockRes();
+      await calendarHandler({ method: 'GET', url: '/api/calendar', query: { fromDate: '2024-01-15', toDate: '2024-01-21' }, headers: {} }, ok);
+      expect(validateSchema(ok.json.mock.calls[0][0], responseSchema(spec, '/api/calendar'))).toEqual([]);
+
+      const bad = mockRes();
+      await calendarHandler({ method: 'GET', url: '/api/calendar', query: { fromDate: 'soon' }, headers: {} }, bad);
+      expect(bad.status).toHaveBeenCalledWith(400);
+      expect(validateSchema(bad.json.mock.calls[0][0], spec.components.responses.ValidationError.content['application/json'].schema)).toEqual([]);
+    });
+
+    it('should match for the /api/v1/calendar envelope and typed errors', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve([{ _id: '1', date: '2024-01-17T13:30:00.000Z', event: 'CPI', importance: 'high' }])
+      });
+
+      const ok = mockRes();
+      await v1CalendarHandler({ method: 'GET', url: '/api/v1/calendar', query: { fromDate: '2024-01-15', toDate: '2024-01-21' }, headers: {} }, ok);
+      expect(validateSchema(ok.json.mock.calls[0][0], responseSchema(spec, '/api/v1/calendar'))).toEqual([]);
+
+      const bad = mockRes();
+      await v1CalendarHandler({ method: 'GET', url: '/api/v1/calendar', query: { limit: '0' }, headers: {} }, bad);
+      expect(validateSchema(bad.json.mock.calls[0][0], responseSchema(spec, '/api/v1/calendar', 400))).toEqual([]);
+    });
+
+    it('should match for /api/morning-report', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve({ summary: 'Stocks rose.', brief: 'https://example.com/brief.mp3' })
+      });
+
+      const res = mockRes();
+      await morningReportHandler({ method: 'GET', query: {}, headers: {} }, res);
+      expect(validateSchema(res.json.mock.calls[0][0], responseSchema(spec, '/api/morning-report'))).toEqual([]);
+
+      const archived = mockRes();
+      await morningReportHandler({ method: 'GET', query: { date: '2000-01-03' }, headers: {} }, archived);
+      expect(archived.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should match for /api/morning-report/history', async () => {
+      const archive = createMemoryMorningReportArchive();
+      await archive.save(getTodayInET(), { summary: 'Stocks rose.', brief: 'https://example.com/brief.mp3' });
+      setMorningReportArchive(archive);
+
+      const res = mockRes();
+      await morningReportHistoryHandler({ method: 'GET', query: {}, headers: {} }, res);
+
+      const body = res.json.mock.calls[0][0];
+      expect(body.count).toBe(1);
+      expect(validateSchema(body, responseSchema(spec, '/api/morning-report/history'))).toEqual([]);
+      expect(validateSchema({ ...body, reports: [{ date: body.to }] }, responseSchema(spec, '/api/morning-report/history'))).toEqual([
+        '$.reports[0].summary: required',
+        '$.reports[0].brief: required',
+        '$.reports[0].archivedAt: required'
+      ]);
+      setMorningReportArchive(null);
+    });
+  });
+});
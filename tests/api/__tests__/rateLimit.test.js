@@ -0,0 +1,159 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  getRateLimitConfig,
+  createMemoryRateLimitStore,
+  setRateLimitStore,
+  clientAddress,
+  takeToken,
+  applyRateLimit
+} from '../../../lib/rateLimit.js';
+
+const mockRes = () => {
+  const res = {
+    headers: {},
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    setHeader: vi.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+describe('Rate Limit', () => {
+  beforeEach(() => {
+    setRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    setRateLimitStore(null);
+    delete process.env.RATE_LIMIT_ENABLED;
+    delete process.env.RATE_LIMIT_IP_CAPACITY;
+    delete process.env.RATE_LIMIT_IP_REFILL_PER_MINUTE;
+    delete process.env.RATE_LIMIT_TRUSTED_PROXY;
+    delete process.env.VERCEL;
+  });
+
+  describe('getRateLimitConfig', () => {
+    it('should use defaults and read overrides from the environment', () => {
+      expect(getRateLimitConfig()).toEqual({
+        enabled: true,
+        trustedProxy: 'none',
+        ip: { capacity: 30, refillPerMinute: 30 },
+        key: { capacity: 600, refillPerMinute: 600 }
+      });
+
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      process.env.RATE_LIMIT_IP_CAPACITY = '5';
+      const config = getRateLimitConfig();
+      expect(config.enabled).toBe(false);
+      expect(config.ip.capacity).toBe(5);
+    });
+
+    it('should trust the Vercel headers on Vercel unless configured otherwise', () => {
+      process.env.VERCEL = '1';
+      expect(getRateLimitConfig().trustedProxy).toBe('vercel');
+
+      process.env.RATE_LIMIT_TRUSTED_PROXY = '2';
+      expect(getRateLimitConfig().trustedProxy).toBe(2);
+
+      process.env.RATE_LIMIT_TRUSTED_PROXY = 'anything';
+      expect(getRateLimitConfig().trustedProxy).toBe('none');
+    });
+  });
+
+  describe('takeToken', () => {
+    const policy = { capacity: 2, refillPerMinute: 60 };
+
+    it('should start full and refill one token per second', () => {
+      const first = takeToken(null, policy, 0);
+      expect(first).toMatchObject({ allowed: true, remaining: 1, resetSeconds: 1 });
+
+      const second = takeToken(first.bucket, policy, 0);
+      expect(second).toMatchObject({ allowed: true, remaining: 0, resetSeconds: 2 });
+
+      const denied = takeToken(second.bucket, policy, 500);
+      expect(denied).toMatchObject({ allowed: false, remaining: 0, retryAfterSeconds: 1 });
+
+      expect(takeToken(denied.bucket, policy, 1000).allowed).toBe(true);
+    });
+
+    it('should never refill above capacity', () => {
+      const result = takeToken({ tokens: 0, updatedAt: 0 }, policy, 3600000);
+      expect(result.remaining).toBe(1);
+    });
+
+    it('should report no reset time when refill is disabled', () => {
+      const result = takeToken({ tokens: 0, updatedAt: 0 }, { capacity: 1, refillPerMinute: 0 }, 60000);
+      expect(result).toMatchObject({ allowed: false, resetSeconds: null, retryAfterSeconds: null });
+    });
+  });
+
+  describe('clientAddress', () => {
+    const spoofed = { 'x-real-ip': '203.0.113.9', 'x-forwarded-for': '198.51.100.1, 192.0.2.7' };
+    const socket = { remoteAddress: '10.0.0.2' };
+
+    it('should use only the socket address when no proxy is trusted', () => {
+      expect(clientAddress({ headers: spoofed, socket }, 'none')).toBe('10.0.0.2');
+      expect(clientAddress({}, 'none')).toBe('unknown');
+    });
+
+    it('should use the platform-set address on Vercel', () => {
+      expect(clientAddress({ headers: { ...spoofed, 'x-vercel-forwarded-for': '192.0.2.50' }, socket }, 'vercel')).toBe('192.0.2.50');
+      expect(clientAddress({ headers: { 'x-real-ip': '192.0.2.50' }, socket }, 'vercel')).toBe('192.0.2.50');
+      expect(clientAddress({ socket }, 'vercel')).toBe('10.0.0.2');
+    });
+
+    it('should take the address the outermost trusted proxy saw', () => {
+      expect(clientAddress({ headers: spoofed, socket }, 1)).toBe('192.0.2.7');
+      expect(clientAddress({ headers: spoofed, socket }, 2)).toBe('198.51.100.1');
+      // Fewer hops than trusted proxies: the header can't be trusted
+      expect(clientAddress({ headers: spoofed, socket }, 3)).toBe('10.0.0.2');
+    });
+  });
+
+  describe('applyRateLimit', () => {
+    const client = (id) => ({ id, policy: { capacity: 2, refillPerMinute: 60 } });
+
+    it('should set RateLimit headers and answer 429 with Retry-After once the bucket is empty', async () => {
+      const first = mockRes();
+      expect(await applyRateLimit(first, client('ip:203.0.113.9'))).toBe(true);
+      expect(first.headers).toMatchObject({ 'RateLimit-Limit': '2', 'RateLimit-Remaining': '1', 'RateLimit-Policy': '2;w=2' });
+
+      expect(await applyRateLimit(mockRes(), client('ip:203.0.113.9'))).toBe(true);
+      const limited = mockRes();
+      expect(await applyRateLimit(limited, client('ip:203.0.113.9'))).toBe(false);
+
+      expect(limited.status).toHaveBeenCalledWith(429);
+      expect(limited.headers['Retry-After']).toBe('1');
+      expect(limited.headers['Cache-Control']).toBe('no-store');
+
+      // Other clients have their own bucket
+      expect(await applyRateLimit(mockRes(), client('ip:198.51.100.1'))).toBe(true);
+    });
+
+    it('should send the given 429 body', async () => {
+      const body = { error: { code: 'rate_limited', message: 'Too many requests' } };
+      await applyRateLimit(mockRes(), client('ip:203.0.113.9'), { body });
+      await applyRateLimit(mockRes(), client('ip:203.0.113.9'), { body });
+      const limited = mockRes();
+      await applyRateLimit(limited, client('ip:203.0.113.9'), { body });
+
+      expect(limited.json).toHaveBeenCalledWith(body);
+    });
+
+    it('should let requests through when disabled or when the store fails', async () => {
+      process.env.RATE_LIMIT_ENABLED = 'false';
+      const res = mockRes();
+      expect(await applyRateLimit(res, client('ip:unknown'))).toBe(true);
+      expect(res.setHeader).not.toHaveBeenCalled();
+
+      delete process.env.RATE_LIMIT_ENABLED;
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      setRateLimitStore({ get: () => Promise.reject(new Error('down')), set: vi.fn() });
+      expect(await applyRateLimit(mockRes(), client('ip:unknown'))).toBe(true);
+      warn.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { checkResponseContract, isContractCheckEnabled } from '../../../lib/responseContract.js';
+
+const meta = { fromDate: '2024-01-16', toDate: '2024-01-16', count: 1, source: 'upstream', fetchedAt: '2024-01-16T12:00:00.000Z', stale: false };
+const event = { _id: 'a', date: '2024-01-16T13:30:00.000Z', event: 'Retail Sales' };
+
+describe('Response Contract', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete process.env.API_CONTRACT_CHECK;
+    vi.unstubAllEnvs();
+  });
+
+  it('should check responses everywhere but production unless configured', () => {
+    expect(isContractCheckEnabled()).toBe(true);
+
+    vi.stubEnv('NODE_ENV', 'production');
+    expect(isContractCheckEnabled()).toBe(false);
+
+    process.env.API_CONTRACT_CHECK = 'true';
+    expect(isContractCheckEnabled()).toBe(true);
+  });
+
+  it('should accept an envelope that matches its schema', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(checkResponseContract('/api/v1/calendar', { data: [event], meta }, 'CalendarEnvelope')).toEqual([]);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('should log every mismatch without throwing', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const problems = checkResponseContract('/api/v1/calendar', { data: [{ ...event, date: 'soon' }], meta: { ...meta, source: 'cache' } }, 'CalendarEnvelope');
+
+    expect(problems).toEqual([
+      '$.data[0].date: "soon" is not a date-time',
+      '$.meta.source: "cache" is not one of upstream, snapshot, archive'
+    ]);
+    expect(warn).toHaveBeenCalledWith('/api/v1/calendar response does not match CalendarEnvelope:', problems.join('; '));
+  });
+
+  it('should skip the check when it is turned off', () => {
+    process.env.API_CONTRACT_CHECK = 'false';
+    expect(checkResponseContract('/api/v1/calendar', { data: 'nope' }, 'CalendarEnvelope')).toEqual([]);
+  });
+});
@@ -0,0 +1,263 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../pages/api/sitemap.js';
+import {
+  getSitemapConfig,
+  buildSitemapEntries,
+  chunkSitemapEntries,
+  buildUrlset,
+  buildSitemapIndex,
+  sitemapPageUrl,
+  SITEMAP_MAX_URLS
+} from '../../../lib/sitemap.js';
+import { resetUpstreamState } from '../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../lib/snapshotStore.js';
+import { resetEventIndex } from '../../../lib/calendarEvents.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockEvents = [
+  {
+    _id: 'cpi-jan',
+    date: '2024-01-11T13:30:00Z',
+    event: 'Consumer Price Index',
+    country: 'USA',
+    category: 'inflation',
+    importance: 'high',
+    updated_at: '2024-01-11T13:31:00Z'
+  },
+  {
+    _id: 'retail-jan',
+    date: '2024-01-17T13:30:00Z',
+    event: 'Retail Sales',
+    country: 'USA',
+    category: 'retail',
+    importance: 'high',
+    updated_at: '2024-01-10T09:00:00Z'
+  },
+  {
+    _id: 'claims-jan',
+    date: '2024-01-18T13:30:00Z',
+    event: 'Initial Jobless Claims',
+    country: 'USA',
+    importance: 'medium',
+    updated_at: '2024-01-12T09:00:00Z'
+  },
+  {
+    _id: 'no-updated-at',
+    date: '2024-01-19T15:00:00Z',
+    event: 'Existing Home Sales',
+    country: 'USA',
+    importance: 'medium'
+  }
+];
+
+const SITEMAP_ENV = ['SITEMAP_PAST_WEEKS', 'SITEMAP_FUTURE_WEEKS', 'SITEMAP_PAST_MONTHS', 'SITEMAP_FUTURE_MONTHS', 'SITEMAP_MAX_URLS'];
+
+describe('Sitemap', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+
+    req = { method: 'GET', query: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      setHeader: vi.fn().mockReturnThis(),
+      send: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    // One past and one future week keeps the window to a single upstream request
+    process.env.SITEMAP_PAST_WEEKS = '1';
+    process.env.SITEMAP_FUTURE_WEEKS = '1';
+    process.env.SITEMAP_PAST_MONTHS = '1';
+    process.env.SITEMAP_FUTURE_MONTHS = '1';
+    resetUpstreamState();
+    resetEventIndex();
+    setSnapshotStore(createMemorySnapshotStore());
+
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(mockEvents) });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+    SITEMAP_ENV.forEach((name) => delete process.env[name]);
+  });
+
+  describe('getSitemapConfig', () => {
+    it('should use defaults for missing or invalid values', () => {
+      SITEMAP_ENV.forEach((name) => delete process.env[name]);
+      process.env.SITEMAP_PAST_WEEKS = 'lots';
+      expect(getSitemapConfig()).toEqual({ pastWeeks: 4, futureWeeks: 7, pastMonths: 3, futureMonths: 2, maxUrls: SITEMAP_MAX_URLS });
+    });
+
+    it('should cap the URLs per file at the protocol limit', () => {
+      process.env.SITEMAP_MAX_URLS = '100000';
+      expect(getSitemapConfig().maxUrls).toBe(SITEMAP_MAX_URLS);
+      process.env.SITEMAP_MAX_URLS = '0';
+      expect(getSitemapConfig().maxUrls).toBe(1);
+    });
+  });
+
+  describe('buildSitemapEntries', () => {
+    it('should fetch the week window once', async () => {
+      await buildSitemapEntries();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith(
+        expect.stringContaining('fromDate=2024-01-08&toDate=2024-01-28'),
+        expect.any(Object)
+      );
+    });
+
+    it('should list landing, week, month, day and event pages', async () => {
+      const locs = (await buildSitemapEntries()).map((entry) => entry.loc);
+
+      expect(locs.slice(0, 3)).toEqual([
+        'https://marketsquawk.ai/',
+        'https://marketsquawk.ai/calendar/today',
+        'https://marketsquawk.ai/calendar/week'
+      ]);
+      expect(locs).toContain('https://marketsquawk.ai/calendar/week/2024-01-08');
+      expect(locs).toContain('https://marketsquawk.ai/calendar/week/2024-01-22');
+      expect(locs).toContain('https://marketsquawk.ai/calendar/month/2023-12');
+      expect(locs).toContain('https://marketsquawk.ai/calendar/month/2024-02');
+      expect(locs).toContain('https://marketsquawk.ai/calendar/event/2024-01-11/cpi-jan');
+      expect(locs).toContain('https://marketsquawk.ai/calendar/event/2024-01-19/no-updated-at');
+    });
+
+    it('should list the category and country pages seen in the window', async () => {
+      const entries = await buildSitemapEntries();
+      const lastmod = (loc) => entries.find((entry) => entry.loc === `https://marketsquawk.ai${loc}`)?.lastmod;
+
+      expect(lastmod('/calendar/category/inflation')).toBe('2024-01-11T13:31:00.000Z');
+      expect(lastmod('/calendar/category/retail')).toBe('2024-01-10T09:00:00.000Z');
+      expect(lastmod('/calendar/country/USA')).toBe('2024-01-12T09:00:00.000Z');
+      expect(entries.map((entry) => entry.loc)).not.toContain('https://marketsquawk.ai/calendar/category/energy');
+    });
+
+    it('should only list trading days', async () => {
+      const locs = (await buildSitemapEntries()).map((entry) => entry.loc);
+
+      expect(locs).toContain('https://marketsquawk.ai/calendar/day/2024-01-12');
+      expect(locs).not.toContain('https://marketsquawk.ai/calendar/day/2024-01-13');
+      // Martin Luther King Jr. Day
+      expect(locs).not.toContain('https://marketsquawk.ai/calendar/day/2024-01-15');
+    });
+
+    it('should take lastmod from the latest updated_at on each page', async () => {
+      const entries = await buildSitemapEntries();
+      const lastmod = (loc) => entries.find((entry) => entry.loc === `https://marketsquawk.ai${loc}`).lastmod;
+
+      expect(lastmod('/calendar/event/2024-01-11/cpi-jan')).toBe('2024-01-11T13:31:00.000Z');
+      expect(lastmod('/calendar/event/2024-01-19/no-updated-at')).toBeUndefined();
+      expect(lastmod('/calendar/week/2024-01-15')).toBe('2024-01-12T09:00:00.000Z');
+      expect(lastmod('/calendar/week')).toBe('2024-01-12T09:00:00.000Z');
+      expect(lastmod('/calendar/month/2024-01')).toBe('2024-01-12T09:00:00.000Z');
+      expect(lastmod('/calendar/day/2024-01-11')).toBe('2024-01-11T13:31:00.000Z');
+      expect(lastmod('/calendar/day/2024-01-16')).toBeUndefined();
+    });
+
+    it('should fall back to the last snapshot when upstream fails', async () => {
+      await buildSitemapEntries();
+      global.fetch.mockRejectedValue(new Error('Network error'));
+
+      const locs = (await buildSitemapEntries()).map((entry) => entry.loc);
+      expect(locs).toContain('https://marketsquawk.ai/calendar/event/2024-01-11/cpi-jan');
+    });
+  });
+
+  describe('XML builders', () => {
+    it('should build a urlset, omitting missing lastmod', () => {
+      const xml = buildUrlset([
+        { loc: 'https://marketsquawk.ai/?a=1&b=2', lastmod: '2024-01-11T13:31:00.000Z', changefreq: 'daily', priority: '0.9' },
+        { loc: 'https://marketsquawk.ai/calendar/week', changefreq: 'hourly', priority: '1.0' }
+      ]);
+
+      expect(xml).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(xml).toContain('<loc>https://marketsquawk.ai/?a=1&amp;b=2</loc>');
+      expect(xml).toContain('<lastmod>2024-01-11T13:31:00.000Z</lastmod>');
+      expect(xml.match(/<lastmod>/g)).toHaveLength(1);
+    });
+
+    it('should chunk entries and index the chunks', () => {
+      const entries = Array.from({ length: 5 }, (_, i) => ({
+        loc: `https://marketsquawk.ai/${i}`,
+        lastmod: `2024-01-0${i + 1}T00:00:00.000Z`,
+        changefreq: 'daily',
+        priority: '0.5'
+      }));
+      const chunks = chunkSitemapEntries(entries, 2);
+      expect(chunks.map((chunk) => chunk.length)).toEqual([2, 2, 1]);
+
+      const xml = buildSitemapIndex(chunks);
+      expect(xml).toContain('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+      expect(xml).toContain(`<loc>${sitemapPageUrl(3)}</loc>`);
+      expect(xml).toContain('<lastmod>2024-01-02T00:00:00.000Z</lastmod>');
+      expect(xml).toContain('<lastmod>2024-01-05T00:00:00.000Z</lastmod>');
+    });
+
+    it('should always return at least one chunk', () => {
+      expect(chunkSitemapEntries([], 10)).toEqual([[]]);
+    });
+  });
+
+  describe('handler', () => {
+    it('should serve a single urlset when under the limit', async () => {
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/xml; charset=utf-8');
+      expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=3600, stale-while-revalidate=600');
+      expect(res.send.mock.calls[0][0]).toContain('<urlset');
+    });
+
+    it('should serve a sitemap index and numbered files when over the limit', async () => {
+      process.env.SITEMAP_MAX_URLS = '10';
+
+      await handler(req, res);
+      const index = res.send.mock.calls[0][0];
+      expect(index).toContain('<sitemapindex');
+      expect(index).toContain('<loc>https://marketsquawk.ai/sitemap-1.xml</loc>');
+      expect(index).toContain('<loc>https://marketsquawk.ai/sitemap-2.xml</loc>');
+
+      res.send.mockClear();
+      req.query.page = '1';
+      await handler(req, res);
+      const first = res.send.mock.calls[0][0];
+      expect(first).toContain('<urlset');
+      expect(first.match(/<url>/g)).toHaveLength(10);
+    });
+
+    it('should return 404 for pages past the end', async () => {
+      req.query.page = '99';
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should reject malformed pages', async () => {
+      req.query.page = '0';
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should pass upstream failures through when there is no snapshot', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 503, json: () => Promise.resolve({}) });
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.send).not.toHaveBeenCalled();
+    });
+  });
+});
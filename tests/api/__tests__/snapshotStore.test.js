@@ -0,0 +1,110 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  calendarSnapshotKey,
+  morningReportSnapshotKey,
+  createMemorySnapshotStore,
+  createFileSnapshotStore,
+  loadWithSnapshot
+} from '../../../lib/snapshotStore.js';
+
+describe('Snapshot Store', () => {
+  describe('calendarSnapshotKey', () => {
+    it('should key snapshots by date range', () => {
+      expect(calendarSnapshotKey('2024-01-15', '2024-01-21')).toBe('calendar:2024-01-15:2024-01-21');
+    });
+  });
+
+  describe('morningReportSnapshotKey', () => {
+    it('should key morning reports by ET day', () => {
+      expect(morningReportSnapshotKey('2024-01-15')).toBe('morning_report:2024-01-15');
+    });
+  });
+
+  describe('createMemorySnapshotStore', () => {
+    it('should return null for unknown keys', async () => {
+      const store = createMemorySnapshotStore();
+      expect(await store.get('missing')).toBeNull();
+    });
+
+    it('should store payloads with a saved timestamp', async () => {
+      const store = createMemorySnapshotStore();
+      await store.set('calendar:a', [{ event: 'CPI' }]);
+
+      const snapshot = await store.get('calendar:a');
+      expect(snapshot.data).toEqual([{ event: 'CPI' }]);
+      expect(new Date(snapshot.savedAt).toString()).not.toBe('Invalid Date');
+    });
+
+    it('should evict the oldest entry beyond its limit', async () => {
+      const store = createMemorySnapshotStore({ limit: 2 });
+      await store.set('a', 1);
+      await store.set('b', 2);
+      await store.set('c', 3);
+
+      expect(await store.get('a')).toBeNull();
+      expect((await store.get('c')).data).toBe(3);
+    });
+  });
+
+  describe('createFileSnapshotStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should persist snapshots across store instances', async () => {
+      await createFileSnapshotStore({ dir }).set('calendar:2024-01-15:2024-01-21', [{ event: 'PPI' }]);
+
+      const snapshot = await createFileSnapshotStore({ dir }).get('calendar:2024-01-15:2024-01-21');
+      expect(snapshot.data).toEqual([{ event: 'PPI' }]);
+    });
+
+    it('should return null when no snapshot file exists', async () => {
+      expect(await createFileSnapshotStore({ dir }).get('calendar:none')).toBeNull();
+    });
+
+    it('should keep one whole snapshot when sets of a key overlap', async () => {
+      const store = createFileSnapshotStore({ dir });
+      const key = 'calendar:2024-01-15:2024-01-21';
+      await Promise.all(Array.from({ length: 8 }, (_, i) => store.set(key, [{ event: `PPI ${i}` }])));
+
+      expect((await store.get(key)).data).toEqual([{ event: expect.stringMatching(/^PPI \d$/) }]);
+      expect(fs.readdirSync(dir)).toEqual(['calendar_2024-01-15_2024-01-21.json']);
+    });
+  });
+
+  describe('loadWithSnapshot', () => {
+    it('should return fresh data and save it as a snapshot', async () => {
+      const store = createMemorySnapshotStore();
+      const result = await loadWithSnapshot('k', () => Promise.resolve(['fresh']), store);
+
+      expect(result.stale).toBe(false);
+      expect(result.data).toEqual(['fresh']);
+      expect((await store.get('k')).data).toEqual(['fresh']);
+    });
+
+    it('should fall back to the previous snapshot when loading fails', async () => {
+      const store = createMemorySnapshotStore();
+      await store.set('k', ['saved']);
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await loadWithSnapshot('k', () => Promise.reject(new Error('down')), store);
+
+      expect(result.stale).toBe(true);
+      expect(result.data).toEqual(['saved']);
+    });
+
+    it('should rethrow the loader error when no snapshot exists', async () => {
+      const store = createMemorySnapshotStore();
+      await expect(loadWithSnapshot('k', () => Promise.reject(new Error('down')), store)).rejects.toThrow('down');
+    });
+  });
+});
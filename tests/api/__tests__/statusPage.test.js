@@ -0,0 +1,38 @@
+import { describe, it, expect, vi } from 'vitest';
+import { sendUnavailablePage } from '../../../lib/statusPage.js';
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  send: vi.fn().mockReturnThis()
+});
+
+describe('Status Pages', () => {
+  describe('sendUnavailablePage', () => {
+    it('should send an uncached, noindex 503 asking the client to retry', () => {
+      const res = mockRes();
+      sendUnavailablePage(res, {
+        name: 'Economic Calendar',
+        subject: 'Calendar data for 2024-02',
+        back: { href: '/calendar/week', label: 'View Weekly Calendar' }
+      });
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/html; charset=utf-8');
+      expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+      expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '60');
+      const html = res.send.mock.calls[0][0];
+      expect(html).toContain('<title>Economic Calendar - Temporarily Unavailable</title>');
+      expect(html).toContain('<meta name="robots" content="noindex"/>');
+      expect(html).toContain('<p>Calendar data for 2024-02 could not be loaded. Please try again in a minute.</p>');
+      expect(html).toContain('<a href="/calendar/week">← View Weekly Calendar</a>');
+    });
+
+    it('should escape the subject', () => {
+      const res = mockRes();
+      sendUnavailablePage(res, { name: 'Economic Calendar', subject: '<b>Bad</b> events', back: { href: '/', label: 'Home' } });
+
+      expect(res.send.mock.calls[0][0]).toContain('&lt;b&gt;Bad&lt;/b&gt; events could not be loaded');
+    });
+  });
+});
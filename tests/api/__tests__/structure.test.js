@@ -71,14 +71,13 @@ describe('Next.js API Structure', () => {
     expect(typeof indexHandler).toBe('function');
   });
 
-  it('should have sitemap.xml for SEO', () => {
-    const sitemapPath = path.resolve(process.cwd(), 'public', 'sitemap.xml');
-    expect(fs.existsSync(sitemapPath)).toBe(true);
-    
-    const sitemapContent = fs.readFileSync(sitemapPath, 'utf8');
-    expect(sitemapContent).toContain('<?xml version="1.0" encoding="UTF-8"?>');
-    expect(sitemapContent).toContain('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
-    expect(sitemapContent).toContain('/calendar/week');
+  it('should serve a dynamic sitemap.xml for SEO', () => {
+    // A static file would shadow the rewrite to the generated sitemap
+    expect(fs.existsSync(path.resolve(process.cwd(), 'public', 'sitemap.xml'))).toBe(false);
+    expect(fs.existsSync(path.resolve(process.cwd(), 'pages', 'api', 'sitemap.js'))).toBe(true);
+
+    const vercelConfig = JSON.parse(fs.readFileSync(path.resolve(process.cwd(), 'vercel.json'), 'utf8'));
+    expect(vercelConfig.rewrites).toContainEqual({ source: '/sitemap.xml', destination: '/api/sitemap' });
   });
 
   it('should have morning report API endpoint', async () => {
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  normalizeSubscriptionFilters,
+  isValidTokenFormat,
+  createMemorySubscriptionStore,
+  createFileSubscriptionStore
+} from '../../../lib/subscriptionStore.js';
+
+describe('Subscription Store', () => {
+  describe('normalizeSubscriptionFilters', () => {
+    it('should normalise lists, threshold and alarm', () => {
+      const { filters } = normalizeSubscriptionFilters({
+        minImportance: 'High',
+        category: 'employment,Inflation',
+        country: ['USA'],
+        alarm: 15
+      });
+
+      expect(filters).toEqual({
+        minImportance: 'high',
+        category: ['employment', 'inflation'],
+        country: ['usa'],
+        alarm: 15
+      });
+    });
+
+    it('should treat "all" as no importance threshold', () => {
+      expect(normalizeSubscriptionFilters({ minImportance: 'all' }).filters.minImportance).toBeNull();
+    });
+
+    it('should reject unknown importance levels and bad alarms', () => {
+      expect(normalizeSubscriptionFilters({ minImportance: 'urgent' }).error).toMatchObject({ code: 'invalid_enum', field: 'minImportance' });
+      expect(normalizeSubscriptionFilters({ alarm: '-1' }).error).toMatchObject({ code: 'invalid_parameter', field: 'alarm' });
+      expect(normalizeSubscriptionFilters({ category: 'inflation,weather/alerts' }).error).toMatchObject({ code: 'invalid_parameter', field: 'category' });
+    });
+
+    it('should accept categories outside the known list', () => {
+      expect(normalizeSubscriptionFilters({ category: 'Weather' }).filters.category).toEqual(['weather']);
+    });
+  });
+
+  describe('isValidTokenFormat', () => {
+    it('should only accept URL-safe tokens of a sensible length', () => {
+      expect(isValidTokenFormat('abcdefghijklmnopqrstuvwx')).toBe(true);
+      expect(isValidTokenFormat('short')).toBe(false);
+      expect(isValidTokenFormat('../../etc/passwd-aaaaaaaaaa')).toBe(false);
+      expect(isValidTokenFormat(undefined)).toBe(false);
+    });
+  });
+
+  const storeContract = (makeStore) => {
+    it('should create subscriptions with unique valid tokens', async () => {
+      const store = await makeStore();
+      const a = await store.create({ minImportance: 'high' });
+      const b = await store.create({ minImportance: 'high' });
+
+      expect(isValidTokenFormat(a.token)).toBe(true);
+      expect(a.token).not.toBe(b.token);
+      expect((await store.get(a.token)).filters).toEqual({ minImportance: 'high' });
+    });
+
+    it('should revoke subscriptions', async () => {
+      const store = await makeStore();
+      const { token } = await store.create({});
+
+      const revoked = await store.revoke(token);
+      expect(revoked.revokedAt).not.toBeNull();
+      expect((await store.get(token)).revokedAt).toBe(revoked.revokedAt);
+    });
+
+    it('should return null for unknown tokens', async () => {
+      const store = await makeStore();
+      expect(await store.get('unknown-token-aaaaaaaa')).toBeNull();
+      expect(await store.revoke('unknown-token-aaaaaaaa')).toBeNull();
+    });
+  };
+
+  describe('createMemorySubscriptionStore', () => {
+    storeContract(() => createMemorySubscriptionStore());
+  });
+
+  describe('createFileSubscriptionStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'subscription-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    storeContract(() => createFileSubscriptionStore({ dir }));
+
+    it('should persist subscriptions across store instances', async () => {
+      const { token } = await createFileSubscriptionStore({ dir }).create({ country: ['usa'] });
+
+      expect((await createFileSubscriptionStore({ dir }).get(token)).filters).toEqual({ country: ['usa'] });
+    });
+
+    it('should keep every subscription when creates and revokes overlap', async () => {
+      const store = createFileSubscriptionStore({ dir });
+      const [first] = await Promise.all([store.create({ country: ['usa'] }), store.create({ country: ['gbr'] })]);
+      const created = await Promise.all([
+        store.revoke(first.token),
+        ...Array.from({ length: 8 }, (_, i) => store.create({ alarm: i }))
+      ]);
+
+      expect((await store.get(first.token)).revokedAt).not.toBeNull();
+      for (const record of created.slice(1)) {
+        expect(await store.get(record.token)).toMatchObject({ revokedAt: null });
+      }
+    });
+
+    it('should not read files outside its directory', async () => {
+      expect(await createFileSubscriptionStore({ dir }).get('../outside')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { getMarketHolidays, isTradingDay, adjacentTradingDay } from '../../../lib/tradingDays.js';
+
+describe('Trading Days', () => {
+  describe('getMarketHolidays', () => {
+    it('should list the NYSE full-day holidays for 2024', () => {
+      expect([...getMarketHolidays(2024)].sort()).toEqual([
+        '2024-01-01', '2024-01-15', '2024-02-19', '2024-03-29', '2024-05-27',
+        '2024-06-19', '2024-07-04', '2024-09-02', '2024-11-28', '2024-12-25'
+      ]);
+    });
+
+    it('should observe weekend holidays on the nearest weekday', () => {
+      const holidays = getMarketHolidays(2026);
+      expect(holidays.has('2026-07-03')).toBe(true);   // July 4th is a Saturday
+      expect(getMarketHolidays(2023).has('2023-01-02')).toBe(true);   // New Year's Day is a Sunday
+    });
+
+    it('should not move a Saturday New Year\'s Day into December', () => {
+      expect(getMarketHolidays(2022).has('2022-01-01')).toBe(false);
+      expect(getMarketHolidays(2021).has('2021-12-31')).toBe(false);
+    });
+
+    it('should only include Juneteenth from 2022', () => {
+      expect(getMarketHolidays(2021).has('2021-06-18')).toBe(false);
+      expect(getMarketHolidays(2022).has('2022-06-20')).toBe(true);
+    });
+  });
+
+  describe('isTradingDay', () => {
+    it('should exclude weekends and holidays', () => {
+      expect(isTradingDay('2024-01-12')).toBe(true);
+      expect(isTradingDay('2024-01-13')).toBe(false);
+      expect(isTradingDay('2024-01-15')).toBe(false);
+    });
+  });
+
+  describe('adjacentTradingDay', () => {
+    it('should skip weekends and holidays', () => {
+      expect(adjacentTradingDay('2024-01-16', -1)).toBe('2024-01-12');
+      expect(adjacentTradingDay('2024-03-28', 1)).toBe('2024-04-01');
+      expect(adjacentTradingDay('2024-12-31', 1)).toBe('2025-01-02');
+    });
+
+    it('should work from non-trading days', () => {
+      expect(adjacentTradingDay('2024-01-13', 1)).toBe('2024-01-16');
+      expect(adjacentTradingDay('2024-01-13', -1)).toBe('2024-01-12');
+    });
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  upstreamFetch,
+  getUpstreamBases,
+  getCircuitStates,
+  computeBackoff,
+  resetUpstreamState,
+  UpstreamError
+} from '../../../lib/upstream.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const ok = (body = []) => ({ ok: true, status: 200, json: () => Promise.resolve(body) });
+const fail = (status) => ({ ok: false, status });
+
+describe('Upstream client', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+    process.env.CALENDAR_API_BASE = 'https://primary.example.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+  });
+
+  afterEach(() => {
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.CALENDAR_API_FALLBACK_BASES;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+    delete process.env.UPSTREAM_RETRIES;
+    delete process.env.UPSTREAM_BREAKER_THRESHOLD;
+  });
+
+  describe('getUpstreamBases', () => {
+    it('should put the primary base first and dedupe failovers', () => {
+      process.env.CALENDAR_API_FALLBACK_BASES = 'https://backup.example.com/, https://primary.example.com';
+      expect(getUpstreamBases()).toEqual(['https://primary.example.com', 'https://backup.example.com']);
+    });
+
+    it('should default to the pricesquawk dev API', () => {
+      delete process.env.CALENDAR_API_BASE;
+      expect(getUpstreamBases()).toEqual(['https://data-dev.pricesquawk.com']);
+    });
+  });
+
+  describe('upstreamFetch', () => {
+    it('should send the shared headers and a timeout signal', async () => {
+      global.fetch.mockResolvedValue(ok());
+
+      await upstreamFetch('/calendar?fromDate=2024-01-15&toDate=2024-01-21');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://primary.example.com/calendar?fromDate=2024-01-15&toDate=2024-01-21',
+        expect.objectContaining({
+          headers: expect.objectContaining({
+            'accept': 'application/json',
+            'user-agent': 'Market-Squawk-Calendar/1.0 (+https://marketsquawk.ai)',
+            'referer': 'https://marketsquawk.ai'
+          }),
+          signal: expect.any(AbortSignal)
+        })
+      );
+    });
+
+    it('should retry transient failures and return the first good response', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('ECONNRESET'))
+        .mockResolvedValueOnce(fail(502))
+        .mockResolvedValueOnce(ok(['event']));
+
+      const response = await upstreamFetch('/calendar');
+
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+      expect(response.ok).toBe(true);
+    });
+
+    it('should not retry client errors', async () => {
+      global.fetch.mockResolvedValue(fail(404));
+
+      const response = await upstreamFetch('/calendar');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(response.status).toBe(404);
+    });
+
+    it('should return the last response once retries are exhausted', async () => {
+      process.env.UPSTREAM_RETRIES = '1';
+      global.fetch.mockResolvedValue(fail(503));
+
+      const response = await upstreamFetch('/morning_report');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(response.status).toBe(503);
+    });
+
+    it('should throw the last network error once retries are exhausted', async () => {
+      process.env.UPSTREAM_RETRIES = '1';
+      global.fetch.mockRejectedValue(new Error('Network failure'));
+
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('Network failure');
+    });
+
+    it('should fail over to alternate base URLs', async () => {
+      process.env.CALENDAR_API_FALLBACK_BASES = 'https://backup.example.com';
+      global.fetch.mockImplementation((url) =>
+        Promise.resolve(url.startsWith('https://backup.example.com') ? ok() : fail(500))
+      );
+
+      const response = await upstreamFetch('/calendar');
+
+      expect(response.ok).toBe(true);
+      expect(global.fetch).toHaveBeenLastCalledWith('https://backup.example.com/calendar', expect.any(Object));
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after consecutive failures and stop calling upstream', async () => {
+      process.env.UPSTREAM_RETRIES = '0';
+      process.env.UPSTREAM_BREAKER_THRESHOLD = '2';
+      global.fetch.mockRejectedValue(new Error('down'));
+
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('down');
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('down');
+      expect(getCircuitStates()[0].state).toBe('open');
+
+      const error = await upstreamFetch('/calendar').catch((e) => e);
+      expect(error).toBeInstanceOf(UpstreamError);
+      expect(error.status).toBe(503);
+      expect(error.retryAfter).toBeGreaterThan(0);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip an open primary and go straight to the failover', async () => {
+      process.env.UPSTREAM_RETRIES = '0';
+      process.env.UPSTREAM_BREAKER_THRESHOLD = '1';
+      process.env.CALENDAR_API_FALLBACK_BASES = 'https://backup.example.com';
+      global.fetch.mockImplementation((url) =>
+        url.startsWith('https://backup.example.com') ? Promise.resolve(ok()) : Promise.reject(new Error('down'))
+      );
+
+      await upstreamFetch('/calendar');
+      global.fetch.mockClear();
+      await upstreamFetch('/calendar');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(global.fetch).toHaveBeenCalledWith('https://backup.example.com/calendar', expect.any(Object));
+    });
+
+    it('should let a trial request through after the cooldown', async () => {
+      vi.useFakeTimers();
+      process.env.UPSTREAM_RETRIES = '0';
+      process.env.UPSTREAM_BREAKER_THRESHOLD = '1';
+      global.fetch.mockRejectedValueOnce(new Error('down')).mockResolvedValue(ok());
+
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('down');
+      vi.advanceTimersByTime(30000);
+      expect(getCircuitStates()[0].state).toBe('half-open');
+
+      const response = await upstreamFetch('/calendar');
+      expect(response.ok).toBe(true);
+      expect(getCircuitStates()[0].state).toBe('closed');
+      vi.useRealTimers();
+    });
+
+    it('should admit one trial request at a time while half-open', async () => {
+      vi.useFakeTimers();
+      process.env.UPSTREAM_RETRIES = '0';
+      process.env.UPSTREAM_BREAKER_THRESHOLD = '1';
+      global.fetch.mockRejectedValueOnce(new Error('down'));
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('down');
+      vi.advanceTimersByTime(30000);
+
+      let settle;
+      global.fetch.mockClear();
+      global.fetch.mockReturnValueOnce(new Promise((resolve) => { settle = resolve; }));
+      const trial = upstreamFetch('/calendar');
+      const others = await Promise.all([upstreamFetch('/calendar').catch((e) => e), upstreamFetch('/calendar').catch((e) => e)]);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      for (const error of others) {
+        expect(error).toBeInstanceOf(UpstreamError);
+        expect(error.status).toBe(503);
+      }
+
+      settle(ok());
+      expect((await trial).ok).toBe(true);
+      expect(getCircuitStates()[0].state).toBe('closed');
+      vi.useRealTimers();
+    });
+
+    it('should reopen the circuit when the trial request fails', async () => {
+      vi.useFakeTimers();
+      process.env.UPSTREAM_RETRIES = '0';
+      process.env.UPSTREAM_BREAKER_THRESHOLD = '1';
+      global.fetch.mockRejectedValue(new Error('down'));
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('down');
+      vi.advanceTimersByTime(30000);
+
+      await expect(upstreamFetch('/calendar')).rejects.toThrow('down');
+      expect(getCircuitStates()[0].state).toBe('open');
+      await expect(upstreamFetch('/calendar')).rejects.toBeInstanceOf(UpstreamError);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      vi.useRealTimers();
+    });
+  });
+
+  describe('computeBackoff', () => {
+    it('should stay within the exponential ceiling', () => {
+      const config = { retryBaseMs: 100, retryMaxMs: 1000 };
+      for (let attempt = 0; attempt < 6; attempt++) {
+        const delay = computeBackoff(attempt, config);
+        expect(delay).toBeGreaterThanOrEqual(0);
+        expect(delay).toBeLessThan(Math.min(1000, 100 * 2 ** attempt));
+      }
+    });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { computeWeekRange, getWeekStartDate, linkForWeekOffset, escapeHtml, formatTimeET } from '../../../lib/utils.js';
+import { computeWeekRange, getWeekStartDate, linkForWeekOffset, computeMonthRange, getMonthKey, linkForMonthOffset, escapeHtml, formatTimeET, hasValidDate, splitDateRange } from '../../../lib/utils.js';
 
 describe('API Utilities', () => {
   beforeEach(() => {
@@ -99,6 +99,41 @@ describe('API Utilities', () => {
     });
   });
 
+  describe('computeMonthRange', () => {
+    it('should cover the whole month', () => {
+      expect(computeMonthRange('2024-01')).toEqual({ fromDate: '2024-01-01', toDate: '2024-01-31' });
+      expect(computeMonthRange('2024-04-17')).toEqual({ fromDate: '2024-04-01', toDate: '2024-04-30' });
+    });
+
+    it('should handle leap years', () => {
+      expect(computeMonthRange('2024-02').toDate).toBe('2024-02-29');
+      expect(computeMonthRange('2023-02').toDate).toBe('2023-02-28');
+    });
+
+    it('should throw error for invalid date', () => {
+      expect(() => computeMonthRange('invalid-date')).toThrow('Invalid date provided');
+    });
+  });
+
+  describe('getMonthKey', () => {
+    it('should return the month in YYYY-MM format', () => {
+      expect(getMonthKey(new Date('2024-01-15T12:00:00Z'))).toBe('2024-01');
+      expect(getMonthKey('2024-12-31')).toBe('2024-12');
+    });
+  });
+
+  describe('linkForMonthOffset', () => {
+    it('should generate previous and next month links', () => {
+      expect(linkForMonthOffset('2024-03', -1)).toBe('/calendar/month/2024-02');
+      expect(linkForMonthOffset('2024-03', 1)).toBe('/calendar/month/2024-04');
+    });
+
+    it('should roll over year boundaries', () => {
+      expect(linkForMonthOffset('2024-01', -1)).toBe('/calendar/month/2023-12');
+      expect(linkForMonthOffset('2024-12', 1)).toBe('/calendar/month/2025-01');
+    });
+  });
+
   describe('escapeHtml', () => {
     it('should escape HTML characters', () => {
       expect(escapeHtml('<script>alert("xss")</script>')).toBe('&lt;script&gt;alert(&quot;xss&quot;)&lt;/script&gt;');
@@ -152,4 +187,23 @@ describe('API Utilities', () => {
       });
     });
   });
+
+  describe('hasValidDate', () => {
+    it('should only accept events whose date parses', () => {
+      expect(hasValidDate({ date: '2024-01-11T13:30:00Z' })).toBe(true);
+      expect(hasValidDate({ date: 'not-a-date' })).toBe(false);
+      expect(hasValidDate({ date: null })).toBe(false);
+      expect(hasValidDate({})).toBe(false);
+    });
+  });
+
+  describe('splitDateRange', () => {
+    it('should split ranges into consecutive windows', () => {
+      expect(splitDateRange('2024-01-01', '2024-03-05', 31)).toEqual([
+        { fromDate: '2024-01-01', toDate: '2024-01-31' },
+        { fromDate: '2024-02-01', toDate: '2024-03-02' },
+        { fromDate: '2024-03-03', toDate: '2024-03-05' }
+      ]);
+    });
+  });
 });
\ No newline at end of file
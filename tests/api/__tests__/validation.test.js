@@ -0,0 +1,91 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  validationError,
+  sendValidationError,
+  isValidYmd,
+  checkDate,
+  countRangeDays,
+  checkDateRange,
+  checkEnum,
+  parseInteger,
+  IMPORTANCE_VALUES,
+  MAX_RANGE_DAYS
+} from '../../../lib/validation.js';
+
+describe('Validation', () => {
+  describe('validationError', () => {
+    it('should build the structured error and send it as a 400', () => {
+      const error = validationError('invalid_date', 'fromDate', 'Invalid fromDate.');
+      expect(error).toEqual({ code: 'invalid_date', message: 'Invalid fromDate.', field: 'fromDate' });
+
+      const res = { status: vi.fn().mockReturnThis(), json: vi.fn().mockReturnThis() };
+      sendValidationError(res, error);
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error });
+    });
+  });
+
+  describe('isValidYmd', () => {
+    it('should accept only real days in strict YYYY-MM-DD form', () => {
+      expect(isValidYmd('2024-02-29')).toBe(true);
+      expect(isValidYmd('2023-02-29')).toBe(false);
+      expect(isValidYmd('2024-13-01')).toBe(false);
+      expect(isValidYmd('2024-2-29')).toBe(false);
+      expect(isValidYmd('2024-02-29T00:00:00Z')).toBe(false);
+      expect(isValidYmd(undefined)).toBe(false);
+    });
+  });
+
+  describe('checkDate', () => {
+    it('should allow absent values and reject malformed ones', () => {
+      expect(checkDate(undefined, 'fromDate')).toBeNull();
+      expect(checkDate('', 'fromDate')).toBeNull();
+      expect(checkDate('2024-01-15', 'fromDate')).toBeNull();
+      expect(checkDate('2024-04-31', 'toDate')).toMatchObject({ code: 'invalid_date', field: 'toDate' });
+    });
+  });
+
+  describe('checkDateRange', () => {
+    it('should count inclusive days', () => {
+      expect(countRangeDays('2024-01-15', '2024-01-15')).toBe(1);
+      expect(countRangeDays('2024-01-01', '2024-12-31')).toBe(366);
+      expect(countRangeDays('2024-01-02', '2024-01-01')).toBe(0);
+    });
+
+    it('should reject reversed and oversized ranges', () => {
+      expect(checkDateRange('2024-01-01', '2024-01-31')).toBeNull();
+      expect(checkDateRange('2024-01-31', '2024-01-01')).toMatchObject({ code: 'invalid_range', field: 'fromDate' });
+      expect(checkDateRange('2024-01-01', '2024-04-01')).toBeNull();
+      expect(countRangeDays('2024-01-01', '2024-04-01')).toBe(MAX_RANGE_DAYS);
+      expect(checkDateRange('2024-01-01', '2024-04-02')).toMatchObject({ code: 'range_too_large', field: 'toDate' });
+      expect(checkDateRange('2024-01-01', '2024-12-31', 366)).toBeNull();
+    });
+
+    it('should name custom range parameters', () => {
+      expect(checkDateRange('2024-01-31', '2024-01-01', 92, { fields: ['from', 'to'] })).toEqual({
+        code: 'invalid_range',
+        field: 'from',
+        message: 'from must not be after to.'
+      });
+    });
+  });
+
+  describe('checkEnum', () => {
+    it('should name the first unknown value', () => {
+      expect(checkEnum(['high', 'low'], IMPORTANCE_VALUES, 'importance')).toBeNull();
+      expect(checkEnum([], IMPORTANCE_VALUES, 'importance')).toBeNull();
+      const error = checkEnum(['high', 'urgent', 'bogus'], IMPORTANCE_VALUES, 'importance');
+      expect(error).toMatchObject({ code: 'invalid_enum', field: 'importance' });
+      expect(error.message).toContain('"urgent"');
+    });
+  });
+
+  describe('parseInteger', () => {
+    it('should fall back when absent and enforce bounds', () => {
+      expect(parseInteger(undefined, 'days', { min: 1, max: 60, fallback: 14 })).toEqual({ value: 14 });
+      expect(parseInteger('30', 'days', { min: 1, max: 60 })).toEqual({ value: 30 });
+      expect(parseInteger('1.5', 'days', { min: 1, max: 60 }).error).toMatchObject({ code: 'invalid_parameter', field: 'days' });
+      expect(parseInteger('61', 'days', { min: 1, max: 60 }).error.message).toBe('Invalid days. Use a whole number from 1 to 60.');
+    });
+  });
+});
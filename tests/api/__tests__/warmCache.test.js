@@ -0,0 +1,240 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  parseReleaseTimes,
+  getWarmConfig,
+  buildWarmManifest,
+  clockInET,
+  planWarmRun,
+  selectWarmEntries,
+  mapWithConcurrency,
+  recordWarmRun,
+  getWarmRunStatus,
+  getWarmRuns,
+  isWarmResultOk,
+  releaseAwareCacheControl,
+  createMemoryWarmRunStore,
+  createFileWarmRunStore
+} from '../../../lib/warmCache.js';
+
+const run = (statuses, startedAt = '2024-01-15T10:00:00.000Z') => ({
+  startedAt,
+  finishedAt: '2024-01-15T10:00:03.000Z',
+  results: statuses.map((status, i) => ({ endpoint: `route-${i}`, status }))
+});
+
+describe('Warm Cache', () => {
+  afterEach(() => {
+    delete process.env.WARM_RELEASE_TIMES;
+    delete process.env.WARM_WEEKS_AHEAD;
+    delete process.env.WARM_EXTRA_PATHS;
+  });
+
+  describe('configuration', () => {
+    it('should parse release times and drop invalid ones', () => {
+      expect(parseReleaseTimes('08:30, 10:00,25:00,noon')).toEqual([510, 600]);
+      expect(parseReleaseTimes('')).toEqual([]);
+    });
+
+    it('should default to the 8:30 and 10:00 ET releases', () => {
+      expect(getWarmConfig()).toMatchObject({ concurrency: 4, releaseTimes: [510, 600], releaseWindowMinutes: 15, coreEveryMinutes: 15, fullEveryMinutes: 60 });
+
+      process.env.WARM_RELEASE_TIMES = '';
+      expect(getWarmConfig().releaseTimes).toEqual([]);
+    });
+  });
+
+  describe('buildWarmManifest', () => {
+    it('should list core routes, upcoming week and month pages and extra paths', () => {
+      process.env.WARM_WEEKS_AHEAD = '1';
+      process.env.WARM_EXTRA_PATHS = '/calendar/category/inflation, not-a-path';
+      const manifest = buildWarmManifest('2024-01-17');
+      const paths = manifest.map((entry) => entry.path);
+
+      expect(selectWarmEntries(manifest, 'core').map((entry) => entry.path)).toEqual([
+        '/api/calendar?fromDate=2024-01-17&toDate=2024-01-17',
+        '/api/calendar?fromDate=2024-01-15&toDate=2024-01-21',
+        '/api/morning-report',
+        '/',
+        '/calendar/today',
+        '/calendar/week'
+      ]);
+      expect(paths).toEqual(expect.arrayContaining([
+        '/api/calendar?fromDate=2024-01-18&toDate=2024-01-18',
+        '/calendar/day/2024-01-18',
+        '/calendar/week/2024-01-15',
+        '/calendar/week/2024-01-22',
+        '/calendar/month',
+        '/calendar/month/2024-01',
+        '/calendar/month/2024-02',
+        '/calendar/category/inflation'
+      ]));
+      expect(paths).not.toContain('/calendar/week/2024-01-29');
+      expect(paths).not.toContain('not-a-path');
+      expect(selectWarmEntries(manifest, 'full')).toBe(manifest);
+    });
+  });
+
+  describe('planWarmRun', () => {
+    const config = getWarmConfig();
+    // Tuesday 2024-01-16; ET is UTC-5 in January
+    const at = (et) => new Date(`2024-01-16T${et}:00-05:00`);
+
+    it('should read the ET clock', () => {
+      expect(clockInET(at('08:35'))).toEqual({ date: '2024-01-16', minutes: 515 });
+    });
+
+    it('should run the full manifest hourly', () => {
+      expect(planWarmRun(at('07:00'), config).mode).toBe('full');
+      expect(planWarmRun(at('10:00'), config).mode).toBe('full');
+    });
+
+    it('should re-warm core routes on every tick right after a release', () => {
+      for (const time of ['08:30', '08:35', '08:40', '10:05', '10:10']) {
+        expect(planWarmRun(at(time), config).mode, time).toBe('release');
+      }
+      expect(planWarmRun(at('08:35'), config).reason).toBe('after the 08:30 ET release');
+      expect(planWarmRun(at('08:50'), config).mode).toBe(null);
+    });
+
+    it('should run core routes every 15 minutes otherwise', () => {
+      expect(planWarmRun(at('13:15'), config).mode).toBe('core');
+      expect(planWarmRun(at('13:20'), config).mode).toBe(null);
+    });
+
+    it('should skip release windows on market holidays', () => {
+      // 2024-01-15 was Martin Luther King Jr. Day
+      expect(planWarmRun(new Date('2024-01-15T08:35:00-05:00'), config).mode).toBe(null);
+    });
+  });
+
+  describe('releaseAwareCacheControl', () => {
+    const config = getWarmConfig();
+    const at = (et) => new Date(`2024-01-16T${et}:00-05:00`);
+
+    it('should keep the usual TTL away from releases', () => {
+      expect(releaseAwareCacheControl(600, 59, at('13:00'), config)).toBe('s-maxage=600, stale-while-revalidate=59');
+      expect(releaseAwareCacheControl(600, 59, at('10:15'), config)).toBe('s-maxage=600, stale-while-revalidate=59');
+    });
+
+    it('should shorten the TTL from one TTL before a release until the re-warm window closes', () => {
+      for (const time of ['08:20', '08:29', '08:30', '08:44', '09:55']) {
+        expect(releaseAwareCacheControl(600, 59, at(time), config), time).toBe('s-maxage=60, stale-while-revalidate=59');
+      }
+      expect(releaseAwareCacheControl(600, 59, at('08:19'), config)).toBe('s-maxage=600, stale-while-revalidate=59');
+      // A 30-minute TTL starts shortening 30 minutes ahead
+      expect(releaseAwareCacheControl(1800, 600, at('08:00'), config)).toBe('s-maxage=60, stale-while-revalidate=60');
+    });
+
+    it('should keep the usual TTL on market holidays', () => {
+      expect(releaseAwareCacheControl(600, 59, new Date('2024-01-15T08:30:00-05:00'), config)).toBe('s-maxage=600, stale-while-revalidate=59');
+    });
+  });
+
+  describe('mapWithConcurrency', () => {
+    it('should keep at most `limit` calls in flight and preserve order', async () => {
+      let inFlight = 0;
+      let peak = 0;
+      const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms) => {
+        inFlight++;
+        peak = Math.max(peak, inFlight);
+        await new Promise((resolve) => setTimeout(resolve, ms));
+        inFlight--;
+        return ms * 2;
+      });
+
+      expect(results).toEqual([60, 20, 40, 10, 30]);
+      expect(peak).toBe(2);
+    });
+  });
+
+  describe('run records', () => {
+    it('should treat only 2xx responses as successful', () => {
+      expect(isWarmResultOk({ status: 200 })).toBe(true);
+      expect(isWarmResultOk({ status: 503 })).toBe(false);
+      expect(isWarmResultOk({ status: 'error' })).toBe(false);
+    });
+
+    it('should keep the last run and the last fully successful run', async () => {
+      const store = createMemoryWarmRunStore();
+
+      const good = await recordWarmRun(run([200, 200]), { store });
+      expect(good).toMatchObject({ ok: true, failed: 0 });
+
+      await recordWarmRun(run([200, 'error']), { store });
+      const { lastRun, lastSuccess } = await getWarmRunStatus(store);
+
+      expect(lastRun).toMatchObject({ ok: false, failed: 1 });
+      expect(lastSuccess).toEqual(good);
+    });
+
+    it('should keep a bounded history, newest first', async () => {
+      const store = createMemoryWarmRunStore();
+      for (const status of [500, 502, 503]) {
+        await recordWarmRun(run([status]), { store, historySize: 2 });
+      }
+
+      expect((await getWarmRuns(store)).map((r) => r.results[0].status)).toEqual([503, 502]);
+    });
+
+    it('should keep the last success when it falls out of the history', async () => {
+      const store = createMemoryWarmRunStore();
+      for (const status of [200, 500, 502]) {
+        await recordWarmRun(run([status]), { store, historySize: 2 });
+      }
+
+      expect((await getWarmRuns(store)).map((r) => r.results[0].status)).toEqual([502, 500, 200]);
+      expect((await getWarmRunStatus(store)).lastSuccess).toMatchObject({ ok: true });
+    });
+
+    it('should not fail the run when the store cannot be written', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const store = { add: () => Promise.reject(new Error('read-only')), list: vi.fn() };
+
+      expect(await recordWarmRun(run([200]), { store })).toMatchObject({ ok: true });
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should report no runs on a fresh store', async () => {
+      const store = createMemoryWarmRunStore();
+      expect(await getWarmRunStatus(store)).toEqual({ lastRun: null, lastSuccess: null });
+      expect(await getWarmRuns(store)).toEqual([]);
+    });
+  });
+
+  describe('file run store', () => {
+    let dir;
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep every run when runs overlap', async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warm-runs-'));
+      const store = createFileWarmRunStore({ dir });
+
+      await Promise.all([
+        recordWarmRun(run([200], '2024-01-15T10:00:00.000Z'), { store }),
+        recordWarmRun(run([500], '2024-01-15T10:05:00.000Z'), { store }),
+        recordWarmRun(run([502], '2024-01-15T10:10:00.000Z'), { store })
+      ]);
+
+      expect((await getWarmRuns(store)).map((r) => r.results[0].status)).toEqual([502, 500, 200]);
+      expect(store.durable).toBe(true);
+    });
+
+    it('should prune runs beyond the history size from disk', async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'warm-runs-'));
+      const store = createFileWarmRunStore({ dir });
+      for (const [i, status] of [500, 502, 503].entries()) {
+        await recordWarmRun(run([status], `2024-01-15T10:0${i}:00.000Z`), { store, historySize: 2 });
+      }
+
+      expect((await getWarmRuns(store)).map((r) => r.results[0].status)).toEqual([503, 502]);
+      expect(fs.readdirSync(dir)).toHaveLength(2);
+    });
+  });
+});
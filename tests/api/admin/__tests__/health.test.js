@@ -0,0 +1,84 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/admin/health.js';
+import { createMemoryApiKeyStore, setApiKeyStore, hashApiKey } from '../../../../lib/apiKeyStore.js';
+import { resetApiUsage } from '../../../../lib/apiUsage.js';
+import { resetHealthReport } from '../../../../lib/health.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { createMemorySnapshotStore, setSnapshotStore } from '../../../../lib/snapshotStore.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis()
+});
+
+const records = [
+  { id: 'ops', name: 'Ops dashboard', keyHash: hashApiKey('ops-admin-key'), scopes: ['admin'] },
+  { id: 'research', name: 'Research notebook', keyHash: hashApiKey('research-key'), scopes: ['calendar:read'] }
+];
+
+const upstreamResponse = ({ ok = true, status = 200 } = {}) => ({
+  ok,
+  status,
+  headers: { get: (name) => (name === 'date' ? new Date().toUTCString() : null) },
+  json: () => Promise.resolve([])
+});
+
+describe('Admin Health API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetApiUsage();
+    resetHealthReport();
+    resetUpstreamState();
+    setApiKeyStore(createMemoryApiKeyStore({ records }));
+    setSnapshotStore(createMemorySnapshotStore());
+    global.fetch.mockResolvedValue(upstreamResponse());
+  });
+
+  afterEach(() => {
+    setApiKeyStore(null);
+    setSnapshotStore(null);
+    delete process.env.VERCEL_GIT_COMMIT_SHA;
+  });
+
+  it('should return the full report to admin keys', async () => {
+    process.env.VERCEL_GIT_COMMIT_SHA = 'abc1234';
+
+    const res = mockRes();
+    await handler({ method: 'GET', query: {}, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    const report = res.json.mock.calls[0][0];
+    expect(report.status).toBe('ok');
+    expect(report.build.commit).toBe('abc1234');
+    expect(report.upstream.checks.map((c) => c.name)).toEqual(['calendar', 'morning_report']);
+    expect(report.upstream.circuits[0]).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('should answer 503 with the problems when degraded', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockResolvedValue(upstreamResponse({ ok: false, status: 500 }));
+
+    const res = mockRes();
+    await handler({ method: 'GET', query: {}, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json.mock.calls[0][0].problems).toEqual(['upstream calendar returned 500', 'upstream morning_report returned 500']);
+    error.mockRestore();
+  });
+
+  it('should require an admin key', async () => {
+    const anonymous = mockRes();
+    await handler({ method: 'GET', query: {}, headers: {} }, anonymous);
+    expect(anonymous.status).toHaveBeenCalledWith(401);
+
+    const keyed = mockRes();
+    await handler({ method: 'GET', query: {}, headers: { 'x-api-key': 'research-key' } }, keyed);
+    expect(keyed.status).toHaveBeenCalledWith(403);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
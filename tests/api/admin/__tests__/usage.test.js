@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import usageHandler from '../../../../pages/api/admin/usage.js';
+import calendarHandler from '../../../../pages/api/calendar/index.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { createMemoryApiKeyStore, setApiKeyStore, hashApiKey } from '../../../../lib/apiKeyStore.js';
+import { resetApiUsage } from '../../../../lib/apiUsage.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis()
+});
+
+const records = [
+  { id: 'ops', name: 'Ops dashboard', keyHash: hashApiKey('ops-admin-key'), scopes: ['admin'] },
+  { id: 'research', name: 'Research notebook', keyHash: hashApiKey('research-key'), scopes: ['calendar:read'], quota: { daily: 5000 } }
+];
+
+describe('Admin Usage API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+    resetApiUsage();
+    setApiKeyStore(createMemoryApiKeyStore({ records }));
+
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve([])
+    });
+  });
+
+  afterEach(() => {
+    setApiKeyStore(null);
+  });
+
+  const callCalendar = async (headers) => {
+    const res = mockRes();
+    await calendarHandler({ method: 'GET', url: '/api/calendar', query: {}, headers }, res);
+    return res;
+  };
+
+  it('should report per-key and anonymous request counts', async () => {
+    await callCalendar({ 'x-api-key': 'research-key' });
+    await callCalendar({ 'x-api-key': 'research-key' });
+    await callCalendar({});
+
+    const res = mockRes();
+    await usageHandler({ method: 'GET', query: {}, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    const body = res.json.mock.calls[0][0];
+    const research = body.keys.find((key) => key.id === 'research');
+    expect(research).toMatchObject({ name: 'Research notebook', scopes: ['calendar:read'], quota: { daily: 5000 } });
+    expect(research.usage).toMatchObject({ total: 2, today: 2 });
+    expect(research).not.toHaveProperty('keyHash');
+    expect(body.anonymous.total).toBe(1);
+  });
+
+  it('should require an admin key', async () => {
+    const anonymous = mockRes();
+    await usageHandler({ method: 'GET', query: {}, headers: {} }, anonymous);
+    expect(anonymous.status).toHaveBeenCalledWith(401);
+
+    const research = mockRes();
+    await usageHandler({ method: 'GET', query: {}, headers: { 'x-api-key': 'research-key' } }, research);
+    expect(research.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should reject other methods', async () => {
+    const res = mockRes();
+    await usageHandler({ method: 'POST', query: {}, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+});
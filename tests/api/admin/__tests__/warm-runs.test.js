@@ -0,0 +1,75 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/admin/warm-runs.js';
+import { createMemoryApiKeyStore, setApiKeyStore, hashApiKey } from '../../../../lib/apiKeyStore.js';
+import { resetApiUsage } from '../../../../lib/apiUsage.js';
+import { recordWarmRun, setWarmRunStore } from '../../../../lib/warmCache.js';
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis()
+});
+
+const records = [
+  { id: 'ops', name: 'Ops dashboard', keyHash: hashApiKey('ops-admin-key'), scopes: ['admin'] },
+  { id: 'research', name: 'Research notebook', keyHash: hashApiKey('research-key'), scopes: ['calendar:read'] }
+];
+
+const warmRun = (mode, status) => ({
+  mode,
+  startedAt: '2024-01-15T13:35:00.000Z',
+  finishedAt: '2024-01-15T13:35:02.000Z',
+  results: [{ endpoint: 'calendar/today', status }]
+});
+
+describe('Admin Warm Runs API', () => {
+  beforeEach(async () => {
+    vi.clearAllMocks();
+    resetApiUsage();
+    setApiKeyStore(createMemoryApiKeyStore({ records }));
+    setWarmRunStore(null);
+
+    await recordWarmRun(warmRun('full', 200));
+    await recordWarmRun(warmRun('release', 'error'));
+  });
+
+  afterEach(() => {
+    setApiKeyStore(null);
+    setWarmRunStore(null);
+  });
+
+  it('should list recorded runs, newest first', async () => {
+    const res = mockRes();
+    await handler({ method: 'GET', query: {}, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    const { runs, durable } = res.json.mock.calls[0][0];
+    expect(durable).toBe(false);
+    expect(runs.map((run) => run.mode)).toEqual(['release', 'full']);
+    expect(runs[0]).toMatchObject({ ok: false, failed: 1 });
+  });
+
+  it('should keep only failed runs with ?failed=1', async () => {
+    const res = mockRes();
+    await handler({ method: 'GET', query: { failed: '1' }, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+
+    expect(res.json.mock.calls[0][0].runs.map((run) => run.mode)).toEqual(['release']);
+  });
+
+  it('should require an admin key', async () => {
+    const anonymous = mockRes();
+    await handler({ method: 'GET', query: {}, headers: {} }, anonymous);
+    expect(anonymous.status).toHaveBeenCalledWith(401);
+
+    const research = mockRes();
+    await handler({ method: 'GET', query: {}, headers: { 'x-api-key': 'research-key' } }, research);
+    expect(research.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should reject other methods', async () => {
+    const res = mockRes();
+    await handler({ method: 'DELETE', query: {}, headers: { 'x-api-key': 'ops-admin-key' } }, res);
+    expect(res.status).toHaveBeenCalledWith(405);
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/calendar/index.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { createMemorySnapshotStore, setSnapshotStore, calendarSnapshotKey } from '../../../../lib/snapshotStore.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const upstreamEvents = [
+  { _id: '1', date: '2024-01-19T15:00:00Z', event: 'UMich Consumer Sentiment', country: 'USA', category: 'retail', importance: 'medium' },
+  { _id: '2', date: '2024-01-17T13:30:00Z', event: 'Advance Retail Sales', country: 'USA', category: 'retail', importance: 'high' },
+  { _id: '3', date: '2024-01-17T07:00:00Z', event: 'CPI', country: 'GBR', category: 'inflation', importance: 'high' },
+  { _id: '4', date: '2024-01-16T18:00:00Z', event: '52-Week Bill Auction', country: 'USA', category: 'treasury', importance: 'low' }
+];
+
+describe('Calendar API Query Parameters', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.UPSTREAM_RETRIES = '0';
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
+
+    req = {
+      method: 'GET',
+      url: '/api/calendar',
+      query: { fromDate: '2024-01-15', toDate: '2024-01-21' }
+    };
+
+    res = {
+      status: vi.fn().mockReturnThis(),
+      setHeader: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(upstreamEvents)
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRIES;
+    setSnapshotStore(null);
+  });
+
+  const returnedIds = () => res.json.mock.calls[0][0].map((ev) => ev._id);
+
+  it('should return events in date order by default', async () => {
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(returnedIds()).toEqual(['4', '3', '2', '1']);
+    expect(res.setHeader).toHaveBeenCalledWith('X-Total-Count', '4');
+  });
+
+  it('should apply filters server-side', async () => {
+    req.query = { ...req.query, country: 'USA', minImportance: 'medium' };
+
+    await handler(req, res);
+
+    expect(returnedIds()).toEqual(['2', '1']);
+  });
+
+  it('should rank search results by relevance', async () => {
+    req.query = { ...req.query, q: 'retail' };
+
+    await handler(req, res);
+
+    expect(returnedIds()).toEqual(['2', '1']);
+  });
+
+  it('should paginate with X-Total-Count and Link headers', async () => {
+    req.query = { ...req.query, sort: 'importance', limit: '2' };
+
+    await handler(req, res);
+
+    expect(returnedIds()).toEqual(['3', '2']);
+    expect(res.setHeader).toHaveBeenCalledWith('X-Total-Count', '4');
+    const link = res.setHeader.mock.calls.find(([name]) => name === 'Link')[1];
+    expect(link).toContain('rel="next"');
+
+    // Follow the next link
+    const nextUrl = new URL(link.match(/<([^>]+)>; rel="next"/)[1], 'https://marketsquawk.ai');
+    req.query = Object.fromEntries(nextUrl.searchParams);
+    res.json.mockClear();
+    res.setHeader.mockClear();
+
+    await handler(req, res);
+
+    expect(returnedIds()).toEqual(['1', '4']);
+    expect(res.setHeader.mock.calls.find(([name]) => name === 'Link')[1]).not.toContain('rel="next"');
+  });
+
+  it('should reject invalid paging parameters with 400', async () => {
+    req.query = { ...req.query, limit: 'ten' };
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'invalid_parameter', field: 'limit' }) });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should reject impossible dates, reversed and oversized ranges with structured errors', async () => {
+    const cases = [
+      [{ fromDate: '2024-02-30', toDate: '2024-03-05' }, { code: 'invalid_date', field: 'fromDate' }],
+      [{ fromDate: '2024-01-21', toDate: '2024-01-15' }, { code: 'invalid_range', field: 'fromDate' }],
+      [{ fromDate: '2024-01-01', toDate: '2024-06-30' }, { code: 'range_too_large', field: 'toDate' }]
+    ];
+
+    for (const [query, error] of cases) {
+      res.json.mockClear();
+      req.query = query;
+
+      await handler(req, res);
+
+      expect(res.status).toHaveBeenLastCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining(error) });
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should reject unknown importance values and malformed categories', async () => {
+    req.query = { ...req.query, importance: 'high,urgent' };
+    await handler(req, res);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'invalid_enum', field: 'importance' }) });
+
+    res.json.mockClear();
+    req.query = { fromDate: '2024-01-15', toDate: '2024-01-21', category: 'weather alerts' };
+    await handler(req, res);
+    expect(res.json).toHaveBeenCalledWith({ error: expect.objectContaining({ code: 'invalid_parameter', field: 'category' }) });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should serve the last good snapshot like /api/v1/calendar when upstream fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const store = createMemorySnapshotStore();
+    await store.set(calendarSnapshotKey('2024-01-15', '2024-01-21'), upstreamEvents);
+    setSnapshotStore(store);
+    global.fetch.mockRejectedValue(new Error('ECONNRESET'));
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(returnedIds()).toEqual(['4', '3', '2', '1']);
+    expect(res.setHeader).toHaveBeenCalledWith('X-Data-Stale', 'true');
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+    warn.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should map upstream failures without a snapshot to string errors', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    global.fetch.mockResolvedValue({ ok: false, status: 404, json: () => Promise.resolve({}) });
+    await handler(req, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Upstream API error: 404' });
+
+    global.fetch.mockRejectedValue(new Error('ECONNRESET'));
+    await handler(req, res);
+    expect(res.status).toHaveBeenLastCalledWith(503);
+    expect(res.json).toHaveBeenLastCalledWith({ error: 'Upstream data is temporarily unavailable.' });
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import calendarHandler from '../../../../pages/api/calendar/index.js';
+import weekHandler from '../../../../pages/api/calendar/week.js';
+import todayHandler from '../../../../pages/api/calendar/today.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../../../../lib/rateLimit.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => {
+  const res = {
+    headers: {},
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    send: vi.fn().mockReturnThis(),
+    end: vi.fn().mockReturnThis(),
+    setHeader: vi.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+const events = [
+  { _id: '1', date: '2024-01-15T13:30:00Z', event: 'Empire State Manufacturing', country: 'USA', importance: 'medium', updated_at: '2024-01-10T08:00:00Z' },
+  { _id: '2', date: '2024-01-17T13:30:00Z', event: 'Advance Retail Sales', country: 'USA', importance: 'high', updated_at: '2024-01-12T09:30:00Z' }
+];
+
+const report = { summary: 'Futures point higher.', brief: 'https://example.com/brief.mp3' };
+
+const mockUpstream = (calendar = events, morningReport = report) => {
+  global.fetch.mockImplementation((url) => Promise.resolve({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(url.includes('/morning_report') ? morningReport : calendar)
+  }));
+};
+
+/**
+ * Request a route twice, the second time with the first response's ETag
+ */
+const revalidate = async (handler, req) => {
+  const first = mockRes();
+  await handler({ method: 'GET', headers: {}, ...req }, first);
+
+  const second = mockRes();
+  await handler({ method: 'GET', ...req, headers: { 'if-none-match': first.headers.ETag } }, second);
+  return { first, second };
+};
+
+describe('Conditional GET on calendar endpoints', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T12:00:00Z'));
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
+    setRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+    setSnapshotStore(null);
+    setRateLimitStore(null);
+  });
+
+  it('should answer /api/calendar revalidations with 304', async () => {
+    mockUpstream();
+    const { first, second } = await revalidate(calendarHandler, { url: '/api/calendar', query: { fromDate: '2024-01-15', toDate: '2024-01-21' } });
+
+    expect(first.status).toHaveBeenCalledWith(200);
+    expect(first.headers.ETag).toMatch(/^"/);
+    expect(first.headers['Last-Modified']).toBe('Fri, 12 Jan 2024 09:30:00 GMT');
+
+    expect(second.status).toHaveBeenCalledWith(304);
+    expect(second.json).not.toHaveBeenCalled();
+    expect(second.end).toHaveBeenCalled();
+    expect(second.headers['Cache-Control']).toBe('s-maxage=600, stale-while-revalidate=59');
+  });
+
+  it('should not answer If-Modified-Since with 304 when an event is dropped', async () => {
+    mockUpstream();
+    const first = mockRes();
+    await calendarHandler({ method: 'GET', url: '/api/calendar', query: { fromDate: '2024-01-15', toDate: '2024-01-21' }, headers: {} }, first);
+
+    // The remaining event is the newest one, so Last-Modified doesn't move
+    mockUpstream([events[1]]);
+    const second = mockRes();
+    await calendarHandler({
+      method: 'GET',
+      url: '/api/calendar',
+      query: { fromDate: '2024-01-15', toDate: '2024-01-21' },
+      headers: { 'if-modified-since': first.headers['Last-Modified'] }
+    }, second);
+
+    expect(second.headers['Last-Modified']).toBe(first.headers['Last-Modified']);
+    expect(second.status).toHaveBeenCalledWith(200);
+    expect(second.json).toHaveBeenCalledWith([expect.objectContaining({ event: 'Advance Retail Sales' })]);
+  });
+
+  it('should send a new ETag when an event changes', async () => {
+    mockUpstream();
+    const first = mockRes();
+    await calendarHandler({ method: 'GET', url: '/api/calendar', query: { fromDate: '2024-01-15', toDate: '2024-01-21' }, headers: {} }, first);
+
+    mockUpstream([events[0], { ...events[1], actual: '0.6%', updated_at: '2024-01-17T13:31:00Z' }]);
+    const second = mockRes();
+    await calendarHandler({ method: 'GET', url: '/api/calendar', query: { fromDate: '2024-01-15', toDate: '2024-01-21' }, headers: { 'if-none-match': first.headers.ETag } }, second);
+
+    expect(second.status).toHaveBeenCalledWith(200);
+    expect(second.headers.ETag).not.toBe(first.headers.ETag);
+    expect(second.headers['Last-Modified']).toBe('Wed, 17 Jan 2024 13:31:00 GMT');
+  });
+
+  it('should answer /calendar/week revalidations with 304', async () => {
+    mockUpstream();
+    const { first, second } = await revalidate(weekHandler, { query: { start: '2024-01-15' } });
+
+    expect(first.status).toHaveBeenCalledWith(200);
+    expect(first.send).toHaveBeenCalled();
+    expect(second.status).toHaveBeenCalledWith(304);
+    expect(second.send).not.toHaveBeenCalled();
+    expect(second.headers.ETag).toBe(first.headers.ETag);
+  });
+
+  it('should answer /calendar/today revalidations with 304 until the report changes', async () => {
+    mockUpstream();
+    const { first, second } = await revalidate(todayHandler, { query: {} });
+
+    expect(first.status).toHaveBeenCalledWith(200);
+    expect(second.status).toHaveBeenCalledWith(304);
+
+    mockUpstream(events, { ...report, summary: 'Futures slip after CPI.' });
+    const third = mockRes();
+    await todayHandler({ method: 'GET', query: {}, headers: { 'if-none-match': first.headers.ETag } }, third);
+    expect(third.status).toHaveBeenCalledWith(200);
+    expect(third.headers.ETag).not.toBe(first.headers.ETag);
+  });
+
+  it('should send a new, short-lived ETag on /calendar/today when the morning report goes stale', async () => {
+    mockUpstream();
+    const first = mockRes();
+    await todayHandler({ method: 'GET', query: {}, headers: {} }, first);
+
+    global.fetch.mockImplementation((url) => Promise.resolve(url.includes('/morning_report')
+      ? { ok: false, status: 500, json: () => Promise.resolve({}) }
+      : { ok: true, status: 200, json: () => Promise.resolve(events) }));
+    const second = mockRes();
+    await todayHandler({ method: 'GET', query: {}, headers: { 'if-none-match': first.headers.ETag } }, second);
+
+    expect(second.status).toHaveBeenCalledWith(200);
+    expect(second.headers.ETag).not.toBe(first.headers.ETag);
+    expect(second.headers['X-Data-Stale']).toBe('true');
+    expect(second.headers['Cache-Control']).toBe('s-maxage=60, stale-while-revalidate=59');
+  });
+});
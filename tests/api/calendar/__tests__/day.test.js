@@ -0,0 +1,204 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/calendar/day.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
+import { setMorningReportArchive, createMemoryMorningReportArchive } from '../../../../lib/morningReportArchive.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const cpi = {
+  _id: 'cpi-jan',
+  date: '2024-01-11T13:30:00Z',
+  event: 'Consumer Price Index',
+  country: 'USA',
+  importance: 'high',
+  source: { name: 'BLS', url: 'https://bls.gov' }
+};
+
+const mockUpstream = ({ events = [], report = null } = {}) => {
+  global.fetch.mockImplementation((url) => {
+    if (url.includes('/calendar')) {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(events) });
+    }
+    if (url.includes('/morning_report')) {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(report) });
+    }
+    return Promise.reject(new Error('Unknown URL'));
+  });
+};
+
+describe('Day Calendar Page', () => {
+  let req, res, store, archive;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+
+    req = { method: 'GET', query: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      setHeader: vi.fn().mockReturnThis(),
+      send: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    store = createMemorySnapshotStore();
+    setSnapshotStore(store);
+    archive = createMemoryMorningReportArchive();
+    setMorningReportArchive(archive);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+    setMorningReportArchive(null);
+  });
+
+  it('should reject malformed and impossible dates', async () => {
+    for (const date of [undefined, '2024-1-11', '2024-02-30', '2024-13-01', 'yesterday']) {
+      res.status.mockClear();
+      req.query.date = date;
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should render the requested day', async () => {
+    req.query.date = '2024-01-11';
+    mockUpstream({ events: [cpi] });
+
+    await handler(req, res);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('fromDate=2024-01-11&toDate=2024-01-11'),
+      expect.any(Object)
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('Market Briefing — Thursday, January 11, 2024');
+    expect(html).toContain('<link rel="canonical" href="https://marketsquawk.ai/calendar/day/2024-01-11"/>');
+    expect(html).toContain('href="https://marketsquawk.ai/calendar/event/2024-01-11/cpi-jan"');
+    expect(html).toContain('1 economic events scheduled for Thursday, January 11, 2024');
+  });
+
+  it('should leave events with malformed dates out of the table and JSON-LD', async () => {
+    req.query.date = '2024-01-11';
+    mockUpstream({ events: [cpi, { _id: 'bad', date: 'not-a-date', event: 'Broken Event', country: 'USA', importance: 'low' }] });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).not.toContain('Broken Event');
+    const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    expect(jsonLd.itemListElement).toHaveLength(1);
+  });
+
+  it('should link to the previous and next trading days', async () => {
+    // Friday before the MLK Day weekend
+    req.query.date = '2024-01-12';
+    mockUpstream();
+
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<link rel="prev" href="/calendar/day/2024-01-11"/>');
+    expect(html).toContain('<link rel="next" href="/calendar/day/2024-01-16"/>');
+    expect(html).toContain('href="/calendar/week/2024-01-08"');
+  });
+
+  it('should show the archived morning report for past days', async () => {
+    req.query.date = '2024-01-11';
+    await store.set('morning_report:2024-01-11', { summary: 'CPI day: inflation in focus', brief: 'https://cdn.example.com/2024-01-11.mp3' });
+    mockUpstream({ events: [cpi], report: { summary: 'Latest report' } });
+
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('CPI day: inflation in focus');
+    expect(html).toContain('Listen to Morning Brief');
+    expect(html).not.toContain('Latest report');
+    // The latest upstream report belongs to today, not to the requested day
+    expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/morning_report'), expect.any(Object));
+  });
+
+  it('should prefer the morning report archive for past days', async () => {
+    req.query.date = '2024-01-11';
+    await archive.save('2024-01-11', { summary: 'Archived: CPI preview', brief: null });
+    await store.set('morning_report:2024-01-11', { summary: 'Snapshot: CPI preview' });
+    mockUpstream({ events: [cpi] });
+
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('Archived: CPI preview');
+    expect(html).not.toContain('Snapshot: CPI preview');
+  });
+
+  it('should omit the morning report when none was archived', async () => {
+    req.query.date = '2024-01-11';
+    mockUpstream({ events: [cpi] });
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).not.toContain('Morning Market Summary');
+  });
+
+  it('should not read a per-instance archive for past days in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    req.query.date = '2024-01-11';
+    await archive.save('2024-01-11', { summary: 'Archived: CPI preview', brief: null });
+    mockUpstream({ events: [cpi] });
+
+    try {
+      await handler(req, res);
+    } finally {
+      vi.unstubAllEnvs();
+    }
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).not.toContain('Archived: CPI preview');
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+    expect(res.setHeader).not.toHaveBeenCalledWith('X-Data-Stale', 'true');
+  });
+
+  it('should fetch and archive the live report for the current day', async () => {
+    req.query.date = '2024-01-15';
+    mockUpstream({ report: { date: '2024-01-15', summary: 'Markets closed for MLK Day' } });
+
+    await handler(req, res);
+
+    expect(res.send.mock.calls[0][0]).toContain('Markets closed for MLK Day');
+    expect((await store.get('morning_report:2024-01-15')).data.summary).toBe('Markets closed for MLK Day');
+    expect(await archive.get('2024-01-15')).toMatchObject({ date: '2024-01-15', summary: 'Markets closed for MLK Day' });
+  });
+
+  it('should not show a morning report for future days', async () => {
+    req.query.date = '2024-01-18';
+    mockUpstream({ report: { summary: 'Latest report' } });
+
+    await handler(req, res);
+
+    expect(res.send.mock.calls[0][0]).not.toContain('Latest report');
+  });
+
+  it('should return 503 when the calendar cannot be loaded', async () => {
+    req.query.date = '2024-01-11';
+    global.fetch.mockRejectedValue(new Error('Network error'));
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.send.mock.calls[0][0]).toContain('The calendar for Thursday, January 11, 2024 could not be loaded');
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import apiHandler from '../../../../pages/api/calendar/event/[id].js';
+import pageHandler from '../../../../pages/api/calendar/event-page.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { resetEventIndex } from '../../../../lib/calendarEvents.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+  send: vi.fn().mockReturnThis()
+});
+
+const cpiApr = { _id: 'cpi-apr', date: '2024-05-15T12:30:00Z', event: 'Consumer Price Index - April', country: 'USA', importance: 'high', category: 'inflation' };
+const cpiMay = {
+  _id: 'cpi-may',
+  date: '2024-06-12T12:30:00Z',
+  event: 'Consumer Price Index - May',
+  country: 'USA',
+  importance: 'high',
+  category: 'inflation',
+  tags: ['cpi'],
+  source: { name: 'BLS', url: 'https://www.bls.gov/cpi/' }
+};
+
+describe('Calendar Event Permalinks', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+    resetEventIndex();
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve([cpiApr, cpiMay])
+    });
+  });
+
+  describe('/api/calendar/event/:id', () => {
+    it('should return the event with its permalink and series neighbours', async () => {
+      const res = mockRes();
+      await apiHandler({ query: { id: 'cpi-may', date: '2024-06-12' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const body = res.json.mock.calls[0][0];
+      expect(body.event._id).toBe('cpi-may');
+      expect(body.url).toBe('https://marketsquawk.ai/calendar/event/2024-06-12/cpi-may');
+      expect(body.previous).toEqual({
+        id: 'cpi-apr',
+        event: 'Consumer Price Index - April',
+        date: '2024-05-15T12:30:00Z',
+        url: 'https://marketsquawk.ai/calendar/event/2024-05-15/cpi-apr'
+      });
+      expect(body.next).toBeNull();
+    });
+
+    it('should return an uncached 404 for unknown ids and 400 for malformed ones', async () => {
+      const missing = mockRes();
+      await apiHandler({ query: { id: 'nope', date: '2024-06-12' } }, missing);
+      expect(missing.status).toHaveBeenCalledWith(404);
+      expect(missing.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+
+      const malformed = mockRes();
+      await apiHandler({ query: { id: 'a/b' } }, malformed);
+      expect(malformed.status).toHaveBeenCalledWith(400);
+
+      const badDate = mockRes();
+      await apiHandler({ query: { id: 'cpi-may', date: '2024-13-01' } }, badDate);
+      expect(badDate.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should require the release day rather than guess from the local index', async () => {
+      const res = mockRes();
+      await apiHandler({ query: { id: 'cpi-may' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'missing_parameter', field: 'date' });
+      expect(res.setHeader).not.toHaveBeenCalledWith('Cache-Control', expect.stringContaining('s-maxage'));
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should surface upstream outages', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 503, json: () => Promise.resolve({}) });
+
+      const res = mockRes();
+      await apiHandler({ query: { id: 'cpi-may', date: '2024-06-12' } }, res);
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('/calendar/event/:date/:id', () => {
+    it('should render the event page with Event JSON-LD and series links', async () => {
+      const res = mockRes();
+      await pageHandler({ query: { id: 'cpi-may', date: '2024-06-12' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/html; charset=utf-8');
+      const html = res.send.mock.calls[0][0];
+      expect(html).toContain('<link rel="canonical" href="https://marketsquawk.ai/calendar/event/2024-06-12/cpi-may"/>');
+      expect(html).toContain('<link rel="prev" href="https://marketsquawk.ai/calendar/event/2024-05-15/cpi-apr"/>');
+      expect(html).toContain('No next release found');
+      expect(html).toContain('href="https://www.bls.gov/cpi/"');
+
+      const jsonLd = JSON.parse(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/.exec(html)[1]);
+      expect(jsonLd['@type']).toBe('Event');
+      expect(jsonLd['@id']).toBe('https://marketsquawk.ai/calendar/event/2024-06-12/cpi-may');
+      expect(jsonLd.startDate).toBe('2024-06-12T12:30:00.000Z');
+    });
+
+    it('should render a noindex 404 page for unknown events', async () => {
+      const res = mockRes();
+      await pageHandler({ query: { id: 'nope', date: '2024-06-12' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send.mock.calls[0][0]).toContain('<meta name="robots" content="noindex"/>');
+    });
+
+    it('should not cache a 404 for an undated id the local index has not seen', async () => {
+      const res = mockRes();
+      await pageHandler({ query: { id: 'cpi-may' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    });
+  });
+});
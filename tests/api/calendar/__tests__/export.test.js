@@ -0,0 +1,189 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import csvHandler from '../../../../pages/api/calendar/export.csv.js';
+import ndjsonHandler from '../../../../pages/api/calendar/export.ndjson.js';
+import icsHandler from '../../../../pages/api/calendar/export.ics.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => {
+  const res = {
+    body: '',
+    status: vi.fn().mockReturnThis(),
+    setHeader: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    write: vi.fn((chunk) => {
+      res.body += chunk;
+      return true;
+    }),
+    end: vi.fn(),
+    destroy: vi.fn()
+  };
+  return res;
+};
+
+const upstreamJson = (data) => ({ ok: true, status: 200, json: () => Promise.resolve(data) });
+
+describe('Calendar Bulk Export', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+  });
+
+  it('should stream CSV with the selected columns and timezone', async () => {
+    global.fetch.mockResolvedValueOnce(upstreamJson([
+      { _id: 'b', date: '2024-01-05T13:30:00Z', event: 'Payrolls, Total', country: 'USA', importance: 'high' },
+      { _id: 'a', date: '2024-01-04T13:30:00Z', event: 'Jobless Claims', country: 'USA', importance: 'medium' },
+      { _id: 'bad', date: '2024-01-04T13:30:00Z' }
+    ]));
+
+    const res = mockRes();
+    await csvHandler({ query: { fromDate: '2024-01-01', toDate: '2024-01-07', columns: 'id,local_datetime,event', tz: 'America/New_York' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/csv; charset=utf-8');
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="economic-calendar-2024-01-01-2024-01-07.csv"');
+    expect(res.body).toBe(
+      'id,local_datetime,event\r\n' +
+      'a,2024-01-04T08:30:00-05:00,Jobless Claims\r\n' +
+      'b,2024-01-05T08:30:00-05:00,"Payrolls, Total"\r\n'
+    );
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should export events with malformed dates with empty date columns', async () => {
+    global.fetch.mockResolvedValueOnce(upstreamJson([
+      { _id: 'a', date: '2024-01-04T13:30:00Z', event: 'Jobless Claims' },
+      { _id: 'tbd', date: 'TBD', event: 'Retail Sales' },
+      { _id: 'b', date: '2024-01-05T13:30:00Z', event: 'Payrolls' }
+    ]));
+
+    const res = mockRes();
+    await csvHandler({ query: { fromDate: '2024-01-01', toDate: '2024-01-07', columns: 'id,date,local_date,event' } }, res);
+
+    expect(res.destroy).not.toHaveBeenCalled();
+    expect(res.body).toBe(
+      'id,date,local_date,event\r\n' +
+      'tbd,,,Retail Sales\r\n' +
+      'a,2024-01-04T13:30:00.000Z,2024-01-04,Jobless Claims\r\n' +
+      'b,2024-01-05T13:30:00.000Z,2024-01-05,Payrolls\r\n'
+    );
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should stop when the client disconnects while waiting for the socket to drain', async () => {
+    global.fetch.mockResolvedValueOnce(upstreamJson([{ _id: 'jan', date: '2024-01-10T13:30:00Z', event: 'CPI' }]));
+
+    const listeners = {};
+    const res = {
+      ...mockRes(),
+      destroyed: false,
+      write: vi.fn(() => false),
+      once: vi.fn((name, listener) => {
+        listeners[name] = listener;
+      }),
+      removeListener: vi.fn()
+    };
+    const exported = ndjsonHandler({ query: { fromDate: '2024-01-01', toDate: '2024-02-15' } }, res);
+
+    await vi.waitFor(() => expect(listeners.close).toBeDefined());
+    res.destroyed = true;
+    listeners.close();
+    await exported;
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(res.end).not.toHaveBeenCalled();
+  });
+
+  it('should fetch long ranges in windows and write NDJSON as each arrives', async () => {
+    global.fetch
+      .mockResolvedValueOnce(upstreamJson([{ _id: 'jan', date: '2024-01-10T13:30:00Z', event: 'CPI', importance: 'high' }]))
+      .mockResolvedValueOnce(upstreamJson([{ _id: 'feb', date: '2024-02-10T13:30:00Z', event: 'CPI', importance: 'high' }]));
+
+    const res = mockRes();
+    await ndjsonHandler({ query: { fromDate: '2024-01-01', toDate: '2024-02-15', columns: 'id,importance' } }, res);
+
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(global.fetch.mock.calls[0][0]).toContain('fromDate=2024-01-01&toDate=2024-01-31');
+    expect(global.fetch.mock.calls[1][0]).toContain('fromDate=2024-02-01&toDate=2024-02-15');
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/x-ndjson; charset=utf-8');
+    expect(res.write).toHaveBeenCalledTimes(2);
+    expect(res.body.trim().split('\n').map((line) => JSON.parse(line))).toEqual([
+      { id: 'jan', importance: 'high' },
+      { id: 'feb', importance: 'high' }
+    ]);
+  });
+
+  it('should apply calendar filters to the export', async () => {
+    global.fetch.mockResolvedValueOnce(upstreamJson([
+      { _id: 'a', date: '2024-01-04T13:30:00Z', event: 'Claims', importance: 'medium' },
+      { _id: 'b', date: '2024-01-05T13:30:00Z', event: 'Payrolls', importance: 'high' }
+    ]));
+
+    const res = mockRes();
+    await ndjsonHandler({ query: { fromDate: '2024-01-01', toDate: '2024-01-07', minImportance: 'high', columns: 'id' } }, res);
+
+    expect(res.body).toBe('{"id":"b"}\n');
+  });
+
+  it('should reject invalid columns, timezones and oversized ranges', async () => {
+    for (const query of [
+      { columns: 'price' },
+      { tz: 'Nowhere/Special' },
+      { fromDate: '2024-01-01', toDate: '2025-06-01' },
+      { fromDate: '2024-02-01', toDate: '2024-01-01' }
+    ]) {
+      const res = mockRes();
+      await csvHandler({ query }, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should return a JSON error when upstream fails before streaming starts', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+    const res = mockRes();
+    await csvHandler({ query: { fromDate: '2024-01-01', toDate: '2024-01-07' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Upstream API error: 500' });
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  describe('iCalendar export', () => {
+    it('should fetch long ranges in windows', async () => {
+      global.fetch
+        .mockResolvedValueOnce(upstreamJson([{ _id: 'jan', date: '2024-01-10T13:30:00Z', event: 'CPI', importance: 'high' }]))
+        .mockResolvedValueOnce(upstreamJson([
+          { _id: 'jan', date: '2024-01-10T13:30:00Z', event: 'CPI', importance: 'high' },
+          { _id: 'feb', date: '2024-02-10T13:30:00Z', event: 'CPI', importance: 'high' }
+        ]));
+
+      const res = mockRes();
+      res.send = vi.fn().mockReturnThis();
+      await icsHandler({ query: { fromDate: '2024-01-01', toDate: '2024-02-15' } }, res);
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch.mock.calls[0][0]).toContain('fromDate=2024-01-01&toDate=2024-01-31');
+      expect(global.fetch.mock.calls[1][0]).toContain('fromDate=2024-02-01&toDate=2024-02-15');
+      expect(res.status).toHaveBeenCalledWith(200);
+      const ics = res.send.mock.calls[0][0];
+      expect(ics.match(/UID:jan@marketsquawk\.ai/g)).toHaveLength(1);
+      expect(ics).toContain('UID:feb@marketsquawk.ai');
+    });
+
+    it('should answer 503 when upstream cannot be reached', async () => {
+      global.fetch.mockRejectedValue(new TypeError('fetch failed'));
+
+      const res = mockRes();
+      await icsHandler({ query: { fromDate: '2024-01-01', toDate: '2024-01-07' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'upstream_unavailable', message: expect.any(String) } });
+      expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    });
+  });
+});
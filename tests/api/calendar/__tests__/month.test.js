@@ -0,0 +1,197 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/calendar/month.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockEvents = [
+  {
+    _id: 'cpi-feb',
+    date: '2024-02-13T13:30:00Z',
+    event: 'Consumer Price Index',
+    country: 'USA',
+    importance: 'high',
+    source: { name: 'BLS', url: 'https://bls.gov' }
+  },
+  {
+    _id: 'nfp-feb',
+    date: '2024-02-02T13:30:00Z',
+    event: 'Nonfarm Payrolls',
+    country: 'USA',
+    importance: 'high',
+    source: { name: 'BLS', url: 'https://bls.gov' }
+  },
+  {
+    _id: 'claims-feb',
+    date: '2024-02-02T15:00:00Z',
+    event: 'Factory Orders',
+    country: 'USA',
+    importance: 'medium',
+    source: { name: 'Census', url: 'https://census.gov' }
+  }
+];
+
+const mockResponse = (events) => ({
+  ok: true,
+  json: () => Promise.resolve(events)
+});
+
+describe('Monthly Calendar Page', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T12:00:00Z'));
+
+    req = { method: 'GET', query: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      setHeader: vi.fn().mockReturnThis(),
+      send: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+  });
+
+  it('should fetch the whole requested month', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockResolvedValue(mockResponse(mockEvents));
+
+    await handler(req, res);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('fromDate=2024-02-01&toDate=2024-02-29'),
+      expect.any(Object)
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+  });
+
+  it('should default to the current month', async () => {
+    global.fetch.mockResolvedValue(mockResponse([]));
+
+    await handler(req, res);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('fromDate=2024-01-01&toDate=2024-01-31'),
+      expect.any(Object)
+    );
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<link rel="canonical" href="https://marketsquawk.ai/calendar/month/2024-01"/>');
+    expect(html).toContain('No events scheduled for this month');
+  });
+
+  it('should reject malformed months', async () => {
+    for (const month of ['2024-13', '2024-1', '2024-02-01', 'feb']) {
+      res.status.mockClear();
+      req.query.month = month;
+      await handler(req, res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should render canonical and prev/next links', async () => {
+    req.query.month = '2024-01';
+    global.fetch.mockResolvedValue(mockResponse([]));
+
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<link rel="prev" href="/calendar/month/2023-12"/>');
+    expect(html).toContain('<link rel="next" href="/calendar/month/2024-02"/>');
+    expect(html).toContain('January 2024');
+  });
+
+  it('should group events by day in release order', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockResolvedValue(mockResponse(mockEvents));
+
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html.match(/class="day-header"/g)).toHaveLength(2);
+    expect(html).toContain('Friday, February 2, 2024 <span class="day-count">(2)</span>');
+    expect(html).toContain('Tuesday, February 13, 2024 <span class="day-count">(1)</span>');
+    expect(html.indexOf('Nonfarm Payrolls')).toBeLessThan(html.indexOf('Factory Orders'));
+    expect(html.indexOf('Factory Orders')).toBeLessThan(html.indexOf('Consumer Price Index'));
+    expect(html).toContain('href="https://marketsquawk.ai/calendar/event/2024-02-02/nfp-feb"');
+  });
+
+  it('should include an ItemList of events with permalink ids', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockResolvedValue(mockResponse(mockEvents));
+
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    expect(jsonLd['@type']).toBe('ItemList');
+    expect(jsonLd.itemListElement).toHaveLength(3);
+    expect(jsonLd.itemListElement[0].position).toBe(1);
+    expect(jsonLd.itemListElement[0].item['@id']).toBe('https://marketsquawk.ai/calendar/event/2024-02-02/nfp-feb');
+  });
+
+  it('should leave events with malformed dates out of the table and JSON-LD', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockResolvedValue(mockResponse([...mockEvents, { _id: 'bad', date: 'not-a-date', event: 'Broken Event', country: 'USA', importance: 'low' }]));
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).not.toContain('Broken Event');
+    const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    expect(jsonLd.itemListElement).toHaveLength(3);
+  });
+
+  it('should escape event names in the table', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockResolvedValue(mockResponse([{ ...mockEvents[0], event: '<script>alert(1)</script>' }]));
+
+    await handler(req, res);
+
+    const table = res.send.mock.calls[0][0].split('<table>')[1];
+    expect(table).not.toContain('<script>alert(1)</script>');
+    expect(table).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+  });
+
+  it('should serve the last snapshot when upstream fails', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockResolvedValueOnce(mockResponse(mockEvents));
+    await handler(req, res);
+
+    global.fetch.mockRejectedValue(new Error('Network error'));
+    res.send.mockClear();
+    await handler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(res.setHeader).toHaveBeenCalledWith('X-Data-Stale', 'true');
+    expect(html).toContain('stale-notice');
+    expect(html).toContain('Nonfarm Payrolls');
+  });
+
+  it('should return 503 without a snapshot', async () => {
+    req.query.month = '2024-02';
+    global.fetch.mockRejectedValue(new Error('Network error'));
+
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '60');
+  });
+});
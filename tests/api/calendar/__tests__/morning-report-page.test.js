@@ -0,0 +1,185 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/calendar/morning-report-page.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
+import { setMorningReportArchive, createMemoryMorningReportArchive } from '../../../../lib/morningReportArchive.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const cpi = {
+  _id: 'cpi-jan',
+  date: '2024-01-11T13:30:00Z',
+  event: 'Consumer Price Index',
+  country: 'USA',
+  importance: 'high'
+};
+
+const mockUpstream = ({ events = [], report = null, calendarOk = true } = {}) => {
+  global.fetch.mockImplementation((url) => {
+    if (url.includes('/calendar')) {
+      return calendarOk
+        ? Promise.resolve({ ok: true, json: () => Promise.resolve(events) })
+        : Promise.reject(new Error('Network error'));
+    }
+    if (url.includes('/morning_report')) {
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(report) });
+    }
+    return Promise.reject(new Error('Unknown URL'));
+  });
+};
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  send: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+  end: vi.fn().mockReturnThis()
+});
+
+describe('Morning Report Page', () => {
+  let archive;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+
+    process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
+    archive = createMemoryMorningReportArchive();
+    setMorningReportArchive(archive);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+    setSnapshotStore(null);
+    setMorningReportArchive(null);
+  });
+
+  const call = async (query, headers = {}) => {
+    const res = mockRes();
+    await handler({ method: 'GET', query, headers }, res);
+    return res;
+  };
+
+  it('should render an archived report with its audio player, events and JSON-LD', async () => {
+    await archive.save('2024-01-11', {
+      summary: 'CPI day: inflation in focus.\n\nFutures flat ahead of the print.',
+      brief: 'https://cdn.example.com/2024-01-11.mp3'
+    });
+    mockUpstream({ events: [cpi] });
+
+    const res = await call({ date: '2024-01-11' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<link rel="canonical" href="https://marketsquawk.ai/calendar/morning-report/2024-01-11"/>');
+    expect(html).toContain('<p>CPI day: inflation in focus.</p>');
+    expect(html).toContain('<p>Futures flat ahead of the print.</p>');
+    expect(html).toContain('<audio controls preload="none" src="https://cdn.example.com/2024-01-11.mp3" aria-label="Morning brief for Thursday, January 11, 2024">');
+    expect(html).toContain('<meta property="og:audio" content="https://cdn.example.com/2024-01-11.mp3"/>');
+    expect(html).toContain('href="https://marketsquawk.ai/calendar/event/2024-01-11/cpi-jan"');
+    expect(html).toContain('"@type": "PodcastEpisode"');
+    expect(html).toContain('"@type": "AudioObject"');
+    // The latest upstream report belongs to today, not to the requested day
+    expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/morning_report'), expect.any(Object));
+  });
+
+  it('should fetch and archive today\'s report', async () => {
+    mockUpstream({ report: { date: '2024-01-15', summary: 'Markets closed for MLK Day', brief: null } });
+
+    const res = await call({ date: '2024-01-15' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('Markets closed for MLK Day');
+    expect(html).not.toContain('<audio');
+    expect(html).toContain('"@type": "Article"');
+    expect(await archive.get('2024-01-15')).toMatchObject({ summary: 'Markets closed for MLK Day' });
+  });
+
+  it('should leave events with malformed dates out of the table and JSON-LD', async () => {
+    await archive.save('2024-01-11', { summary: 'CPI day.', brief: null });
+    mockUpstream({ events: [cpi, { _id: 'bad', date: 'not-a-date', event: 'Broken Event', country: 'USA', importance: 'low' }] });
+
+    const res = await call({ date: '2024-01-11' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('Consumer Price Index');
+    expect(html).not.toContain('Broken Event');
+    expect(html).toContain('"startDate": "2024-01-11T13:30:00.000Z"');
+  });
+
+  it('should keep report text from closing the JSON-LD script', async () => {
+    await archive.save('2024-01-11', { summary: 'Watch </script><script>alert(1)</script>', brief: null });
+    mockUpstream();
+
+    const html = (await call({ date: '2024-01-11' })).send.mock.calls[0][0];
+
+    expect(html).not.toContain('<script>alert(1)');
+    expect(html).toContain('\\u003c/script>');
+  });
+
+  it('should return 404 when no report was archived for the day', async () => {
+    mockUpstream({ events: [cpi] });
+
+    const res = await call({ date: '2024-01-12' });
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send.mock.calls[0][0]).toContain('<meta name="robots" content="noindex"/>');
+  });
+
+  it('should return 404 for future days', async () => {
+    mockUpstream({ report: { summary: 'Latest report' } });
+
+    expect((await call({ date: '2024-01-18' })).status).toHaveBeenCalledWith(404);
+  });
+
+  it('should reject malformed dates', async () => {
+    const res = await call({ date: '2024-02-30' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'invalid_date', field: 'date' });
+  });
+
+  it('should still show the report when the calendar cannot be loaded', async () => {
+    await archive.save('2024-01-11', { summary: 'CPI day.', brief: null });
+    mockUpstream({ calendarOk: false });
+
+    const res = await call({ date: '2024-01-11' });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+    expect(res.send.mock.calls[0][0]).toContain('could not be loaded');
+  });
+
+  it('should return 503 when today\'s report cannot be loaded', async () => {
+    global.fetch.mockRejectedValue(new Error('Network error'));
+
+    const res = await call({ date: '2024-01-15' });
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+  });
+
+  it('should answer 304 when the ETag matches', async () => {
+    await archive.save('2024-01-11', { summary: 'CPI day.', brief: null });
+    mockUpstream({ events: [cpi] });
+
+    const first = await call({ date: '2024-01-11' });
+    const etag = first.setHeader.mock.calls.find(([name]) => name === 'ETag')[1];
+    const second = await call({ date: '2024-01-11' }, { 'if-none-match': etag });
+
+    expect(second.status).toHaveBeenCalledWith(304);
+    expect(second.send).not.toHaveBeenCalled();
+  });
+});
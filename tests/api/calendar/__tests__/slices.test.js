@@ -0,0 +1,201 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import categoryHandler from '../../../../pages/api/calendar/category.js';
+import countryHandler from '../../../../pages/api/calendar/country.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockEvents = [
+  {
+    _id: 'nfp-jan',
+    date: '2024-01-05T13:30:00Z',
+    event: 'Nonfarm Payrolls',
+    country: 'USA',
+    importance: 'high',
+    category: 'employment',
+    source: { name: 'BLS', url: 'https://bls.gov' }
+  },
+  {
+    _id: 'claims-jan',
+    date: '2024-01-18T13:30:00Z',
+    event: 'Initial Jobless Claims',
+    country: 'USA',
+    importance: 'medium',
+    category: 'employment',
+    source: { name: 'DOL', url: 'https://dol.gov' }
+  },
+  {
+    _id: 'uk-cpi-jan',
+    date: '2024-01-17T07:00:00Z',
+    event: 'CPI',
+    country: 'GBR',
+    importance: 'high',
+    category: 'inflation',
+    source: { name: 'ONS', url: 'https://ons.gov.uk' }
+  },
+  {
+    _id: 'fomc-jan',
+    date: '2024-01-31T19:00:00Z',
+    event: 'FOMC Rate Decision',
+    country: 'USA',
+    importance: 'high',
+    category: 'monetary_policy',
+    source: { name: 'Federal Reserve', url: 'https://federalreserve.gov' }
+  }
+];
+
+describe('Category and Country Pages', () => {
+  let req, res;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-15T15:00:00Z'));
+
+    req = { method: 'GET', query: {} };
+    res = {
+      status: vi.fn().mockReturnThis(),
+      setHeader: vi.fn().mockReturnThis(),
+      send: vi.fn().mockReturnThis(),
+      json: vi.fn().mockReturnThis()
+    };
+
+    process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
+
+    global.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve(mockEvents) });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
+  });
+
+  it('should fetch 30 days back to 60 days ahead', async () => {
+    req.query.category = 'employment';
+    await categoryHandler(req, res);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('fromDate=2023-12-16&toDate=2024-03-15'),
+      expect.any(Object)
+    );
+  });
+
+  it('should list upcoming and recent events in a category', async () => {
+    req.query.category = 'employment';
+    await categoryHandler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<title>Employment Economic Events</title>');
+    expect(html).toContain('<link rel="canonical" href="https://marketsquawk.ai/calendar/category/employment"/>');
+    expect(html).toContain('1 releases in the next 60 days');
+    expect(html).toContain('1 releases in the last 30 days');
+    expect(html.indexOf('Initial Jobless Claims')).toBeLessThan(html.indexOf('Nonfarm Payrolls</a>'));
+    expect(html).not.toContain('FOMC Rate Decision</a>');
+    expect(html).toContain('href="https://marketsquawk.ai/calendar/event/2024-01-18/claims-jan"');
+  });
+
+  it('should include an ItemList of the slice with permalink ids', async () => {
+    req.query.category = 'employment';
+    await categoryHandler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    expect(jsonLd['@type']).toBe('ItemList');
+    expect(jsonLd['@id']).toBe('https://marketsquawk.ai/calendar/category/employment');
+    expect(jsonLd.itemListElement.map((item) => item.item['@id'])).toEqual([
+      'https://marketsquawk.ai/calendar/event/2024-01-18/claims-jan',
+      'https://marketsquawk.ai/calendar/event/2024-01-05/nfp-jan'
+    ]);
+  });
+
+  it('should leave events with malformed dates out of the lists and JSON-LD', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve([
+        ...mockEvents,
+        { _id: 'bad', date: 'not-a-date', event: 'Broken Event', country: 'USA', importance: 'low', category: 'employment' },
+        { _id: 'undated', date: null, event: 'Undated Event', country: 'USA', importance: 'low', category: 'employment' }
+      ])
+    });
+    req.query.category = 'employment';
+    await categoryHandler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const html = res.send.mock.calls[0][0];
+    expect(html).not.toContain('Broken Event');
+    expect(html).not.toContain('Undated Event');
+    const jsonLd = JSON.parse(html.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+    expect(jsonLd.itemListElement).toHaveLength(2);
+  });
+
+  it('should link to sibling categories and countries', async () => {
+    req.query.category = 'employment';
+    await categoryHandler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<a href="https://marketsquawk.ai/calendar/category/monetary_policy">Monetary Policy</a>');
+    expect(html).toContain('<a href="https://marketsquawk.ai/calendar/country/USA">USA</a>');
+    expect(html).not.toContain('<a href="https://marketsquawk.ai/calendar/category/employment">');
+  });
+
+  it('should normalise country codes in the canonical link', async () => {
+    req.query.code = 'gbr';
+    await countryHandler(req, res);
+
+    const html = res.send.mock.calls[0][0];
+    expect(html).toContain('<link rel="canonical" href="https://marketsquawk.ai/calendar/country/GBR"/>');
+    expect(html).toContain('<title>GBR Economic Calendar</title>');
+    expect(html).toContain('href="https://marketsquawk.ai/calendar/event/2024-01-17/uk-cpi-jan"');
+    expect(html).not.toContain('Nonfarm Payrolls');
+  });
+
+  it('should mark empty slices noindex instead of returning 404', async () => {
+    req.query.category = 'housing';
+    await categoryHandler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send.mock.calls[0][0]).toContain('<meta name="robots" content="noindex"/>');
+  });
+
+  it('should reject malformed values', async () => {
+    req.query.category = 'bad value';
+    await categoryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    res.status.mockClear();
+    req.query.code = 'United States';
+    await countryHandler(req, res);
+    expect(res.status).toHaveBeenCalledWith(400);
+
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should serve the last snapshot when upstream fails', async () => {
+    req.query.category = 'employment';
+    await categoryHandler(req, res);
+
+    global.fetch.mockRejectedValue(new Error('Network error'));
+    res.send.mockClear();
+    await categoryHandler(req, res);
+
+    expect(res.setHeader).toHaveBeenCalledWith('X-Data-Stale', 'true');
+    expect(res.send.mock.calls[0][0]).toContain('Initial Jobless Claims');
+  });
+
+  it('should return 503 without a snapshot', async () => {
+    req.query.code = 'USA';
+    global.fetch.mockRejectedValue(new Error('Network error'));
+
+    await countryHandler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+  });
+});
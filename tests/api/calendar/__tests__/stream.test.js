@@ -0,0 +1,210 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'events';
+import handler from '../../../../pages/api/calendar/stream.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { resetCalendarFeeds, createCalendarFeed, startFeedTimers, STREAM_POLL_MS, MAX_STREAM_FEEDS } from '../../../../lib/calendarStream.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../../../../lib/rateLimit.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockReq = (query = {}, headers = {}) => Object.assign(new EventEmitter(), { query, headers });
+
+const mockRes = () => {
+  const res = {
+    body: '',
+    status: vi.fn().mockReturnThis(),
+    setHeader: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    flushHeaders: vi.fn(),
+    write: vi.fn((chunk) => {
+      res.body += chunk;
+      return true;
+    }),
+    end: vi.fn()
+  };
+  return res;
+};
+
+const upstreamJson = (data) => ({ ok: true, status: 200, json: () => Promise.resolve(data) });
+
+const query = { fromDate: '2024-01-01', toDate: '2024-01-07' };
+const claims = { _id: 'claims', date: '2024-01-04T13:30:00Z', event: 'Jobless Claims', importance: 'medium' };
+const nfp = { _id: 'nfp', date: '2024-01-05T13:30:00Z', event: 'Payrolls', importance: 'high' };
+
+const messagesOf = (body) => body.split('\n\n')
+  .filter((block) => block.includes('event: '))
+  .map((block) => ({
+    type: /event: (.+)/.exec(block)[1],
+    data: JSON.parse(/data: (.+)/.exec(block)[1])
+  }));
+
+describe('Calendar Stream API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-02T12:00:00Z'));
+    resetUpstreamState();
+    resetCalendarFeeds();
+    setRateLimitStore(createMemoryRateLimitStore());
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+  });
+
+  afterEach(() => {
+    resetCalendarFeeds();
+    setRateLimitStore(null);
+    vi.useRealTimers();
+  });
+
+  it('should open an event stream and push upstream changes', async () => {
+    global.fetch
+      .mockResolvedValueOnce(upstreamJson([claims]))
+      .mockResolvedValueOnce(upstreamJson([claims, nfp]));
+
+    const req = mockReq(query);
+    const res = mockRes();
+    const done = handler(req, res);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/event-stream; charset=utf-8');
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-cache, no-transform');
+    expect(res.body).toMatch(/^retry: 2000\n\nid: [0-9a-f]+-0\n\n$/);
+
+    await vi.advanceTimersByTimeAsync(STREAM_POLL_MS);
+    expect(messagesOf(res.body)).toEqual([{ type: 'event-added', data: { id: 'nfp', event: expect.objectContaining({ event: 'Payrolls' }) } }]);
+
+    await vi.advanceTimersByTimeAsync(15000);
+    expect(res.body).toContain(': heartbeat ');
+
+    req.emit('close');
+    await done;
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should replay missed messages for a known Last-Event-ID', async () => {
+    global.fetch
+      .mockResolvedValueOnce(upstreamJson([claims]))
+      .mockResolvedValueOnce(upstreamJson([claims, nfp]));
+
+    const firstReq = mockReq(query);
+    const first = mockRes();
+    const firstDone = handler(firstReq, first);
+    await vi.advanceTimersByTimeAsync(0);
+    const lastEventId = /id: (\S+)/.exec(first.body)[1];
+    firstReq.emit('close');
+    await firstDone;
+
+    // Second client connects while the first is away and triggers the catch-up poll
+    const otherReq = mockReq(query);
+    const otherDone = handler(otherReq, mockRes());
+    await vi.advanceTimersByTimeAsync(0);
+
+    const req = mockReq(query, { 'last-event-id': lastEventId });
+    const res = mockRes();
+    const done = handler(req, res);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(messagesOf(res.body).map((m) => [m.type, m.data.id])).toEqual([['event-added', 'nfp']]);
+
+    req.emit('close');
+    otherReq.emit('close');
+    await Promise.all([done, otherDone]);
+  });
+
+  it('should ask clients with an unknown Last-Event-ID to resync', async () => {
+    global.fetch.mockResolvedValue(upstreamJson([claims]));
+
+    const req = mockReq(query, { 'last-event-id': 'ffffffff-12' });
+    const res = mockRes();
+    const done = handler(req, res);
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(messagesOf(res.body)).toEqual([{ type: 'resync', data: { fromDate: '2024-01-01', toDate: '2024-01-07' } }]);
+
+    req.emit('close');
+    await done;
+  });
+
+  it('should turn updates that leave the filter into removals', async () => {
+    global.fetch
+      .mockResolvedValueOnce(upstreamJson([nfp]))
+      .mockResolvedValueOnce(upstreamJson([{ ...nfp, importance: 'medium' }]));
+
+    const req = mockReq({ ...query, minImportance: 'high' });
+    const res = mockRes();
+    const done = handler(req, res);
+    await vi.advanceTimersByTimeAsync(STREAM_POLL_MS);
+
+    expect(messagesOf(res.body).map((m) => [m.type, m.data.id])).toEqual([['event-removed', 'nfp']]);
+
+    req.emit('close');
+    await done;
+  });
+
+  it('should send release ticks as event times pass', async () => {
+    global.fetch.mockResolvedValue(upstreamJson([claims]));
+
+    const tickStream = async (startAt) => {
+      resetCalendarFeeds();
+      vi.setSystemTime(new Date(startAt));
+      const req = mockReq(query);
+      const res = mockRes();
+      const done = handler(req, res);
+      await vi.advanceTimersByTimeAsync(30000);
+      req.emit('close');
+      await done;
+      return messagesOf(res.body).map((m) => [m.type, m.data.id]);
+    };
+
+    expect(await tickStream('2024-01-04T13:24:50Z')).toEqual([['release-imminent', 'claims']]);
+    expect(await tickStream('2024-01-04T13:29:50Z')).toEqual([['released', 'claims']]);
+  });
+
+  it('should end the stream before the function time limit', async () => {
+    global.fetch.mockResolvedValue(upstreamJson([]));
+
+    const res = mockRes();
+    const done = handler(mockReq(query), res);
+    await vi.advanceTimersByTimeAsync(60000);
+    await done;
+
+    expect(res.end).toHaveBeenCalled();
+  });
+
+  it('should return a JSON error when the first upstream fetch fails', async () => {
+    global.fetch.mockResolvedValue({ ok: false, status: 503, json: () => Promise.resolve({}) });
+
+    const res = mockRes();
+    await handler(mockReq(query), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Upstream API error: 503' });
+    expect(res.write).not.toHaveBeenCalled();
+  });
+
+  it('should refuse new date ranges once MAX_STREAM_FEEDS are streaming', async () => {
+    for (let i = 0; i < MAX_STREAM_FEEDS; i++) {
+      expect(startFeedTimers(createCalendarFeed({ fromDate: '2024-02-01', toDate: `2024-02-${String(i + 1).padStart(2, '0')}`, load: async () => [] }))).toBe(true);
+    }
+
+    const res = mockRes();
+    await handler(mockReq(query), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '30');
+    expect(res.write).not.toHaveBeenCalled();
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should rate limit stream connections', async () => {
+    // An empty bucket, refilled a minute from now
+    setRateLimitStore({ get: () => Promise.resolve({ tokens: 0, updatedAt: Date.now() }), set: vi.fn() });
+
+    const res = mockRes();
+    await handler(mockReq(query), res);
+
+    expect(res.status).toHaveBeenCalledWith(429);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
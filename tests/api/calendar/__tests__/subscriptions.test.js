@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import subscriptionsHandler from '../../../../pages/api/calendar/subscriptions.js';
+import feedHandler from '../../../../pages/api/calendar/subscribe/[token].js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSubscriptionStore, createMemorySubscriptionStore } from '../../../../lib/subscriptionStore.js';
+import { createMemoryApiKeyStore, setApiKeyStore, hashApiKey } from '../../../../lib/apiKeyStore.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+  send: vi.fn().mockReturnThis()
+});
+
+const records = [
+  { id: 'app', name: 'Web app', keyHash: hashApiKey('subscriptions-key'), scopes: ['subscriptions:write'] },
+  { id: 'research', name: 'Research notebook', keyHash: hashApiKey('research-key'), scopes: ['calendar:read', 'export'] }
+];
+
+const keyed = { 'x-api-key': 'subscriptions-key' };
+
+const upstreamEvents = [
+  { _id: 'nfp', date: '2024-01-05T13:30:00Z', event: 'Employment Situation', country: 'USA', category: 'employment', importance: 'high' },
+  { _id: 'claims', date: '2024-01-04T13:30:00Z', event: 'Initial Jobless Claims', country: 'USA', category: 'employment', importance: 'medium' },
+  { _id: 'cpi', date: '2024-01-11T13:30:00Z', event: 'Consumer Price Index', country: 'USA', category: 'inflation', importance: 'high' }
+];
+
+describe('Calendar Subscriptions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    resetUpstreamState();
+    setSubscriptionStore(createMemorySubscriptionStore());
+    setApiKeyStore(createMemoryApiKeyStore({ records }));
+
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve(upstreamEvents)
+    });
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    setApiKeyStore(null);
+  });
+
+  const subscribe = async (body, headers = keyed) => {
+    const res = mockRes();
+    await subscriptionsHandler({ method: 'POST', query: {}, body, headers }, res);
+    return res;
+  };
+
+  it('should create a subscription and return its webcal URL', async () => {
+    const res = await subscribe({ minImportance: 'high', category: 'employment', alarm: 10 });
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    const created = res.json.mock.calls[0][0];
+    expect(created.url).toBe(`https://marketsquawk.ai/calendar/subscribe/${created.token}.ics`);
+    expect(created.webcal).toBe(`webcal://marketsquawk.ai/calendar/subscribe/${created.token}.ics`);
+    expect(created.filters).toEqual({ minImportance: 'high', category: ['employment'], country: [], alarm: 10 });
+  });
+
+  it('should require an API key with the subscriptions:write scope', async () => {
+    const anonymous = await subscribe({}, {});
+    expect(anonymous.status).toHaveBeenCalledWith(401);
+
+    const readOnly = await subscribe({}, { 'x-api-key': 'research-key' });
+    expect(readOnly.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should refuse to create subscriptions in a per-instance store in production', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await subscribe({ minImportance: 'high' });
+    consoleError.mockRestore();
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+  });
+
+  it('should create subscriptions in memory in production when opted in', async () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    vi.stubEnv('SUBSCRIPTION_STORE', 'memory');
+
+    const res = await subscribe({ minImportance: 'high' });
+    expect(res.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should reject invalid filters', async () => {
+    const res = await subscribe({ minImportance: 'critical' });
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  it('should serve the filtered feed for a token', async () => {
+    const { token } = (await subscribe({ minImportance: 'high', category: 'employment', alarm: 10 })).json.mock.calls[0][0];
+
+    const res = mockRes();
+    await feedHandler({ method: 'GET', query: { token } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'text/calendar; charset=utf-8');
+    const ics = res.send.mock.calls[0][0];
+    expect(ics).toContain('UID:nfp@marketsquawk.ai');
+    expect(ics).not.toContain('UID:claims@marketsquawk.ai');
+    expect(ics).not.toContain('UID:cpi@marketsquawk.ai');
+    expect(ics).toContain('TRIGGER:-PT10M');
+    expect(ics).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT60M');
+  });
+
+  it('should return 410 once a subscription is revoked', async () => {
+    const { token } = (await subscribe({})).json.mock.calls[0][0];
+
+    const revokeRes = mockRes();
+    await subscriptionsHandler({ method: 'DELETE', query: { token }, headers: keyed }, revokeRes);
+    expect(revokeRes.status).toHaveBeenCalledWith(200);
+    expect(revokeRes.json.mock.calls[0][0].revokedAt).not.toBeNull();
+
+    const res = mockRes();
+    await feedHandler({ method: 'GET', query: { token } }, res);
+    expect(res.status).toHaveBeenCalledWith(410);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown tokens', async () => {
+    const res = mockRes();
+    await feedHandler({ method: 'GET', query: { token: 'unknown-token-aaaaaaaaaa' } }, res);
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it('should reject unsupported methods', async () => {
+    const res = mockRes();
+    await subscriptionsHandler({ method: 'PUT', query: {}, headers: keyed }, res);
+    expect(res.status).toHaveBeenCalledWith(405);
+    expect(res.setHeader).toHaveBeenCalledWith('Allow', 'GET, POST, DELETE');
+  });
+});
@@ -1,6 +1,8 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import handler from '../../../../pages/api/calendar/today.js';
 import { getTodayInET, computeDayRange, formatDateET } from '../../../../lib/utils.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
 
 // Mock fetch globally
 global.fetch = vi.fn();
@@ -28,11 +30,16 @@ describe('Today Calendar API Endpoint', () => {
 
     // Set default environment variable
     process.env.CALENDAR_API_BASE = 'https://data-dev.pricesquawk.com';
+    // Retry without backoff sleeps (timers are faked)
+    process.env.UPSTREAM_RETRY_BASE_MS = '0';
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
   });
 
   afterEach(() => {
     vi.useRealTimers();
     delete process.env.CALENDAR_API_BASE;
+    delete process.env.UPSTREAM_RETRY_BASE_MS;
   });
 
   it('should export a default handler function', () => {
@@ -115,8 +122,10 @@ describe('Today Calendar API Endpoint', () => {
 
     await handler(req, res);
 
-    // Should still return HTML response
-    expect(res.status).toHaveBeenCalledWith(200);
+    // No snapshot yet: uncacheable 503 instead of an empty briefing
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Retry-After', '60');
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
     expect(res.send).toHaveBeenCalled();
     
     const htmlResponse = res.send.mock.calls[0][0];
@@ -124,6 +133,29 @@ describe('Today Calendar API Endpoint', () => {
     expect(htmlResponse).toContain('Market');
   });
 
+  it('should serve the last good snapshot marked as stale when upstream fails', async () => {
+    global.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve([
+        { date: '2024-01-15T13:30:00Z', event: 'Empire State Manufacturing', country: 'USA', importance: 'medium' }
+      ])
+    });
+    await handler(req, res);
+
+    vi.clearAllMocks();
+    global.fetch.mockRejectedValue(new Error('Network error'));
+    await handler(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('X-Data-Stale', 'true');
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=60, stale-while-revalidate=59');
+
+    const htmlResponse = res.send.mock.calls[0][0];
+    expect(htmlResponse).toContain('Empire State Manufacturing');
+    expect(htmlResponse).toContain('data-stale="true"');
+    expect(htmlResponse).toContain('Live data is temporarily unavailable');
+  });
+
   it('should include proper cache headers', async () => {
     global.fetch.mockResolvedValue({
       ok: true,
@@ -212,9 +244,10 @@ describe('Today Calendar API Endpoint', () => {
     // Should include morning report summary
     expect(htmlResponse).toContain('Markets expected to open higher');
     
-    // Should include link to audio brief (not audio player)
+    // Should include an audio player with a direct link as fallback
+    expect(htmlResponse).toContain('<audio controls preload="none" src="https://example.com/brief-2024-01-15.mp3"');
     expect(htmlResponse).toContain('Listen to Morning Brief');
-    expect(htmlResponse).toContain('.mp3');
+    expect(htmlResponse).toContain('href="/calendar/morning-report/2024-01-15"');
   });
 
   it('should sort events by time', async () => {
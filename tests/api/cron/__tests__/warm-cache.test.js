@@ -0,0 +1,145 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/cron/warm-cache.js';
+import calendarHandler from '../../../../pages/api/calendar/index.js';
+import { getWarmRuns, setWarmRunStore } from '../../../../lib/warmCache.js';
+import { setSnapshotStore, createMemorySnapshotStore } from '../../../../lib/snapshotStore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../../../../lib/rateLimit.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis()
+});
+
+const warmResponse = (status = 200) => ({
+  ok: status < 400,
+  status,
+  headers: { get: (name) => (name === 'x-vercel-cache' ? 'MISS' : null) }
+});
+
+describe('Cron Warm Cache API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    setWarmRunStore(null);
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockResolvedValue(warmResponse());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    delete process.env.CRON_SECRET;
+    setWarmRunStore(null);
+  });
+
+  const call = async (query = {}, headers = {}) => {
+    const res = mockRes();
+    await handler({ method: 'GET', query, headers }, res);
+    return res;
+  };
+
+  it('should reject requests without the cron secret', async () => {
+    process.env.CRON_SECRET = 'secret';
+
+    expect((await call()).status).toHaveBeenCalledWith(401);
+    expect((await call({ mode: 'core' }, { authorization: 'Bearer secret' })).status).toHaveBeenCalledWith(200);
+  });
+
+  it('should skip ticks with nothing due', async () => {
+    // Tuesday 13:20 ET: not on the 15-minute core interval, no release window
+    vi.setSystemTime(new Date('2024-01-16T13:20:00-05:00'));
+
+    const res = await call();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, skipped: true });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should re-warm the core routes right after a release', async () => {
+    vi.setSystemTime(new Date('2024-01-16T08:35:00-05:00'));
+
+    const res = await call();
+    const body = res.json.mock.calls[0][0];
+
+    expect(body).toMatchObject({ success: true, mode: 'release', reason: 'after the 08:30 ET release' });
+    expect(body.results.map((result) => result.endpoint)).toEqual([
+      'calendar/today', 'calendar/week', 'morning-report', 'page:/', 'page:/calendar/today', 'page:/calendar/week'
+    ]);
+    expect(body.results[0]).toMatchObject({ status: 200, cached: 'MISS' });
+  });
+
+  it('should warm the full manifest on the hour', async () => {
+    vi.setSystemTime(new Date('2024-01-16T11:00:00-05:00'));
+
+    const body = (await call()).json.mock.calls[0][0];
+
+    expect(body.mode).toBe('full');
+    expect(body.results.map((result) => result.path)).toContain('/calendar/month/2024-02');
+  });
+
+  it('should honour a forced mode', async () => {
+    vi.setSystemTime(new Date('2024-01-16T13:20:00-05:00'));
+
+    const body = (await call({ mode: 'core' })).json.mock.calls[0][0];
+
+    expect(body).toMatchObject({ mode: 'core', reason: 'requested' });
+    expect(global.fetch.mock.calls[0][1].headers).toEqual({ accept: 'application/json' });
+  });
+
+  it('should send warm-ups that the route answers with a publicly cacheable response', async () => {
+    vi.setSystemTime(new Date('2024-01-16T13:20:00-05:00'));
+    await call({ mode: 'core' });
+    const [url, init] = global.fetch.mock.calls.find(([warmed]) => warmed.includes('/api/calendar?'));
+
+    // Replay the warm-up request against the route itself
+    resetUpstreamState();
+    setSnapshotStore(createMemorySnapshotStore());
+    setRateLimitStore(createMemoryRateLimitStore());
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve([]) });
+    const headers = {};
+    const res = {
+      status: vi.fn().mockReturnThis(),
+      json: vi.fn(() => res.writeHead(200)),
+      end: vi.fn(),
+      setHeader: vi.fn((name, value) => { headers[name] = value; }),
+      getHeader: (name) => headers[name],
+      writeHead: vi.fn()
+    };
+    const { searchParams } = new URL(url);
+    await calendarHandler({ method: 'GET', url, query: Object.fromEntries(searchParams), headers: init.headers }, res);
+    setSnapshotStore(null);
+    setRateLimitStore(null);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(headers['Cache-Control']).toMatch(/^s-maxage=\d+/);
+    expect(headers['Cache-Control']).not.toContain('private');
+  });
+
+  it('should reject unknown modes', async () => {
+    const res = await call({ mode: 'everything' });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('should report and record failed warm-ups', async () => {
+    global.fetch.mockImplementation((url) => (
+      url.includes('/api/morning-report') ? Promise.reject(new Error('timeout')) : Promise.resolve(warmResponse(200))
+    ));
+
+    const body = (await call({ mode: 'core' })).json.mock.calls[0][0];
+
+    expect(body).toMatchObject({ success: false, message: '1 of 6 warm-ups failed' });
+    expect(body.results.find((result) => result.endpoint === 'morning-report')).toMatchObject({ status: 'error', error: 'timeout' });
+
+    const [run] = await getWarmRuns();
+    expect(run).toMatchObject({ mode: 'core', reason: 'requested', ok: false, failed: 1 });
+  });
+});
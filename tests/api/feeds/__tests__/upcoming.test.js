@@ -0,0 +1,70 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import rssHandler from '../../../../pages/api/feeds/upcoming.xml.js';
+import atomHandler from '../../../../pages/api/feeds/upcoming.atom.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis(),
+  send: vi.fn().mockReturnThis()
+});
+
+describe('Upcoming Event Feeds', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2024-01-03T15:00:00Z'));
+    resetUpstreamState();
+
+    global.fetch.mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: () => Promise.resolve([
+        { _id: 'released', date: '2024-01-03T13:30:00Z', event: 'Already Out', importance: 'high' },
+        { _id: 'claims', date: '2024-01-04T13:30:00Z', event: 'Jobless Claims', importance: 'medium' },
+        { _id: 'nfp', date: '2024-01-05T13:30:00Z', event: 'Payrolls', importance: 'high' }
+      ])
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should serve upcoming high-importance events as RSS', async () => {
+    const res = mockRes();
+    await rssHandler({ query: {} }, res);
+
+    expect(global.fetch.mock.calls[0][0]).toContain('fromDate=2024-01-03&toDate=2024-01-09');
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/rss+xml; charset=utf-8');
+    const xml = res.send.mock.calls[0][0];
+    expect(xml).toContain('event:nfp</guid>');
+    expect(xml).not.toContain('event:claims');
+    expect(xml).not.toContain('event:released');
+  });
+
+  it('should honour days and minImportance in the Atom feed', async () => {
+    const res = mockRes();
+    await atomHandler({ query: { days: '3', minImportance: 'medium' } }, res);
+
+    expect(global.fetch.mock.calls[0][0]).toContain('fromDate=2024-01-03&toDate=2024-01-05');
+    expect(res.setHeader).toHaveBeenCalledWith('Content-Type', 'application/atom+xml; charset=utf-8');
+    const xml = res.send.mock.calls[0][0];
+    expect(xml).toContain('event:claims</id>');
+    expect(xml).toContain('event:nfp</id>');
+    expect(xml).toContain('href="https://marketsquawk.ai/feeds/upcoming.atom?days=3&amp;minImportance=medium"');
+  });
+
+  it('should reject invalid parameters', async () => {
+    const res = mockRes();
+    await rssHandler({ query: { days: 'many' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/morning-report/history.js';
+import { createMemoryMorningReportArchive, setMorningReportArchive } from '../../../../lib/morningReportArchive.js';
+
+const mockRes = () => ({
+  status: vi.fn().mockReturnThis(),
+  setHeader: vi.fn().mockReturnThis(),
+  json: vi.fn().mockReturnThis()
+});
+
+describe('Morning Report History API', () => {
+  let archive;
+
+  beforeEach(async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2024-03-15T15:00:00Z'));
+    archive = createMemoryMorningReportArchive();
+    setMorningReportArchive(archive);
+
+    for (const date of ['2024-01-10', '2024-02-14', '2024-03-01', '2024-03-15']) {
+      await archive.save(date, { summary: `Report for ${date}`, brief: `https://cdn.example.com/${date}.mp3` });
+    }
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    setMorningReportArchive(null);
+    delete process.env.VERCEL_ENV;
+  });
+
+  const call = async (query = {}, method = 'GET') => {
+    const res = mockRes();
+    await handler({ method, query, headers: {} }, res);
+    return res;
+  };
+
+  it('should list the last 30 days by default, newest first', async () => {
+    const res = await call();
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body).toMatchObject({ from: '2024-02-15', to: '2024-03-15', count: 2 });
+    expect(body.reports.map((report) => report.date)).toEqual(['2024-03-15', '2024-03-01']);
+    expect(body.reports[0]).toMatchObject({ summary: 'Report for 2024-03-15', brief: 'https://cdn.example.com/2024-03-15.mp3' });
+  });
+
+  it('should answer 503 in production when the archive is per instance', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.VERCEL_ENV = 'production';
+
+    const res = await call();
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 'no-store');
+    expect(res.json).toHaveBeenCalledWith({ error: 'Morning report archive is not configured for this deployment' });
+    error.mockRestore();
+  });
+
+  it('should list an explicit range', async () => {
+    const res = await call({ from: '2024-01-01', to: '2024-02-14' });
+
+    expect(res.json.mock.calls[0][0].reports.map((report) => report.date)).toEqual(['2024-02-14', '2024-01-10']);
+    expect(res.setHeader).toHaveBeenCalledWith('Cache-Control', 's-maxage=600, stale-while-revalidate=59');
+  });
+
+  it('should reject invalid and oversized ranges', async () => {
+    const malformed = await call({ from: '2024-1-1' });
+    expect(malformed.status).toHaveBeenCalledWith(400);
+    expect(malformed.json.mock.calls[0][0].error).toMatchObject({ code: 'invalid_date', field: 'from' });
+
+    const reversed = await call({ from: '2024-03-01', to: '2024-02-01' });
+    expect(reversed.json.mock.calls[0][0].error).toMatchObject({ code: 'invalid_range', field: 'from' });
+
+    const oversized = await call({ from: '2023-01-01', to: '2024-03-01' });
+    expect(oversized.json.mock.calls[0][0].error).toMatchObject({ code: 'range_too_large', field: 'to' });
+  });
+
+  it('should reject other methods', async () => {
+    expect((await call({}, 'POST')).status).toHaveBeenCalledWith(405);
+  });
+});
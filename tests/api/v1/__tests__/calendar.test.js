@@ -0,0 +1,146 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/v1/calendar/index.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { createMemorySnapshotStore, setSnapshotStore, calendarSnapshotKey } from '../../../../lib/snapshotStore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../../../../lib/rateLimit.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => {
+  const res = {
+    headers: {},
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    end: vi.fn().mockReturnThis(),
+    setHeader: vi.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+const request = (query = {}) => ({ method: 'GET', url: '/api/v1/calendar', query, headers: {} });
+
+const events = [
+  { _id: 'a', date: '2024-01-16T13:30:00.000Z', event: 'Retail Sales', country: 'USA', category: 'retail', importance: 'medium' },
+  { _id: 'b', date: '2024-01-17T13:30:00.000Z', event: 'CPI', country: 'USA', category: 'inflation', importance: 'high' }
+];
+
+describe('Calendar API v1', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.UPSTREAM_RETRIES = '0';
+    resetUpstreamState();
+    store = createMemorySnapshotStore();
+    setSnapshotStore(store);
+    setRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.UPSTREAM_RETRIES;
+    setSnapshotStore(null);
+    setRateLimitStore(null);
+  });
+
+  it('should wrap events in the data/meta envelope', async () => {
+    // Away from the release windows, where core routes get a shorter TTL
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2024-01-16T18:00:00Z'));
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(events) });
+
+    const res = mockRes();
+    await handler(request({ fromDate: '2024-01-15', toDate: '2024-01-21', importance: 'high' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    const body = res.json.mock.calls[0][0];
+    expect(body.data.map((ev) => ev._id)).toEqual(['b']);
+    expect(body.meta).toMatchObject({ fromDate: '2024-01-15', toDate: '2024-01-21', count: 1, source: 'upstream', stale: false });
+    expect(Date.parse(body.meta.fetchedAt)).not.toBeNaN();
+    expect(res.headers['Cache-Control']).toBe('s-maxage=600, stale-while-revalidate=59');
+    expect(res.headers['X-Total-Count']).toBe('1');
+  });
+
+  it('should count the page, not the total, and link the next page', async () => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(events) });
+
+    const res = mockRes();
+    await handler(request({ fromDate: '2024-01-15', toDate: '2024-01-21', limit: '1' }), res);
+
+    expect(res.json.mock.calls[0][0].meta.count).toBe(1);
+    expect(res.headers['X-Total-Count']).toBe('2');
+    expect(res.headers.Link).toContain('/api/v1/calendar?');
+  });
+
+  it('should answer revalidations with 304 using a weak ETag', async () => {
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(events) });
+
+    const first = mockRes();
+    await handler(request({ fromDate: '2024-01-15', toDate: '2024-01-21' }), first);
+    expect(first.headers.ETag).toMatch(/^W\/"/);
+
+    const second = mockRes();
+    await handler({ ...request({ fromDate: '2024-01-15', toDate: '2024-01-21' }), headers: { 'if-none-match': first.headers.ETag } }, second);
+    expect(second.status).toHaveBeenCalledWith(304);
+    expect(second.json).not.toHaveBeenCalled();
+  });
+
+  it('should serve the last good snapshot when upstream fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await store.set(calendarSnapshotKey('2024-01-15', '2024-01-21'), events);
+    global.fetch.mockRejectedValue(new Error('ECONNRESET'));
+
+    const res = mockRes();
+    await handler(request({ fromDate: '2024-01-15', toDate: '2024-01-21' }), res);
+
+    const { meta } = res.json.mock.calls[0][0];
+    expect(meta).toMatchObject({ count: 2, source: 'snapshot', stale: true });
+    expect(res.headers['X-Data-Stale']).toBe('true');
+    expect(res.headers['Cache-Control']).toBe('s-maxage=60, stale-while-revalidate=59');
+    warn.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should answer 503 upstream_unavailable without a snapshot', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockRejectedValue(new Error('ECONNRESET'));
+
+    const res = mockRes();
+    await handler(request({ fromDate: '2024-01-15', toDate: '2024-01-21' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json.mock.calls[0][0].error.code).toBe('upstream_unavailable');
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    error.mockRestore();
+  });
+
+  it('should pass non-transient upstream errors through as upstream_error', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockResolvedValue({ ok: false, status: 404, json: () => Promise.resolve({}) });
+
+    const res = mockRes();
+    await handler(request({ fromDate: '2024-01-15', toDate: '2024-01-21' }), res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.json.mock.calls[0][0].error.code).toBe('upstream_error');
+    error.mockRestore();
+  });
+
+  it('should answer validation and method errors with typed errors', async () => {
+    const bad = mockRes();
+    await handler(request({ fromDate: '2024-02-30' }), bad);
+    expect(bad.status).toHaveBeenCalledWith(400);
+    expect(bad.json.mock.calls[0][0].error).toMatchObject({ code: 'invalid_date', field: 'fromDate' });
+
+    const post = mockRes();
+    await handler({ ...request(), method: 'POST' }, post);
+    expect(post.status).toHaveBeenCalledWith(405);
+    expect(post.json).toHaveBeenCalledWith({ error: { code: 'method_not_allowed', message: 'Method not allowed' } });
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+});
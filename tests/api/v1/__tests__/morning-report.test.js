@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import handler from '../../../../pages/api/v1/morning-report.js';
+import { resetUpstreamState } from '../../../../lib/upstream.js';
+import { createMemorySnapshotStore, setSnapshotStore, morningReportSnapshotKey } from '../../../../lib/snapshotStore.js';
+import { createMemoryRateLimitStore, setRateLimitStore } from '../../../../lib/rateLimit.js';
+import { getTodayInET } from '../../../../lib/utils.js';
+import { createMemoryMorningReportArchive, setMorningReportArchive } from '../../../../lib/morningReportArchive.js';
+
+// Mock fetch globally
+global.fetch = vi.fn();
+
+const mockRes = () => {
+  const res = {
+    headers: {},
+    status: vi.fn().mockReturnThis(),
+    json: vi.fn().mockReturnThis(),
+    setHeader: vi.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+const request = (query = {}) => ({ method: 'GET', query, headers: {} });
+
+const report = { summary: 'Futures point higher.', brief: 'https://example.com/brief.mp3' };
+
+describe('Morning Report API v1', () => {
+  let store;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    process.env.UPSTREAM_RETRIES = '0';
+    resetUpstreamState();
+    store = createMemorySnapshotStore();
+    setSnapshotStore(store);
+    setRateLimitStore(createMemoryRateLimitStore());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.UPSTREAM_RETRIES;
+    setSnapshotStore(null);
+    setRateLimitStore(null);
+    setMorningReportArchive(null);
+  });
+
+  it('should wrap the report in the data/meta envelope and archive it for today', async () => {
+    // Away from the release windows, where core routes get a shorter TTL
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2024-01-16T18:00:00Z'));
+    global.fetch.mockResolvedValue({ ok: true, status: 200, json: () => Promise.resolve(report) });
+
+    const res = mockRes();
+    await handler(request(), res);
+
+    const today = getTodayInET();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0]).toMatchObject({
+      data: report,
+      meta: { fromDate: today, toDate: today, count: 1, source: 'upstream', stale: false }
+    });
+    expect(res.headers['Cache-Control']).toBe('s-maxage=1800, stale-while-revalidate=600');
+    expect((await store.get(morningReportSnapshotKey(today))).data).toEqual(report);
+  });
+
+  it('should serve today\'s archived report when upstream fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    await store.set(morningReportSnapshotKey(getTodayInET()), report);
+    global.fetch.mockResolvedValue({ ok: false, status: 500, json: () => Promise.resolve({}) });
+
+    const res = mockRes();
+    await handler(request(), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json.mock.calls[0][0].meta).toMatchObject({ source: 'snapshot', stale: true });
+    warn.mockRestore();
+    error.mockRestore();
+  });
+
+  it('should answer 503 rather than 200 with null fields when nothing is archived', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    global.fetch.mockRejectedValue(new Error('timeout'));
+
+    const res = mockRes();
+    await handler(request(), res);
+
+    expect(res.status).toHaveBeenCalledWith(503);
+    expect(res.json).toHaveBeenCalledWith({ error: { code: 'upstream_unavailable', message: 'Upstream data is temporarily unavailable.' } });
+    error.mockRestore();
+  });
+
+  describe('?date=', () => {
+    let archive;
+
+    beforeEach(() => {
+      archive = createMemoryMorningReportArchive();
+      setMorningReportArchive(archive);
+    });
+
+    afterEach(() => {
+      delete process.env.VERCEL_ENV;
+    });
+
+    it('should serve an archived day from the archive without calling upstream', async () => {
+      await archive.save('2024-01-16', report);
+
+      const res = mockRes();
+      await handler(request({ date: '2024-01-16' }), res);
+
+      expect(global.fetch).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        data: { date: '2024-01-16', summary: report.summary, brief: report.brief },
+        meta: { fromDate: '2024-01-16', toDate: '2024-01-16', count: 1, source: 'archive', stale: false }
+      });
+      expect(res.headers['Cache-Control']).toBe('s-maxage=86400, stale-while-revalidate=600');
+    });
+
+    it('should answer 404 not_found for a day that was not archived', async () => {
+      const res = mockRes();
+      await handler(request({ date: '2024-01-16' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({ error: { code: 'not_found', message: 'No archived morning report for 2024-01-16' } });
+    });
+
+    it('should answer 503 archive_unavailable from a per-instance archive in production', async () => {
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.VERCEL_ENV = 'production';
+
+      const res = mockRes();
+      await handler(request({ date: '2024-01-16' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(503);
+      expect(res.json.mock.calls[0][0].error.code).toBe('archive_unavailable');
+      expect(res.headers['Cache-Control']).toBe('no-store');
+      error.mockRestore();
+    });
+
+    it('should reject malformed dates with a typed validation error', async () => {
+      const res = mockRes();
+      await handler(request({ date: '2024-02-30' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].error).toMatchObject({ code: 'invalid_date', field: 'date' });
+    });
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Event utilities for the Economic Calendar
+ * Shared by the client event service and the server-side export endpoints
+ */
+
+/**
+ * Normalise an upstream event into the shape the app relies on
+ * Missing optional fields get the same defaults everywhere
+ * @param {Object} event - Raw upstream event
+ * @returns {Object|null} Normalised event, or null if date or name is missing
+ */
+export const normalizeEvent = (event) => {
+  if (!event || !event.date || !event.event) {
+    return null;
+  }
+
+  return {
+    _id: event._id,
+    date: event.date,
+    country: event.country || 'Unknown',
+    event: event.event,
+    importance: event.importance || 'low',
+    source: event.source || { name: 'Unknown', url: '' },
+    category: event.category || 'other',
+    tags: event.tags || [],
+    created_at: event.created_at,
+    updated_at: event.updated_at
+  };
+};
@@ -92,7 +92,7 @@ export const getImportanceConfig = (importanceValue) => {
 /**
  * Importance hierarchy mapping (higher numbers = more important)
  */
-const IMPORTANCE_HIERARCHY = {
+export const IMPORTANCE_HIERARCHY = {
   'low': 1,
   'medium': 2,
   'high': 3